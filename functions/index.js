@@ -14,6 +14,67 @@ const os = require('os');
 const fs = require('fs');
 const { GoogleAuth } = require('google-auth-library');
 const { google } = require('googleapis');
+const { isDropFrameRate } = require('./shared/timecode');
+const { TIMELINE_SCHEMA_VERSION, needsUpgrade, upgradeTimeline, flattenTimeline, storedTimeline } = require('./shared/schema');
+const { generateCMX3600 } = require('./shared/cmx3600');
+const { generateXMEML } = require('./shared/xmeml');
+const { generateFCPXML } = require('./shared/fcpxml');
+const { timelineToOTIO, otioToTimeline, resolveImportedClips } = require('./shared/otio');
+const { buildAssetMatcher } = require('./shared/assets');
+const { createZip } = require('./shared/zip');
+const {
+  runAnalysis,
+  failedAnalysis,
+  createGeminiAnalysisProvider,
+  localAnalysisProvider,
+  createFixtureAnalysisProvider,
+} = require('./shared/analysis');
+const { createGeminiSemanticModel, localSemanticModel } = require('./shared/semantic');
+const { getStrategy, listStrategies, assembleTimeline } = require('./shared/assembly');
+const { parseScript, assembleFromScript } = require('./shared/script');
+const {
+  normalizeTranscript,
+  mergeTranscripts,
+  createGeminiTranscriptionEngine,
+  createFixtureTranscriptionEngine,
+} = require('./shared/transcript');
+
+const { createBeatDetector, assembleToMusic, replaceBeatMarkers } = require('./shared/beats');
+const { shotsFromCuts } = require('./shared/shots');
+const { SILENCE_DEFAULTS, createLevelMeter, findSilences } = require('./shared/audio');
+const { createSyncEnvelopeBuilder, syncAngles, createMulticamGroup, multicamTracks } = require('./shared/multicam');
+const { QUALITY_FRAME_WIDTH, QUALITY_FRAME_HEIGHT, measureFrames, scoreQuality } = require('./shared/quality');
+const { createCommand, recordCommand } = require('./shared/history');
+const { buildChangeList } = require('./shared/changelist');
+const { readProbeMetadata } = require('./shared/metadata');
+
+// Audio sent to the transcription engine per request, in seconds
+const TRANSCRIPTION_CHUNK_SECONDS = 600;
+
+// Sample rate PCM is decoded at for beat detection
+const BEAT_SAMPLE_RATE = 22050;
+
+// Sample rate PCM is decoded at for level and silence analysis
+const LEVEL_SAMPLE_RATE = 8000;
+
+// Frames per second sampled for quality analysis, and the most sampled per take
+const QUALITY_SAMPLE_FPS = 4;
+const MAX_QUALITY_FRAMES = 480;
+
+// ffmpeg scene-change score (0-1) above which a frame starts a new shot
+const SCENE_CUT_THRESHOLD = 0.4;
+
+// Shots per upload that get their own thumbnail and analysis
+const MAX_DESCRIBED_SHOTS = 50;
+
+// Shots uploaded and analyzed at the same time
+const SHOT_CONCURRENCY = 4;
+
+// Runtime for functions that download and decode media. Ingest runs every
+// analysis pass over the upload in turn, so it gets the longest timeout
+// background functions allow; decoded audio is streamed, but ffmpeg and the
+// downloaded file still need room.
+const MEDIA_RUNTIME = { timeoutSeconds: 540, memory: '2GB' };
 
 // Initialize Firebase
 admin.initializeApp();
@@ -29,7 +90,7 @@ const genAI = new GoogleGenerativeAI(geminiApiKey);
  * Process a new media file uploaded to Cloud Storage
  * Extracts metadata, generates thumbnails, and transcodes if needed
  */
-exports.processMediaUpload = functions.storage.object().onFinalize(async (object) => {
+exports.processMediaUpload = functions.runWith(MEDIA_RUNTIME).storage.object().onFinalize(async (object) => {
   const fileBucket = object.bucket;
   const filePath = object.name;
   const contentType = object.contentType;
@@ -74,11 +135,44 @@ exports.processMediaUpload = functions.storage.object().onFinalize(async (object
     }
     
     // Analyze content with Gemini API
-    const contentAnalysis = await analyzeMediaContent(tempFilePath, contentType);
+    const contentAnalysis = await analyzeMediaContent(tempFilePath, contentType, metadata);
     console.log('Content analysis complete');
     
+    // Split video into shots at scene cuts
+    let shots = null;
+    if (contentType.startsWith('video/')) {
+      shots = await detectShots(tempFilePath, Number(metadata.duration) || 0);
+      if (shots.length > 1) {
+        shots = await describeShots(bucket, filePath, tempFilePath, timelineId, shots, contentType, metadata);
+      } else {
+        // A single shot is the whole file, already described above
+        shots = shots.map(shot => ({ ...shot, thumbnailUrl, analysis: contentAnalysis }));
+      }
+      console.log(`Detected ${shots.length} shots`);
+    }
+    
+    // Transcribe speech with word-level timings
+    const transcription = await transcribeMedia(tempFilePath, metadata);
+    
+    // Measure loudness and find silence for trimming
+    const audioLevels = await measureAudio(tempFilePath, metadata);
+    
+    // Score technical quality (focus, exposure, shake, black frames, clipping)
+    metadata.quality = await measureQuality(tempFilePath, metadata);
+    
+    // Audio-only uploads may be music beds; store their beat grid
+    if (contentType.startsWith('audio/')) {
+      metadata.beats = await detectMusicBeats(tempFilePath);
+    }
+    
     // Store asset information in Firestore
     const assetId = `asset-${Date.now()}`;
+    if (transcription.transcript) {
+      await saveTranscript(projectId, timelineId, assetId, transcription.transcript);
+    }
+    if (audioLevels.levels) {
+      await saveAudioLevels(projectId, timelineId, assetId, audioLevels.levels);
+    }
     await admin.database().ref(`projects/${projectId}/timelines/${timelineId}/assets/${assetId}`).set({
       id: assetId,
       fileName: fileName,
@@ -86,9 +180,12 @@ exports.processMediaUpload = functions.storage.object().onFinalize(async (object
       storagePath: filePath,
       thumbnailUrl: thumbnailUrl,
       uploadTime: admin.database.ServerValue.TIMESTAMP,
+      shots: shots,
       metadata: {
         ...metadata,
-        analysis: contentAnalysis
+        analysis: contentAnalysis,
+        transcript: transcription.summary,
+        audioLevels: audioLevels.summary
       }
     });
     
@@ -113,42 +210,306 @@ async function extractMediaMetadata(filePath) {
       if (err) {
         return reject(err);
       }
-      
-      const { format, streams } = metadata;
-      const videoStream = streams.find(s => s.codec_type === 'video');
-      const audioStream = streams.find(s => s.codec_type === 'audio');
-      
-      // Extract relevant metadata
-      const result = {
-        duration: format.duration || 0,
-        size: format.size || 0,
-        bitrate: format.bit_rate || 0,
-        format: format.format_name || '',
+      resolve(readProbeMetadata(metadata));
+    });
+  });
+}
+
+/**
+ * Choose the transcription engine for this deployment
+ * 
+ * The recorded stand-in is only used when asked for, through
+ * TRANSCRIPTION_FIXTURES (path to recorded transcripts) or
+ * TRANSCRIPTION_ENGINE=fixture. TRANSCRIPTION_ENGINE=none turns transcription
+ * off; otherwise Gemini is used, and without GEMINI_API_KEY transcription is
+ * skipped rather than faked.
+ * 
+ * @returns {Object} - { engine }, or { engine: null, reason } when transcription is unavailable
+ */
+function selectTranscriptionEngine() {
+  if (process.env.TRANSCRIPTION_FIXTURES) {
+    return { engine: createFixtureTranscriptionEngine(JSON.parse(fs.readFileSync(process.env.TRANSCRIPTION_FIXTURES, 'utf8'))) };
+  }
+  if (process.env.TRANSCRIPTION_ENGINE === 'fixture') {
+    return { engine: createFixtureTranscriptionEngine() };
+  }
+  if (process.env.TRANSCRIPTION_ENGINE === 'none') {
+    return { engine: null, reason: 'Transcription is turned off (TRANSCRIPTION_ENGINE=none)' };
+  }
+  if (!geminiApiKey) {
+    return { engine: null, reason: 'No transcription engine is configured (GEMINI_API_KEY is not set)' };
+  }
+  return { engine: createGeminiTranscriptionEngine(genAI.getGenerativeModel({ model: "gemini-1.5-flash" })) };
+}
+
+/**
+ * Transcribe the audio of a media file in chunks
+ * 
+ * Returns the full transcript and the summary stored on the asset. Media
+ * without audio gets neither; when no engine is available the summary is
+ * `{ status: 'skipped', reason }`. Failures are recorded in the summary
+ * rather than failing the upload.
+ */
+async function transcribeMedia(filePath, metadata) {
+  if (!metadata.audio) {
+    return { transcript: null, summary: null };
+  }
+  const { engine, reason } = selectTranscriptionEngine();
+  if (!engine) {
+    return { transcript: null, summary: { status: 'skipped', reason } };
+  }
+  
+  try {
+    const duration = Number(metadata.duration) || 0;
+    const parts = [];
+    for (let offset = 0; offset < duration; offset += TRANSCRIPTION_CHUNK_SECONDS) {
+      const input = {
+        key: path.basename(filePath),
+        offset: offset,
+        duration: Math.min(TRANSCRIPTION_CHUNK_SECONDS, duration - offset)
       };
-      
-      // Add video-specific metadata
-      if (videoStream) {
-        result.video = {
-          codec: videoStream.codec_name,
-          width: videoStream.width,
-          height: videoStream.height,
-          frameRate: eval(videoStream.r_frame_rate) || 0,
-          bitrate: videoStream.bit_rate || 0,
-        };
+      if (engine.name === 'gemini') {
+        const audio = await extractAudioChunk(filePath, offset, input.duration);
+        input.audio = { mimeType: 'audio/mp3', data: audio.toString('base64') };
       }
-      
-      // Add audio-specific metadata
-      if (audioStream) {
-        result.audio = {
-          codec: audioStream.codec_name,
-          channels: audioStream.channels,
-          sampleRate: audioStream.sample_rate,
-          bitrate: audioStream.bit_rate || 0,
-        };
+      parts.push({ offset, transcript: normalizeTranscript(await engine.transcribe(input)) });
+    }
+    
+    const transcript = {
+      ...mergeTranscripts(parts),
+      engine: engine.name,
+      model: engine.model,
+      createdAt: new Date().toISOString()
+    };
+    console.log(`Transcribed ${transcript.words.length} words`);
+    
+    return {
+      transcript,
+      summary: { engine: engine.name, model: engine.model, language: transcript.language, wordCount: transcript.words.length }
+    };
+  } catch (error) {
+    console.error('Error transcribing media:', error);
+    return { transcript: null, summary: { status: 'failed', error: error.message, engine: engine.name, model: engine.model } };
+  }
+}
+
+/**
+ * Extract a mono, low-bitrate MP3 chunk of a media file's audio
+ */
+async function extractAudioChunk(filePath, offset, duration) {
+  const chunkPath = path.join(os.tmpdir(), `${path.basename(filePath)}_${offset}.mp3`);
+  
+  await new Promise((resolve, reject) => {
+    ffmpeg(filePath)
+      .setStartTime(offset)
+      .duration(duration)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(16000)
+      .audioBitrate('32k')
+      .format('mp3')
+      .on('end', () => resolve())
+      .on('error', (err) => reject(err))
+      .save(chunkPath);
+  });
+  
+  const audioBuffer = fs.readFileSync(chunkPath);
+  fs.unlinkSync(chunkPath);
+  return audioBuffer;
+}
+
+/**
+ * Decode a media file's audio to mono floating-point PCM, a window at a time
+ * 
+ * Each window of samples is pushed to every analyser as ffmpeg produces it,
+ * so the decoded audio is never held in memory as a whole; analysers keep
+ * only running statistics. Call their finish() once this resolves.
+ */
+async function streamPcm(filePath, sampleRate, analysers) {
+  await new Promise((resolve, reject) => {
+    let carry = null;
+    const stream = ffmpeg(filePath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(sampleRate)
+      .format('s16le')
+      .on('error', (err) => reject(err))
+      .pipe();
+    stream.on('data', (chunk) => {
+      try {
+        // A sample may be split across chunks
+        const buffer = carry ? Buffer.concat([carry, chunk]) : chunk;
+        const samples = new Float32Array(Math.floor(buffer.length / 2));
+        for (let i = 0; i < samples.length; i++) {
+          samples[i] = buffer.readInt16LE(i * 2) / 32768;
+        }
+        carry = buffer.length % 2 ? buffer.subarray(buffer.length - 1) : null;
+        analysers.forEach(analyser => analyser.push(samples));
+      } catch (error) {
+        stream.destroy();
+        reject(error);
       }
-      
-      resolve(result);
     });
+    stream.on('end', () => resolve());
+    stream.on('error', (err) => reject(err));
+  });
+}
+
+/**
+ * Detect the tempo and beat grid of an audio file
+ * 
+ * Returns null when detection fails so the upload still completes.
+ */
+async function detectMusicBeats(filePath) {
+  try {
+    const detector = createBeatDetector(BEAT_SAMPLE_RATE);
+    await streamPcm(filePath, BEAT_SAMPLE_RATE, [detector]);
+    const grid = detector.finish();
+    console.log(`Detected ${grid.beats.length} beats at ${grid.bpm} BPM`);
+    return grid.beats.length > 0 ? grid : null;
+  } catch (error) {
+    console.error('Error detecting beats:', error);
+    return null;
+  }
+}
+
+/**
+ * Measure the audio levels of a media file
+ * 
+ * Returns the level envelope, kept so clips can be trimmed at any threshold,
+ * and the summary stored on the asset: peak and RMS in dBFS and the silences
+ * at the default threshold. Media without audio gets neither.
+ */
+async function measureAudio(filePath, metadata) {
+  if (!metadata.audio) {
+    return { levels: null, summary: null };
+  }
+  
+  try {
+    const meter = createLevelMeter(LEVEL_SAMPLE_RATE);
+    await streamPcm(filePath, LEVEL_SAMPLE_RATE, [meter]);
+    const levels = meter.finish();
+    const silences = findSilences(levels);
+    console.log(`Measured audio: peak ${levels.peak} dBFS, RMS ${levels.rms} dBFS, ${silences.length} silences`);
+    return {
+      levels: levels,
+      summary: {
+        peak: levels.peak,
+        rms: levels.rms,
+        silenceThreshold: SILENCE_DEFAULTS.threshold,
+        silences: silences
+      }
+    };
+  } catch (error) {
+    console.error('Error measuring audio levels:', error);
+    return { levels: null, summary: null };
+  }
+}
+
+/**
+ * Measure the technical quality of a take
+ * 
+ * Picture is sampled as small greyscale frames (at most MAX_QUALITY_FRAMES,
+ * spread over the take) and audio clipping is read from ffmpeg's astats.
+ * Returns null when the media cannot be measured.
+ */
+async function measureQuality(filePath, metadata) {
+  try {
+    const measures = { frames: 0 };
+    
+    if (metadata.video) {
+      const duration = Number(metadata.duration) || 0;
+      const fps = duration > 0 ? Math.min(QUALITY_SAMPLE_FPS, MAX_QUALITY_FRAMES / duration) : QUALITY_SAMPLE_FPS;
+      const frameSize = QUALITY_FRAME_WIDTH * QUALITY_FRAME_HEIGHT;
+      const chunks = [];
+      
+      await new Promise((resolve, reject) => {
+        const stream = ffmpeg(filePath)
+          .noAudio()
+          .outputOptions(['-vf', `fps=${fps},scale=${QUALITY_FRAME_WIDTH}:${QUALITY_FRAME_HEIGHT}:out_range=full,format=gray`])
+          .format('rawvideo')
+          .on('error', (err) => reject(err))
+          .pipe();
+        stream.on('data', (chunk) => chunks.push(chunk));
+        stream.on('end', () => resolve());
+        stream.on('error', (err) => reject(err));
+      });
+      
+      const buffer = Buffer.concat(chunks);
+      const frames = [];
+      for (let offset = 0; offset + frameSize <= buffer.length; offset += frameSize) {
+        frames.push(new Uint8Array(buffer.buffer, buffer.byteOffset + offset, frameSize));
+      }
+      Object.assign(measures, measureFrames(frames, QUALITY_FRAME_WIDTH, QUALITY_FRAME_HEIGHT));
+    }
+    
+    if (metadata.audio) {
+      measures.audioClipping = await measureAudioClipping(filePath);
+    }
+    
+    const quality = scoreQuality(measures);
+    console.log(`Quality score ${quality.score}`, quality.issues);
+    return quality;
+  } catch (error) {
+    console.error('Error measuring quality:', error);
+    return null;
+  }
+}
+
+/**
+ * Share of audio samples at full scale, from ffmpeg's astats summary
+ */
+async function measureAudioClipping(filePath) {
+  const overall = {};
+  let inOverall = false;
+  
+  await new Promise((resolve, reject) => {
+    ffmpeg(filePath)
+      .noVideo()
+      .audioFilters('astats')
+      .format('null')
+      .output('-')
+      .on('stderr', (line) => {
+        if (/Overall/.test(line)) {
+          inOverall = true;
+        }
+        const match = inOverall && line.match(/\]\s*(Peak level dB|Peak count|Number of samples):\s*(-?[\d.]+|-inf)/);
+        if (match) {
+          overall[match[1]] = parseFloat(match[2]);
+        }
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => reject(err))
+      .run();
+  });
+  
+  const peak = overall['Peak level dB'];
+  const samples = overall['Number of samples'];
+  if (!(samples > 0) || !(peak >= -0.1)) {
+    return 0;
+  }
+  return Math.min(1, (overall['Peak count'] || 0) / samples);
+}
+
+/**
+ * Store an asset's level envelope beside the timeline's assets
+ */
+async function saveAudioLevels(projectId, timelineId, assetId, levels) {
+  await admin.database().ref(`projects/${projectId}/timelines/${timelineId}/audioLevels/${assetId}`).set({
+    assetId: assetId,
+    ...levels
+  });
+}
+
+/**
+ * Store an asset's transcript beside the timeline's assets
+ * 
+ * Word lists are kept out of the asset record so listing assets stays cheap.
+ */
+async function saveTranscript(projectId, timelineId, assetId, transcript) {
+  await admin.database().ref(`projects/${projectId}/timelines/${timelineId}/transcripts/${assetId}`).set({
+    assetId: assetId,
+    ...transcript
   });
 }
 
@@ -200,72 +561,331 @@ async function generateThumbnail(bucket, filePath, tempFilePath, timelineId) {
 }
 
 /**
- * Analyze media content using Gemini API
+ * Choose the analysis provider for this deployment
+ * 
+ * ANALYSIS_FIXTURES (path to recorded responses) takes precedence, then
+ * ANALYSIS_PROVIDER ("gemini" or "local"). Without a Gemini key the local
+ * heuristic analyzer is used.
+ */
+function selectAnalysisProvider() {
+  if (process.env.ANALYSIS_FIXTURES) {
+    return createFixtureAnalysisProvider(JSON.parse(fs.readFileSync(process.env.ANALYSIS_FIXTURES, 'utf8')));
+  }
+  if (process.env.ANALYSIS_PROVIDER === 'local' || !geminiApiKey) {
+    return localAnalysisProvider;
+  }
+  return createGeminiAnalysisProvider(genAI.getGenerativeModel({ model: "gemini-pro-vision" }));
+}
+
+/**
+ * Analyze media content with the configured analysis provider
+ * 
+ * Failures are stored as a failed analysis record rather than dropped, so
+ * the asset shows why it has no analysis.
  */
-async function analyzeMediaContent(filePath, contentType) {
+async function analyzeMediaContent(filePath, contentType, metadata = {}) {
+  let provider = selectAnalysisProvider();
+  const input = { key: path.basename(filePath), contentType: contentType };
+  
   try {
-    // For videos, use a thumbnail frame for analysis
-    let imageBuffer;
-    
-    if (contentType.startsWith('video/')) {
-      const thumbnailPath = path.join(os.tmpdir(), `${path.basename(filePath)}_analysis_frame.jpg`);
-      
-      // Extract a frame from the middle of the video
-      await new Promise((resolve, reject) => {
-        ffmpeg(filePath)
-          .on('end', () => resolve())
-          .on('error', (err) => reject(err))
-          .screenshots({
-            timestamps: ['50%'],
-            filename: path.basename(thumbnailPath),
-            folder: path.dirname(thumbnailPath),
-            size: '640x360',
-          });
-      });
-      
-      imageBuffer = fs.readFileSync(thumbnailPath);
-      fs.unlinkSync(thumbnailPath);
-    } else if (contentType.startsWith('audio/')) {
-      // For audio, we'll use a generic audio waveform image
-      // In a production system, this could generate a waveform visualization
-      return { type: 'audio', description: 'Audio content - waveform analysis not available' };
-    } else {
-      return { error: 'Unsupported media type for analysis' };
-    }
-    
-    // Use Gemini API to analyze the media content
-    const model = genAI.getGenerativeModel({ model: "gemini-pro-vision" });
-    
-    const result = await model.generateContent({
-      contents: [
-        {
-          role: "user",
-          parts: [
-            { text: "Analyze this media file and provide structured metadata for a video editing timeline. Include scene description, mood, key visual elements, and suggested timeline placement. Format as JSON." },
-            { inlineData: { mimeType: "image/jpeg", data: imageBuffer.toString('base64') } }
-          ]
-        }
-      ]
-    });
+    if (provider.name === 'gemini') {
+      if (contentType.startsWith('video/')) {
+        const frame = await extractAnalysisFrame(filePath);
+        input.image = { mimeType: 'image/jpeg', data: frame.toString('base64') };
+      } else {
+        // Gemini vision needs a picture; audio is analyzed locally
+        provider = localAnalysisProvider;
+      }
+    }
     
-    const responseText = result.response.text();
+    if (provider.name === 'local') {
+      input.stats = await collectSignalStats(filePath, metadata);
+    }
     
-    // Extract JSON from the response (Gemini might wrap it in markdown code blocks)
-    const jsonMatch = responseText.match(/```json\n([\s\S]*?)\n```/) || responseText.match(/```\n([\s\S]*?)\n```/);
+    return await runAnalysis(provider, input);
+  } catch (error) {
+    console.error('Error analyzing media content:', error);
+    return failedAnalysis(provider, error);
+  }
+}
+
+/**
+ * Detect scene cuts in a video and split it into shots
+ * 
+ * Uses ffmpeg's scene-change score; cuts that would leave a very short shot
+ * are ignored. A file with no cuts is a single shot.
+ */
+async function detectShots(filePath, duration) {
+  const cuts = [];
+  
+  await new Promise((resolve) => {
+    ffmpeg(filePath)
+      .outputOptions(['-an', '-vf', `select='gt(scene,${SCENE_CUT_THRESHOLD})',showinfo`])
+      .format('null')
+      .output('-')
+      .on('stderr', (line) => {
+        const match = line.match(/Parsed_showinfo.*pts_time:\s*([\d.]+)/);
+        if (match) {
+          cuts.push(parseFloat(match[1]));
+        }
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => {
+        console.error('Error detecting shots:', err);
+        resolve();
+      })
+      .run();
+  });
+  
+  return shotsFromCuts(cuts, duration);
+}
+
+/**
+ * Give each shot a representative frame and its own content analysis
+ * 
+ * The middle frame of each shot becomes its thumbnail and is what the
+ * analysis provider sees. Shots past MAX_DESCRIBED_SHOTS are stored with a
+ * null thumbnail and analysis; `expandShots` (shared/shots.js) gives their
+ * stand-ins the file's thumbnail and analysis instead. Shots are
+ * worked on SHOT_CONCURRENCY at a time, and one that fails keeps whatever
+ * it got instead of failing the upload.
+ */
+async function describeShots(bucket, filePath, tempFilePath, timelineId, shots, contentType, metadata) {
+  const described = shots.slice(0, MAX_DESCRIBED_SHOTS);
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const storageFolder = `projects/${path.dirname(filePath).split('/')[1]}/timelines/${timelineId}/thumbnails`;
+  
+  let frameFiles = [];
+  await new Promise((resolve, reject) => {
+    ffmpeg(tempFilePath)
+      .on('filenames', (filenames) => {
+        frameFiles = filenames;
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => reject(err))
+      .screenshots({
+        timestamps: described.map(shot => (shot.start + shot.end) / 2),
+        filename: `${baseName}_shot_%i.jpg`,
+        folder: os.tmpdir(),
+        size: '640x360',
+      });
+  });
+  
+  const provider = selectAnalysisProvider();
+  const video = metadata.video || {};
+  
+  return mapWithConcurrency(shots, SHOT_CONCURRENCY, async (shot, index) => {
+    if (!frameFiles[index]) {
+      return { ...shot, thumbnailUrl: null, analysis: null };
+    }
+    const framePath = path.join(os.tmpdir(), frameFiles[index]);
+    const storagePath = `${storageFolder}/${baseName}_${shot.id}.jpg`;
     
-    if (jsonMatch && jsonMatch[1]) {
-      try {
-        return JSON.parse(jsonMatch[1]);
-      } catch (e) {
-        console.error('Error parsing JSON from Gemini response:', e);
-        return { text: responseText };
+    let url = null;
+    let analysis;
+    try {
+      await bucket.upload(framePath, {
+        destination: storagePath,
+        metadata: {
+          contentType: 'image/jpeg',
+        },
+      });
+      [url] = await bucket.file(storagePath).getSignedUrl({
+        action: 'read',
+        expires: '01-01-2100',
+      });
+      
+      const input = { key: `${path.basename(filePath)}/${shot.id}`, contentType: contentType };
+      if (provider.name === 'gemini') {
+        input.image = { mimeType: 'image/jpeg', data: fs.readFileSync(framePath).toString('base64') };
+      } else {
+        input.stats = { duration: shot.end - shot.start, width: video.width || 0, height: video.height || 0 };
+      }
+      analysis = await runAnalysis(provider, input);
+    } catch (error) {
+      console.error(`Error describing ${shot.id}:`, error);
+      analysis = failedAnalysis(provider, error);
+    } finally {
+      if (fs.existsSync(framePath)) {
+        fs.unlinkSync(framePath);
       }
-    } else {
-      return { text: responseText };
     }
-  } catch (error) {
-    console.error('Error analyzing media content:', error);
-    return { error: error.message };
+    
+    return { ...shot, thumbnailUrl: url, analysis };
+  });
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping their order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Extract a frame from the middle of a video for analysis
+ */
+async function extractAnalysisFrame(filePath) {
+  const framePath = path.join(os.tmpdir(), `${path.basename(filePath)}_analysis_frame.jpg`);
+  
+  await new Promise((resolve, reject) => {
+    ffmpeg(filePath)
+      .on('end', () => resolve())
+      .on('error', (err) => reject(err))
+      .screenshots({
+        timestamps: ['50%'],
+        filename: path.basename(framePath),
+        folder: path.dirname(framePath),
+        size: '640x360',
+      });
+  });
+  
+  const imageBuffer = fs.readFileSync(framePath);
+  fs.unlinkSync(framePath);
+  return imageBuffer;
+}
+
+/**
+ * Measure average brightness, saturation and loudness for the local analyzer
+ * 
+ * Samples one downscaled frame per second. Statistics ffmpeg cannot produce
+ * are left out rather than failing the analysis.
+ */
+async function collectSignalStats(filePath, metadata) {
+  const video = metadata.video;
+  const stats = {
+    duration: Number(metadata.duration) || 0,
+    width: video ? video.width : 0,
+    height: video ? video.height : 0,
+  };
+  
+  let brightness = 0;
+  let saturation = 0;
+  let samples = 0;
+  const options = [];
+  if (video) {
+    options.push('-vf', 'fps=1,scale=160:-2,signalstats,metadata=print');
+  } else {
+    options.push('-vn');
+  }
+  if (metadata.audio) {
+    options.push('-af', 'volumedetect');
+  } else {
+    options.push('-an');
+  }
+  
+  await new Promise((resolve) => {
+    ffmpeg(filePath)
+      .outputOptions(options)
+      .format('null')
+      .output('-')
+      .on('stderr', (line) => {
+        const luma = line.match(/lavfi\.signalstats\.YAVG=([\d.]+)/);
+        if (luma) {
+          brightness += parseFloat(luma[1]) / 255;
+          samples++;
+        }
+        const chroma = line.match(/lavfi\.signalstats\.SATAVG=([\d.]+)/);
+        if (chroma) {
+          saturation += Math.min(parseFloat(chroma[1]) / 128, 1);
+        }
+        const volume = line.match(/mean_volume:\s*(-?[\d.]+) dB/);
+        if (volume) {
+          stats.meanVolume = parseFloat(volume[1]);
+        }
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => {
+        console.error('Error collecting signal statistics:', err);
+        resolve();
+      })
+      .run();
+  });
+  
+  if (samples > 0) {
+    stats.brightness = brightness / samples;
+    stats.saturation = saturation / samples;
+  }
+  return stats;
+}
+
+/**
+ * Choose the model for semantic assembly
+ * 
+ * "local" gives a deterministic order without calling Gemini.
+ */
+function semanticModelFor(name) {
+  return name === 'local' || !geminiApiKey
+    ? localSemanticModel
+    : createGeminiSemanticModel(genAI.getGenerativeModel({ model: "gemini-pro" }));
+}
+
+/**
+ * Read a timeline, upgrading it first if it was stored in an older schema
+ * 
+ * The upgrade runs in a transaction and is written back, so a record is
+ * converted exactly once whichever client or function loads it first.
+ */
+async function loadTimeline(timelineRef) {
+  const snapshot = await timelineRef.once('value');
+  const timeline = snapshot.val();
+  if (!timeline || !needsUpgrade(timeline)) {
+    return flattenTimeline(timeline);
+  }
+  
+  const { snapshot: upgraded } = await timelineRef.transaction(current =>
+    current && needsUpgrade(current) ? upgradeTimeline(current) : current
+  );
+  return flattenTimeline(upgraded.val());
+}
+
+/**
+ * Write updates to a timeline unless it changed since it was read
+ * 
+ * Uses the same `revision` counter as the client's transactional edits, so
+ * an assembly never silently overwrites edits made while it ran; the caller
+ * gets an "aborted" error and can run it again. Updates are cut fields
+ * (tracks, duration, markers) and the transaction runs on the `cut` node
+ * only.
+ */
+async function commitTimelineUpdates(timelineRef, baseRevision, updates, action) {
+  let conflict = false;
+  const { committed } = await timelineRef.child('cut').transaction(current => {
+    if (current === null) {
+      return current;
+    }
+    conflict = (current.revision || 0) !== baseRevision;
+    if (conflict) {
+      return undefined;
+    }
+    return { ...current, ...updates, revision: baseRevision + 1 };
+  });
+  if (conflict || !committed) {
+    throw new functions.https.HttpsError('aborted', `The timeline was edited while ${action}; run it again to use the latest version`);
+  }
+  await timelineRef.child('modified').set(new Date().toISOString());
+}
+
+/**
+ * Record an edit made by a function in the caller's undo history
+ * 
+ * Uses the same per-user history as the client, so `Timeline.undo()`
+ * reverts server-side assemblies too.
+ */
+async function recordHistory(projectId, timelineId, uid, label, before, after) {
+  const command = createCommand(label, before, after);
+  if (command) {
+    await admin.database().ref(`projects/${projectId}/timelineHistory/${timelineId}/${uid}`)
+      .transaction(history => recordCommand(history, command));
   }
 }
 
@@ -278,16 +898,40 @@ exports.autoAssembleTimeline = functions.https.onCall(async (data, context) => {
     throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated to use this function');
   }
   
-  const { projectId, timelineId, strategy, groupBy, addTransitions } = data;
+  const {
+    projectId,
+    timelineId,
+    strategy = 'chronological',
+    groupBy,
+    addTransitions,
+    brief,
+    semanticModel,
+    seed,
+    targetDuration,
+    minClipSeconds,
+    maxClipSeconds,
+    groupQuota,
+    granularity = 'asset',
+    trimSilence,
+    minQualityScore,
+    rankByQuality
+  } = data;
   
   if (!projectId || !timelineId) {
     throw new functions.https.HttpsError('invalid-argument', 'Project ID and Timeline ID are required');
   }
   
+  if (!getStrategy(strategy)) {
+    throw new functions.https.HttpsError('invalid-argument', `Unknown strategy "${strategy}". Available: ${listStrategies().join(', ')}`);
+  }
+  
+  if (granularity !== 'asset' && granularity !== 'shot') {
+    throw new functions.https.HttpsError('invalid-argument', 'Granularity must be "asset" or "shot"');
+  }
+  
   try {
     // Get the timeline data
-    const timelineSnapshot = await admin.database().ref(`projects/${projectId}/timelines/${timelineId}`).once('value');
-    const timeline = timelineSnapshot.val();
+    const timeline = await loadTimeline(admin.database().ref(`projects/${projectId}/timelines/${timelineId}`));
     
     if (!timeline) {
       throw new functions.https.HttpsError('not-found', `Timeline ${timelineId} not found`);
@@ -305,107 +949,379 @@ exports.autoAssembleTimeline = functions.https.onCall(async (data, context) => {
       throw new functions.https.HttpsError('failed-precondition', 'No assets found for this timeline');
     }
     
-    // Sort assets based on the selected strategy
-    let sortedAssets;
-    switch (strategy) {
-      case 'chronological':
-        // Sort by uploadTime if timestamp is not available
-        sortedAssets = assets.sort((a, b) => {
-          const aTime = a.metadata.timestamp ? new Date(a.metadata.timestamp) : new Date(a.uploadTime);
-          const bTime = b.metadata.timestamp ? new Date(b.metadata.timestamp) : new Date(b.uploadTime);
-          return aTime - bTime;
-        });
-        break;
-      case 'semantic':
-        // Use Gemini API to determine semantic ordering (simplified for this example)
-        sortedAssets = assets;
-        break;
-      default:
-        sortedAssets = assets;
-    }
-    
-    // Group assets if requested
-    let groupedAssets = sortedAssets;
-    if (groupBy) {
-      // Group assets by the specified property in metadata or analysis
-      const groups = {};
-      for (const asset of sortedAssets) {
-        let groupKey = 'unknown';
-        
-        // Try to find the groupBy property in various locations
-        if (asset.metadata && asset.metadata[groupBy]) {
-          groupKey = asset.metadata[groupBy];
-        } else if (asset.metadata && asset.metadata.analysis && asset.metadata.analysis[groupBy]) {
-          groupKey = asset.metadata.analysis[groupBy];
-        }
-        
-        if (!groups[groupKey]) {
-          groups[groupKey] = [];
-        }
-        groups[groupKey].push(asset);
-      }
-      
-      // Flatten grouped assets back into an array, preserving group order
-      groupedAssets = Object.values(groups).flat();
-    }
-    
-    // Create tracks and clips
-    const tracks = [
-      {
-        id: `track-${Date.now()}`,
-        type: 'video',
-        clips: []
-      }
-    ];
+    const model = semanticModelFor(semanticModel);
     
-    let currentTime = 0;
-    for (const asset of groupedAssets) {
-      const clipDuration = asset.metadata.duration || 5; // Default to 5 seconds if duration not available
-      
-      const clip = {
-        id: `clip-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
-        assetId: asset.id,
-        startTime: currentTime,
-        endTime: currentTime + clipDuration,
-        inPoint: 0,
-        outPoint: clipDuration,
-        transitions: {
-          in: null,
-          out: null
-        }
-      };
-      
-      // Add transitions if requested
-      if (addTransitions && tracks[0].clips.length > 0) {
-        const transitionDuration = Math.min(1.0, clipDuration / 4); // Limit transition to 1/4 of clip duration, max 1 second
-        
-        clip.transitions.in = {
-          type: 'dissolve',
-          duration: transitionDuration
-        };
-      }
-      
-      tracks[0].clips.push(clip);
-      currentTime += clipDuration;
+    let audioLevels = {};
+    if (trimSilence) {
+      const levelsSnapshot = await admin.database().ref(`projects/${projectId}/timelines/${timelineId}/audioLevels`).once('value');
+      audioLevels = levelsSnapshot.val() || {};
     }
     
+    // Clip positions are whole frames at the timeline rate
+    const assembly = await assembleTimeline(assets, {
+      strategy,
+      groupBy,
+      addTransitions,
+      brief,
+      seed,
+      targetDuration,
+      minClipSeconds,
+      maxClipSeconds,
+      groupQuota,
+      granularity,
+      trimSilence,
+      audioLevels,
+      minQualityScore,
+      rankByQuality,
+      framerate: timeline.framerate || 24,
+      semanticModel: model
+    });
+    
     // Update the timeline with the new tracks
     const updates = {
-      tracks: tracks,
-      duration: currentTime,
-      modified: admin.database.ServerValue.TIMESTAMP
+      tracks: assembly.tracks,
+      duration: assembly.duration
     };
     
-    await admin.database().ref(`projects/${projectId}/timelines/${timelineId}`).update(updates);
+    await commitTimelineUpdates(admin.database().ref(`projects/${projectId}/timelines/${timelineId}`), timeline.revision || 0, updates, 'assembling');
+    await recordHistory(projectId, timelineId, context.auth.uid, 'Auto-assemble', timeline, updates);
     
     return { 
       success: true, 
-      message: `Timeline assembled with ${groupedAssets.length} clips`,
-      tracks: tracks, 
-      duration: currentTime 
+      message: `Timeline assembled with ${assembly.tracks[0].clips.length} clips`,
+      ...assembly
     };
   } catch (error) {
     console.error('Error auto-assembling timeline:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Transcribe (or re-transcribe) an uploaded asset
+ */
+exports.transcribeAsset = functions.runWith(MEDIA_RUNTIME).https.onCall(async (data, context) => {
+  // Ensure user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated to use this function');
+  }
+  
+  const { projectId, timelineId, assetId } = data;
+  
+  if (!projectId || !timelineId || !assetId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Project ID, Timeline ID and Asset ID are required');
+  }
+  
+  const assetRef = admin.database().ref(`projects/${projectId}/timelines/${timelineId}/assets/${assetId}`);
+  const assetSnapshot = await assetRef.once('value');
+  const asset = assetSnapshot.val();
+  
+  if (!asset) {
+    throw new functions.https.HttpsError('not-found', `Asset ${assetId} not found`);
+  }
+  if (!asset.metadata || !asset.metadata.audio) {
+    throw new functions.https.HttpsError('failed-precondition', `Asset ${assetId} has no audio to transcribe`);
+  }
+  
+  const { engine, reason } = selectTranscriptionEngine();
+  if (!engine) {
+    throw new functions.https.HttpsError('failed-precondition', reason);
+  }
+  
+  const tempFilePath = path.join(os.tmpdir(), asset.fileName);
+  try {
+    await storage.bucket(process.env.FIREBASE_STORAGE_BUCKET).file(asset.storagePath).download({ destination: tempFilePath });
+    
+    const transcription = await transcribeMedia(tempFilePath, asset.metadata);
+    if (transcription.transcript) {
+      await saveTranscript(projectId, timelineId, assetId, transcription.transcript);
+    }
+    await assetRef.child('metadata/transcript').set(transcription.summary);
+    
+    return { success: Boolean(transcription.transcript), transcript: transcription.summary };
+  } catch (error) {
+    console.error('Error transcribing asset:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  } finally {
+    if (fs.existsSync(tempFilePath)) {
+      fs.unlinkSync(tempFilePath);
+    }
+  }
+});
+
+/**
+ * Assemble a timeline cut on the beat of a music bed
+ */
+exports.assembleTimelineToMusic = functions.runWith(MEDIA_RUNTIME).https.onCall(async (data, context) => {
+  // Ensure user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated to use this function');
+  }
+  
+  const {
+    projectId,
+    timelineId,
+    musicAssetId,
+    strategy = 'chronological',
+    groupBy,
+    addTransitions,
+    brief,
+    seed,
+    semanticModel,
+    everyNthBeat,
+    alignToBars,
+    granularity = 'asset'
+  } = data;
+  
+  if (!projectId || !timelineId || !musicAssetId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Project ID, Timeline ID and music asset ID are required');
+  }
+  
+  if (!getStrategy(strategy)) {
+    throw new functions.https.HttpsError('invalid-argument', `Unknown strategy "${strategy}". Available: ${listStrategies().join(', ')}`);
+  }
+  
+  const timelineRef = admin.database().ref(`projects/${projectId}/timelines/${timelineId}`);
+  const timeline = await loadTimeline(timelineRef);
+  
+  if (!timeline) {
+    throw new functions.https.HttpsError('not-found', `Timeline ${timelineId} not found`);
+  }
+  
+  const assets = Object.values(timeline.assets || {});
+  const music = assets.find(asset => asset.id === musicAssetId);
+  if (!music || !music.metadata || !music.metadata.audio) {
+    throw new functions.https.HttpsError('not-found', `Music asset ${musicAssetId} not found or has no audio`);
+  }
+  
+  try {
+    // Assets uploaded before beat detection existed are analyzed now
+    if (!music.metadata.beats) {
+      const tempFilePath = path.join(os.tmpdir(), music.fileName);
+      await storage.bucket(process.env.FIREBASE_STORAGE_BUCKET).file(music.storagePath).download({ destination: tempFilePath });
+      music.metadata.beats = await detectMusicBeats(tempFilePath);
+      fs.unlinkSync(tempFilePath);
+      
+      if (!music.metadata.beats) {
+        throw new functions.https.HttpsError('failed-precondition', `No beats detected in ${music.fileName}`);
+      }
+      await timelineRef.child(`assets/${musicAssetId}/metadata/beats`).set(music.metadata.beats);
+    }
+    
+    const model = semanticModelFor(semanticModel);
+    const assembly = await assembleToMusic(assets, music, {
+      strategy,
+      groupBy,
+      addTransitions,
+      brief,
+      seed,
+      everyNthBeat,
+      alignToBars,
+      granularity,
+      framerate: timeline.framerate || 24,
+      semanticModel: model
+    });
+    
+    const updates = {
+      tracks: assembly.tracks,
+      duration: assembly.duration,
+      markers: replaceBeatMarkers(timeline.markers, assembly.markers)
+    };
+    await commitTimelineUpdates(timelineRef, timeline.revision || 0, updates, 'cutting to music');
+    await recordHistory(projectId, timelineId, context.auth.uid, 'Assemble to music', timeline, updates);
+    
+    return {
+      success: true,
+      message: `Cut ${assembly.cuts} clips to ${music.fileName} at ${assembly.bpm} BPM`,
+      ...assembly
+    };
+  } catch (error) {
+    console.error('Error assembling timeline to music:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Download an asset and build its audio sync envelope
+ * 
+ * Returns null for assets without audio or that fail to decode, so they
+ * fall back to timecode.
+ */
+async function loadSyncEnvelope(asset) {
+  if (!asset.metadata || !asset.metadata.audio) {
+    return null;
+  }
+  
+  const tempFilePath = path.join(os.tmpdir(), `${asset.id}_${asset.fileName}`);
+  try {
+    await storage.bucket(process.env.FIREBASE_STORAGE_BUCKET).file(asset.storagePath).download({ destination: tempFilePath });
+    const builder = createSyncEnvelopeBuilder(LEVEL_SAMPLE_RATE);
+    await streamPcm(tempFilePath, LEVEL_SAMPLE_RATE, [builder]);
+    return builder.finish();
+  } catch (error) {
+    console.error(`Error decoding audio of ${asset.id} for sync:`, error);
+    return null;
+  } finally {
+    if (fs.existsSync(tempFilePath)) {
+      fs.unlinkSync(tempFilePath);
+    }
+  }
+}
+
+/**
+ * Synchronize multicam angles by audio (falling back to timecode), store
+ * the multicam group and lay the angles onto stacked tracks
+ */
+exports.syncMulticam = functions.runWith(MEDIA_RUNTIME).https.onCall(async (data, context) => {
+  // Ensure user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated to use this function');
+  }
+  
+  const {
+    projectId,
+    timelineId,
+    assetIds,
+    referenceAssetId,
+    name,
+    maxOffsetSeconds,
+    addToTimeline = true,
+    startTime = 0
+  } = data;
+  
+  if (!projectId || !timelineId || !Array.isArray(assetIds) || assetIds.length < 2) {
+    throw new functions.https.HttpsError('invalid-argument', 'Project ID, Timeline ID and at least two asset IDs are required');
+  }
+  
+  const referenceId = referenceAssetId || assetIds[0];
+  if (!assetIds.includes(referenceId)) {
+    throw new functions.https.HttpsError('invalid-argument', `Reference asset ${referenceId} is not one of the angles`);
+  }
+  
+  const timelineRef = admin.database().ref(`projects/${projectId}/timelines/${timelineId}`);
+  const timeline = await loadTimeline(timelineRef);
+  
+  if (!timeline) {
+    throw new functions.https.HttpsError('not-found', `Timeline ${timelineId} not found`);
+  }
+  
+  const missing = assetIds.filter(assetId => !(timeline.assets || {})[assetId]);
+  if (missing.length > 0) {
+    throw new functions.https.HttpsError('not-found', `Assets not found: ${missing.join(', ')}`);
+  }
+  
+  // Reference angle first, the rest in the order given
+  const assets = [referenceId, ...assetIds.filter(assetId => assetId !== referenceId)].map(assetId => timeline.assets[assetId]);
+  const framerate = timeline.framerate || 24;
+  
+  try {
+    // Decode one angle at a time to keep memory down
+    const angles = [];
+    for (const asset of assets) {
+      angles.push({ asset, envelope: await loadSyncEnvelope(asset) });
+    }
+    
+    const results = syncAngles(angles[0], angles.slice(1), { framerate, maxOffsetSeconds });
+    const group = createMulticamGroup(assets, results, { name });
+    await timelineRef.child(`multicamGroups/${group.id}`).set(group);
+    
+    let tracks = [];
+    if (addToTimeline) {
+      tracks = multicamTracks(group, assets, framerate, { startTime });
+      const allTracks = [...(timeline.tracks || []), ...tracks];
+      const end = Math.max(timeline.duration || 0, ...tracks.map(track => track.clips[0].endTime));
+      const updates = {
+        tracks: allTracks,
+        duration: end
+      };
+      await commitTimelineUpdates(timelineRef, timeline.revision || 0, updates, 'syncing angles');
+      await recordHistory(projectId, timelineId, context.auth.uid, `Add multicam ${group.name}`, timeline, updates);
+    }
+    
+    const unsynced = group.angles.filter(angle => angle.method === 'none').map(angle => angle.assetId);
+    return {
+      success: true,
+      message: `Synced ${group.angles.length - unsynced.length} of ${group.angles.length} angles`,
+      group,
+      tracks,
+      unsynced
+    };
+  } catch (error) {
+    console.error('Error syncing multicam angles:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Assemble a timeline in script order from a screenplay or CSV shot list
+ */
+exports.assembleTimelineFromScript = functions.https.onCall(async (data, context) => {
+  // Ensure user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated to use this function');
+  }
+  
+  const { projectId, timelineId, script, format, addTransitions } = data;
+  
+  if (!projectId || !timelineId || !script) {
+    throw new functions.https.HttpsError('invalid-argument', 'Project ID, Timeline ID and script are required');
+  }
+  
+  let scenes;
+  try {
+    scenes = parseScript(script, { format });
+  } catch (error) {
+    throw new functions.https.HttpsError('invalid-argument', error.message);
+  }
+  if (scenes.length === 0) {
+    throw new functions.https.HttpsError('invalid-argument', 'No scenes found in the script');
+  }
+  
+  try {
+    const timelineRef = admin.database().ref(`projects/${projectId}/timelines/${timelineId}`);
+    const timeline = await loadTimeline(timelineRef);
+    
+    if (!timeline) {
+      throw new functions.https.HttpsError('not-found', `Timeline ${timelineId} not found`);
+    }
+    
+    const assets = Object.values(timeline.assets || {});
+    if (assets.length === 0) {
+      throw new functions.https.HttpsError('failed-precondition', 'No assets found for this timeline');
+    }
+    
+    const assembly = assembleFromScript(assets, scenes, {
+      framerate: timeline.framerate || 24,
+      addTransitions
+    });
+    
+    const updates = {
+      tracks: assembly.tracks,
+      duration: assembly.duration,
+      markers: assembly.markers
+    };
+    await commitTimelineUpdates(timelineRef, timeline.revision || 0, updates, 'assembling from the script');
+    await recordHistory(projectId, timelineId, context.auth.uid, 'Assemble from script', timeline, updates);
+    
+    return {
+      success: true,
+      message: `Timeline assembled from ${scenes.length} scenes; ${assembly.coverage.missingScenes.length} missing`,
+      ...assembly
+    };
+  } catch (error) {
+    console.error('Error assembling timeline from script:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
@@ -419,7 +1335,18 @@ exports.exportTimelineEDL = functions.https.onCall(async (data, context) => {
     throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated to use this function');
   }
   
-  const { projectId, timelineId, format, destination } = data;
+  const {
+    projectId,
+    timelineId,
+    format,
+    destination,
+    mediaRoot,
+    videoTrack,
+    graphicsTracks,
+    transitionHandles,
+    reelPolicy,
+    reelMap
+  } = data;
   
   if (!projectId || !timelineId) {
     throw new functions.https.HttpsError('invalid-argument', 'Project ID and Timeline ID are required');
@@ -427,8 +1354,7 @@ exports.exportTimelineEDL = functions.https.onCall(async (data, context) => {
   
   try {
     // Get the timeline data
-    const timelineSnapshot = await admin.database().ref(`projects/${projectId}/timelines/${timelineId}`).once('value');
-    const timeline = timelineSnapshot.val();
+    const timeline = await loadTimeline(admin.database().ref(`projects/${projectId}/timelines/${timelineId}`));
     
     if (!timeline) {
       throw new functions.https.HttpsError('not-found', `Timeline ${timelineId} not found`);
@@ -439,18 +1365,60 @@ exports.exportTimelineEDL = functions.https.onCall(async (data, context) => {
     }
     
     // Generate EDL content based on the format
+    const baseName = timeline.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
     let edlContent = '';
+    let extension = 'edl';
+    let contentType = 'text/plain';
+    let skippedTracks = [];
+    let transitionIssues = [];
     
     switch (format) {
-      case 'CMX3600':
-        edlContent = generateCMX3600EDL(timeline);
+      case 'CMX3600': {
+        // One EDL per video track; several are packaged as a zip
+        const result = generateCMX3600(timeline, {
+          videoTrack,
+          graphicsTracks,
+          transitionHandles,
+          reelPolicy,
+          reelMap,
+          mediaRoot
+        });
+        const { lists } = result;
+        if (lists.length === 0) {
+          throw new functions.https.HttpsError('failed-precondition', 'Timeline has no video or audio clips');
+        }
+        if (lists.length === 1) {
+          edlContent = lists[0].content;
+        } else {
+          edlContent = Buffer.from(createZip(lists.map(list => ({ name: `${baseName}_${list.track.toLowerCase()}.edl`, content: list.content }))));
+          extension = 'zip';
+          contentType = 'application/zip';
+        }
+        skippedTracks = result.skipped;
+        transitionIssues = result.transitionIssues;
+        break;
+      }
+      case 'xmeml':
+        edlContent = generateXMEML({ ...timeline, id: timelineId }, { mediaRoot });
+        extension = 'xml';
+        contentType = 'application/xml';
+        break;
+      case 'fcpxml':
+        edlContent = generateFCPXML(timeline, { mediaRoot });
+        extension = 'fcpxml';
+        contentType = 'application/xml';
+        break;
+      case 'otio':
+        edlContent = JSON.stringify(timelineToOTIO({ ...timeline, id: timelineId }, { mediaRoot }), null, 2);
+        extension = 'otio';
+        contentType = 'application/json';
         break;
       default:
         throw new functions.https.HttpsError('invalid-argument', `Unsupported EDL format: ${format}`);
     }
     
     // Create a file in Cloud Storage
-    const edlFileName = `${timeline.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${Date.now()}.edl`;
+    const edlFileName = `${baseName}_${Date.now()}.${extension}`;
     const bucket = storage.bucket(process.env.FIREBASE_STORAGE_BUCKET);
     const edlFilePath = `projects/${projectId}/timelines/${timelineId}/exports/${edlFileName}`;
     const tempFilePath = path.join(os.tmpdir(), edlFileName);
@@ -462,7 +1430,7 @@ exports.exportTimelineEDL = functions.https.onCall(async (data, context) => {
     await bucket.upload(tempFilePath, {
       destination: edlFilePath,
       metadata: {
-        contentType: 'text/plain',
+        contentType: contentType,
       },
     });
     
@@ -488,13 +1456,17 @@ exports.exportTimelineEDL = functions.https.onCall(async (data, context) => {
       timestamp: admin.database.ServerValue.TIMESTAMP,
       format: format,
       url: downloadUrl,
-      driveFileId: driveFileId
+      driveFileId: driveFileId,
+      skippedTracks: skippedTracks,
+      transitionIssues: transitionIssues
     });
     
     return { 
       success: true, 
       url: downloadUrl,
-      driveFileId: driveFileId
+      driveFileId: driveFileId,
+      skippedTracks: skippedTracks,
+      transitionIssues: transitionIssues
     };
   } catch (error) {
     console.error('Error exporting timeline EDL:', error);
@@ -503,38 +1475,186 @@ exports.exportTimelineEDL = functions.https.onCall(async (data, context) => {
 });
 
 /**
- * Generate a CMX3600 format EDL
+ * Export a change list between two versions of a timeline
+ * 
+ * Writes a zip with a readable report of the inserted, deleted, trimmed and
+ * moved events and a CMX3600 EDL of the changed events.
  */
-function generateCMX3600EDL(timeline) {
-  let edl = `TITLE: ${timeline.name}\n`;
-  edl += `FCM: NON-DROP FRAME\n\n`;
+exports.exportTimelineChangeList = functions.https.onCall(async (data, context) => {
+  // Ensure user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated to use this function');
+  }
   
-  let eventNumber = 1;
+  const {
+    projectId,
+    timelineId,
+    fromVersionId,
+    toVersionId,
+    destination,
+    mediaRoot,
+    reelPolicy,
+    reelMap,
+    transitionHandles
+  } = data;
   
-  for (const track of timeline.tracks) {
-    for (const clip of track.clips) {
-      // Format timecodes
-      const formatTC = (seconds) => {
-        const h = Math.floor(seconds / 3600);
-        const m = Math.floor((seconds % 3600) / 60);
-        const s = Math.floor(seconds % 60);
-        const f = Math.floor((seconds % 1) * (timeline.framerate || 24));
-        return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}:${f.toString().padStart(2, '0')}`;
-      };
-      
-      const sourceStart = formatTC(clip.inPoint);
-      const sourceEnd = formatTC(clip.outPoint);
-      const recordStart = formatTC(clip.startTime);
-      const recordEnd = formatTC(clip.endTime);
-      
-      edl += `${eventNumber.toString().padStart(3, '0')}  AX       V     C        ${sourceStart} ${sourceEnd} ${recordStart} ${recordEnd}\n`;
-      edl += `* FROM CLIP NAME: ${clip.assetId}\n\n`;
-      
-      eventNumber++;
+  if (!projectId || !timelineId || !fromVersionId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Project ID, Timeline ID and the version to compare from are required');
+  }
+  
+  try {
+    const timeline = await loadTimeline(admin.database().ref(`projects/${projectId}/timelines/${timelineId}`));
+    
+    if (!timeline) {
+      throw new functions.https.HttpsError('not-found', `Timeline ${timelineId} not found`);
     }
+    
+    const versions = timeline.versions || {};
+    const from = versions[fromVersionId];
+    const to = toVersionId ? versions[toVersionId] : timeline;
+    if (!from || !to) {
+      throw new functions.https.HttpsError('not-found', `Version ${from ? toVersionId : fromVersionId} not found`);
+    }
+    
+    const changeList = buildChangeList(from, to, {
+      assets: timeline.assets || {},
+      name: timeline.name,
+      fromName: from.name,
+      toName: toVersionId ? to.name : 'current timeline',
+      reelPolicy,
+      reelMap,
+      mediaRoot,
+      transitionHandles
+    });
+    
+    const baseName = `${timeline.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_changes`;
+    const files = [
+      { name: `${baseName}.txt`, content: changeList.report },
+      ...changeList.lists.map(list => ({
+        name: changeList.lists.length > 1 ? `${baseName}_${list.track.toLowerCase()}.edl` : `${baseName}.edl`,
+        content: list.content
+      }))
+    ];
+    const zipContent = Buffer.from(createZip(files));
+    
+    // Upload to Cloud Storage
+    const zipFileName = `${baseName}_${Date.now()}.zip`;
+    const bucket = storage.bucket(process.env.FIREBASE_STORAGE_BUCKET);
+    const zipFilePath = `projects/${projectId}/timelines/${timelineId}/exports/${zipFileName}`;
+    await bucket.file(zipFilePath).save(zipContent, { metadata: { contentType: 'application/zip' } });
+    
+    const [downloadUrl] = await bucket.file(zipFilePath).getSignedUrl({
+      action: 'read',
+      expires: '01-01-2100',
+    });
+    
+    let driveFileId = null;
+    if (destination && destination.type === 'googleDrive' && destination.folderId) {
+      driveFileId = await saveToGoogleDrive(null, zipFileName, zipContent, destination.folderId);
+    }
+    
+    // Record the export in the timeline's history
+    const historyRef = admin.database().ref(`projects/${projectId}/timelines/${timelineId}/exportHistory`).push();
+    await historyRef.set({
+      id: historyRef.key,
+      timestamp: admin.database.ServerValue.TIMESTAMP,
+      format: 'changelist',
+      fromVersionId: fromVersionId,
+      toVersionId: toVersionId || null,
+      url: downloadUrl,
+      driveFileId: driveFileId,
+      summary: changeList.summary,
+      skippedTracks: changeList.skipped,
+      transitionIssues: changeList.transitionIssues
+    });
+    
+    return {
+      success: true,
+      url: downloadUrl,
+      driveFileId: driveFileId,
+      report: changeList.report,
+      events: changeList.events,
+      summary: changeList.summary
+    };
+  } catch (error) {
+    console.error('Error exporting change list:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Import an OpenTimelineIO document as a new timeline
+ */
+exports.importTimelineOTIO = functions.https.onCall(async (data, context) => {
+  // Ensure user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated to use this function');
+  }
+  
+  const { projectId, otio, name, framerate } = data;
+  
+  if (!projectId || !otio) {
+    throw new functions.https.HttpsError('invalid-argument', 'Project ID and OTIO document are required');
+  }
+  
+  let imported;
+  try {
+    imported = otioToTimeline(otio, { framerate });
+  } catch (error) {
+    throw new functions.https.HttpsError('invalid-argument', `Invalid OTIO document: ${error.message}`);
   }
   
-  return edl;
+  try {
+    const findAsset = buildAssetMatcher(await listProjectAssets(projectId));
+    const { tracks, assets, clipCount, unmatched } = resolveImportedClips(imported, findAsset);
+    
+    const timelineRef = admin.database().ref(`projects/${projectId}/timelines`).push();
+    const timelineFramerate = imported.framerate;
+    
+    await timelineRef.set(storedTimeline({
+      id: timelineRef.key,
+      schemaVersion: TIMELINE_SCHEMA_VERSION,
+      name: name || imported.name,
+      created: admin.database.ServerValue.TIMESTAMP,
+      modified: admin.database.ServerValue.TIMESTAMP,
+      framerate: timelineFramerate,
+      dropFrame: imported.dropFrame && isDropFrameRate(timelineFramerate),
+      resolution: imported.resolution || '1920x1080',
+      duration: imported.duration,
+      startTimecode: imported.startTimecode,
+      markers: imported.markers,
+      tracks: tracks,
+      assets: assets
+    }));
+    
+    return {
+      success: true,
+      timelineId: timelineRef.key,
+      clipCount: clipCount,
+      unmatched: unmatched,
+      warnings: imported.warnings
+    };
+  } catch (error) {
+    console.error('Error importing OTIO timeline:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Collect the assets of every timeline in a project
+ */
+async function listProjectAssets(projectId) {
+  const timelinesSnapshot = await admin.database().ref(`projects/${projectId}/timelines`).once('value');
+  const assets = {};
+  
+  timelinesSnapshot.forEach(childSnapshot => {
+    const timelineAssets = childSnapshot.val().assets || {};
+    for (const asset of Object.values(timelineAssets)) {
+      assets[asset.id] = asset;
+    }
+  });
+  
+  return Object.values(assets);
 }
 
 /**
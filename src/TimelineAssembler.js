@@ -6,10 +6,124 @@
  */
 
 import { initializeApp } from 'firebase/app';
-import { getDatabase, ref, push, set, get, update, remove, query, orderByChild, equalTo } from 'firebase/database';
+import {
+  getDatabase,
+  ref,
+  push,
+  set,
+  get,
+  update,
+  remove,
+  query,
+  orderByChild,
+  equalTo,
+  runTransaction,
+  onValue,
+  onDisconnect,
+  serverTimestamp,
+} from 'firebase/database';
 import { getStorage, ref as storageRef, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { getAuth, signInWithCustomToken } from 'firebase/auth';
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { isDropFrameRate, secondsToFrames } from './shared/timecode';
+import {
+  TIMELINE_SCHEMA_VERSION,
+  needsUpgrade,
+  upgradeTimeline,
+  cutOf,
+  flattenTimeline,
+  storedTimeline,
+  storedUpdates,
+} from './shared/schema';
+import { buildAssetMatcher } from './shared/assets';
+import { parseCMX3600, cmx3600ToTimeline, generateCMX3600, validateTransitions } from './shared/cmx3600';
+import { generateXMEML } from './shared/xmeml';
+import { generateFCPXML } from './shared/fcpxml';
+import { timelineToOTIO, otioToTimeline, resolveImportedClips } from './shared/otio';
+import { createZip } from './shared/zip';
+import { runAnalysis, failedAnalysis, createGeminiAnalysisProvider } from './shared/analysis';
+import { createGeminiSemanticModel } from './shared/semantic';
+import { assembleTimeline } from './shared/assembly';
+import { parseScript, assembleFromScript } from './shared/script';
+import { selectionToFrames, wordsInRange } from './shared/transcript';
+import { newId } from './shared/ids';
+import { assembleToMusic, replaceBeatMarkers } from './shared/beats';
+import { trimClipsToSound } from './shared/audio';
+import { multicamTracks } from './shared/multicam';
+import * as editing from './shared/editing';
+import {
+  captureState,
+  createCommand,
+  matchesState,
+  applyCommand,
+  recordCommand,
+  moveCommand,
+  describeHistory,
+} from './shared/history';
+import { createVersion, describeVersion, restoreUpdates, diffTimelines } from './shared/versions';
+import { buildChangeList } from './shared/changelist';
+
+/**
+ * Thrown when a timeline write is based on state someone else has changed
+ * 
+ * `code` is "conflict" so callers can tell it from validation errors; the
+ * caller should reload and decide whether to retry.
+ */
+class TimelineConflictError extends Error {
+  constructor(message, { expectedRevision, actualRevision } = {}) {
+    super(message);
+    this.name = 'TimelineConflictError';
+    this.code = 'conflict';
+    this.expectedRevision = expectedRevision;
+    this.actualRevision = actualRevision;
+  }
+}
+
+// Colours given to collaborators in presence indicators
+const PRESENCE_COLORS = ['#e6194b', '#3cb44b', '#ffe119', '#4363d8', '#f58231', '#911eb4', '#46f0f0', '#f032e6'];
+
+// Stable colour for a user or connection ID
+function presenceColor(key) {
+  let hash = 0;
+  for (const char of String(key)) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+}
+
+// Set fields on a timeline record, removing those given as null
+function assignFields(timeline, fields) {
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === null) {
+      delete timeline[field];
+    } else {
+      timeline[field] = value;
+    }
+  }
+}
+
+// Write counter of a timeline record, bumped by every transactional edit
+const revisionOf = (timeline) => (timeline && timeline.revision) || 0;
+
+// Timeline fields edits read besides the cut; they are not part of the transaction
+const EDIT_CONTEXT_FIELDS = ['framerate', 'dropFrame', 'assets'];
+
+// Small timeline fields `subscribe` follows along with the cut; assets,
+// transcripts, audio levels and versions are read when they are needed
+const SUMMARY_FIELDS = ['id', 'name', 'framerate', 'dropFrame', 'resolution', 'startTimecode', 'schemaVersion', 'created', 'modified'];
+
+// Last frame used by any clip on any track
+function timelineEnd(tracks) {
+  let maxEndTime = 0;
+  for (const track of tracks || []) {
+    for (const clip of track.clips || []) {
+      if (clip.endTime > maxEndTime) {
+        maxEndTime = clip.endTime;
+      }
+    }
+  }
+  return maxEndTime;
+}
 
 class TimelineAssembler {
   /**
@@ -18,6 +132,8 @@ class TimelineAssembler {
    * @param {Object} config - Configuration object
    * @param {string} config.projectId - Firebase project ID
    * @param {Object} config.credentials - Firebase credentials
+   * @param {Object} config.semanticModel - Model used by semantic assembly (defaults to Gemini)
+   * @param {Object} config.analysisProvider - Provider used by analyzeMediaContent (defaults to Gemini)
    */
   constructor(config) {
     this.config = config;
@@ -26,6 +142,8 @@ class TimelineAssembler {
     this.storage = getStorage(this.app);
     this.auth = getAuth(this.app);
     this.geminiAPI = new GoogleGenerativeAI(config.geminiApiKey);
+    this.analysisProvider = config.analysisProvider || createGeminiAnalysisProvider(this.geminiAPI.getGenerativeModel({ model: "gemini-pro-vision" }));
+    this.semanticModel = config.semanticModel || createGeminiSemanticModel(this.geminiAPI.getGenerativeModel({ model: "gemini-pro" }));
     this.projectId = config.projectId;
     this.projectRef = ref(this.db, `projects/${this.projectId}`);
   }
@@ -35,7 +153,8 @@ class TimelineAssembler {
    * 
    * @param {Object} options - Timeline options
    * @param {string} options.name - Timeline name
-   * @param {number} options.framerate - Timeline framerate (e.g., 24, 30, 60)
+   * @param {number|string} options.framerate - Timeline framerate (e.g., 24, 29.97, "30000/1001")
+   * @param {boolean} options.dropFrame - Use drop-frame timecode (defaults to true for 29.97/59.94)
    * @param {string} options.resolution - Timeline resolution (e.g., "1920x1080")
    * @returns {Timeline} - Timeline object
    */
@@ -46,22 +165,25 @@ class TimelineAssembler {
     const timelineId = newTimelineRef.key;
     
     // Create the timeline metadata
+    const framerate = options.framerate || 24;
     const timelineData = {
       id: timelineId,
+      schemaVersion: TIMELINE_SCHEMA_VERSION,
       name: options.name,
       created: new Date().toISOString(),
       modified: new Date().toISOString(),
-      framerate: options.framerate || 24,
+      framerate: framerate,
+      dropFrame: isDropFrameRate(framerate) && options.dropFrame !== false,
       resolution: options.resolution || '1920x1080',
       duration: 0,
       tracks: []
     };
     
     // Save the timeline to the database
-    await set(newTimelineRef, timelineData);
+    await set(newTimelineRef, storedTimeline(timelineData));
     
     // Return a Timeline object
-    return new Timeline(this, timelineId, timelineData);
+    return new Timeline(this, timelineId, { ...timelineData, revision: 0 });
   }
   
   /**
@@ -71,17 +193,37 @@ class TimelineAssembler {
    * @returns {Timeline} - Timeline object
    */
   async getTimeline(timelineId) {
-    const timelineRef = ref(this.db, `projects/${this.projectId}/timelines/${timelineId}`);
-    const snapshot = await get(timelineRef);
+    const timelineData = await this._loadTimeline(timelineId);
     
-    if (!snapshot.exists()) {
+    if (!timelineData) {
       throw new Error(`Timeline with ID ${timelineId} not found`);
     }
     
-    const timelineData = snapshot.val();
     return new Timeline(this, timelineId, timelineData);
   }
   
+  /**
+   * Read a timeline record, upgrading it first if it was stored in an older schema
+   * 
+   * @param {string} timelineId - ID of the timeline to read
+   * @returns {Object|null} - Timeline, with the cut fields at the top level, or null when it does not exist
+   * @private
+   */
+  async _loadTimeline(timelineId) {
+    const timelineRef = ref(this.db, `projects/${this.projectId}/timelines/${timelineId}`);
+    const snapshot = await get(timelineRef);
+    
+    if (!snapshot.exists() || !needsUpgrade(snapshot.val())) {
+      return flattenTimeline(snapshot.val());
+    }
+    
+    // Upgrade in a transaction so two clients never convert the same record twice
+    const { snapshot: upgraded } = await runTransaction(timelineRef, current =>
+      current && needsUpgrade(current) ? upgradeTimeline(current) : current
+    );
+    return flattenTimeline(upgraded.val());
+  }
+  
   /**
    * List all timelines in the project
    * 
@@ -95,13 +237,17 @@ class TimelineAssembler {
       return [];
     }
     
-    const timelines = [];
+    const records = [];
     snapshot.forEach(childSnapshot => {
-      const timelineData = childSnapshot.val();
-      const timelineId = childSnapshot.key;
-      timelines.push(new Timeline(this, timelineId, timelineData));
+      records.push({ timelineId: childSnapshot.key, timelineData: childSnapshot.val() });
     });
     
+    const timelines = [];
+    for (const { timelineId, timelineData } of records) {
+      const current = needsUpgrade(timelineData) ? await this._loadTimeline(timelineId) : flattenTimeline(timelineData);
+      timelines.push(new Timeline(this, timelineId, current));
+    }
+    
     return timelines;
   }
   
@@ -113,38 +259,159 @@ class TimelineAssembler {
   async deleteTimeline(timelineId) {
     const timelineRef = ref(this.db, `projects/${this.projectId}/timelines/${timelineId}`);
     await remove(timelineRef);
+    await remove(ref(this.db, `projects/${this.projectId}/timelineHistory/${timelineId}`));
+    await remove(ref(this.db, `projects/${this.projectId}/presence/${timelineId}`));
   }
   
   /**
-   * Analyze media content using Gemini API
+   * Import an EDL as a new timeline
    * 
-   * @param {string} mediaUrl - URL of the media to analyze
-   * @returns {Object} - Analysis results
+   * Source reels, clip names and source file comments are matched against the
+   * assets already uploaded to the project. Events without a matching asset
+   * are left out of the timeline and listed in `unmatched`.
+   * 
+   * @param {string} edlText - EDL file contents
+   * @param {Object} options - Import options
+   * @param {string} options.format - EDL format (e.g., "CMX3600")
+   * @param {string} options.name - Timeline name (defaults to the EDL title)
+   * @param {number|string} options.framerate - EDL frame rate (defaults to 29.97 for drop-frame lists, otherwise 24)
+   * @param {string} options.resolution - Timeline resolution
+   * @returns {Object} - { timeline, clipCount, unmatched, warnings }
+   */
+  async importEDL(edlText, { format = 'CMX3600', name, framerate, resolution } = {}) {
+    let parsed;
+    switch (format) {
+      case 'CMX3600':
+        parsed = parseCMX3600(edlText);
+        break;
+      default:
+        throw new Error(`Unsupported EDL format: ${format}`);
+    }
+    
+    if (parsed.edits.length === 0) {
+      throw new Error("Cannot import EDL: No events found");
+    }
+    
+    const rate = framerate || (parsed.dropFrame ? '30000/1001' : 24);
+    const findAsset = buildAssetMatcher(await this._listProjectAssets());
+    const { tracks, assets, duration, startTimecode, clipCount, unmatched } = cmx3600ToTimeline(parsed, { framerate: rate, findAsset });
+    
+    const timeline = await this.createTimeline({
+      name: name || parsed.title || 'Imported EDL',
+      framerate: rate,
+      dropFrame: parsed.dropFrame,
+      resolution: resolution
+    });
+    
+    const updates = {
+      tracks: tracks,
+      assets: assets,
+      duration: duration,
+      startTimecode: startTimecode,
+      modified: new Date().toISOString()
+    };
+    await update(timeline.timelineRef, storedUpdates(updates));
+    Object.assign(timeline.data, updates);
+    
+    return {
+      timeline: timeline,
+      clipCount: clipCount,
+      unmatched: unmatched,
+      warnings: parsed.warnings
+    };
+  }
+  
+  /**
+   * Import an OpenTimelineIO (.otio) document as a new timeline
+   * 
+   * Clips are matched to project assets by the asset ID stored in the OTIO
+   * metadata, falling back to the media reference path and clip name. Clips
+   * without a matching asset are left out and listed in `unmatched`.
+   * 
+   * @param {Object|string} otio - OTIO document or its JSON text
+   * @param {Object} options - Import options
+   * @param {string} options.name - Timeline name (defaults to the OTIO name)
+   * @param {number|string} options.framerate - Timeline frame rate (defaults to the document's rate)
+   * @returns {Object} - { timeline, clipCount, unmatched, warnings }
    */
-  async analyzeMediaContent(mediaUrl) {
-    const model = this.geminiAPI.getGenerativeModel({ model: "gemini-pro-vision" });
+  async importOTIO(otio, { name, framerate } = {}) {
+    const imported = otioToTimeline(otio, { framerate });
+    const findAsset = buildAssetMatcher(await this._listProjectAssets());
+    const { tracks, assets, clipCount, unmatched } = resolveImportedClips(imported, findAsset);
+    
+    const timeline = await this.createTimeline({
+      name: name || imported.name,
+      framerate: imported.framerate,
+      dropFrame: imported.dropFrame,
+      resolution: imported.resolution
+    });
     
+    const updates = {
+      tracks: tracks,
+      assets: assets,
+      markers: imported.markers,
+      duration: imported.duration,
+      startTimecode: imported.startTimecode,
+      modified: new Date().toISOString()
+    };
+    await update(timeline.timelineRef, storedUpdates(updates));
+    Object.assign(timeline.data, updates);
+    
+    return {
+      timeline: timeline,
+      clipCount: clipCount,
+      unmatched: unmatched,
+      warnings: imported.warnings
+    };
+  }
+  
+  /**
+   * Collect the assets of every timeline in the project
+   * 
+   * @returns {Array<Object>} - Asset records
+   * @private
+   */
+  async _listProjectAssets() {
+    const timelinesRef = ref(this.db, `projects/${this.projectId}/timelines`);
+    const snapshot = await get(timelinesRef);
+    
+    const assets = {};
+    if (snapshot.exists()) {
+      snapshot.forEach(childSnapshot => {
+        const timelineAssets = childSnapshot.val().assets || {};
+        for (const asset of Object.values(timelineAssets)) {
+          assets[asset.id] = asset;
+        }
+      });
+    }
+    
+    return Object.values(assets);
+  }
+  
+  /**
+   * Analyze media content with an analysis provider
+   * 
+   * The result follows the versioned analysis schema and records the
+   * provider, model and prompt version that produced it. Failures are
+   * returned as `{ status: 'failed', error }` records.
+   * 
+   * @param {string} mediaUrl - URL of an image (e.g. a thumbnail) of the media
+   * @param {Object} options - Analysis options
+   * @param {Object} options.provider - Analysis provider (defaults to the configured one)
+   * @param {string} options.key - Name used to look up recorded fixture responses
+   * @param {Object} options.stats - Signal statistics for the local analyzer
+   * @returns {Object} - Analysis results
+   */
+  async analyzeMediaContent(mediaUrl, { provider = this.analysisProvider, key, stats } = {}) {
     try {
-      const result = await model.generateContent({
-        contents: [
-          {
-            role: "user",
-            parts: [
-              { text: "Analyze this media file and provide structured metadata including scene details, visual elements, and suggested placement in a timeline. Include timecodes for key moments if applicable." },
-              { fileData: { mimeType: "image/jpeg", fileUri: mediaUrl } }
-            ]
-          }
-        ]
+      return await runAnalysis(provider, {
+        key: key || mediaUrl,
+        image: { mimeType: "image/jpeg", url: mediaUrl },
+        stats: stats
       });
-      
-      const response = result.response;
-      return {
-        analysis: response.text(),
-        structuredData: JSON.parse(response.text().match(/```json\n([\s\S]*?)\n```/)?.[1] || '{}')
-      };
     } catch (error) {
-      console.error("Error analyzing media with Gemini API:", error);
-      return { error: error.message };
+      console.error("Error analyzing media:", error);
+      return failedAnalysis(provider, error);
     }
   }
 }
@@ -162,6 +429,17 @@ class Timeline {
     this.id = id;
     this.data = data;
     this.timelineRef = ref(assembler.db, `projects/${assembler.projectId}/timelines/${id}`);
+    this.cutRef = ref(assembler.db, `projects/${assembler.projectId}/timelines/${id}/cut`);
+  }
+  
+  /**
+   * Read the whole timeline, with the cut fields at the top level
+   * 
+   * @returns {Object|null} - Timeline, or null when it does not exist
+   */
+  async _read() {
+    const snapshot = await get(this.timelineRef);
+    return flattenTimeline(snapshot.val());
   }
   
   /**
@@ -195,13 +473,41 @@ class Timeline {
   /**
    * Auto-assemble the timeline based on metadata
    * 
+   * Strategies come from the shared registry (see `registerStrategy`);
+   * built-ins are "chronological", "semantic", "by-camera", "by-rating" and
+   * "shuffled-within-group".
+   * 
    * @param {Object} options - Assembly options
-   * @param {string} options.strategy - Assembly strategy (e.g., "chronological", "semantic")
-   * @param {string} options.groupBy - How to group clips (e.g., "scene", "shot")
+   * @param {string} options.strategy - Assembly strategy name
+   * @param {string|Array<string>} options.groupBy - Metadata key(s) to group clips by (e.g., "scene", "camera.model")
    * @param {boolean} options.addTransitions - Whether to add automatic transitions
-   * @returns {Object} - Assembly results
+   * @param {string} options.brief - Creative brief guiding the semantic strategy
+   * @param {number} options.seed - Seed for shuffling strategies
+   * @param {number|string} options.targetDuration - Select and trim clips to exactly this length (frames or timecode)
+   * @param {number} options.minClipSeconds - Target mode: shortest clip to use (default 1)
+   * @param {number} options.maxClipSeconds - Target mode: longest clip to use
+   * @param {number|Object} options.groupQuota - Target mode: max clips per group, or per group key ("*" for the rest)
+   * @param {string} options.granularity - "asset" (default) for one clip per file, "shot" for one per detected shot
+   * @param {boolean|Object} options.trimSilence - Trim clips to their audible media, optionally with trimSilence options
+   * @param {number} options.minQualityScore - Skip takes whose quality score (0-100) is below this
+   * @param {boolean} options.rankByQuality - Put the best-scoring takes of each group first
+   * @returns {Object} - Assembly results, with per-clip `reasoning` for the semantic strategy, `dropped` assets in target mode and `silence` when trimming
    */
-  async autoAssemble({ strategy = 'chronological', groupBy = 'scene', addTransitions = false }) {
+  async autoAssemble({
+    strategy = 'chronological',
+    groupBy = 'scene',
+    addTransitions = false,
+    brief = '',
+    seed,
+    targetDuration,
+    minClipSeconds,
+    maxClipSeconds,
+    groupQuota,
+    granularity = 'asset',
+    trimSilence = false,
+    minQualityScore,
+    rankByQuality = false
+  }) {
     console.log(`Auto-assembling timeline using strategy: ${strategy}`);
     
     // Get all assets associated with this timeline
@@ -217,131 +523,261 @@ class Timeline {
       assets.push(childSnapshot.val());
     });
     
-    // Sort assets based on the selected strategy
-    let sortedAssets = [];
-    switch (strategy) {
-      case 'chronological':
-        sortedAssets = assets.sort((a, b) => new Date(a.metadata.timestamp) - new Date(b.metadata.timestamp));
-        break;
-      case 'semantic':
-        // This would use Gemini API to determine semantic ordering
-        sortedAssets = assets; // Placeholder
-        break;
-      default:
-        sortedAssets = assets;
-    }
-    
-    // Group assets if requested
-    let groupedAssets = sortedAssets;
-    if (groupBy) {
-      // Group assets by the specified property
-      const groups = {};
-      for (const asset of sortedAssets) {
-        const groupKey = asset.metadata[groupBy] || 'unknown';
-        if (!groups[groupKey]) {
-          groups[groupKey] = [];
-        }
-        groups[groupKey].push(asset);
-      }
-      
-      // Flatten grouped assets back into an array
-      groupedAssets = Object.values(groups).flat();
+    const baseRevision = await this._revision();
+    const audioLevels = trimSilence ? await this.getAudioLevels() : {};
+    
+    // Clip positions are whole frames at the timeline rate
+    const assembly = await assembleTimeline(assets, {
+      strategy,
+      groupBy,
+      addTransitions,
+      brief,
+      seed,
+      targetDuration,
+      minClipSeconds,
+      maxClipSeconds,
+      groupQuota,
+      granularity,
+      trimSilence,
+      audioLevels,
+      minQualityScore,
+      rankByQuality,
+      framerate: this.data.framerate || 24,
+      semanticModel: this.assembler.semanticModel
+    });
+    
+    // Replace the tracks, unless someone edited the timeline while assembling
+    await this.applyEdit(timeline => {
+      timeline.tracks = assembly.tracks;
+      timeline.duration = assembly.duration;
+    }, 'Auto-assemble', { baseRevision });
+    
+    return { success: true, ...assembly };
+  }
+  
+  /**
+   * Assemble the timeline to a music bed, cutting on the beat
+   * 
+   * Video assets are ordered with the chosen strategy and re-timed so every
+   * cut lands on the beat grid detected at upload (`metadata.beats` on the
+   * music asset). The music goes on its own audio track and the beat grid
+   * replaces any previous beat markers.
+   * 
+   * @param {string} musicAssetId - Audio asset to cut to
+   * @param {Object} options - Assembly options (strategy, groupBy, addTransitions, brief, seed as for autoAssemble)
+   * @param {number} options.everyNthBeat - Cut every N beats, or every N bars with alignToBars (default 1)
+   * @param {boolean} options.alignToBars - Cut only on downbeats
+   * @returns {Object} - Assembly results with `bpm` and the `unused` assets
+   */
+  async assembleToMusic(musicAssetId, { everyNthBeat = 1, alignToBars = false, ...options } = {}) {
+    const baseRevision = await this._revision();
+    const assetsRef = ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/assets`);
+    const assetsSnapshot = await get(assetsRef);
+    
+    const assets = [];
+    assetsSnapshot.forEach(childSnapshot => {
+      assets.push(childSnapshot.val());
+    });
+    
+    const music = assets.find(asset => asset.id === musicAssetId);
+    if (!music) {
+      throw new Error(`Asset with ID ${musicAssetId} not found`);
+    }
+    if (!music.metadata || !music.metadata.beats) {
+      throw new Error(`Asset ${musicAssetId} has no beat grid; run the assembleTimelineToMusic function to detect one`);
     }
     
-    // Create tracks and clips
-    const tracks = [
-      {
-        id: `track-${Date.now()}`,
-        type: 'video',
-        clips: []
-      }
-    ];
+    const assembly = await assembleToMusic(assets, music, {
+      ...options,
+      everyNthBeat,
+      alignToBars,
+      framerate: this.data.framerate || 24,
+      semanticModel: this.assembler.semanticModel
+    });
     
-    let currentTime = 0;
-    for (const asset of groupedAssets) {
-      const clipDuration = asset.metadata.duration || 5; // Default to 5 seconds if duration not available
-      
-      const clip = {
-        id: `clip-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
-        assetId: asset.id,
-        startTime: currentTime,
-        endTime: currentTime + clipDuration,
-        inPoint: 0,
-        outPoint: clipDuration,
-        transitions: {
-          in: null,
-          out: null
-        }
-      };
-      
-      // Add transitions if requested
-      if (addTransitions && tracks[0].clips.length > 0) {
-        clip.transitions.in = {
-          type: 'dissolve',
-          duration: 1.0
-        };
-      }
-      
-      tracks[0].clips.push(clip);
-      currentTime += clipDuration;
+    await this.applyEdit(timeline => {
+      timeline.tracks = assembly.tracks;
+      timeline.duration = assembly.duration;
+      timeline.markers = replaceBeatMarkers(timeline.markers, assembly.markers);
+    }, 'Assemble to music', { baseRevision });
+    
+    return { success: true, ...assembly };
+  }
+  
+  /**
+   * Assemble the timeline in script order from a screenplay or shot list
+   * 
+   * Assets are matched to scenes and shots by slate metadata, file naming
+   * (e.g. "S12A_SH03_T02") and content analysis. The best take of each shot
+   * goes on the "Selects" track with other takes on "Alternates" tracks below,
+   * and each scene gets a marker coloured by its coverage.
+   * 
+   * @param {string} script - Fountain/plain-text screenplay or CSV shot list
+   * @param {Object} options - Assembly options
+   * @param {string} options.format - "fountain", "text" or "csv" (detected when omitted)
+   * @param {boolean} options.addTransitions - Add dissolves at scene changes
+   * @returns {Object} - Assembly results with `coverage` (missing scenes and shots, unmatched assets) and `matches`
+   */
+  async assembleFromScript(script, { format, addTransitions = false } = {}) {
+    const scenes = parseScript(script, { format });
+    if (scenes.length === 0) {
+      return { success: false, message: "No scenes found in the script" };
     }
     
-    // Update the timeline with the new tracks
-    const updates = {
-      tracks: tracks,
-      duration: currentTime,
-      modified: new Date().toISOString()
-    };
+    const baseRevision = await this._revision();
+    const assetsRef = ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/assets`);
+    const assetsSnapshot = await get(assetsRef);
+    
+    const assets = [];
+    assetsSnapshot.forEach(childSnapshot => {
+      assets.push(childSnapshot.val());
+    });
     
-    await update(this.timelineRef, updates);
+    const assembly = assembleFromScript(assets, scenes, {
+      framerate: this.data.framerate || 24,
+      addTransitions
+    });
+    
+    await this.applyEdit(timeline => {
+      timeline.tracks = assembly.tracks;
+      timeline.duration = assembly.duration;
+      timeline.markers = assembly.markers;
+    }, 'Assemble from script', { baseRevision });
     
-    return { success: true, tracks: tracks, duration: currentTime };
+    return { success: true, ...assembly };
   }
   
   /**
    * Export an Edit Decision List (EDL)
    * 
+   * CMX3600 lists carry a single video track, so timelines with several video
+   * tracks export a zip with one EDL per track unless `videoTrack` picks one.
+   * Tracks CMX3600 cannot represent (e.g. graphics) and transitions shortened
+   * to fit the available media are recorded as `skippedTracks` and
+   * `transitionIssues` in the export history.
+   * 
    * @param {Object} options - Export options
-   * @param {string} options.format - EDL format (e.g., "CMX3600")
+   * @param {string} options.format - EDL format ("CMX3600", "xmeml", "fcpxml" or "otio")
    * @param {Object} options.destination - Export destination details
+   * @param {string} options.mediaRoot - Local media folder used for file paths in the export
+   * @param {string} options.videoTrack - CMX3600 only: export just this video track (e.g. "V2")
+   * @param {string} options.graphicsTracks - CMX3600 only: "skip" (default) or "error"
+   * @param {string} options.transitionHandles - CMX3600 only: "fit" (default) shortens transitions that exceed the media handles, "error" rejects them
+   * @param {string} options.reelPolicy - CMX3600 only: reel names from "filename" (8 characters, default), "tape" metadata or the "full" file name
+   * @param {Object} options.reelMap - CMX3600 only: custom reel names keyed by asset ID or file name
    * @returns {string} - URL to the exported EDL file
    */
-  async exportEDL({ format = 'CMX3600', destination }) {
+  async exportEDL({
+    format = 'CMX3600',
+    destination,
+    mediaRoot,
+    videoTrack,
+    graphicsTracks,
+    transitionHandles,
+    reelPolicy,
+    reelMap
+  }) {
     console.log(`Exporting timeline as ${format} EDL`);
     
     // Get the timeline data
-    const snapshot = await get(this.timelineRef);
-    const timeline = snapshot.val();
+    const timeline = await this._read();
     
     if (!timeline.tracks || timeline.tracks.length === 0) {
       throw new Error("Cannot export EDL: Timeline has no tracks or clips");
     }
     
     // Generate EDL content based on the format
+    const baseName = timeline.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
     let edlContent = '';
+    let extension = 'edl';
+    let contentType = 'text/plain';
+    let skippedTracks = [];
+    let transitionIssues = [];
     
     switch (format) {
-      case 'CMX3600':
-        edlContent = this._generateCMX3600EDL(timeline);
+      case 'CMX3600': {
+        const result = generateCMX3600(timeline, {
+          videoTrack,
+          graphicsTracks,
+          transitionHandles,
+          reelPolicy,
+          reelMap,
+          mediaRoot
+        });
+        const { lists } = result;
+        if (lists.length === 0) {
+          throw new Error("Cannot export EDL: Timeline has no video or audio clips");
+        }
+        if (lists.length === 1) {
+          edlContent = lists[0].content;
+        } else {
+          edlContent = createZip(lists.map(list => ({ name: `${baseName}_${list.track.toLowerCase()}.edl`, content: list.content })));
+          extension = 'zip';
+          contentType = 'application/zip';
+        }
+        skippedTracks = result.skipped;
+        transitionIssues = result.transitionIssues;
+        break;
+      }
+      case 'xmeml':
+        edlContent = generateXMEML({ ...timeline, id: this.id }, { mediaRoot });
+        extension = 'xml';
+        contentType = 'application/xml';
+        break;
+      case 'fcpxml':
+        edlContent = generateFCPXML(timeline, { mediaRoot });
+        extension = 'fcpxml';
+        contentType = 'application/xml';
+        break;
+      case 'otio':
+        edlContent = JSON.stringify(timelineToOTIO({ ...timeline, id: this.id }, { mediaRoot }), null, 2);
+        extension = 'otio';
+        contentType = 'application/json';
         break;
       default:
         throw new Error(`Unsupported EDL format: ${format}`);
     }
     
+    const downloadUrl = await this._saveExport(`${baseName}_${Date.now()}.${extension}`, edlContent, contentType, {
+      destination,
+      record: { format, skippedTracks, transitionIssues }
+    });
+    
+    if (skippedTracks.length > 0) {
+      console.warn(`Skipped ${skippedTracks.length} track(s) not representable in ${format}:`, skippedTracks);
+    }
+    if (transitionIssues.length > 0) {
+      console.warn(`Shortened ${transitionIssues.length} transition(s) to fit the available handles:`, transitionIssues);
+    }
+    
+    return downloadUrl;
+  }
+  
+  /**
+   * Upload an export and record it in the timeline's export history
+   * 
+   * @param {string} fileName - Export file name
+   * @param {string|Uint8Array} content - File contents
+   * @param {string} contentType - MIME type
+   * @param {Object} options - Save options
+   * @param {Object} options.destination - Export destination details
+   * @param {Object} options.record - Details stored with the export history entry (format, issues)
+   * @returns {string} - Download URL
+   */
+  async _saveExport(fileName, content, contentType, { destination, record }) {
     // Create a file in the storage bucket
-    const edlFileName = `${timeline.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${Date.now()}.edl`;
-    const edlFileRef = storageRef(this.assembler.storage, `edls/${this.id}/${edlFileName}`);
+    const fileRef = storageRef(this.assembler.storage, `edls/${this.id}/${fileName}`);
     
-    // Upload the EDL content
-    await uploadBytes(edlFileRef, new Blob([edlContent], { type: 'text/plain' }));
+    // Upload the content
+    await uploadBytes(fileRef, new Blob([content], { type: contentType }));
     
     // Get the download URL
-    const downloadUrl = await getDownloadURL(edlFileRef);
+    const downloadUrl = await getDownloadURL(fileRef);
     
     // If Google Drive destination is specified, also save to Drive
     if (destination && destination.type === 'googleDrive' && destination.folderId) {
       // This would require Google Drive API integration
-      console.log(`Saving EDL to Google Drive folder ${destination.folderId}`);
+      console.log(`Saving ${fileName} to Google Drive folder ${destination.folderId}`);
       // Implementation would save the file to the specified Google Drive folder
     }
     
@@ -350,50 +786,79 @@ class Timeline {
     const newExportRef = push(historyRef);
     await set(newExportRef, {
       timestamp: new Date().toISOString(),
-      format: format,
-      url: downloadUrl
+      url: downloadUrl,
+      ...record
     });
     
     return downloadUrl;
   }
   
   /**
-   * Generate a CMX3600 format EDL
+   * Export a change list between two versions of the timeline
    * 
-   * @param {Object} timeline - Timeline data
-   * @returns {string} - EDL content
-   * @private
+   * Each changed event is described as an insert, delete, trim, move or
+   * effect change. The export is a zip holding a readable report and a
+   * CMX3600 EDL of the changed events as they are in the later version
+   * (one per video track when there are several); deleted events appear
+   * only in the report.
+   * 
+   * @param {string} fromVersionId - Earlier version ID
+   * @param {string} toVersionId - Later version ID (defaults to the current timeline)
+   * @param {Object} options - Export options
+   * @param {Object} options.destination - Export destination details
+   * @param {string} options.mediaRoot - Local media folder used for SOURCE FILE comments
+   * @param {string} options.reelPolicy - Reel names from "filename" (default), "tape" metadata or the "full" file name
+   * @param {Object} options.reelMap - Custom reel names keyed by asset ID or file name
+   * @param {string} options.transitionHandles - "fit" (default) or "error"
+   * @returns {Object} - { url, report, events, summary }
    */
-  _generateCMX3600EDL(timeline) {
-    let edl = `TITLE: ${timeline.name}\n`;
-    edl += `FCM: NON-DROP FRAME\n\n`;
-    
-    let eventNumber = 1;
-    
-    for (const track of timeline.tracks) {
-      for (const clip of track.clips) {
-        // Format timecodes (simplified for demonstration)
-        const formatTC = (seconds) => {
-          const h = Math.floor(seconds / 3600);
-          const m = Math.floor((seconds % 3600) / 60);
-          const s = Math.floor(seconds % 60);
-          const f = Math.floor((seconds % 1) * timeline.framerate);
-          return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}:${f.toString().padStart(2, '0')}`;
-        };
-        
-        const sourceStart = formatTC(clip.inPoint);
-        const sourceEnd = formatTC(clip.outPoint);
-        const recordStart = formatTC(clip.startTime);
-        const recordEnd = formatTC(clip.endTime);
-        
-        edl += `${eventNumber.toString().padStart(3, '0')}  AX       V     C        ${sourceStart} ${sourceEnd} ${recordStart} ${recordEnd}\n`;
-        edl += `* FROM CLIP NAME: ${clip.assetId}\n\n`;
-        
-        eventNumber++;
+  async exportChangeList(fromVersionId, toVersionId = null, { destination, mediaRoot, reelPolicy, reelMap, transitionHandles } = {}) {
+    const timeline = await this._read();
+    const from = await this.getVersion(fromVersionId);
+    const to = toVersionId ? await this.getVersion(toVersionId) : timeline;
+    
+    const changeList = buildChangeList(from, to, {
+      assets: timeline.assets || {},
+      name: timeline.name,
+      fromName: from.name,
+      toName: toVersionId ? to.name : 'current timeline',
+      reelPolicy,
+      reelMap,
+      mediaRoot,
+      transitionHandles
+    });
+    
+    const baseName = `${timeline.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_changes`;
+    const files = [
+      { name: `${baseName}.txt`, content: changeList.report },
+      ...changeList.lists.map(list => ({
+        name: changeList.lists.length > 1 ? `${baseName}_${list.track.toLowerCase()}.edl` : `${baseName}.edl`,
+        content: list.content
+      }))
+    ];
+    
+    const url = await this._saveExport(`${baseName}_${Date.now()}.zip`, createZip(files), 'application/zip', {
+      destination,
+      record: {
+        format: 'changelist',
+        fromVersionId,
+        toVersionId: toVersionId || null,
+        summary: changeList.summary,
+        skippedTracks: changeList.skipped,
+        transitionIssues: changeList.transitionIssues
       }
-    }
+    });
     
-    return edl;
+    return { url, report: changeList.report, events: changeList.events, summary: changeList.summary };
+  }
+  
+  /**
+   * Check that every transition fits within the media handles of its clips
+   * 
+   * @returns {Array<Object>} - Transitions that exports would have to shorten
+   */
+  async validateTransitions() {
+    return validateTransitions(await this._read());
   }
   
   /**
@@ -403,26 +868,16 @@ class Timeline {
    * @returns {Object} - The created track
    */
   async addTrack(type = 'video') {
-    const tracksRef = ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/tracks`);
-    const snapshot = await get(tracksRef);
-    
-    let tracks = [];
-    if (snapshot.exists()) {
-      tracks = snapshot.val();
-    }
-    
     const newTrack = {
-      id: `track-${Date.now()}`,
+      id: newId('track'),
       type: type,
       clips: []
     };
     
-    tracks.push(newTrack);
-    
-    await update(this.timelineRef, { 
-      tracks: tracks,
-      modified: new Date().toISOString() 
-    });
+    await this.applyEdit(timeline => {
+      timeline.tracks = timeline.tracks || [];
+      timeline.tracks.push(newTrack);
+    }, `Add ${type} track`);
     
     return newTrack;
   }
@@ -430,52 +885,870 @@ class Timeline {
   /**
    * Add a clip to a track
    * 
+   * Clip times are whole frames at the timeline rate; SMPTE timecode strings
+   * (e.g. "00:00:10:00") are accepted and converted. Like the other edits the
+   * clip may not overlap a clip on the track or run past its media.
+   * 
    * @param {string} trackId - ID of the track to add the clip to
    * @param {Object} clipData - Clip data
+   * @param {string} clipData.assetId - ID of the source asset
+   * @param {string} clipData.shotId - ID of the detected shot the clip is cut from (optional)
+   * @param {number|string} clipData.startTime - Record in (frames or timecode)
+   * @param {number|string} clipData.endTime - Record out (defaults to start plus source length)
+   * @param {number|string} clipData.inPoint - Source in (frames or timecode)
+   * @param {number|string} clipData.outPoint - Source out (defaults to five seconds after inPoint)
    * @returns {Object} - The created clip
    */
   async addClip(trackId, clipData) {
-    const snapshot = await get(this.timelineRef);
-    const timeline = snapshot.val();
+    return this.applyEdit(timeline => {
+      if (!timeline.tracks) {
+        throw new Error("Timeline has no tracks");
+      }
+      
+      return editing.addClip(timeline, trackId, clipData);
+    }, 'Add clip');
+  }
+  
+  /**
+   * Apply an editing operation to the stored timeline atomically
+   * 
+   * The edit runs inside a database transaction on the timeline's `cut`
+   * node (tracks, duration, markers and revision), so it sees the latest cut
+   * and is re-run if someone else writes first; edits that only add or
+   * change specific clips therefore merge with concurrent edits. The frame
+   * rate and assets are read beforehand and passed along, but only the cut
+   * is written. An edit that throws aborts the transaction and leaves the
+   * stored timeline untouched. Every committed edit bumps the timeline's
+   * `revision`.
+   * 
+   * Edits computed from an earlier read (such as a whole new assembly) pass
+   * the `revision` they read as `baseRevision`; if the timeline has changed
+   * since, a TimelineConflictError is thrown instead of overwriting the
+   * other changes.
+   * 
+   * @param {Function} edit - (timeline) => result, editing the record in place
+   * @param {string} label - Description recorded in the undo history
+   * @param {Object} options - Edit options
+   * @param {number} options.baseRevision - Revision the edit was computed from
+   * @param {boolean} options.record - Record the edit in the undo history (default true)
+   * @returns {*} - The edit's result
+   */
+  async applyEdit(edit, label = 'Edit', { baseRevision, record = true } = {}) {
+    const context = await this._editContext();
+    let result;
+    let before;
+    let failure = null;
+    const { committed, snapshot } = await runTransaction(this.cutRef, current => {
+      if (!current) {
+        return current;
+      }
+      if (baseRevision !== undefined && revisionOf(current) !== baseRevision) {
+        failure = new TimelineConflictError(
+          `${label} was based on revision ${baseRevision} of the timeline, which has since been edited (now revision ${revisionOf(current)})`,
+          { expectedRevision: baseRevision, actualRevision: revisionOf(current) }
+        );
+        return undefined;
+      }
+      try {
+        const timeline = { ...context, ...current };
+        before = captureState(timeline);
+        result = edit(timeline);
+        failure = null;
+        return { ...cutOf(timeline), revision: revisionOf(current) + 1 };
+      } catch (error) {
+        failure = error;
+        return undefined;
+      }
+    });
     
-    if (!timeline.tracks) {
-      throw new Error("Timeline has no tracks");
+    if (failure) {
+      throw failure;
     }
-    
-    const trackIndex = timeline.tracks.findIndex(track => track.id === trackId);
-    if (trackIndex === -1) {
-      throw new Error(`Track with ID ${trackId} not found`);
+    if (!committed || !snapshot.exists()) {
+      throw new Error(`Timeline with ID ${this.id} not found`);
+    }
+    await update(this.timelineRef, { modified: new Date().toISOString() });
+    this.data = flattenTimeline({ ...storedTimeline({ ...this.data, ...context }), cut: snapshot.val() });
+    if (record) {
+      await this._recordHistory(label, before, this.data);
+    }
+    return result;
+  }
+  
+  /**
+   * Read the timeline fields edits need besides the cut
+   * 
+   * @returns {Object} - EDIT_CONTEXT_FIELDS that are set
+   */
+  async _editContext() {
+    const context = {};
+    await Promise.all(EDIT_CONTEXT_FIELDS.map(async field => {
+      const snapshot = await get(ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/${field}`));
+      if (snapshot.exists()) {
+        context[field] = snapshot.val();
+      }
+    }));
+    return context;
+  }
+  
+  /**
+   * Read the timeline's current revision
+   * 
+   * @returns {number} - Revision (0 before the first transactional edit)
+   */
+  async _revision() {
+    const snapshot = await get(ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/cut/revision`));
+    return snapshot.exists() ? snapshot.val() : 0;
+  }
+  
+  /**
+   * Move a clip to a new position, optionally onto another track of the same type
+   * 
+   * @param {string} clipId - Clip ID
+   * @param {Object} options - Move options
+   * @param {number|string} options.startTime - New record in (frames or timecode)
+   * @param {string} options.trackId - Track to move the clip to
+   * @returns {Object} - The moved clip
+   */
+  async moveClip(clipId, { startTime, trackId } = {}) {
+    return this.applyEdit(timeline => editing.moveClip(timeline, clipId, { startTime, trackId }), 'Move clip');
+  }
+  
+  /**
+   * Delete a clip, leaving a gap where it was
+   * 
+   * @param {string} clipId - Clip ID
+   * @returns {Object} - The deleted clip
+   */
+  async deleteClip(clipId) {
+    return this.applyEdit(timeline => editing.deleteClip(timeline, clipId), 'Delete clip');
+  }
+  
+  /**
+   * Delete a clip and close the gap, moving later clips on its track up
+   * 
+   * @param {string} clipId - Clip ID
+   * @returns {Object} - The deleted clip
+   */
+  async rippleDeleteClip(clipId) {
+    return this.applyEdit(timeline => editing.rippleDeleteClip(timeline, clipId), 'Ripple delete');
+  }
+  
+  /**
+   * Split a clip in two at a timeline position
+   * 
+   * The first piece keeps the clip's ID and in transition, the second gets a
+   * new ID and the out transition.
+   * 
+   * @param {string} clipId - Clip ID
+   * @param {number|string} time - Split point (frames or timecode), inside the clip
+   * @returns {Array<Object>} - [first, second]
+   */
+  async splitClip(clipId, time) {
+    return this.applyEdit(timeline => editing.splitClip(timeline, clipId, time), 'Split clip');
+  }
+  
+  /**
+   * Trim the head of a clip, moving its start and source in together
+   * 
+   * @param {string} clipId - Clip ID
+   * @param {number} delta - Frames; positive shortens the clip, negative extends it
+   * @returns {Object} - The trimmed clip
+   */
+  async trimHead(clipId, delta) {
+    return this.applyEdit(timeline => editing.trimHead(timeline, clipId, delta), 'Trim head');
+  }
+  
+  /**
+   * Trim the tail of a clip, moving its end and source out together
+   * 
+   * @param {string} clipId - Clip ID
+   * @param {number} delta - Frames; positive extends the clip, negative shortens it
+   * @returns {Object} - The trimmed clip
+   */
+  async trimTail(clipId, delta) {
+    return this.applyEdit(timeline => editing.trimTail(timeline, clipId, delta), 'Trim tail');
+  }
+  
+  /**
+   * Trim one edge of a clip and ripple the rest of its track
+   * 
+   * The clip keeps its start; later clips on the track move by the change in
+   * its length, so no gap opens and nothing is overwritten.
+   * 
+   * @param {string} clipId - Clip ID
+   * @param {string} edge - "head" or "tail"
+   * @param {number} delta - Frames; positive moves the edge later
+   * @returns {Object} - The trimmed clip
+   */
+  async rippleTrim(clipId, edge, delta) {
+    return this.applyEdit(timeline => editing.rippleTrim(timeline, clipId, edge, delta), `Ripple trim ${edge}`);
+  }
+  
+  /**
+   * Roll the edit point between a clip and the clip that follows it
+   * 
+   * One clip gets longer and the other shorter by the same amount, so
+   * nothing else on the track moves.
+   * 
+   * @param {string} clipId - Clip ending at the edit point
+   * @param {number} delta - Frames; positive moves the edit point later
+   * @returns {Array<Object>} - [clip, next]
+   */
+  async rollEdit(clipId, delta) {
+    return this.applyEdit(timeline => editing.rollEdit(timeline, clipId, delta), 'Roll edit');
+  }
+  
+  /**
+   * Slip a clip's source in and out points, keeping its place on the timeline
+   * 
+   * @param {string} clipId - Clip ID
+   * @param {number} delta - Frames; positive shows later source
+   * @returns {Object} - The slipped clip
+   */
+  async slipClip(clipId, delta) {
+    return this.applyEdit(timeline => editing.slipClip(timeline, clipId, delta), 'Slip clip');
+  }
+  
+  /**
+   * Slide a clip along its track, keeping its source and trimming its neighbours
+   * 
+   * @param {string} clipId - Clip ID
+   * @param {number} delta - Frames; positive slides the clip later
+   * @returns {Object} - { clip, previous, next }
+   */
+  async slideClip(clipId, delta) {
+    return this.applyEdit(timeline => editing.slideClip(timeline, clipId, delta), 'Slide clip');
+  }
+  
+  /**
+   * Insert a clip, pushing everything from its start onwards later
+   * 
+   * A clip spanning the insert point is split around the new clip.
+   * 
+   * @param {string} trackId - Track ID
+   * @param {Object} clipData - Clip data, as for addClip
+   * @returns {Object} - The inserted clip
+   */
+  async insertClip(trackId, clipData) {
+    return this.applyEdit(timeline => editing.insertClip(timeline, trackId, clipData), 'Insert clip');
+  }
+  
+  /**
+   * Overwrite a clip onto a track, replacing whatever it covers
+   * 
+   * Clips it partly covers are trimmed (or split, when it lands inside one)
+   * and clips it covers completely are removed.
+   * 
+   * @param {string} trackId - Track ID
+   * @param {Object} clipData - Clip data, as for addClip
+   * @returns {Object} - { clip, removed: [clip] }
+   */
+  async overwriteClip(trackId, clipData) {
+    return this.applyEdit(timeline => editing.overwriteClip(timeline, trackId, clipData), 'Overwrite clip');
+  }
+  
+  /**
+   * Get the timeline's media assets
+   * 
+   * @returns {Object} - Asset records by asset ID
+   */
+  async getAssets() {
+    const assetsRef = ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/assets`);
+    const snapshot = await get(assetsRef);
+    return snapshot.exists() ? snapshot.val() : {};
+  }
+  
+  /**
+   * Get the word-level transcript of an asset
+   * 
+   * @param {string} assetId - Asset ID
+   * @returns {Object|null} - Transcript ({ language, engine, model, words: [{ text, start, end }] }) or null
+   */
+  async getTranscript(assetId) {
+    const transcriptRef = ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/transcripts/${assetId}`);
+    const snapshot = await get(transcriptRef);
+    return snapshot.exists() ? snapshot.val() : null;
+  }
+  
+  /**
+   * Cut transcript ranges into the timeline, in order
+   * 
+   * Each selection picks words from an asset's transcript, either by index
+   * (`from`/`to`, inclusive) or by phrase (`text`, with `occurrence` for
+   * repeats). Clips are appended to the track with frame-accurate source in
+   * and out points covering the selected speech.
+   * 
+   * @param {Array<Object>} selections - [{ assetId, from, to } or { assetId, text, occurrence }]
+   * @param {Object} options - Edit options
+   * @param {string} options.trackId - Track to append to (a "Transcript edit" track is created when omitted)
+   * @param {number} options.handles - Frames of padding before and after each selection (default 0)
+   * @returns {Array<Object>} - The created clips
+   */
+  async addTranscriptSelections(selections, { trackId, handles = 0 } = {}) {
+    // Load the transcripts first; the edit itself runs in a transaction
+    const transcripts = {};
+    for (const selection of selections) {
+      if (!transcripts[selection.assetId]) {
+        transcripts[selection.assetId] = await this.getTranscript(selection.assetId);
+        if (!transcripts[selection.assetId]) {
+          throw new Error(`Asset ${selection.assetId} has no transcript`);
+        }
+      }
     }
     
-    const clip = {
-      id: `clip-${Date.now()}`,
-      assetId: clipData.assetId,
-      startTime: clipData.startTime || 0,
-      endTime: clipData.endTime || (clipData.startTime + 5),
-      inPoint: clipData.inPoint || 0,
-      outPoint: clipData.outPoint || 5,
-      transitions: clipData.transitions || { in: null, out: null }
-    };
+    return this.applyEdit(timeline => {
+      const framerate = timeline.framerate || 24;
+      timeline.tracks = timeline.tracks || [];
+      
+      let track = trackId ? timeline.tracks.find(candidate => candidate.id === trackId) : null;
+      if (trackId && !track) {
+        throw new Error(`Track with ID ${trackId} not found`);
+      }
+      if (!track) {
+        track = { id: newId('track'), type: 'video', name: 'Transcript edit', clips: [] };
+        timeline.tracks.push(track);
+      }
+      track.clips = track.clips || [];
+      
+      let position = timelineEnd([track]);
+      const added = [];
+      
+      for (const selection of selections) {
+        const asset = (timeline.assets || {})[selection.assetId];
+        const mediaDuration = asset && asset.metadata && asset.metadata.duration;
+        const range = selectionToFrames(transcripts[selection.assetId], selection, framerate, {
+          handles,
+          mediaFrames: mediaDuration ? secondsToFrames(mediaDuration, framerate) : Infinity
+        });
+        const length = range.outPoint - range.inPoint;
+        
+        const clip = {
+          id: newId('clip'),
+          assetId: selection.assetId,
+          startTime: position,
+          endTime: position + length,
+          inPoint: range.inPoint,
+          outPoint: range.outPoint,
+          transitions: { in: null, out: null },
+          transcriptRange: { from: range.from, to: range.to }
+        };
+        track.clips.push(clip);
+        added.push(clip);
+        position += length;
+      }
+      
+      timeline.duration = timelineEnd(timeline.tracks);
+      return added;
+    }, 'Add transcript selections');
+  }
+  
+  /**
+   * Remove transcript words from a clip and close the gap
+   * 
+   * The clip is split around the selected words and later clips on the same
+   * track move up by the removed length.
+   * 
+   * @param {string} clipId - Clip to edit
+   * @param {Object} selection - { from, to } word indexes or { text, occurrence } in the clip's transcript
+   * @returns {Object} - { removedFrames, clips } with the clips that replace the original
+   */
+  async removeTranscriptRange(clipId, selection) {
+    // Load the clip's transcript first; the edit itself runs in a transaction
+    const snapshot = await get(this.cutRef);
+    const { assetId } = editing.findClip(snapshot.val() || {}, clipId).clip;
+    const transcript = await this.getTranscript(assetId);
+    if (!transcript) {
+      throw new Error(`Asset ${assetId} has no transcript`);
+    }
     
-    timeline.tracks[trackIndex].clips.push(clip);
+    return this.applyEdit(timeline => {
+      const framerate = timeline.framerate || 24;
+      const { track, clip } = editing.findClip(timeline, clipId);
+      if (clip.assetId !== assetId) {
+        throw new TimelineConflictError(`Clip ${clipId} was changed to another asset while editing`);
+      }
+      if (clip.speed && clip.speed !== 1) {
+        throw new Error(`Clip ${clipId} is speed-changed; text edits need clips at normal speed`);
+      }
+      
+      const range = selectionToFrames(transcript, selection, framerate);
+      const cutIn = Math.max(range.inPoint, clip.inPoint);
+      const cutOut = Math.min(range.outPoint, clip.outPoint);
+      if (cutOut <= cutIn) {
+        throw new Error(`"${range.text}" is not inside clip ${clipId}`);
+      }
+      const removedFrames = cutOut - cutIn;
+      const transitions = clip.transitions || { in: null, out: null };
+      
+      const pieces = [];
+      if (cutIn > clip.inPoint) {
+        pieces.push({
+          ...clip,
+          endTime: clip.startTime + (cutIn - clip.inPoint),
+          outPoint: cutIn,
+          transitions: { in: transitions.in, out: null }
+        });
+      }
+      if (cutOut < clip.outPoint) {
+        const startTime = clip.startTime + (cutIn - clip.inPoint);
+        pieces.push({
+          ...clip,
+          id: pieces.length > 0 ? newId('clip') : clip.id,
+          startTime: startTime,
+          endTime: startTime + (clip.outPoint - cutOut),
+          inPoint: cutOut,
+          transitions: { in: null, out: transitions.out }
+        });
+      }
+      for (const piece of pieces) {
+        const words = wordsInRange(transcript, piece.inPoint, piece.outPoint, framerate);
+        if (words) {
+          piece.transcriptRange = words;
+        } else {
+          delete piece.transcriptRange;
+        }
+      }
+      
+      // Replace the clip and ripple everything after it on the track
+      track.clips = track.clips.flatMap(candidate => {
+        if (candidate.id === clipId) {
+          return pieces;
+        }
+        if (candidate.startTime >= clip.endTime) {
+          return [{ ...candidate, startTime: candidate.startTime - removedFrames, endTime: candidate.endTime - removedFrames }];
+        }
+        return [candidate];
+      });
+      
+      timeline.duration = timelineEnd(timeline.tracks);
+      return { removedFrames, clips: pieces };
+    }, 'Remove transcript words');
+  }
+  
+  /**
+   * Get the audio level envelopes measured at upload
+   * 
+   * @returns {Object} - Levels by asset ID ({ peak, rms, duration, windowSeconds, envelope })
+   */
+  async getAudioLevels() {
+    const levelsRef = ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/audioLevels`);
+    const snapshot = await get(levelsRef);
+    return snapshot.exists() ? snapshot.val() : {};
+  }
+  
+  /**
+   * Trim silence and dead air from clips
+   * 
+   * Clips are tightened to the audible part of their media using the level
+   * envelope measured at upload; with `removePauses` pauses inside a clip are
+   * cut out as well, splitting it. Edited tracks ripple to close the gaps and
+   * clips that are all silence are removed. Clips whose media has no levels
+   * are left alone.
+   * 
+   * @param {Object} options - Trim options
+   * @param {string} options.trackId - Only trim this track (default: all tracks)
+   * @param {Array<string>} options.clipIds - Only trim these clips
+   * @param {number} options.threshold - Level in dBFS below which audio is silence (default -50)
+   * @param {number} options.minSilenceSeconds - Shortest silence to act on (default 0.5)
+   * @param {number} options.padding - Seconds kept either side of the sound (default 0.25)
+   * @param {boolean} options.removePauses - Also cut out pauses inside clips
+   * @returns {Object} - { duration, tracks: [{ trackId, removedFrames }], trimmed, removed } with clip IDs
+   */
+  async trimSilence({ trackId, clipIds, ...options } = {}) {
+    // Load levels and transcripts first; the edit itself runs in a transaction
+    const snapshot = await get(this.cutRef);
+    const audioLevels = await this.getAudioLevels();
+    const transcripts = {};
+    for (const track of (snapshot.val() || {}).tracks || []) {
+      for (const clip of (track.clips || []).filter(candidate => candidate.transcriptRange)) {
+        if (transcripts[clip.assetId] === undefined) {
+          transcripts[clip.assetId] = await this.getTranscript(clip.assetId);
+        }
+      }
+    }
     
-    // Recalculate timeline duration
-    let maxEndTime = 0;
-    for (const track of timeline.tracks) {
-      for (const clip of track.clips) {
-        if (clip.endTime > maxEndTime) {
-          maxEndTime = clip.endTime;
+    return this.applyEdit(timeline => {
+      const framerate = timeline.framerate || 24;
+      const tracks = (timeline.tracks || []).filter(track => !trackId || track.id === trackId);
+      if (trackId && tracks.length === 0) {
+        throw new Error(`Track with ID ${trackId} not found`);
+      }
+      
+      const report = { tracks: [], trimmed: [], removed: [] };
+      for (const track of tracks) {
+        const trim = trimClipsToSound(track.clips || [], clip => audioLevels[clip.assetId] || null, framerate, {
+          ...options,
+          filter: clip => !clipIds || clipIds.includes(clip.id)
+        });
+        track.clips = trim.clips;
+        report.tracks.push({ trackId: track.id, removedFrames: trim.removedFrames });
+        report.trimmed.push(...trim.trimmed);
+        report.removed.push(...trim.removed);
+        
+        // Keep transcript-based clips pointing at the words they still contain
+        if (trim.trimmed.length === 0) {
+          continue;
         }
+        for (const clip of track.clips.filter(candidate => candidate.transcriptRange && transcripts[candidate.assetId] !== undefined)) {
+          const words = transcripts[clip.assetId] && wordsInRange(transcripts[clip.assetId], clip.inPoint, clip.outPoint, framerate);
+          if (words) {
+            clip.transcriptRange = words;
+          } else {
+            delete clip.transcriptRange;
+          }
+        }
+      }
+      
+      timeline.duration = timelineEnd(timeline.tracks);
+      return { duration: timeline.duration, ...report };
+    }, 'Trim silence');
+  }
+  
+  /**
+   * Get the multicam groups synced for this timeline
+   * 
+   * Groups are created by the syncMulticam function, which lines angles up
+   * by audio (or timecode) and records an offset and confidence per angle.
+   * 
+   * @returns {Array<Object>} - Groups ({ id, name, referenceAssetId, angles: [{ assetId, name, offset, method, confidence }] })
+   */
+  async getMulticamGroups() {
+    const groupsRef = ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/multicamGroups`);
+    const snapshot = await get(groupsRef);
+    return snapshot.exists() ? Object.values(snapshot.val()) : [];
+  }
+  
+  /**
+   * Lay a synced multicam group onto new stacked tracks
+   * 
+   * Each synced angle gets a video track and/or an audio track, placed by its
+   * offset so the angles stay in sync; unsynced angles are skipped.
+   * 
+   * @param {string} groupId - Multicam group ID
+   * @param {Object} options - Layout options
+   * @param {number} options.startTime - Frame the earliest angle starts at (default 0)
+   * @returns {Array<Object>} - The created tracks
+   */
+  async addMulticamGroup(groupId, { startTime = 0 } = {}) {
+    const snapshot = await get(ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/multicamGroups/${groupId}`));
+    if (!snapshot.exists()) {
+      throw new Error(`Multicam group ${groupId} not found`);
+    }
+    const group = snapshot.val();
+    
+    return this.applyEdit(timeline => {
+      const assets = group.angles.map(angle => (timeline.assets || {})[angle.assetId]).filter(Boolean);
+      const tracks = multicamTracks(group, assets, timeline.framerate || 24, { startTime });
+      
+      timeline.tracks = [...(timeline.tracks || []), ...tracks];
+      timeline.duration = timelineEnd(timeline.tracks);
+      return tracks;
+    }, `Add multicam ${group.name}`);
+  }
+  
+  /**
+   * Reference to the current user's undo history for this timeline
+   * 
+   * @returns {Object} - Database reference
+   */
+  _historyRef() {
+    const user = this.assembler.auth.currentUser;
+    return ref(this.assembler.db, `projects/${this.assembler.projectId}/timelineHistory/${this.id}/${user ? user.uid : 'anonymous'}`);
+  }
+  
+  /**
+   * Record an edit in the current user's undo history
+   * 
+   * Edits that changed nothing are not recorded. Recording clears the redo
+   * stack.
+   * 
+   * @param {string} label - Description shown in the history
+   * @param {Object} before - Timeline state before the edit
+   * @param {Object} after - Timeline record or fields written by the edit
+   */
+  async _recordHistory(label, before, after) {
+    const command = createCommand(label, before, after);
+    if (command) {
+      await runTransaction(this._historyRef(), history => recordCommand(history, command));
+    }
+  }
+  
+  /**
+   * Get the current user's undo and redo history for this timeline
+   * 
+   * @returns {Object} - { undo: [{ id, label, time }], redo: [...] }, newest first
+   */
+  async getHistory() {
+    const snapshot = await get(this._historyRef());
+    return describeHistory(snapshot.val());
+  }
+  
+  /**
+   * Undo the current user's most recent edit
+   * 
+   * The edit is only undone while the timeline still holds what it left
+   * behind; if it has been edited since (by anyone) an error with code
+   * "conflict" is thrown, and `force` restores the earlier state anyway,
+   * discarding the later changes.
+   * 
+   * @param {Object} options - Undo options
+   * @param {boolean} options.force - Undo even if the timeline has changed since
+   * @returns {Object|null} - The undone entry ({ id, label, time }), or null when there is nothing to undo
+   */
+  async undo({ force = false } = {}) {
+    return this._stepHistory('undo', { force });
+  }
+  
+  /**
+   * Redo the current user's most recently undone edit
+   * 
+   * @param {Object} options - Redo options
+   * @param {boolean} options.force - Redo even if the timeline has changed since the undo
+   * @returns {Object|null} - The redone entry ({ id, label, time }), or null when there is nothing to redo
+   */
+  async redo({ force = false } = {}) {
+    return this._stepHistory('redo', { force });
+  }
+  
+  /**
+   * Apply the newest command of a history stack and move it to the other
+   * 
+   * The timeline and the history live apart, so they cannot be written in
+   * one transaction. Instead the timeline records the step it last took
+   * (`historyStep`, the direction and command ID) in the same transaction
+   * that applies it; a step interrupted before the command was moved is
+   * recognised when retried and only moves the command.
+   * 
+   * @param {string} from - "undo" or "redo"
+   * @param {Object} options - { force }
+   * @returns {Object|null} - The applied entry
+   */
+  async _stepHistory(from, { force }) {
+    const historyRef = this._historyRef();
+    const historySnapshot = await get(historyRef);
+    const stack = (historySnapshot.val() || {})[from] || [];
+    const command = stack[stack.length - 1];
+    if (!command) {
+      return null;
+    }
+    
+    // Undo restores `before` over `after`; redo the reverse
+    const expected = from === 'undo' ? 'after' : 'before';
+    const target = from === 'undo' ? 'before' : 'after';
+    const step = `${from}:${command.id}`;
+    await this.applyEdit(timeline => {
+      if (timeline.historyStep === step) {
+        return;
+      }
+      if (!force && !matchesState(timeline, command, expected)) {
+        throw new TimelineConflictError(`Cannot ${from} "${command.label}": the timeline has changed since; pass { force: true } to ${from} anyway`);
       }
+      applyCommand(timeline, command, target);
+      timeline.historyStep = step;
+    }, command.label, { record: false });
+    
+    await runTransaction(historyRef, history => moveCommand(history, from, command.id) || undefined);
+    
+    const { id, label, time } = command;
+    return { id, label, time };
+  }
+  
+  /**
+   * Save the timeline as it is now as a named version
+   * 
+   * Versions are immutable snapshots of the cut (tracks, markers, duration,
+   * frame rate) stored under the timeline's `versions`.
+   * 
+   * @param {string} name - Version name (e.g. "v3 client review")
+   * @param {Object} options - Version options
+   * @param {string} options.note - Optional description
+   * @returns {Object} - Version summary ({ id, name, note, created, createdBy, duration, tracks, clips })
+   */
+  async createVersion(name, { note = '' } = {}) {
+    const timeline = await this._read();
+    if (!timeline) {
+      throw new Error(`Timeline with ID ${this.id} not found`);
+    }
+    const user = this.assembler.auth.currentUser;
+    const version = createVersion(timeline, { name, note, createdBy: user ? user.uid : null });
+    
+    await set(ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/versions/${version.id}`), version);
+    
+    return describeVersion(version);
+  }
+  
+  /**
+   * List the saved versions of the timeline, oldest first
+   * 
+   * @returns {Array<Object>} - Version summaries
+   */
+  async listVersions() {
+    const versionsRef = ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/versions`);
+    const snapshot = await get(versionsRef);
+    if (!snapshot.exists()) {
+      return [];
+    }
+    return Object.values(snapshot.val())
+      .map(describeVersion)
+      .sort((a, b) => a.created.localeCompare(b.created));
+  }
+  
+  /**
+   * Get a saved version
+   * 
+   * @param {string} versionId - Version ID
+   * @returns {Object} - Version record
+   */
+  async getVersion(versionId) {
+    const versionRef = ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/versions/${versionId}`);
+    const snapshot = await get(versionRef);
+    if (!snapshot.exists()) {
+      throw new Error(`Version with ID ${versionId} not found`);
+    }
+    return snapshot.val();
+  }
+  
+  /**
+   * Restore the timeline's cut from a saved version
+   * 
+   * The restore is recorded in the undo history, and the version itself is
+   * left as it was.
+   * 
+   * @param {string} versionId - Version ID
+   * @returns {Object} - Summary of the restored version
+   */
+  async restoreVersion(versionId) {
+    const version = await this.getVersion(versionId);
+    
+    await this.applyEdit(timeline => {
+      assignFields(timeline, restoreUpdates(version));
+    }, `Restore version "${version.name}"`);
+    
+    return describeVersion(version);
+  }
+  
+  /**
+   * Compare two versions, or a version with the current timeline
+   * 
+   * @param {string} fromVersionId - Earlier version ID
+   * @param {string} toVersionId - Later version ID (defaults to the current timeline)
+   * @returns {Object} - Structural diff: { duration, tracks: { added, removed, changed }, clips: { added, removed, moved, trimmed, changed }, unchanged }
+   */
+  async diffVersions(fromVersionId, toVersionId = null) {
+    const from = await this.getVersion(fromVersionId);
+    let to;
+    if (toVersionId) {
+      to = await this.getVersion(toVersionId);
+    } else {
+      to = await this._read();
     }
+    return diffTimelines(from, to);
+  }
+  
+  /**
+   * Follow the timeline live, including other users' edits
+   * 
+   * The callback runs with the current timeline once it has loaded and again
+   * after every change, from this client or any other. Only the cut and
+   * SUMMARY_FIELDS are followed, so an edit does not download the record's
+   * assets, transcripts and audio levels again; read those with `getAssets`,
+   * `getTranscript` and `getAudioLevels` when they are needed.
+   * 
+   * @param {Function} callback - (timeline) => void, with the cut fields at the top level
+   * @returns {Function} - Call to stop listening
+   */
+  subscribe(callback) {
+    const summary = {};
+    const waiting = new Set(['cut', ...SUMMARY_FIELDS]);
+    let cut = null;
     
-    timeline.duration = maxEndTime;
-    timeline.modified = new Date().toISOString();
+    // Every listener fires once on its own; call back only when all have
+    const changed = (field) => {
+      waiting.delete(field);
+      if (waiting.size === 0 && cut) {
+        this.data = { ...summary, ...cut };
+        callback(this.data);
+      }
+    };
     
-    await set(this.timelineRef, timeline);
+    const stops = [
+      onValue(this.cutRef, snapshot => {
+        cut = snapshot.val();
+        changed('cut');
+      }),
+      ...SUMMARY_FIELDS.map(field => onValue(ref(this.assembler.db, `projects/${this.assembler.projectId}/timelines/${this.id}/${field}`), snapshot => {
+        if (snapshot.exists()) {
+          summary[field] = snapshot.val();
+        } else {
+          delete summary[field];
+        }
+        changed(field);
+      }))
+    ];
+    return () => stops.forEach(stop => stop());
+  }
+  
+  /**
+   * Announce that the current user has the timeline open
+   * 
+   * Each open editor is one presence entry under `presence/{timelineId}`,
+   * removed by the database when the connection drops. The entry carries a
+   * display name, a colour and whatever the editor shares through `update`
+   * (such as the selected clip).
+   * 
+   * @param {Object} options - Presence details
+   * @param {string} options.name - Display name (defaults to the user's name or email)
+   * @param {string} options.color - Indicator colour (defaults to one derived from the user)
+   * @returns {Object} - { id, update(fields), leave() }
+   */
+  async joinPresence({ name, color } = {}) {
+    const user = this.assembler.auth.currentUser;
+    const presenceRef = push(ref(this.assembler.db, `projects/${this.assembler.projectId}/presence/${this.id}`));
+    const state = {
+      uid: user ? user.uid : null,
+      name: name || (user && (user.displayName || user.email)) || 'Anonymous',
+      color: color || presenceColor(user ? user.uid : presenceRef.key),
+      joined: serverTimestamp()
+    };
     
-    return clip;
+    // Re-announce after every reconnect, since the disconnect removed the entry
+    const stopWatching = onValue(ref(this.assembler.db, '.info/connected'), async snapshot => {
+      if (snapshot.val() === true) {
+        await onDisconnect(presenceRef).remove();
+        await set(presenceRef, { ...state, lastSeen: serverTimestamp() });
+      }
+    });
+    
+    return {
+      id: presenceRef.key,
+      update: async (fields) => {
+        Object.assign(state, fields);
+        await update(presenceRef, { ...fields, lastSeen: serverTimestamp() });
+      },
+      leave: async () => {
+        stopWatching();
+        await onDisconnect(presenceRef).cancel();
+        await remove(presenceRef);
+      }
+    };
+  }
+  
+  /**
+   * Follow who has the timeline open
+   * 
+   * @param {Function} callback - (entries) => void, with [{ id, uid, name, color, joined, lastSeen, ... }]
+   * @returns {Function} - Call to stop listening
+   */
+  subscribePresence(callback) {
+    const presenceRef = ref(this.assembler.db, `projects/${this.assembler.projectId}/presence/${this.id}`);
+    return onValue(presenceRef, snapshot => {
+      const entries = Object.entries(snapshot.val() || {}).map(([id, entry]) => ({ id, ...entry }));
+      callback(entries);
+    });
   }
 }
 
+export { registerStrategy, listStrategies } from './shared/assembly';
+export { TimelineConflictError };
 export default TimelineAssembler;
\ No newline at end of file
@@ -3,6 +3,8 @@ import { useDrag, useDrop } from 'react-dnd';
 import { HTML5Backend } from 'react-dnd-html5-backend';
 import { DndProvider } from 'react-dnd';
 import TimelineAssembler from '../TimelineAssembler';
+import { framesToSeconds, framesToTimecode, secondsToFrames } from '../shared/timecode';
+import { summarizeDiff } from '../shared/versions';
 
 // Styles
 const styles = {
@@ -122,6 +124,76 @@ const styles = {
     borderRadius: '4px',
     cursor: 'grab',
   },
+  shotItem: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '4px 6px',
+    margin: '2px 0 2px 12px',
+    backgroundColor: '#2f2f2f',
+    borderRadius: '4px',
+    fontSize: '0.8rem',
+    cursor: 'grab',
+  },
+  shotThumbnail: {
+    width: '48px',
+    height: '27px',
+    objectFit: 'cover',
+    borderRadius: '2px',
+    backgroundColor: '#222',
+  },
+  historyList: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+    fontSize: '0.8rem',
+    overflowY: 'auto',
+  },
+  historyEntry: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    padding: '4px 6px',
+    borderBottom: '1px solid #333',
+  },
+  redoEntry: {
+    color: '#777',
+    fontStyle: 'italic',
+  },
+  versionEntry: {
+    padding: '6px',
+    margin: '4px 0',
+    backgroundColor: '#333',
+    borderRadius: '4px',
+    fontSize: '0.8rem',
+  },
+  versionActions: {
+    display: 'flex',
+    gap: '6px',
+    marginTop: '4px',
+  },
+  diffSummary: {
+    padding: '6px',
+    margin: '4px 0',
+    border: '1px solid #444',
+    borderRadius: '4px',
+    fontSize: '0.8rem',
+  },
+  presence: {
+    display: 'flex',
+    gap: '4px',
+    alignItems: 'center',
+  },
+  presenceBadge: {
+    width: '24px',
+    height: '24px',
+    borderRadius: '50%',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    fontSize: '0.75rem',
+    fontWeight: 'bold',
+    color: '#1e1e1e',
+  },
   playhead: {
     position: 'absolute',
     top: 0,
@@ -136,18 +208,17 @@ const styles = {
   },
 };
 
-// Time conversion utilities
-const formatTime = (seconds) => {
-  const h = Math.floor(seconds / 3600);
-  const m = Math.floor((seconds % 3600) / 60);
-  const s = Math.floor(seconds % 60);
-  const ms = Math.floor((seconds % 1) * 100);
-  
-  return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}.${ms.toString().padStart(2, '0')}`;
+// Time conversion utilities (timeline positions are frame counts)
+const formatTime = (frames, timeline) => {
+  return framesToTimecode(frames, timeline.framerate || 24, { dropFrame: timeline.dropFrame });
+};
+
+const framesToPixels = (frames, timeline, pixelsPerSecond) => {
+  return framesToSeconds(frames, timeline.framerate || 24) * pixelsPerSecond;
 };
 
 // Clip component (draggable)
-const Clip = ({ clip, pixelsPerSecond, onSelect }) => {
+const Clip = ({ clip, timeline, pixelsPerSecond, onSelect, editors = [] }) => {
   const [{ isDragging }, dragRef] = useDrag({
     type: 'CLIP',
     item: { id: clip.id, type: 'CLIP' },
@@ -156,8 +227,8 @@ const Clip = ({ clip, pixelsPerSecond, onSelect }) => {
     }),
   });
   
-  const clipWidth = (clip.endTime - clip.startTime) * pixelsPerSecond;
-  const clipLeft = clip.startTime * pixelsPerSecond;
+  const clipWidth = framesToPixels(clip.endTime - clip.startTime, timeline, pixelsPerSecond);
+  const clipLeft = framesToPixels(clip.startTime, timeline, pixelsPerSecond);
   
   return (
     <div
@@ -167,7 +238,9 @@ const Clip = ({ clip, pixelsPerSecond, onSelect }) => {
         width: `${clipWidth}px`,
         left: `${clipLeft}px`,
         opacity: isDragging ? 0.5 : 1,
+        ...(editors.length > 0 ? { border: `2px solid ${editors[0].color}` } : {}),
       }}
+      title={editors.length > 0 ? `Selected by ${editors.map(editor => editor.name).join(', ')}` : undefined}
       onClick={() => onSelect(clip)}
     >
       <div style={styles.clipTitle}>{clip.assetId}</div>
@@ -176,14 +249,16 @@ const Clip = ({ clip, pixelsPerSecond, onSelect }) => {
 };
 
 // Track component
-const Track = ({ track, pixelsPerSecond, onSelectClip }) => {
+const Track = ({ track, timeline, pixelsPerSecond, onSelectClip, onDropMedia, collaborators = [] }) => {
+  const contentRef = useRef(null);
   const [{ isOver }, dropRef] = useDrop({
     accept: 'MEDIA_ITEM',
     drop: (item, monitor) => {
-      // Calculate drop position in the timeline
-      const dropResult = monitor.getClientOffset();
-      // Implementation would convert pixel position to time
-      console.log(`Dropped media item ${item.id} on track ${track.id} at position ${dropResult.x}`);
+      // Convert the drop position to a frame on the timeline
+      const offset = monitor.getClientOffset();
+      const left = contentRef.current ? contentRef.current.getBoundingClientRect().left : 0;
+      const seconds = Math.max(0, (offset.x - left) / pixelsPerSecond);
+      onDropMedia(track, item, secondsToFrames(seconds, timeline.framerate || 24));
     },
     collect: (monitor) => ({
       isOver: monitor.isOver(),
@@ -196,7 +271,10 @@ const Track = ({ track, pixelsPerSecond, onSelectClip }) => {
         <div style={{ padding: '8px' }}>{track.type} Track</div>
       </div>
       <div
-        ref={dropRef}
+        ref={(node) => {
+          contentRef.current = node;
+          dropRef(node);
+        }}
         style={{
           ...styles.trackContent,
           backgroundColor: isOver ? '#353535' : '#252525',
@@ -206,8 +284,10 @@ const Track = ({ track, pixelsPerSecond, onSelectClip }) => {
           <Clip
             key={clip.id}
             clip={clip}
+            timeline={timeline}
             pixelsPerSecond={pixelsPerSecond}
             onSelect={onSelectClip}
+            editors={collaborators.filter(editor => editor.selectedClipId === clip.id)}
           />
         ))}
       </div>
@@ -238,21 +318,50 @@ const MediaItem = ({ asset }) => {
   );
 };
 
+// Shot item component (draggable), a detected shot within an asset
+const ShotItem = ({ asset, shot }) => {
+  const [{ isDragging }, dragRef] = useDrag({
+    type: 'MEDIA_ITEM',
+    item: { id: `${asset.id}/${shot.id}`, type: 'MEDIA_ITEM', asset, shot },
+    collect: (monitor) => ({
+      isDragging: monitor.isDragging(),
+    }),
+  });
+  
+  const description = shot.analysis && shot.analysis.sceneDescription;
+  
+  return (
+    <div
+      ref={dragRef}
+      title={description || undefined}
+      style={{
+        ...styles.shotItem,
+        opacity: isDragging ? 0.5 : 1,
+      }}
+    >
+      {shot.thumbnailUrl
+        ? <img src={shot.thumbnailUrl} alt="" style={styles.shotThumbnail} />
+        : <div style={styles.shotThumbnail} />}
+      <span>Shot {shot.index + 1} ({(shot.end - shot.start).toFixed(1)}s)</span>
+    </div>
+  );
+};
+
 // Time ruler component
-const TimeRuler = ({ duration, pixelsPerSecond, scrollPosition }) => {
+const TimeRuler = ({ timeline, pixelsPerSecond, scrollPosition }) => {
   const markers = [];
-  const interval = 5; // Mark every 5 seconds
+  const interval = secondsToFrames(5, timeline.framerate || 24); // Mark every 5 seconds
   
-  for (let time = 0; time <= duration; time += interval) {
+  for (let time = 0; time <= timeline.duration; time += interval) {
     markers.push(
       <div
         key={time}
         style={{
           ...styles.timeMarker,
-          left: `${time * pixelsPerSecond}px`,
+          left: `${framesToPixels(time, timeline, pixelsPerSecond)}px`,
         }}
       >
-        {formatTime(time)}
+        {formatTime(time, timeline)}
       </div>
     );
   }
@@ -277,13 +386,32 @@ const TimelineEditor = ({ timelineId, firebaseConfig }) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const [pixelsPerSecond, setPixelsPerSecond] = useState(50);
   const [scrollPosition, setScrollPosition] = useState(0);
+  const [granularity, setGranularity] = useState('asset');
+  const [history, setHistory] = useState({ undo: [], redo: [] });
+  const [versions, setVersions] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [collaborators, setCollaborators] = useState([]);
   
   const tracksContainerRef = useRef(null);
   const playheadRef = useRef(null);
   const assemblerRef = useRef(null);
+  const presenceRef = useRef(null);
   
   // Initialize TimelineAssembler
   useEffect(() => {
+    // Set on unmount or a new timelineId; anything registered after that
+    // is torn down straight away instead of leaking
+    let cancelled = false;
+    const cleanups = [];
+    const register = (cleanup) => {
+      if (cancelled) {
+        cleanup();
+      } else {
+        cleanups.push(cleanup);
+      }
+      return !cancelled;
+    };
+    
     const initAssembler = async () => {
       const assembler = new TimelineAssembler({
         projectId: 'your-project-id', // In production, this would be passed as a prop
@@ -295,7 +423,27 @@ const TimelineEditor = ({ timelineId, firebaseConfig }) => {
       
       try {
         const timeline = await assembler.getTimeline(timelineId);
+        if (cancelled) return;
         setTimeline(timeline.data);
+        const loadedHistory = await timeline.getHistory();
+        const loadedVersions = await timeline.listVersions();
+        if (cancelled) return;
+        setHistory(loadedHistory);
+        setVersions(loadedVersions);
+        
+        // Show other users' edits as they happen, and who else is editing
+        const presence = await timeline.joinPresence();
+        if (!register(() => {
+          presence.leave().catch(error => console.error('Error leaving presence:', error));
+          if (presenceRef.current === presence) {
+            presenceRef.current = null;
+          }
+        })) return;
+        presenceRef.current = presence;
+        register(timeline.subscribe(setTimeline));
+        register(timeline.subscribePresence(entries => {
+          setCollaborators(entries.filter(entry => entry.id !== presence.id));
+        }));
         
         // Fetch assets (in a real implementation)
         // const assets = await fetchAssets(timeline.id);
@@ -310,7 +458,11 @@ const TimelineEditor = ({ timelineId, firebaseConfig }) => {
               duration: 15,
               timestamp: '2025-06-23T10:00:00Z',
               scene: 'interview',
-            }
+            },
+            shots: [
+              { id: 'shot-1', index: 0, start: 0, end: 6.5 },
+              { id: 'shot-2', index: 1, start: 6.5, end: 15 },
+            ]
           },
           {
             id: 'asset-2',
@@ -337,8 +489,21 @@ const TimelineEditor = ({ timelineId, firebaseConfig }) => {
     };
     
     initAssembler();
+    
+    return () => {
+      cancelled = true;
+      cleanups.forEach(cleanup => cleanup());
+    };
   }, [timelineId, firebaseConfig]);
   
+  // Share the selected clip with other editors
+  useEffect(() => {
+    if (presenceRef.current) {
+      presenceRef.current.update({ selectedClipId: selectedClip ? selectedClip.id : null })
+        .catch(error => console.error('Error sharing selection:', error));
+    }
+  }, [selectedClip]);
+  
   // Handle playback
   useEffect(() => {
     let animationFrame;
@@ -348,10 +513,12 @@ const TimelineEditor = ({ timelineId, firebaseConfig }) => {
     const updatePlayhead = () => {
       if (!isPlaying) return;
       
+      if (!timeline) return;
+      
       const elapsed = (Date.now() - startTime) / 1000;
-      const newTime = initialTime + elapsed;
+      const newTime = initialTime + secondsToFrames(elapsed, timeline.framerate || 24);
       
-      if (timeline && newTime <= timeline.duration) {
+      if (newTime <= timeline.duration) {
         setCurrentTime(newTime);
         animationFrame = requestAnimationFrame(updatePlayhead);
       } else {
@@ -416,17 +583,135 @@ const TimelineEditor = ({ timelineId, firebaseConfig }) => {
       await timelineObj.autoAssemble({
         strategy: 'chronological',
         groupBy: 'scene',
-        addTransitions: true
+        addTransitions: true,
+        granularity
       });
       
       // Refresh the timeline
       const updatedTimeline = await assemblerRef.current.getTimeline(timelineId);
       setTimeline(updatedTimeline.data);
+      setHistory(await updatedTimeline.getHistory());
     } catch (error) {
+      if (error.code === 'conflict') {
+        // Someone else edited while assembling; the live subscription shows their change
+        window.alert(`${error.message}\n\nReview the latest timeline and assemble again.`);
+        return;
+      }
       console.error('Error auto-assembling timeline:', error);
     }
   };
   
+  // Cut a dropped file or shot into a track at the drop position
+  const handleDropMedia = async (track, item, startTime) => {
+    if (!assemblerRef.current || !timeline) return;
+    
+    const framerate = timeline.framerate || 24;
+    const clipData = item.shot
+      ? {
+        assetId: item.asset.id,
+        shotId: item.shot.id,
+        inPoint: secondsToFrames(item.shot.start, framerate),
+        outPoint: secondsToFrames(item.shot.end, framerate),
+      }
+      : {
+        assetId: item.asset.id,
+        inPoint: 0,
+        outPoint: item.asset.metadata.duration ? secondsToFrames(item.asset.metadata.duration, framerate) : undefined,
+      };
+    
+    try {
+      const timelineObj = await assemblerRef.current.getTimeline(timelineId);
+      await timelineObj.addClip(track.id, { ...clipData, startTime });
+      setHistory(await timelineObj.getHistory());
+    } catch (error) {
+      // Drops over another clip or past the end of the media are refused
+      console.error('Error adding dropped media:', error);
+      window.alert(error.message);
+    }
+  };
+  
+  // Handle undo/redo
+  const stepHistory = async (direction) => {
+    if (!assemblerRef.current || !timeline) return;
+    
+    const timelineObj = await assemblerRef.current.getTimeline(timelineId);
+    try {
+      await timelineObj[direction]();
+    } catch (error) {
+      if (error.code !== 'conflict') {
+        console.error(`Error during ${direction}:`, error);
+        return;
+      }
+      // The timeline was edited since; offer to restore it anyway
+      if (!window.confirm(`${error.message}\n\n${direction === 'undo' ? 'Undo' : 'Redo'} anyway?`)) {
+        return;
+      }
+      try {
+        await timelineObj[direction]({ force: true });
+      } catch (forcedError) {
+        console.error(`Error during ${direction}:`, forcedError);
+        return;
+      }
+    }
+    setTimeline(timelineObj.data);
+    setHistory(await timelineObj.getHistory());
+  };
+  
+  // Handle versions
+  const handleSaveVersion = async () => {
+    if (!assemblerRef.current || !timeline) return;
+    
+    const name = window.prompt('Version name', `v${versions.length + 1}`);
+    if (!name) return;
+    
+    try {
+      const timelineObj = await assemblerRef.current.getTimeline(timelineId);
+      await timelineObj.createVersion(name);
+      setVersions(await timelineObj.listVersions());
+    } catch (error) {
+      console.error('Error saving version:', error);
+    }
+  };
+  
+  const handleCompareVersion = async (version) => {
+    if (!assemblerRef.current) return;
+    
+    try {
+      const timelineObj = await assemblerRef.current.getTimeline(timelineId);
+      const diff = await timelineObj.diffVersions(version.id);
+      setComparison({ version, diff, summary: summarizeDiff(diff) });
+    } catch (error) {
+      console.error('Error comparing versions:', error);
+    }
+  };
+  
+  const handleExportChangeList = async (version) => {
+    if (!assemblerRef.current) return;
+    
+    try {
+      const timelineObj = await assemblerRef.current.getTimeline(timelineId);
+      const { url } = await timelineObj.exportChangeList(version.id);
+      alert(`Change list exported successfully. Download URL: ${url}`);
+    } catch (error) {
+      console.error('Error exporting change list:', error);
+    }
+  };
+  
+  const handleRestoreVersion = async (version) => {
+    if (!assemblerRef.current) return;
+    if (!window.confirm(`Restore "${version.name}"? The current cut can be brought back with Undo.`)) return;
+    
+    try {
+      const timelineObj = await assemblerRef.current.getTimeline(timelineId);
+      await timelineObj.restoreVersion(version.id);
+      setTimeline(timelineObj.data);
+      setHistory(await timelineObj.getHistory());
+      setComparison(null);
+    } catch (error) {
+      console.error('Error restoring version:', error);
+    }
+  };
+  
   // Handle EDL export
   const handleExportEDL = async () => {
     if (!assemblerRef.current || !timeline) return;
@@ -457,8 +742,19 @@ const TimelineEditor = ({ timelineId, firebaseConfig }) => {
       <div style={styles.container}>
         <div style={styles.header}>
           <div style={styles.title}>{timeline.name}</div>
+          <div style={styles.presence}>
+            {collaborators.map((collaborator) => (
+              <div
+                key={collaborator.id}
+                style={{ ...styles.presenceBadge, backgroundColor: collaborator.color }}
+                title={`${collaborator.name} is editing`}
+              >
+                {collaborator.name.charAt(0).toUpperCase()}
+              </div>
+            ))}
+          </div>
           <div style={styles.timeDisplay}>
-            {formatTime(currentTime)} / {formatTime(timeline.duration)}
+            {formatTime(currentTime, timeline)} / {formatTime(timeline.duration, timeline)}
           </div>
           <div style={styles.controls}>
             <button 
@@ -479,6 +775,20 @@ const TimelineEditor = ({ timelineId, firebaseConfig }) => {
             >
               {isPlaying ? 'Pause' : 'Play'}
             </button>
+            <button 
+              style={styles.button} 
+              onClick={() => stepHistory('undo')}
+              disabled={history.undo.length === 0}
+            >
+              Undo
+            </button>
+            <button 
+              style={styles.button} 
+              onClick={() => stepHistory('redo')}
+              disabled={history.redo.length === 0}
+            >
+              Redo
+            </button>
             <button 
               style={styles.button} 
               onClick={handleAutoAssemble}
@@ -496,7 +806,7 @@ const TimelineEditor = ({ timelineId, firebaseConfig }) => {
         
         <div style={styles.timeline}>
           <TimeRuler 
-            duration={timeline.duration} 
+            timeline={timeline} 
             pixelsPerSecond={pixelsPerSecond}
             scrollPosition={scrollPosition}
           />
@@ -511,7 +821,7 @@ const TimelineEditor = ({ timelineId, firebaseConfig }) => {
                 ref={playheadRef}
                 style={{
                   ...styles.playhead,
-                  left: `${currentTime * pixelsPerSecond}px`,
+                  left: `${framesToPixels(currentTime, timeline, pixelsPerSecond)}px`,
                 }}
               />
               
@@ -520,8 +830,11 @@ const TimelineEditor = ({ timelineId, firebaseConfig }) => {
                 <Track
                   key={track.id}
                   track={track}
+                  timeline={timeline}
                   pixelsPerSecond={pixelsPerSecond}
                   onSelectClip={setSelectedClip}
+                  onDropMedia={handleDropMedia}
+                  collaborators={collaborators}
                 />
               ))}
             </div>
@@ -529,11 +842,87 @@ const TimelineEditor = ({ timelineId, firebaseConfig }) => {
             {/* Media Panel */}
             <div style={styles.mediaPanel}>
               <h3>Media Assets</h3>
-              <p>Drag assets to timeline:</p>
+              <p>Drag {granularity === 'shot' ? 'shots' : 'assets'} to timeline:</p>
+              <button
+                style={styles.button}
+                onClick={() => setGranularity(granularity === 'shot' ? 'asset' : 'shot')}
+              >
+                {granularity === 'shot' ? 'Show Files' : 'Show Shots'}
+              </button>
               
               {assets.map((asset) => (
-                <MediaItem key={asset.id} asset={asset} />
+                <div key={asset.id}>
+                  <MediaItem asset={asset} />
+                  {granularity === 'shot' && asset.shots && asset.shots.map((shot) => (
+                    <ShotItem key={shot.id} asset={asset} shot={shot} />
+                  ))}
+                </div>
+              ))}
+              
+              <h3>Versions</h3>
+              <button style={styles.button} onClick={handleSaveVersion}>
+                Save Version
+              </button>
+              {versions.length === 0 && <p>No saved versions</p>}
+              {[...versions].reverse().map((version) => (
+                <div key={version.id} style={styles.versionEntry}>
+                  <div><strong>{version.name}</strong></div>
+                  <div>
+                    {new Date(version.created).toLocaleString()} · {version.clips} clips · {formatTime(version.duration, timeline)}
+                  </div>
+                  {version.note && <div>{version.note}</div>}
+                  <div style={styles.versionActions}>
+                    <button style={styles.button} onClick={() => handleCompareVersion(version)}>
+                      Compare
+                    </button>
+                    <button style={styles.button} onClick={() => handleRestoreVersion(version)}>
+                      Restore
+                    </button>
+                  </div>
+                </div>
               ))}
+              {comparison && (
+                <div style={styles.diffSummary}>
+                  <div><strong>{comparison.version.name} → current</strong></div>
+                  {comparison.summary.total === 0 ? (
+                    <div>No changes</div>
+                  ) : (
+                    <ul style={styles.historyList}>
+                      <li>Clips: +{comparison.summary.clipsAdded} / -{comparison.summary.clipsRemoved}</li>
+                      <li>Moved: {comparison.summary.clipsMoved}, trimmed: {comparison.summary.clipsTrimmed}, changed: {comparison.summary.clipsChanged}</li>
+                      <li>Tracks: +{comparison.summary.tracksAdded} / -{comparison.summary.tracksRemoved}, changed: {comparison.summary.tracksChanged}</li>
+                      <li>Duration: {formatTime(comparison.diff.duration.from, timeline)} → {formatTime(comparison.diff.duration.to, timeline)}</li>
+                    </ul>
+                  )}
+                  <div style={styles.versionActions}>
+                    {comparison.summary.total > 0 && (
+                      <button style={styles.button} onClick={() => handleExportChangeList(comparison.version)}>
+                        Export Change List
+                      </button>
+                    )}
+                    <button style={styles.button} onClick={() => setComparison(null)}>
+                      Close
+                    </button>
+                  </div>
+                </div>
+              )}
+              
+              <h3>History</h3>
+              {history.undo.length === 0 && history.redo.length === 0 && <p>No edits yet</p>}
+              <ul style={styles.historyList}>
+                {[...history.redo].reverse().map((entry) => (
+                  <li key={entry.id} style={{...styles.historyEntry, ...styles.redoEntry}}>
+                    <span>{entry.label}</span>
+                    <span>{new Date(entry.time).toLocaleTimeString()}</span>
+                  </li>
+                ))}
+                {history.undo.map((entry) => (
+                  <li key={entry.id} style={styles.historyEntry}>
+                    <span>{entry.label}</span>
+                    <span>{new Date(entry.time).toLocaleTimeString()}</span>
+                  </li>
+                ))}
+              </ul>
             </div>
           </div>
         </div>
@@ -0,0 +1,333 @@
+/**
+ * TimelineAssembler - Media content analysis
+ *
+ * Analysis is produced by a provider: any object with `name`, `model` and an
+ * async `analyze(input, request)` that resolves to JSON text or an object.
+ * Every response is validated against the versioned analysis schema and the
+ * provider is asked again, with the validation errors, when it is malformed.
+ * The stored analysis records which provider, model and prompt produced it.
+ *
+ * Providers:
+ * - createGeminiAnalysisProvider: Gemini vision model on a representative frame
+ * - localAnalysisProvider: heuristic analysis from ffmpeg signal statistics
+ * - createFixtureAnalysisProvider: replays recorded responses (tests, demos)
+ */
+
+const ANALYSIS_SCHEMA_VERSION = 1;
+const ANALYSIS_PROMPT_VERSION = 'analysis-prompt-1';
+
+const PLACEMENTS = ['opening', 'setup', 'middle', 'climax', 'closing', 'b-roll'];
+
+/**
+ * JSON Schema for analysis output, version ANALYSIS_SCHEMA_VERSION
+ */
+const ANALYSIS_SCHEMA = {
+  $id: `timeline-assembler/analysis/v${ANALYSIS_SCHEMA_VERSION}`,
+  type: 'object',
+  required: ['sceneDescription', 'mood', 'keyVisualElements', 'suggestedPlacement'],
+  properties: {
+    sceneDescription: { type: 'string', description: 'One or two sentences describing the shot' },
+    mood: { type: 'string', description: 'Overall mood or tone, e.g. "calm", "tense"' },
+    keyVisualElements: { type: 'array', items: { type: 'string' } },
+    suggestedPlacement: { type: 'string', enum: PLACEMENTS },
+    shotType: { type: 'string', description: 'e.g. "wide", "medium", "close-up"' },
+    keyMoments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['time', 'description'],
+        properties: {
+          time: { type: 'number', description: 'Seconds from the start of the media' },
+          description: { type: 'string' }
+        }
+      }
+    },
+    tags: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const ANALYSIS_PROMPT = [
+  'Analyze this media for a video editor building a timeline.',
+  'Reply with a single JSON object and nothing else. It must match this JSON Schema:',
+  JSON.stringify(ANALYSIS_SCHEMA)
+].join('\n');
+
+// Keys models commonly return instead of the schema's camelCase names
+const KEY_ALIASES = {
+  scene_description: 'sceneDescription',
+  description: 'sceneDescription',
+  key_visual_elements: 'keyVisualElements',
+  visualElements: 'keyVisualElements',
+  suggested_placement: 'suggestedPlacement',
+  suggestedTimelinePlacement: 'suggestedPlacement',
+  shot_type: 'shotType',
+  key_moments: 'keyMoments'
+};
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Validate analysis output against the schema
+ *
+ * Common alternative key spellings are accepted and placements are matched
+ * case-insensitively; anything else outside the schema is dropped.
+ *
+ * @param {*} data - Parsed provider output
+ * @returns {Object} - { valid, errors, value }
+ */
+function validateAnalysis(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['analysis must be a JSON object'], value: null };
+  }
+
+  const input = {};
+  for (const [key, value] of Object.entries(data)) {
+    input[KEY_ALIASES[key] || key] = value;
+  }
+
+  const errors = [];
+  const value = {};
+
+  for (const key of ['sceneDescription', 'mood']) {
+    if (typeof input[key] !== 'string' || !input[key].trim()) {
+      errors.push(`${key} must be a non-empty string`);
+    } else {
+      value[key] = input[key].trim();
+    }
+  }
+
+  if (!isStringArray(input.keyVisualElements)) {
+    errors.push('keyVisualElements must be an array of strings');
+  } else {
+    value.keyVisualElements = input.keyVisualElements;
+  }
+
+  const placement = typeof input.suggestedPlacement === 'string' ? input.suggestedPlacement.trim().toLowerCase() : null;
+  if (!PLACEMENTS.includes(placement)) {
+    errors.push(`suggestedPlacement must be one of ${PLACEMENTS.join(', ')}`);
+  } else {
+    value.suggestedPlacement = placement;
+  }
+
+  if (input.shotType !== undefined) {
+    if (typeof input.shotType !== 'string') {
+      errors.push('shotType must be a string');
+    } else {
+      value.shotType = input.shotType;
+    }
+  }
+
+  if (input.keyMoments !== undefined) {
+    const valid = Array.isArray(input.keyMoments) && input.keyMoments.every(moment =>
+      moment && typeof moment.time === 'number' && moment.time >= 0 && typeof moment.description === 'string');
+    if (!valid) {
+      errors.push('keyMoments must be an array of { time (seconds), description }');
+    } else {
+      value.keyMoments = input.keyMoments.map(moment => ({ time: moment.time, description: moment.description }));
+    }
+  }
+
+  if (input.tags !== undefined) {
+    if (!isStringArray(input.tags)) {
+      errors.push('tags must be an array of strings');
+    } else {
+      value.tags = input.tags;
+    }
+  }
+
+  return { valid: errors.length === 0, errors, value: errors.length === 0 ? value : null };
+}
+
+/**
+ * Parse a provider response, unwrapping a markdown code block if present
+ *
+ * @param {string|Object} response - Provider response
+ * @returns {Object} - { data, error }
+ */
+function parseAnalysisResponse(response) {
+  if (typeof response !== 'string') {
+    return { data: response, error: null };
+  }
+  const block = response.match(/```(?:json)?\s*\n([\s\S]*?)\n```/);
+  const source = block ? block[1] : response.slice(response.indexOf('{'), response.lastIndexOf('}') + 1);
+  try {
+    return { data: JSON.parse(source), error: null };
+  } catch (error) {
+    return { data: null, error: `response is not valid JSON (${error.message})` };
+  }
+}
+
+/**
+ * Run a provider and validate its output, retrying malformed responses
+ *
+ * Provider errors (network, quota) are not retried here and propagate to the
+ * caller; only responses that fail parsing or validation are.
+ *
+ * @param {Object} provider - Analysis provider
+ * @param {Object} input - Media to analyze ({ key, contentType, image, stats })
+ * @param {Object} options - Analysis options
+ * @param {number} options.retries - Extra attempts after a malformed response (default 2)
+ * @returns {Promise<Object>} - Analysis record with schema version and provenance
+ */
+async function runAnalysis(provider, input, { retries = 2 } = {}) {
+  let errors = [];
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    const prompt = errors.length === 0
+      ? ANALYSIS_PROMPT
+      : `${ANALYSIS_PROMPT}\nYour previous reply was rejected: ${errors.join('; ')}. Reply again with JSON only.`;
+
+    const response = await provider.analyze(input, { prompt, attempt });
+    const parsed = parseAnalysisResponse(response);
+    const result = parsed.error ? { valid: false, errors: [parsed.error] } : validateAnalysis(parsed.data);
+
+    if (result.valid) {
+      return {
+        ...result.value,
+        schemaVersion: ANALYSIS_SCHEMA_VERSION,
+        provider: provider.name,
+        model: provider.model,
+        promptVersion: provider.promptVersion === undefined ? ANALYSIS_PROMPT_VERSION : provider.promptVersion,
+        attempts: attempt,
+        analyzedAt: new Date().toISOString()
+      };
+    }
+    errors = result.errors;
+  }
+  throw new Error(`${provider.name} analysis did not match schema v${ANALYSIS_SCHEMA_VERSION} after ${retries + 1} attempts: ${errors.join('; ')}`);
+}
+
+/**
+ * Build the record stored when analysis fails
+ *
+ * @param {Object} provider - Analysis provider that was used
+ * @param {Error} error - Failure
+ * @returns {Object} - Failed analysis record
+ */
+function failedAnalysis(provider, error) {
+  return {
+    status: 'failed',
+    error: error.message,
+    schemaVersion: ANALYSIS_SCHEMA_VERSION,
+    provider: provider.name,
+    model: provider.model,
+    promptVersion: provider.promptVersion === undefined ? ANALYSIS_PROMPT_VERSION : provider.promptVersion,
+    analyzedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Wrap a Gemini vision model as an analysis provider
+ *
+ * The input image is sent inline (`image.data`, base64) or by reference
+ * (`image.url`).
+ *
+ * @param {Object} generativeModel - Model from GoogleGenerativeAI#getGenerativeModel
+ * @returns {Object} - Analysis provider
+ */
+function createGeminiAnalysisProvider(generativeModel) {
+  return {
+    name: 'gemini',
+    model: generativeModel.model || 'unknown',
+    async analyze(input, { prompt }) {
+      if (!input.image) {
+        throw new Error('Gemini analysis needs an image of the media');
+      }
+      const media = input.image.data
+        ? { inlineData: { mimeType: input.image.mimeType || 'image/jpeg', data: input.image.data } }
+        : { fileData: { mimeType: input.image.mimeType || 'image/jpeg', fileUri: input.image.url } };
+      const result = await generativeModel.generateContent({
+        contents: [{ role: 'user', parts: [{ text: prompt }, media] }]
+      });
+      return result.response.text();
+    }
+  };
+}
+
+/**
+ * Heuristic analysis from signal statistics, with no model involved
+ *
+ * Expects `input.stats` as { duration, width, height, brightness (0-1),
+ * saturation (0-1), meanVolume (dB) }; missing values are skipped.
+ */
+const localAnalysisProvider = {
+  name: 'local',
+  model: 'signal-heuristics-1',
+  promptVersion: null,
+  async analyze(input) {
+    const stats = input.stats || {};
+    const hasVideo = stats.width > 0;
+    const isPortrait = hasVideo && stats.height > stats.width;
+    const duration = stats.duration || 0;
+
+    const lighting = stats.brightness === undefined ? null
+      : stats.brightness < 0.25 ? 'low-light'
+        : stats.brightness > 0.65 ? 'brightly lit' : 'evenly lit';
+    const loudness = stats.meanVolume === undefined ? null
+      : stats.meanVolume > -20 ? 'loud'
+        : stats.meanVolume < -40 ? 'near-silent' : 'moderate';
+
+    let mood = 'neutral';
+    if (loudness === 'loud' || stats.saturation > 0.5) {
+      mood = 'energetic';
+    } else if (lighting === 'low-light') {
+      mood = 'moody';
+    } else if (loudness === 'near-silent') {
+      mood = 'calm';
+    } else if (lighting === 'brightly lit') {
+      mood = 'upbeat';
+    }
+
+    const parts = [hasVideo ? `${lighting || 'Unrated'} ${isPortrait ? 'portrait' : 'landscape'} footage` : 'Audio-only media'];
+    parts.push(`${Math.round(duration)}s long`);
+    if (loudness) {
+      parts.push(`${loudness} audio`);
+    }
+
+    return {
+      sceneDescription: `${parts.join(', ')}.`.replace(/^./, letter => letter.toUpperCase()),
+      mood: mood,
+      keyVisualElements: [],
+      suggestedPlacement: !hasVideo ? 'b-roll' : duration < 3 ? 'b-roll' : duration > 20 ? 'opening' : 'middle',
+      tags: [lighting, loudness && `${loudness} audio`, isPortrait ? 'portrait' : null].filter(Boolean)
+    };
+  }
+};
+
+/**
+ * Replay recorded provider responses
+ *
+ * Fixtures are keyed by the input `key` (usually the file name), with `*` as
+ * a fallback. A key may hold a list of responses, one per attempt, to
+ * exercise the retry path.
+ *
+ * @param {Object} fixtures - Recorded responses
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model name to record (default "fixture")
+ * @returns {Object} - Analysis provider
+ */
+function createFixtureAnalysisProvider(fixtures, { model = 'fixture' } = {}) {
+  return {
+    name: 'fixture',
+    model: model,
+    async analyze(input, { attempt }) {
+      const recorded = fixtures[input.key] !== undefined ? fixtures[input.key] : fixtures['*'];
+      if (recorded === undefined) {
+        throw new Error(`No recorded analysis for ${input.key}`);
+      }
+      return Array.isArray(recorded) ? recorded[Math.min(attempt, recorded.length) - 1] : recorded;
+    }
+  };
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA_VERSION,
+  ANALYSIS_PROMPT_VERSION,
+  ANALYSIS_SCHEMA,
+  validateAnalysis,
+  parseAnalysisResponse,
+  runAnalysis,
+  failedAnalysis,
+  createGeminiAnalysisProvider,
+  localAnalysisProvider,
+  createFixtureAnalysisProvider,
+};
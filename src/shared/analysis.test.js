@@ -0,0 +1,107 @@
+const {
+  ANALYSIS_SCHEMA_VERSION,
+  ANALYSIS_PROMPT_VERSION,
+  validateAnalysis,
+  runAnalysis,
+  failedAnalysis,
+  createGeminiAnalysisProvider,
+  localAnalysisProvider,
+  createFixtureAnalysisProvider,
+} = require('./analysis');
+
+const recorded = {
+  sceneDescription: 'Wide shot of a harbour at dawn.',
+  mood: 'calm',
+  keyVisualElements: ['boats', 'water'],
+  suggestedPlacement: 'opening'
+};
+
+describe('validateAnalysis', () => {
+  it('accepts alternative key spellings and normalises the placement', () => {
+    const { valid, value } = validateAnalysis({
+      scene_description: 'A boat',
+      mood: 'calm',
+      key_visual_elements: ['boat'],
+      suggested_placement: 'Opening',
+      extra: 'dropped'
+    });
+    expect(valid).toBe(true);
+    expect(value).toEqual({ sceneDescription: 'A boat', mood: 'calm', keyVisualElements: ['boat'], suggestedPlacement: 'opening' });
+  });
+
+  it('lists every schema violation', () => {
+    const { valid, errors } = validateAnalysis({ sceneDescription: '', mood: 'calm', keyVisualElements: 'boats', suggestedPlacement: 'somewhere' });
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'sceneDescription must be a non-empty string',
+      'keyVisualElements must be an array of strings',
+      'suggestedPlacement must be one of opening, setup, middle, climax, closing, b-roll'
+    ]);
+  });
+});
+
+describe('runAnalysis', () => {
+  it('records the provider, model, prompt and schema that produced the analysis', async () => {
+    const provider = createFixtureAnalysisProvider({ 'harbour.mov': recorded }, { model: 'recorded-1' });
+    const analysis = await runAnalysis(provider, { key: 'harbour.mov' });
+
+    expect(analysis).toMatchObject({
+      ...recorded,
+      schemaVersion: ANALYSIS_SCHEMA_VERSION,
+      provider: 'fixture',
+      model: 'recorded-1',
+      promptVersion: ANALYSIS_PROMPT_VERSION,
+      attempts: 1
+    });
+  });
+
+  it('asks again with the validation errors after a malformed response', async () => {
+    const provider = createFixtureAnalysisProvider({ '*': ['not json', '```json\n{"mood": "calm"}\n```', JSON.stringify(recorded)] });
+    const analyze = jest.spyOn(provider, 'analyze');
+    const analysis = await runAnalysis(provider, { key: 'any.mov' });
+
+    expect(analysis.attempts).toBe(3);
+    expect(analyze.mock.calls[1][1].prompt).toContain('Your previous reply was rejected: response is not valid JSON');
+    expect(analyze.mock.calls[2][1].prompt).toContain('sceneDescription must be a non-empty string');
+  });
+
+  it('gives up after the retries are spent', async () => {
+    const provider = createFixtureAnalysisProvider({ '*': '{"mood": "calm"}' });
+    await expect(runAnalysis(provider, { key: 'any.mov' }, { retries: 1 })).rejects.toThrow('after 2 attempts');
+  });
+
+  it('does not retry provider errors', async () => {
+    const provider = { name: 'stub', model: 'stub-1', analyze: jest.fn(async () => { throw new Error('quota exceeded'); }) };
+    await expect(runAnalysis(provider, { key: 'any.mov' })).rejects.toThrow('quota exceeded');
+    expect(provider.analyze).toHaveBeenCalledTimes(1);
+    expect(failedAnalysis(provider, new Error('quota exceeded'))).toMatchObject({ status: 'failed', error: 'quota exceeded', provider: 'stub', model: 'stub-1' });
+  });
+});
+
+describe('providers', () => {
+  it('sends the image to a Gemini model by reference', async () => {
+    const generativeModel = {
+      model: 'gemini-pro-vision',
+      generateContent: jest.fn(async () => ({ response: { text: () => JSON.stringify(recorded) } }))
+    };
+    const analysis = await runAnalysis(createGeminiAnalysisProvider(generativeModel), { key: 'a', image: { url: 'gs://bucket/a.jpg' } });
+
+    expect(analysis).toMatchObject({ provider: 'gemini', model: 'gemini-pro-vision', suggestedPlacement: 'opening' });
+    const [{ contents: [{ parts }] }] = generativeModel.generateContent.mock.calls[0];
+    expect(parts[1]).toEqual({ fileData: { mimeType: 'image/jpeg', fileUri: 'gs://bucket/a.jpg' } });
+  });
+
+  it('analyses signal statistics locally without a prompt', async () => {
+    const analysis = await runAnalysis(localAnalysisProvider, {
+      key: 'night.mov',
+      stats: { duration: 30, width: 1920, height: 1080, brightness: 0.1, saturation: 0.2, meanVolume: -30 }
+    });
+
+    expect(analysis).toMatchObject({ provider: 'local', promptVersion: null, mood: 'moody', suggestedPlacement: 'opening' });
+    expect(analysis.tags).toContain('low-light');
+  });
+
+  it('fails when no fixture is recorded for the media', async () => {
+    await expect(runAnalysis(createFixtureAnalysisProvider({}), { key: 'missing.mov' })).rejects.toThrow('No recorded analysis for missing.mov');
+  });
+});
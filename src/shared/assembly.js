@@ -0,0 +1,526 @@
+/**
+ * TimelineAssembler - Assembly strategies
+ *
+ * Auto-assembly runs a named strategy made of four parts:
+ * - sort(assets, context): order the assets; may be async, and may return
+ *   `{ assets, reasoning, model }` to explain the order per asset
+ * - group(assets, context): split the ordered assets into groups, either
+ *   `{ key, assets }` objects or plain arrays
+ * - clipDuration(asset, context): clip length in frames
+ * - transition(previousClip, clip, context): the clip's in-transition or null
+ *
+ * Strategies are registered by name with registerStrategy; parts a strategy
+ * leaves out fall back to the defaults. The client and the Cloud Functions
+ * both assemble through assembleTimeline, so a strategy registered here is
+ * available to both.
+ */
+
+const { secondsToFrames, toFrames } = require('./timecode');
+const { newId } = require('./ids');
+const { orderAssetsSemantically, explainClips } = require('./semantic');
+const { expandShots } = require('./shots');
+const { trimClipsToSound } = require('./audio');
+const { qualityScore } = require('./quality');
+
+// Clip length used when an asset has no probed duration
+const DEFAULT_CLIP_SECONDS = 5;
+
+const strategies = new Map();
+
+/**
+ * Read a metadata value by key or dotted path (e.g. "camera.model"),
+ * looking in the asset metadata first and its content analysis second
+ *
+ * @param {Object} asset - Asset record
+ * @param {string} key - Key or dotted path
+ * @returns {*} - Value, or undefined
+ */
+function metadataValue(asset, key) {
+  const lookup = (source) => String(key).split('.').reduce((value, part) => (value == null ? undefined : value[part]), source);
+  const metadata = asset.metadata || {};
+  const value = lookup(metadata);
+  return value !== undefined && value !== null && value !== '' ? value : lookup(metadata.analysis || {});
+}
+
+const assetTime = (asset) => new Date((asset.metadata && asset.metadata.timestamp) || asset.uploadTime).getTime() || 0;
+
+const byTime = (a, b) => assetTime(a) - assetTime(b);
+
+// Media reference for reports; shot stand-ins point back at their asset
+const mediaRef = (asset) => (asset.shotId ? { assetId: asset.assetId, shotId: asset.shotId } : { assetId: asset.id });
+
+/**
+ * Sort assets by camera creation time, falling back to upload time
+ */
+function chronologicalSort(assets) {
+  return [...assets].sort(byTime);
+}
+
+/**
+ * Create a grouper bucketing assets by one or more metadata keys
+ *
+ * Groups keep the order in which their first asset appears. Keys of
+ * multi-key groups are joined with " / " (e.g. "Sony / FX6").
+ *
+ * @param {string|Array<string>} keys - Keys or dotted paths
+ * @returns {Function} - Grouper returning [{ key, assets }]
+ */
+function groupByKeys(keys) {
+  const keyList = (Array.isArray(keys) ? keys : [keys]).filter(Boolean);
+  return (assets) => {
+    if (keyList.length === 0) {
+      return [{ key: 'all', assets }];
+    }
+    const groups = new Map();
+    for (const asset of assets) {
+      const groupKey = keyList.map(key => {
+        const value = metadataValue(asset, key);
+        return value === undefined || value === null || value === '' ? 'unknown' : String(value);
+      }).join(' / ');
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, []);
+      }
+      groups.get(groupKey).push(asset);
+    }
+    return [...groups.entries()].map(([key, members]) => ({ key, assets: members }));
+  };
+}
+
+// Seeded PRNG (mulberry32) so shuffled assemblies can be reproduced
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const DEFAULT_PARTS = {
+  sort: (assets) => assets,
+  group: (assets, context) => groupByKeys(context.groupBy)(assets),
+  clipDuration: (asset, context) => secondsToFrames((asset.metadata && asset.metadata.duration) || DEFAULT_CLIP_SECONDS, context.framerate),
+  transition: (previousClip, clip, context) => {
+    if (!context.addTransitions || !previousClip) {
+      return null;
+    }
+    // Limit transition to 1/4 of the shorter clip, max 1 second
+    const shorter = Math.min(clip.endTime - clip.startTime, previousClip.endTime - previousClip.startTime);
+    return {
+      type: 'dissolve',
+      duration: Math.min(secondsToFrames(1.0, context.framerate), Math.floor(shorter / 4))
+    };
+  }
+};
+
+/**
+ * Register a named assembly strategy
+ *
+ * @param {string} name - Strategy name
+ * @param {Object} parts - { sort, group, clipDuration, transition }, all optional
+ * @returns {Object} - The registered strategy, with defaults filled in
+ */
+function registerStrategy(name, parts = {}) {
+  for (const [part, fn] of Object.entries(parts)) {
+    if (part in DEFAULT_PARTS && typeof fn !== 'function') {
+      throw new Error(`Strategy "${name}": ${part} must be a function`);
+    }
+  }
+  const strategy = { name, ...DEFAULT_PARTS, ...parts };
+  strategies.set(name, strategy);
+  return strategy;
+}
+
+/**
+ * Look up a registered strategy
+ *
+ * @param {string} name - Strategy name
+ * @returns {Object|undefined} - Strategy
+ */
+function getStrategy(name) {
+  return strategies.get(name);
+}
+
+/**
+ * List the names of registered strategies
+ *
+ * @returns {Array<string>} - Strategy names
+ */
+function listStrategies() {
+  return [...strategies.keys()];
+}
+
+registerStrategy('chronological', {
+  sort: chronologicalSort
+});
+
+registerStrategy('semantic', {
+  sort: (assets, context) => orderAssetsSemantically(assets, { brief: context.brief, model: context.semanticModel })
+});
+
+registerStrategy('by-camera', {
+  sort: chronologicalSort,
+  group: groupByKeys(['camera.make', 'camera.model'])
+});
+
+registerStrategy('by-rating', {
+  // Highest rated first; unrated assets last, in shooting order
+  sort: (assets) => [...assets].sort((a, b) => {
+    const ratingA = Number(metadataValue(a, 'rating'));
+    const ratingB = Number(metadataValue(b, 'rating'));
+    const scoreA = Number.isFinite(ratingA) ? ratingA : -Infinity;
+    const scoreB = Number.isFinite(ratingB) ? ratingB : -Infinity;
+    return scoreB - scoreA || byTime(a, b);
+  }),
+  group: (assets) => [{ key: 'all', assets }]
+});
+
+registerStrategy('shuffled-within-group', {
+  sort: chronologicalSort,
+  group: (assets, context) => {
+    const random = seededRandom(context.seed);
+    return groupByKeys(context.groupBy)(assets).map(group => {
+      const shuffled = [...group.assets];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      return { key: group.key, assets: shuffled };
+    });
+  }
+});
+
+/**
+ * Priority of an asset when clips compete for a fixed duration
+ *
+ * Uses the analysis `priority`, then `score`, then `rating`; unscored assets
+ * rank lowest.
+ *
+ * @param {Object} asset - Asset record
+ * @returns {number} - Priority (higher is kept first)
+ */
+function assetPriority(asset) {
+  for (const key of ['priority', 'score', 'rating']) {
+    const value = Number(metadataValue(asset, key));
+    if (metadataValue(asset, key) !== undefined && Number.isFinite(value)) {
+      return value;
+    }
+  }
+  return -Infinity;
+}
+
+// Share `amount` frames across entries in proportion to their `room`
+function distribute(entries, amount, room) {
+  const total = entries.reduce((sum, entry) => sum + room(entry), 0);
+  if (total <= 0 || amount <= 0) {
+    return entries.map(() => 0);
+  }
+  const shares = entries.map(entry => Math.floor(amount * room(entry) / total));
+  let remaining = Math.min(amount, total) - shares.reduce((sum, share) => sum + share, 0);
+  for (let i = 0; remaining > 0 && i < entries.length; i = (i + 1) % entries.length) {
+    if (shares[i] < room(entries[i])) {
+      shares[i]++;
+      remaining--;
+    }
+  }
+  return shares;
+}
+
+/**
+ * Select and trim grouped assets to land on a target length
+ *
+ * Assets too short for the minimum clip length and assets over their group's
+ * quota are dropped first. If the remaining minimum lengths still exceed the
+ * target, the lowest-priority assets are dropped (later ones first on ties).
+ * Clip lengths are then shortened or extended, in proportion to how much each
+ * can give, until they add up to the target frame count.
+ *
+ * @param {Array<Object>} groups - Ordered groups ({ key, assets })
+ * @param {Object} options - Fitting options (all lengths in frames)
+ * @returns {Object} - { entries: [{ asset, length, available }], dropped: [{ assetId, shotId?, reason }] }
+ */
+function fitToTarget(groups, { target, minClip, maxClip, groupQuota, desiredLength, availableLength }) {
+  const dropped = [];
+  let entries = [];
+
+  for (const group of groups) {
+    const quota = typeof groupQuota === 'object' && groupQuota !== null
+      ? (groupQuota[group.key] !== undefined ? groupQuota[group.key] : groupQuota['*'])
+      : groupQuota;
+
+    const usable = [];
+    for (const asset of group.assets) {
+      const available = availableLength(asset);
+      if (available < minClip) {
+        dropped.push({ ...mediaRef(asset), reason: `shorter than the minimum clip length (${available} < ${minClip} frames)` });
+      } else {
+        usable.push(asset);
+      }
+    }
+
+    // Keep the group's highest-priority assets, in their original order
+    let kept = usable;
+    if (quota !== undefined && quota !== null && usable.length > quota) {
+      const ranked = usable
+        .map((asset, index) => ({ asset, index }))
+        .sort((a, b) => assetPriority(b.asset) - assetPriority(a.asset) || a.index - b.index);
+      const keep = new Set(ranked.slice(0, quota).map(entry => entry.asset));
+      kept = usable.filter(asset => keep.has(asset));
+      usable.filter(asset => !keep.has(asset)).forEach(asset => {
+        dropped.push({ ...mediaRef(asset), reason: `over the quota of ${quota} clip${quota === 1 ? '' : 's'} for group "${group.key}"` });
+      });
+    }
+
+    for (const asset of kept) {
+      const available = availableLength(asset);
+      const max = Math.min(available, maxClip || Infinity);
+      entries.push({ asset, available, min: minClip, max, length: Math.max(minClip, Math.min(desiredLength(asset), max)) });
+    }
+  }
+
+  // Drop the lowest-priority clips until the minimum lengths fit
+  while (entries.length > 0 && entries.length * minClip > target) {
+    let weakest = entries.length - 1;
+    for (let i = entries.length - 2; i >= 0; i--) {
+      if (assetPriority(entries[i].asset) < assetPriority(entries[weakest].asset)) {
+        weakest = i;
+      }
+    }
+    dropped.push({ ...mediaRef(entries[weakest].asset), reason: 'lowest priority clip that did not fit the target duration' });
+    entries = entries.filter((entry, index) => index !== weakest);
+  }
+
+  const total = entries.reduce((sum, entry) => sum + entry.length, 0);
+  if (total > target) {
+    const cuts = distribute(entries, total - target, entry => entry.length - entry.min);
+    entries.forEach((entry, index) => { entry.length -= cuts[index]; });
+  } else if (total < target) {
+    const additions = distribute(entries, target - total, entry => entry.max - entry.length);
+    entries.forEach((entry, index) => { entry.length += additions[index]; });
+  }
+
+  return { entries, dropped };
+}
+
+/**
+ * Pick the in point for a clip trimmed shorter than its media
+ *
+ * Centres the clip on the first key moment from analysis when there is one,
+ * otherwise starts at the head of the media.
+ */
+function trimmedInPoint(asset, length, available, framerate) {
+  const moments = metadataValue(asset, 'keyMoments');
+  if (!Array.isArray(moments) || moments.length === 0 || typeof moments[0].time !== 'number') {
+    return 0;
+  }
+  const centre = secondsToFrames(moments[0].time, framerate);
+  return Math.max(0, Math.min(centre - Math.floor(length / 2), available - length));
+}
+
+/**
+ * Assemble assets into a single video track with a named strategy
+ *
+ * With `targetDuration`, clips are selected and trimmed to land exactly on
+ * that length (see fitToTarget); `dropped` lists the assets left out and why,
+ * and `shortBy` the frames missing when the media cannot fill the target.
+ *
+ * With `granularity: 'shot'`, assets with detected shots are assembled one
+ * shot at a time (see expandShots); their clips carry the `shotId` and in
+ * points inside the shot.
+ *
+ * Takes can be filtered and ranked by their technical quality score within
+ * each group: `minQualityScore` drops scored takes below it (listed in
+ * `dropped`), and `rankByQuality` puts the best-scoring takes of every group
+ * first, so in target mode takes that tie on priority are kept best first.
+ * Unscored assets are kept and rank last.
+ *
+ * With `trimSilence`, clips are then tightened to the audible part of their
+ * media using the level envelopes in `audioLevels` (see trimClipsToSound).
+ * Trimming runs after clip selection, so a target-duration assembly can come
+ * out short; `shortBy` accounts for it. Transitions are chosen once the clips
+ * have their final lengths, and pieces of a clip split at a removed pause
+ * join with a cut.
+ *
+ * @param {Array<Object>} assets - Asset records
+ * @param {Object} options - Assembly options
+ * @param {string} options.strategy - Strategy name (default "chronological")
+ * @param {string|Array<string>} options.groupBy - Metadata key(s) for the default grouper
+ * @param {boolean} options.addTransitions - Whether the default transition policy adds dissolves
+ * @param {number|string} options.framerate - Timeline frame rate
+ * @param {string} options.brief - Creative brief for the semantic strategy
+ * @param {Object} options.semanticModel - Model for the semantic strategy
+ * @param {number} options.seed - Seed for shuffling strategies (default: random)
+ * @param {number|string} options.targetDuration - Target length in frames or as a timecode
+ * @param {number} options.minClipSeconds - Target mode: shortest clip to use (default 1)
+ * @param {number} options.maxClipSeconds - Target mode: longest clip to use (default: no limit)
+ * @param {number|Object} options.groupQuota - Target mode: max clips per group, or per group key with "*" as default
+ * @param {string} options.granularity - "asset" (default) or "shot"
+ * @param {boolean|Object} options.trimSilence - Trim silence, optionally with { threshold, minSilenceSeconds, padding, removePauses }
+ * @param {Object} options.audioLevels - Level envelopes by asset ID, for trimSilence
+ * @param {number} options.minQualityScore - Drop takes scoring below this (0-100)
+ * @param {boolean} options.rankByQuality - Order each group's takes by quality score, best first
+ * @returns {Promise<Object>} - { tracks, duration, strategy, groups, seed, reasoning?, model?, targetDuration?, shortBy?, dropped?, silence? }
+ */
+async function assembleTimeline(assets, {
+  strategy: strategyName = 'chronological',
+  groupBy,
+  addTransitions = false,
+  framerate = 24,
+  brief = '',
+  semanticModel,
+  seed = Math.floor(Math.random() * 2 ** 32),
+  targetDuration,
+  minClipSeconds = 1,
+  maxClipSeconds,
+  groupQuota,
+  granularity = 'asset',
+  trimSilence = false,
+  audioLevels = {},
+  minQualityScore,
+  rankByQuality = false
+} = {}) {
+  const strategy = getStrategy(strategyName);
+  if (!strategy) {
+    throw new Error(`Unknown assembly strategy "${strategyName}" (available: ${listStrategies().join(', ')})`);
+  }
+  if (granularity !== 'asset' && granularity !== 'shot') {
+    throw new Error(`Invalid granularity "${granularity}" (expected "asset" or "shot")`);
+  }
+  const context = { groupBy, addTransitions, framerate, brief, semanticModel, seed, granularity };
+
+  const units = granularity === 'shot' ? expandShots(assets) : assets;
+  const sorted = await strategy.sort(units, context);
+  const ordered = Array.isArray(sorted) ? sorted : sorted.assets;
+  const qualityDropped = [];
+  const groups = (await strategy.group(ordered, context))
+    .map((group, index) => (Array.isArray(group) ? { key: String(index), assets: group } : group))
+    .map(group => {
+      let members = group.assets;
+      if (minQualityScore !== undefined && minQualityScore !== null) {
+        members = members.filter(asset => {
+          const score = qualityScore(asset);
+          if (score !== null && score < minQualityScore) {
+            qualityDropped.push({ ...mediaRef(asset), reason: `quality score ${score} below ${minQualityScore}` });
+            return false;
+          }
+          return true;
+        });
+      }
+      if (rankByQuality) {
+        const scores = new Map(members.map(asset => [asset, qualityScore(asset)]));
+        const rank = (asset) => (scores.get(asset) === null ? -Infinity : scores.get(asset));
+        members = [...members].sort((a, b) => rank(b) - rank(a));
+      }
+      return { key: group.key, assets: members };
+    })
+    .filter(group => group.assets.length > 0);
+
+  const availableLength = (asset) => secondsToFrames((asset.metadata && asset.metadata.duration) || DEFAULT_CLIP_SECONDS, framerate);
+
+  let entries;
+  let dropped = null;
+  let target = null;
+  if (targetDuration !== undefined && targetDuration !== null) {
+    target = toFrames(targetDuration, framerate);
+    if (!(target > 0)) {
+      throw new Error(`Invalid target duration: ${targetDuration}`);
+    }
+    ({ entries, dropped } = fitToTarget(groups, {
+      target,
+      minClip: secondsToFrames(minClipSeconds, framerate),
+      maxClip: maxClipSeconds ? secondsToFrames(maxClipSeconds, framerate) : null,
+      groupQuota,
+      desiredLength: (asset) => strategy.clipDuration(asset, context),
+      availableLength
+    }));
+  } else {
+    entries = groups.flatMap(group => group.assets).map(asset => ({
+      asset,
+      length: strategy.clipDuration(asset, context),
+      available: availableLength(asset)
+    }));
+  }
+
+  const track = {
+    id: newId('track'),
+    type: 'video',
+    clips: []
+  };
+
+  let currentTime = 0;
+  for (const { asset, length, available } of entries) {
+    const offset = asset.shotId ? secondsToFrames(asset.sourceStart, framerate) : 0;
+    const inPoint = offset + (length < available ? trimmedInPoint(asset, length, available, framerate) : 0);
+
+    const clip = {
+      id: newId('clip'),
+      assetId: asset.shotId ? asset.assetId : asset.id,
+      startTime: currentTime,
+      endTime: currentTime + length,
+      inPoint: inPoint,
+      outPoint: inPoint + length,
+      transitions: {
+        in: null,
+        out: null
+      }
+    };
+    if (asset.shotId) {
+      clip.shotId = asset.shotId;
+    }
+
+    track.clips.push(clip);
+    currentTime += length;
+  }
+
+  const assembledIds = new Set(track.clips.map(clip => clip.id));
+  let silence = null;
+  if (trimSilence) {
+    const trim = trimClipsToSound(track.clips, (clip) => audioLevels[clip.assetId] || null, framerate, trimSilence === true ? {} : trimSilence);
+    track.clips = trim.clips;
+    currentTime -= trim.removedFrames;
+    silence = { removedFrames: trim.removedFrames, trimmed: trim.trimmed, removed: trim.removed };
+  }
+
+  track.clips.forEach((clip, index) => {
+    const transition = assembledIds.has(clip.id) ? strategy.transition(track.clips[index - 1] || null, clip, context) : null;
+    clip.transitions = { ...clip.transitions, in: transition };
+  });
+
+  const result = {
+    tracks: [track],
+    duration: currentTime,
+    strategy: strategyName,
+    groups: groups.length,
+    seed: seed,
+    granularity: granularity
+  };
+  if (silence) {
+    result.silence = silence;
+  }
+  if (!Array.isArray(sorted) && sorted.reasoning) {
+    result.model = sorted.model;
+    result.reasoning = explainClips(track.clips, sorted.reasoning);
+  }
+  if (target !== null) {
+    result.targetDuration = target;
+    result.shortBy = target - currentTime;
+  }
+  if (target !== null || qualityDropped.length > 0) {
+    result.dropped = [...qualityDropped, ...(dropped || [])];
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_CLIP_SECONDS,
+  metadataValue,
+  groupByKeys,
+  assetPriority,
+  fitToTarget,
+  registerStrategy,
+  getStrategy,
+  listStrategies,
+  assembleTimeline,
+};
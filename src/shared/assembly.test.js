@@ -0,0 +1,137 @@
+const { fitToTarget, assembleTimeline } = require('./assembly');
+
+// Level envelope of 0.1 s windows: silent (-90 dB) or loud (-10 dB) per window
+const levels = (pattern) => ({
+  windowSeconds: 0.1,
+  duration: pattern.length / 10,
+  envelope: [...pattern].map(window => (window === '-' ? -90 : -10))
+});
+
+const asset = (id, seconds, uploadTime) => ({ id, fileName: `${id}.mov`, uploadTime, metadata: { duration: seconds } });
+
+describe('assembleTimeline transitions', () => {
+  const assets = [asset('a', 10, '2024-01-01T00:00:00Z'), asset('b', 10, '2024-01-01T00:01:00Z')];
+
+  it('sizes dissolves from the clips on both sides of the cut', async () => {
+    const { tracks } = await assembleTimeline([asset('short', 1, '2024-01-01T00:00:00Z'), ...assets], { framerate: 10, addTransitions: true });
+    const [, second, third] = tracks[0].clips;
+
+    expect(second.transitions.in).toEqual({ type: 'dissolve', duration: 2 });
+    expect(third.transitions.in).toEqual({ type: 'dissolve', duration: 10 });
+  });
+
+  it('sizes dissolves after silence trimming', async () => {
+    // Only the last second of "a" is audible, leaving 13 frames with padding
+    const { tracks } = await assembleTimeline(assets, {
+      framerate: 10,
+      addTransitions: true,
+      trimSilence: true,
+      audioLevels: { a: levels(`${'-'.repeat(90)}${'#'.repeat(10)}`) }
+    });
+    const [first, second] = tracks[0].clips;
+
+    expect(first.endTime - first.startTime).toBe(13);
+    expect(second.startTime).toBe(first.endTime);
+    expect(second.transitions.in.duration).toBe(3);
+  });
+
+  it('joins pieces of a clip split at a removed pause with a cut', async () => {
+    const { tracks } = await assembleTimeline([assets[0]], {
+      framerate: 10,
+      addTransitions: true,
+      trimSilence: { removePauses: true, padding: 0 },
+      audioLevels: { a: levels(`${'#'.repeat(30)}${'-'.repeat(40)}${'#'.repeat(30)}`) }
+    });
+
+    expect(tracks[0].clips.map(clip => [clip.inPoint, clip.outPoint])).toEqual([[0, 30], [70, 100]]);
+    expect(tracks[0].clips.map(clip => clip.transitions.in)).toEqual([null, null]);
+  });
+});
+
+describe('assembleTimeline quality', () => {
+  const take = (id, score) => ({ ...asset(id, 2, '2024-01-01T00:00:00Z'), metadata: { duration: 2, ...(score === null ? {} : { quality: { score } }) } });
+  const takes = [take('soft', 40), take('unscored', null), take('sharp', 90), take('ok', 70)];
+
+  it('ranks the takes of each group best first, unscored last', async () => {
+    const { tracks } = await assembleTimeline(takes, { framerate: 10, rankByQuality: true });
+    expect(tracks[0].clips.map(clip => clip.assetId)).toEqual(['sharp', 'ok', 'soft', 'unscored']);
+  });
+
+  it('drops scored takes below the minimum and keeps unscored ones', async () => {
+    const { tracks, dropped } = await assembleTimeline(takes, { framerate: 10, minQualityScore: 50 });
+    expect(tracks[0].clips.map(clip => clip.assetId)).toEqual(['unscored', 'sharp', 'ok']);
+    expect(dropped).toEqual([{ assetId: 'soft', reason: 'quality score 40 below 50' }]);
+  });
+
+  it('ranks within each group and keeps the groups in order', async () => {
+    const cameraTake = (id, model, score, uploadTime) => ({ ...asset(id, 2, uploadTime), metadata: { duration: 2, camera: { model }, quality: { score } } });
+    const shoot = [
+      cameraTake('a-soft', 'A', 40, '2024-01-01T00:00:00Z'),
+      cameraTake('b-ok', 'B', 60, '2024-01-01T00:00:01Z'),
+      cameraTake('a-sharp', 'A', 90, '2024-01-01T00:00:02Z'),
+      cameraTake('b-best', 'B', 95, '2024-01-01T00:00:03Z')
+    ];
+    const { tracks, dropped } = await assembleTimeline(shoot, { framerate: 10, groupBy: 'camera.model', rankByQuality: true, minQualityScore: 50 });
+    expect(tracks[0].clips.map(clip => clip.assetId)).toEqual(['a-sharp', 'b-best', 'b-ok']);
+    expect(dropped).toEqual([{ assetId: 'a-soft', reason: 'quality score 40 below 50' }]);
+  });
+});
+
+describe('fitToTarget', () => {
+  const clip = (id, frames, priority) => ({ id, metadata: { duration: frames, ...(priority === undefined ? {} : { priority }) } });
+  const fitGroups = (groups, options) => fitToTarget(groups, {
+    minClip: 10,
+    desiredLength: (entry) => entry.metadata.duration,
+    availableLength: (entry) => entry.metadata.duration,
+    ...options
+  });
+  const lengths = ({ entries }) => entries.map(entry => [entry.asset.id, entry.length]);
+
+  it('shortens clips in proportion to what each can give', () => {
+    const result = fitGroups([{ key: 'all', assets: [clip('a', 110), clip('b', 30)] }], { target: 100 });
+    expect(lengths(result)).toEqual([['a', 76], ['b', 24]]);
+    expect(result.dropped).toEqual([]);
+  });
+
+  it('extends clips up to their media to reach the target', () => {
+    const result = fitGroups([{ key: 'all', assets: [clip('a', 60), clip('b', 60)] }], { target: 100, desiredLength: () => 20 });
+    expect(lengths(result)).toEqual([['a', 50], ['b', 50]]);
+  });
+
+  it('drops media shorter than the minimum clip length', () => {
+    const result = fitGroups([{ key: 'all', assets: [clip('a', 5), clip('b', 50)] }], { target: 50 });
+    expect(lengths(result)).toEqual([['b', 50]]);
+    expect(result.dropped[0]).toMatchObject({ assetId: 'a', reason: 'shorter than the minimum clip length (5 < 10 frames)' });
+  });
+
+  it('keeps the highest-priority clips of a group within its quota', () => {
+    const result = fitGroups([
+      { key: 'interviews', assets: [clip('i1', 50, 1), clip('i2', 50, 3), clip('i3', 50, 2)] },
+      { key: 'broll', assets: [clip('b1', 50)] }
+    ], { target: 150, groupQuota: { interviews: 2, '*': 5 } });
+
+    expect(result.entries.map(entry => entry.asset.id)).toEqual(['i2', 'i3', 'b1']);
+    expect(result.dropped).toEqual([{ assetId: 'i1', reason: 'over the quota of 2 clips for group "interviews"' }]);
+  });
+
+  it('drops the lowest-priority clips when the minimum lengths do not fit', () => {
+    const result = fitGroups([{ key: 'all', assets: [clip('a', 50, 2), clip('b', 50, 1), clip('c', 50, 3)] }], { target: 25 });
+    expect(result.entries.map(entry => entry.asset.id)).toEqual(['a', 'c']);
+    expect(result.dropped).toEqual([
+      { assetId: 'b', reason: 'lowest priority clip that did not fit the target duration' }
+    ]);
+    expect(result.entries.reduce((sum, entry) => sum + entry.length, 0)).toBe(25);
+  });
+});
+
+describe('assembleTimeline target duration', () => {
+  it('lands exactly on the target and reports what was left out', async () => {
+    const assets = [asset('a', 10, '2024-01-01T00:00:00Z'), asset('b', 10, '2024-01-01T00:01:00Z'), asset('c', 0.5, '2024-01-01T00:02:00Z')];
+    const result = await assembleTimeline(assets, { framerate: 10, targetDuration: '00:00:12:00' });
+
+    expect(result.duration).toBe(120);
+    expect(result.shortBy).toBe(0);
+    expect(result.tracks[0].clips.map(clip => clip.endTime - clip.startTime)).toEqual([60, 60]);
+    expect(result.dropped.map(entry => entry.assetId)).toEqual(['c']);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * TimelineAssembler - Asset matching
+ *
+ * Resolves media referenced by imported EDLs and interchange files to the
+ * assets already uploaded to a project.
+ */
+
+const { toFrames, convertFrames } = require('./timecode');
+
+const normalize = (value) => String(value).toUpperCase().replace(/\.[A-Z0-9]{2,4}$/, '').replace(/[^A-Z0-9]/g, '');
+
+function baseName(filePath) {
+  const name = String(filePath).split(/[\\/]/).pop();
+  try {
+    return decodeURIComponent(name);
+  } catch (error) {
+    return name;
+  }
+}
+
+/**
+ * Build a lookup that finds the asset an imported event refers to
+ *
+ * Matches on asset ID, source file name, clip name, tape/reel metadata and the
+ * 8-character reel names NLEs derive from file names.
+ *
+ * @param {Array<Object>} assets - Asset records
+ * @returns {Function} - ({ assetId, sourceFile, clipName, reel }) => asset or undefined
+ */
+function buildAssetMatcher(assets) {
+  const byId = new Map(assets.map(asset => [asset.id, asset]));
+  const index = new Map();
+  const addKey = (key, asset) => {
+    if (key && !index.has(normalize(key))) {
+      index.set(normalize(key), asset);
+    }
+  };
+
+  for (const asset of assets) {
+    const metadata = asset.metadata || {};
+    addKey(asset.fileName, asset);
+    addKey(metadata.name, asset);
+    addKey(metadata.reel, asset);
+    addKey(metadata.tapeName, asset);
+    addKey(asset.id, asset);
+  }
+
+  // Truncated reel names are only used when nothing more specific matches
+  for (const asset of assets) {
+    if (asset.fileName) {
+      addKey(normalize(asset.fileName).slice(0, 8), asset);
+    }
+  }
+
+  return ({ assetId, sourceFile, clipName, reel }) => {
+    if (assetId && byId.has(assetId)) {
+      return byId.get(assetId);
+    }
+    const candidates = [
+      sourceFile && baseName(sourceFile),
+      clipName,
+      reel
+    ];
+    for (const candidate of candidates) {
+      if (candidate && index.has(normalize(candidate))) {
+        return index.get(normalize(candidate));
+      }
+    }
+    return undefined;
+  };
+}
+
+/**
+ * Get the embedded start timecode of an asset's media as a frame count
+ *
+ * Source in/out points on clips are relative to the start of the media; add
+ * this offset to express them as the camera's source timecode. The timecode
+ * counts frames at the media's own rate (drop-frame when written with `;`),
+ * so it is read at that rate and rescaled to the timeline rate.
+ *
+ * @param {Object} asset - Asset record
+ * @param {number|string|Object} framerate - Timeline frame rate
+ * @returns {number} - Start frame at the timeline rate (0 when the media has no timecode)
+ */
+function sourceStartFrames(asset, framerate) {
+  const metadata = (asset && asset.metadata) || {};
+  if (!metadata.startTimecode) {
+    return 0;
+  }
+  const video = metadata.video || {};
+  const assetRate = video.frameRateRational || video.frameRate || framerate;
+  return convertFrames(toFrames(metadata.startTimecode, assetRate), assetRate, framerate);
+}
+
+module.exports = {
+  buildAssetMatcher,
+  sourceStartFrames,
+};
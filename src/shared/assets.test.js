@@ -0,0 +1,37 @@
+const { buildAssetMatcher, sourceStartFrames } = require('./assets');
+
+describe('sourceStartFrames', () => {
+  it('reads the start timecode at the timeline rate when the media matches it', () => {
+    const asset = { id: 'a', metadata: { startTimecode: '01:00:00:00', video: { frameRate: 24 } } };
+    expect(sourceStartFrames(asset, 24)).toBe(86400);
+  });
+
+  it('reads the start timecode at the media rate and rescales it', () => {
+    const asset = { id: 'a', metadata: { startTimecode: '01:00:00:12', video: { frameRate: 25, frameRateRational: '25/1' } } };
+    // 3600.48 seconds of 25 fps timecode is 86325.2 frames at 23.976
+    expect(sourceStartFrames(asset, '24000/1001')).toBe(86325);
+  });
+
+  it('reads drop-frame media timecode', () => {
+    const asset = { id: 'a', metadata: { startTimecode: '00:10:00;00', video: { frameRateRational: '30000/1001' } } };
+    expect(sourceStartFrames(asset, '30000/1001')).toBe(17982);
+  });
+
+  it('is 0 without a start timecode', () => {
+    expect(sourceStartFrames({ id: 'a', metadata: {} }, 24)).toBe(0);
+  });
+});
+
+describe('buildAssetMatcher', () => {
+  it('matches by source file, clip name and truncated reel', () => {
+    const assets = [
+      { id: 'a', fileName: 'A001C003_220101.mov', metadata: {} },
+      { id: 'b', fileName: 'interview.mov', metadata: { reel: 'TAPE7' } }
+    ];
+    const findAsset = buildAssetMatcher(assets);
+    expect(findAsset({ sourceFile: '/media/A001C003_220101.mov' }).id).toBe('a');
+    expect(findAsset({ reel: 'A001C003' }).id).toBe('a');
+    expect(findAsset({ reel: 'TAPE7' }).id).toBe('b');
+    expect(findAsset({ reel: 'NOPE' })).toBeUndefined();
+  });
+});
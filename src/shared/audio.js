@@ -0,0 +1,252 @@
+/**
+ * TimelineAssembler - Audio levels and silence trimming
+ *
+ * Ingest measures an upload's loudness as an envelope of RMS levels in dBFS,
+ * one value per short window. Silence is any stretch below a threshold for
+ * long enough; trimming uses it to tighten clip in/out points to the audible
+ * part of the media, or to cut internal pauses out of a clip altogether.
+ */
+
+const { parseFrameRate } = require('./timecode');
+
+// Length of each envelope window, in seconds
+const LEVEL_WINDOW_SECONDS = 0.1;
+
+// Level reported for digital silence, in dBFS
+const FLOOR_DB = -100;
+
+// Trim options used when none are given
+const SILENCE_DEFAULTS = {
+  threshold: -50,
+  minSilenceSeconds: 0.5,
+  padding: 0.25,
+  removePauses: false
+};
+
+const toDb = (value) => (value > 0 ? Math.max(FLOOR_DB, 20 * Math.log10(value)) : FLOOR_DB);
+
+/**
+ * Create a level meter that measures PCM as it is decoded
+ *
+ * Samples can be pushed in pieces of any length; the meter keeps only the
+ * running peak and sums, so a long recording never has to be held in memory.
+ *
+ * @param {number} sampleRate - Samples per second
+ * @param {Object} options - Measuring options
+ * @param {number} options.windowSeconds - Envelope window length (default LEVEL_WINDOW_SECONDS)
+ * @returns {Object} - { push(samples), finish() => levels as returned by measureAudioLevels }
+ */
+function createLevelMeter(sampleRate, { windowSeconds = LEVEL_WINDOW_SECONDS } = {}) {
+  const windowSize = Math.max(1, Math.round(windowSeconds * sampleRate));
+  const envelope = [];
+  let peak = 0;
+  let total = 0;
+  let count = 0;
+  let windowSum = 0;
+  let windowCount = 0;
+
+  const closeWindow = () => {
+    total += windowSum;
+    envelope.push(Math.round(toDb(Math.sqrt(windowSum / windowCount))));
+    windowSum = 0;
+    windowCount = 0;
+  };
+
+  return {
+    push(samples) {
+      for (let i = 0; i < samples.length; i++) {
+        const value = samples[i];
+        windowSum += value * value;
+        peak = Math.max(peak, Math.abs(value));
+        windowCount++;
+        if (windowCount === windowSize) {
+          closeWindow();
+        }
+      }
+      count += samples.length;
+    },
+
+    finish() {
+      if (windowCount > 0) {
+        closeWindow();
+      }
+      return {
+        peak: Math.round(toDb(peak) * 10) / 10,
+        rms: Math.round(toDb(count > 0 ? Math.sqrt(total / count) : 0) * 10) / 10,
+        duration: count / sampleRate,
+        windowSeconds: windowSize / sampleRate,
+        envelope
+      };
+    }
+  };
+}
+
+/**
+ * Measure peak, RMS and a level envelope from mono PCM samples
+ *
+ * @param {Float32Array|Array<number>} samples - Samples in [-1, 1]
+ * @param {number} sampleRate - Samples per second
+ * @param {Object} options - Measuring options
+ * @param {number} options.windowSeconds - Envelope window length (default LEVEL_WINDOW_SECONDS)
+ * @returns {Object} - { peak, rms (dBFS), duration (seconds), windowSeconds, envelope: [dBFS per window] }
+ */
+function measureAudioLevels(samples, sampleRate, options = {}) {
+  const meter = createLevelMeter(sampleRate, options);
+  meter.push(samples);
+  return meter.finish();
+}
+
+/**
+ * Find the silent stretches of a level envelope
+ *
+ * @param {Object} levels - Result of measureAudioLevels
+ * @param {Object} options - Silence options
+ * @param {number} options.threshold - Level in dBFS below which audio counts as silent (default -50)
+ * @param {number} options.minSilenceSeconds - Shortest stretch reported (default 0.5)
+ * @returns {Array<Object>} - [{ start, end }] in seconds
+ */
+function findSilences(levels, { threshold = SILENCE_DEFAULTS.threshold, minSilenceSeconds = SILENCE_DEFAULTS.minSilenceSeconds } = {}) {
+  const silences = [];
+  const window = levels.windowSeconds;
+  let runStart = null;
+
+  const envelope = levels.envelope || [];
+  for (let i = 0; i <= envelope.length; i++) {
+    const silent = i < envelope.length && envelope[i] < threshold;
+    if (silent && runStart === null) {
+      runStart = i;
+    } else if (!silent && runStart !== null) {
+      const start = runStart * window;
+      const end = Math.min(i * window, levels.duration || Infinity);
+      if (end - start >= minSilenceSeconds - 1e-9) {
+        silences.push({ start: Math.round(start * 1000) / 1000, end: Math.round(end * 1000) / 1000 });
+      }
+      runStart = null;
+    }
+  }
+  return silences;
+}
+
+/**
+ * Work out the audible source ranges of a clip
+ *
+ * Silences are shrunk to whole frames so no sound is cut, the sound between
+ * them gets `padding` on each side, and ranges that then touch are merged.
+ * Without `removePauses` the result is a single range from the first sound
+ * to the last.
+ *
+ * @param {Object} levels - Result of measureAudioLevels for the clip's media
+ * @param {number} inPoint - Source in (frames)
+ * @param {number} outPoint - Source out (frames, exclusive)
+ * @param {number|string|Object} framerate - Timeline frame rate
+ * @param {Object} options - Trim options (threshold, minSilenceSeconds, padding seconds, removePauses)
+ * @returns {Array<Object>} - [{ inPoint, outPoint }], empty when the clip is all silence
+ */
+function audibleRanges(levels, inPoint, outPoint, framerate, options = {}) {
+  const { threshold, minSilenceSeconds, padding, removePauses } = { ...SILENCE_DEFAULTS, ...options };
+  const { num, den } = parseFrameRate(framerate);
+  const toFrame = (seconds) => seconds * num / den;
+  const pad = Math.round(toFrame(padding));
+
+  const ranges = [];
+  let position = inPoint;
+  for (const silence of findSilences(levels, { threshold, minSilenceSeconds })) {
+    const start = Math.max(inPoint, Math.ceil(toFrame(silence.start) - 1e-6));
+    const end = Math.min(outPoint, Math.floor(toFrame(silence.end) + 1e-6));
+    if (end <= start || end <= position) {
+      continue;
+    }
+    if (start > position) {
+      ranges.push({ inPoint: position, outPoint: start });
+    }
+    position = end;
+  }
+  if (position < outPoint) {
+    ranges.push({ inPoint: position, outPoint: outPoint });
+  }
+
+  const padded = [];
+  for (const range of ranges) {
+    const next = { inPoint: Math.max(inPoint, range.inPoint - pad), outPoint: Math.min(outPoint, range.outPoint + pad) };
+    const last = padded[padded.length - 1];
+    if (last && next.inPoint <= last.outPoint) {
+      last.outPoint = Math.max(last.outPoint, next.outPoint);
+    } else {
+      padded.push(next);
+    }
+  }
+
+  if (!removePauses && padded.length > 1) {
+    return [{ inPoint: padded[0].inPoint, outPoint: padded[padded.length - 1].outPoint }];
+  }
+  return padded;
+}
+
+/**
+ * Trim the clips of one track to their audible media, rippling the track
+ *
+ * A trimmed clip starts where it did; pieces left by removed pauses follow
+ * each other directly and later clips move up by the frames removed. Clips
+ * that are entirely silent are removed. Clips without levels, and
+ * speed-changed clips, are left as they are but still ripple.
+ *
+ * @param {Array<Object>} clips - Clips of a track
+ * @param {Function} levelsFor - (clip) => levels for its media, or null
+ * @param {number|string|Object} framerate - Timeline frame rate
+ * @param {Object} options - Trim options (threshold, minSilenceSeconds, padding, removePauses)
+ * @param {Function} options.filter - (clip) => whether to trim it (default: all)
+ * @returns {Object} - { clips, removedFrames, trimmed: [clipId], removed: [clipId] }
+ */
+function trimClipsToSound(clips, levelsFor, framerate, { filter = () => true, ...options } = {}) {
+  const result = [];
+  const trimmed = [];
+  const removed = [];
+  let shift = 0;
+
+  for (const clip of [...clips].sort((a, b) => a.startTime - b.startTime)) {
+    const levels = filter(clip) && (!clip.speed || clip.speed === 1) ? levelsFor(clip) : null;
+    const ranges = levels ? audibleRanges(levels, clip.inPoint, clip.outPoint, framerate, options) : null;
+    const unchanged = !ranges || (ranges.length === 1 && ranges[0].inPoint === clip.inPoint && ranges[0].outPoint === clip.outPoint);
+
+    if (unchanged) {
+      result.push(shift === 0 ? clip : { ...clip, startTime: clip.startTime - shift, endTime: clip.endTime - shift });
+      continue;
+    }
+
+    const transitions = clip.transitions || { in: null, out: null };
+    let position = clip.startTime - shift;
+    ranges.forEach((range, index) => {
+      const length = range.outPoint - range.inPoint;
+      const limit = (transition) => (transition ? { ...transition, duration: Math.min(transition.duration, Math.floor(length / 4)) } : null);
+      result.push({
+        ...clip,
+        id: index === 0 ? clip.id : `${clip.id}-${index + 1}`,
+        startTime: position,
+        endTime: position + length,
+        inPoint: range.inPoint,
+        outPoint: range.outPoint,
+        transitions: {
+          in: index === 0 ? limit(transitions.in) : null,
+          out: index === ranges.length - 1 ? limit(transitions.out) : null
+        }
+      });
+      position += length;
+    });
+
+    const kept = ranges.reduce((sum, range) => sum + range.outPoint - range.inPoint, 0);
+    shift += (clip.endTime - clip.startTime) - kept;
+    (ranges.length === 0 ? removed : trimmed).push(clip.id);
+  }
+
+  return { clips: result, removedFrames: shift, trimmed, removed };
+}
+
+module.exports = {
+  LEVEL_WINDOW_SECONDS,
+  SILENCE_DEFAULTS,
+  createLevelMeter,
+  measureAudioLevels,
+  findSilences,
+  audibleRanges,
+  trimClipsToSound,
+};
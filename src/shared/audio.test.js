@@ -0,0 +1,43 @@
+const { createLevelMeter, measureAudioLevels, findSilences } = require('./audio');
+
+// One second of tone, half a second of silence, one second of tone
+function toneWithGap(sampleRate) {
+  const samples = new Float32Array(sampleRate * 2.5);
+  for (let i = 0; i < samples.length; i++) {
+    const silent = i >= sampleRate && i < sampleRate * 1.5;
+    samples[i] = silent ? 0 : 0.5 * Math.sin(i / 3);
+  }
+  return samples;
+}
+
+describe('measureAudioLevels', () => {
+  it('reports peak, RMS and one envelope value per window', () => {
+    const levels = measureAudioLevels(toneWithGap(1000), 1000);
+    expect(levels.duration).toBe(2.5);
+    expect(levels.envelope).toHaveLength(25);
+    expect(levels.peak).toBeCloseTo(-6, 0);
+    expect(levels.envelope[12]).toBe(-100);
+  });
+
+  it('finds the gap as a silence', () => {
+    const levels = measureAudioLevels(toneWithGap(1000), 1000);
+    expect(findSilences(levels)).toEqual([{ start: 1, end: 1.5 }]);
+  });
+});
+
+describe('createLevelMeter', () => {
+  it('measures samples pushed in uneven pieces exactly as a whole buffer', () => {
+    const samples = toneWithGap(1000);
+    const meter = createLevelMeter(1000);
+    for (let start = 0, size = 7; start < samples.length; start += size, size = size * 3 % 257 + 1) {
+      meter.push(samples.subarray(start, start + size));
+    }
+    expect(meter.finish()).toEqual(measureAudioLevels(samples, 1000));
+  });
+
+  it('closes a trailing partial window', () => {
+    const meter = createLevelMeter(1000);
+    meter.push(new Float32Array(150).fill(0.25));
+    expect(meter.finish().envelope).toHaveLength(2);
+  });
+});
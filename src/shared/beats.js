@@ -0,0 +1,385 @@
+/**
+ * TimelineAssembler - Beat detection and beat-synced cutting
+ *
+ * Beats are detected from mono PCM (decoded by ffmpeg in the Cloud
+ * Functions): an onset envelope from frame energy, tempo from its
+ * autocorrelation, then a beat grid locked to the strongest onsets. The grid
+ * is stored on the music asset as `metadata.beats` and drives cutting the
+ * assembled video on beat boundaries.
+ */
+
+const { secondsToFrames } = require('./timecode');
+const { DEFAULT_CLIP_SECONDS, assembleTimeline } = require('./assembly');
+const { findShot } = require('./shots');
+const { newId } = require('./ids');
+
+const WINDOW_SIZE = 1024;
+const HOP_SIZE = 512;
+// Tempo prior centred on 120 BPM to avoid half/double-time picks
+const PREFERRED_BPM = 120;
+
+// Log energy of one analysis frame; `previous` is the sample before it
+function frameEnergy(samples, start, previous) {
+  let sum = 0;
+  for (let i = start; i < start + WINDOW_SIZE; i++) {
+    // Pre-emphasis favours the transients of percussion over sustained bass
+    const value = samples[i] - 0.97 * previous;
+    previous = samples[i];
+    sum += value * value;
+  }
+  return Math.log(1e-10 + sum / WINDOW_SIZE);
+}
+
+function onsetEnvelope(energy) {
+  const frameCount = energy.length;
+  const flux = new Float64Array(frameCount);
+  for (let frame = 1; frame < frameCount; frame++) {
+    flux[frame] = Math.max(0, energy[frame] - energy[frame - 1]);
+  }
+
+  // Subtract a moving average so only onsets above the local level remain
+  const radius = 8;
+  const envelope = new Float64Array(frameCount);
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    let count = 0;
+    for (let i = Math.max(0, frame - radius); i <= Math.min(frameCount - 1, frame + radius); i++) {
+      sum += flux[i];
+      count++;
+    }
+    envelope[frame] = Math.max(0, flux[frame] - sum / count);
+  }
+  return envelope;
+}
+
+function estimatePeriod(envelope, envelopeRate, minBpm, maxBpm) {
+  const minLag = Math.floor(60 * envelopeRate / maxBpm);
+  const maxLag = Math.ceil(60 * envelopeRate / minBpm);
+  // Onsets fall between analysis frames, so a beat period that is not a whole
+  // number of frames alternates between two lags; widening each onset over
+  // its neighbours keeps it from losing to the (whole-frame) double period
+  const smoothed = envelope.map((value, i) => value + 0.5 * ((envelope[i - 1] || 0) + (envelope[i + 1] || 0)));
+  const scores = [];
+  let bestLag = minLag;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = lag; i < smoothed.length; i++) {
+      sum += smoothed[i] * smoothed[i - lag];
+    }
+    const bpm = 60 * envelopeRate / lag;
+    const weight = Math.exp(-0.5 * Math.pow(Math.log2(bpm / PREFERRED_BPM), 2));
+    scores[lag] = sum * weight;
+    if (scores[lag] > scores[bestLag]) {
+      bestLag = lag;
+    }
+  }
+  // Parabolic interpolation for a sub-frame period
+  const left = scores[bestLag - 1];
+  const right = scores[bestLag + 1];
+  if (left !== undefined && right !== undefined) {
+    const denominator = left - 2 * scores[bestLag] + right;
+    if (denominator !== 0) {
+      return bestLag + 0.5 * (left - right) / denominator;
+    }
+  }
+  return bestLag;
+}
+
+/**
+ * Create a beat detector that reads PCM as it is decoded
+ *
+ * Samples can be pushed in pieces of any length; only one value per analysis
+ * frame is kept, so a long track never has to be held in memory.
+ *
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - Detection options, as for detectBeats
+ * @returns {Object} - { push(samples), finish() => beat grid as returned by detectBeats }
+ */
+function createBeatDetector(sampleRate, options = {}) {
+  const energy = [];
+  // Samples not yet covered by a full frame, and the one before them
+  let pending = new Float64Array(0);
+  let previous = 0;
+
+  return {
+    push(samples) {
+      const buffer = new Float64Array(pending.length + samples.length);
+      buffer.set(pending);
+      buffer.set(samples, pending.length);
+
+      let start = 0;
+      for (; start + WINDOW_SIZE <= buffer.length; start += HOP_SIZE) {
+        energy.push(frameEnergy(buffer, start, previous));
+        previous = buffer[start + HOP_SIZE - 1];
+      }
+      pending = buffer.slice(start);
+    },
+
+    finish() {
+      return beatsFromEnergy(energy, sampleRate, options);
+    }
+  };
+}
+
+/**
+ * Detect the tempo and beat positions of music
+ *
+ * @param {Float32Array|Array<number>} samples - Mono PCM samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - Detection options
+ * @param {number} options.minBpm - Slowest tempo considered (default 60)
+ * @param {number} options.maxBpm - Fastest tempo considered (default 200)
+ * @param {number} options.beatsPerBar - Beats per bar, for downbeat detection (default 4)
+ * @returns {Object} - { bpm, beats (seconds), downbeatIndex, beatsPerBar }
+ */
+function detectBeats(samples, sampleRate, options = {}) {
+  const detector = createBeatDetector(sampleRate, options);
+  detector.push(samples);
+  return detector.finish();
+}
+
+function beatsFromEnergy(energy, sampleRate, { minBpm = 60, maxBpm = 200, beatsPerBar = 4 } = {}) {
+  const envelope = onsetEnvelope(energy);
+  const envelopeRate = sampleRate / HOP_SIZE;
+  if (envelope.length < 60 * envelopeRate / minBpm * 2) {
+    return { bpm: null, beats: [], downbeatIndex: 0, beatsPerBar };
+  }
+
+  const period = estimatePeriod(envelope, envelopeRate, minBpm, maxBpm);
+  const strength = (position) => envelope[Math.round(position)] || 0;
+
+  // Phase with the most onset energy on its grid
+  let bestPhase = 0;
+  let bestScore = -1;
+  for (let phase = 0; phase < period; phase++) {
+    let score = 0;
+    for (let position = phase; position < envelope.length; position += period) {
+      score += strength(position);
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      bestPhase = phase;
+    }
+  }
+
+  // Follow the grid, snapping each beat to the nearby peak so tempo drift is tracked
+  const tolerance = Math.max(1, Math.round(period * 0.1));
+  const positions = [];
+  for (let expected = bestPhase; expected < envelope.length;) {
+    let best = Math.round(expected);
+    for (let i = Math.round(expected) - tolerance; i <= Math.round(expected) + tolerance; i++) {
+      if (i >= 0 && i < envelope.length && envelope[i] > envelope[best]) {
+        best = i;
+      }
+    }
+    positions.push(best);
+    expected = best + period;
+  }
+
+  // The downbeat is the bar position with the strongest accents
+  let downbeatIndex = 0;
+  let downbeatScore = -1;
+  for (let offset = 0; offset < Math.min(beatsPerBar, positions.length); offset++) {
+    let score = 0;
+    for (let i = offset; i < positions.length; i += beatsPerBar) {
+      score += envelope[positions[i]];
+    }
+    if (score > downbeatScore) {
+      downbeatScore = score;
+      downbeatIndex = offset;
+    }
+  }
+
+  return {
+    bpm: Math.round(6000 * envelopeRate / period) / 100,
+    beats: positions.map(position => Math.round((position * HOP_SIZE + WINDOW_SIZE / 2) / sampleRate * 1000) / 1000),
+    downbeatIndex,
+    beatsPerBar
+  };
+}
+
+/**
+ * Pick cut points from a beat grid
+ *
+ * @param {Array<number>} beatFrames - Beat positions in frames
+ * @param {Object} options - Cutting options
+ * @param {number} options.everyNthBeat - Cut every N beats, or every N bars when aligned to bars (default 1)
+ * @param {boolean} options.alignToBars - Cut only on downbeats, starting at the first one
+ * @param {number} options.beatsPerBar - Beats per bar (default 4)
+ * @param {number} options.downbeatIndex - Index of the first downbeat in the grid (default 0)
+ * @returns {Array<number>} - Cut frames
+ */
+function cutsFromBeats(beatFrames, { everyNthBeat = 1, alignToBars = false, beatsPerBar = 4, downbeatIndex = 0 } = {}) {
+  const step = Math.max(1, Math.round(everyNthBeat)) * (alignToBars ? beatsPerBar : 1);
+  const cuts = [];
+  for (let i = alignToBars ? downbeatIndex : 0; i < beatFrames.length; i += step) {
+    cuts.push(beatFrames[i]);
+  }
+  return cuts;
+}
+
+/**
+ * Re-time clips so every cut lands on a cut point
+ *
+ * Each clip keeps its in point and spans as many cut intervals as brings it
+ * closest to its original length without running past its media. Clips too
+ * short for a single interval, and clips left over when the cuts run out,
+ * are returned as unused.
+ *
+ * @param {Array<Object>} clips - Clips in order
+ * @param {Array<number>} cuts - Cut frames, ascending, starting with the first clip's start
+ * @param {Function} availableFrames - (clip) => media length in frames
+ * @returns {Object} - { clips, unused: [{ assetId, reason }] }
+ */
+function fitClipsToCuts(clips, cuts, availableFrames) {
+  const fitted = [];
+  const unused = [];
+  let index = 0;
+
+  for (const clip of clips) {
+    if (index >= cuts.length - 1) {
+      unused.push({ assetId: clip.assetId, reason: 'music ended before this clip' });
+      continue;
+    }
+    const available = availableFrames(clip) - clip.inPoint;
+    const desired = clip.endTime - clip.startTime;
+
+    let end = -1;
+    for (let j = index + 1; j < cuts.length && cuts[j] - cuts[index] <= available; j++) {
+      if (end === -1 || Math.abs(cuts[j] - cuts[index] - desired) < Math.abs(cuts[end] - cuts[index] - desired)) {
+        end = j;
+      }
+    }
+    if (end === -1) {
+      unused.push({ assetId: clip.assetId, reason: 'media shorter than one beat interval' });
+      continue;
+    }
+
+    const length = cuts[end] - cuts[index];
+    const transitions = clip.transitions || { in: null, out: null };
+    fitted.push({
+      ...clip,
+      startTime: cuts[index],
+      endTime: cuts[end],
+      outPoint: clip.inPoint + length,
+      transitions: {
+        in: transitions.in && fitted.length > 0
+          ? { ...transitions.in, duration: Math.min(transitions.in.duration, Math.floor(length / 4)) }
+          : null,
+        out: null
+      }
+    });
+    index = end;
+  }
+
+  return { clips: fitted, unused };
+}
+
+/**
+ * Build timeline markers for a beat grid
+ *
+ * @param {Array<number>} beatFrames - Beat positions in frames
+ * @param {Object} options - { downbeatIndex, beatsPerBar }
+ * @returns {Array<Object>} - Markers of type "beat" and "downbeat"
+ */
+function beatMarkers(beatFrames, { downbeatIndex = 0, beatsPerBar = 4 } = {}) {
+  return beatFrames.map((frame, index) => {
+    const isDownbeat = index >= downbeatIndex && (index - downbeatIndex) % beatsPerBar === 0;
+    return {
+      name: isDownbeat ? `Bar ${(index - downbeatIndex) / beatsPerBar + 1}` : `Beat ${index + 1}`,
+      time: frame,
+      duration: 0,
+      color: isDownbeat ? 'purple' : 'blue',
+      comment: '',
+      type: isDownbeat ? 'downbeat' : 'beat'
+    };
+  });
+}
+
+/**
+ * Swap the beat markers in a marker list, keeping all other markers
+ *
+ * @param {Array<Object>} markers - Existing timeline markers
+ * @param {Array<Object>} beatGrid - New beat markers
+ * @returns {Array<Object>} - Updated markers
+ */
+function replaceBeatMarkers(markers, beatGrid) {
+  return [...(markers || []).filter(marker => marker.type !== 'beat' && marker.type !== 'downbeat'), ...beatGrid];
+}
+
+/**
+ * Assemble video to a music bed, cutting on the beat
+ *
+ * The video assets are assembled with the chosen strategy, then re-timed to
+ * the music's beat grid; the music goes on its own audio track and the beats
+ * become timeline markers.
+ *
+ * @param {Array<Object>} assets - Timeline assets (the music asset and audio-only assets are not cut in)
+ * @param {Object} music - Music asset with `metadata.beats`
+ * @param {Object} options - assembleTimeline options plus everyNthBeat, alignToBars
+ * @returns {Promise<Object>} - { tracks, duration, markers, bpm, unused, strategy, ... }
+ */
+async function assembleToMusic(assets, music, { everyNthBeat = 1, alignToBars = false, ...assemblyOptions } = {}) {
+  const grid = music.metadata && music.metadata.beats;
+  if (!grid || !grid.beats || grid.beats.length < 2) {
+    throw new Error(`Music asset ${music.id} has no beat grid`);
+  }
+  const framerate = assemblyOptions.framerate || 24;
+
+  const videoAssets = assets.filter(asset => asset.id !== music.id && asset.metadata && asset.metadata.video);
+  const assembly = await assembleTimeline(videoAssets, { ...assemblyOptions, framerate });
+
+  const musicFrames = secondsToFrames(music.metadata.duration || 0, framerate);
+  const beatFrames = [...new Set(grid.beats.map(seconds => secondsToFrames(seconds, framerate)))]
+    .filter(frame => frame < musicFrames);
+  const cuts = [0, ...cutsFromBeats(beatFrames, {
+    everyNthBeat,
+    alignToBars,
+    beatsPerBar: grid.beatsPerBar,
+    downbeatIndex: grid.downbeatIndex
+  }).filter(frame => frame > 0)];
+
+  const assetsById = new Map(videoAssets.map(asset => [asset.id, asset]));
+  const { clips, unused } = fitClipsToCuts(assembly.tracks[0].clips, cuts, (clip) => {
+    const asset = assetsById.get(clip.assetId);
+    // Clips cut from a shot may not run on into the next shot
+    const shot = clip.shotId && findShot(asset, clip.shotId);
+    return secondsToFrames(shot ? shot.end : (asset.metadata && asset.metadata.duration) || DEFAULT_CLIP_SECONDS, framerate);
+  });
+  const duration = clips.length > 0 ? clips[clips.length - 1].endTime : 0;
+
+  const musicTrack = {
+    id: newId('track'),
+    type: 'audio',
+    name: 'Music',
+    clips: [{
+      id: newId('clip'),
+      assetId: music.id,
+      startTime: 0,
+      endTime: duration,
+      inPoint: 0,
+      outPoint: duration,
+      transitions: { in: null, out: null }
+    }]
+  };
+
+  return {
+    ...assembly,
+    tracks: [{ ...assembly.tracks[0], clips }, musicTrack],
+    duration,
+    markers: beatMarkers(beatFrames.filter(frame => frame <= duration), grid),
+    bpm: grid.bpm,
+    cuts: clips.length,
+    unused
+  };
+}
+
+module.exports = {
+  createBeatDetector,
+  detectBeats,
+  cutsFromBeats,
+  fitClipsToCuts,
+  beatMarkers,
+  replaceBeatMarkers,
+  assembleToMusic,
+};
@@ -0,0 +1,107 @@
+const { detectBeats, createBeatDetector, cutsFromBeats, fitClipsToCuts, beatMarkers, replaceBeatMarkers, assembleToMusic } = require('./beats');
+
+const SAMPLE_RATE = 22050;
+
+// Decaying 1 kHz clicks on every beat
+function clickTrack({ bpm, seconds, offset = 0 }) {
+  const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  const period = 60 / bpm;
+  for (let beat = 0; offset + beat * period < seconds; beat++) {
+    const start = Math.round((offset + beat * period) * SAMPLE_RATE);
+    for (let i = 0; i < 0.03 * SAMPLE_RATE && start + i < samples.length; i++) {
+      samples[start + i] = Math.exp(-i / (0.005 * SAMPLE_RATE)) * Math.sin(2 * Math.PI * 1000 * i / SAMPLE_RATE);
+    }
+  }
+  return samples;
+}
+
+const clip = (assetId, startTime, endTime, inPoint = 0) => ({
+  id: `clip-${assetId}`,
+  assetId,
+  startTime,
+  endTime,
+  inPoint,
+  outPoint: inPoint + endTime - startTime,
+  transitions: { in: null, out: null }
+});
+
+describe('detectBeats', () => {
+  it.each([90, 100, 120])('finds the tempo and beats of a click track at %i BPM', (bpm) => {
+    const period = 60 / bpm;
+    const grid = detectBeats(clickTrack({ bpm, seconds: 10, offset: 0.25 }), SAMPLE_RATE);
+
+    expect(Math.abs(grid.bpm - bpm)).toBeLessThan(1);
+    expect(grid.beats).toHaveLength(Math.floor((10 - 0.25) / period) + 1);
+    grid.beats.forEach((time, index) => {
+      expect(Math.abs(time - (0.25 + index * period))).toBeLessThan(0.03);
+    });
+  });
+
+  it('gives the same grid when samples arrive in pieces', () => {
+    const samples = clickTrack({ bpm: 100, seconds: 8 });
+    const detector = createBeatDetector(SAMPLE_RATE);
+    for (let start = 0; start < samples.length; start += 3000) {
+      detector.push(samples.subarray(start, start + 3000));
+    }
+    expect(detector.finish()).toEqual(detectBeats(samples, SAMPLE_RATE));
+  });
+
+  it('returns no beats for music too short to measure a tempo', () => {
+    expect(detectBeats(new Float32Array(SAMPLE_RATE), SAMPLE_RATE)).toEqual({ bpm: null, beats: [], downbeatIndex: 0, beatsPerBar: 4 });
+  });
+});
+
+describe('cutting on the beat', () => {
+  const beats = [0, 12, 24, 36, 48, 60, 72, 84, 96];
+
+  it('picks every nth beat or every bar from the downbeat', () => {
+    expect(cutsFromBeats(beats, { everyNthBeat: 2 })).toEqual([0, 24, 48, 72, 96]);
+    expect(cutsFromBeats(beats, { alignToBars: true, downbeatIndex: 1 })).toEqual([12, 60]);
+  });
+
+  it('re-times clips to the cut nearest their length and reports what does not fit', () => {
+    const { clips, unused } = fitClipsToCuts(
+      [clip('a', 0, 30), clip('b', 30, 40), clip('short', 40, 45), clip('c', 45, 100), clip('d', 100, 130)],
+      beats,
+      (item) => (item.assetId === 'short' ? 5 : 1000)
+    );
+
+    expect(clips.map(item => [item.assetId, item.startTime, item.endTime, item.outPoint])).toEqual([
+      ['a', 0, 24, 24],
+      ['b', 24, 36, 12],
+      ['c', 36, 96, 60]
+    ]);
+    expect(unused).toEqual([
+      { assetId: 'short', reason: 'media shorter than one beat interval' },
+      { assetId: 'd', reason: 'music ended before this clip' }
+    ]);
+  });
+
+  it('marks bars and beats and replaces only the old beat markers', () => {
+    const markers = beatMarkers([0, 12, 24, 36, 48], { downbeatIndex: 1, beatsPerBar: 2 });
+    expect(markers.map(marker => [marker.name, marker.type])).toEqual([
+      ['Beat 1', 'beat'], ['Bar 1', 'downbeat'], ['Beat 3', 'beat'], ['Bar 2', 'downbeat'], ['Beat 5', 'beat']
+    ]);
+
+    const note = { name: 'Note', time: 5, type: 'comment' };
+    expect(replaceBeatMarkers([note, ...markers], markers.slice(0, 1))).toEqual([note, markers[0]]);
+  });
+
+  it('assembles video to the music with the music on its own track', async () => {
+    const video = (id, seconds, uploadTime) => ({ id, fileName: `${id}.mov`, uploadTime, metadata: { duration: seconds, video: {} } });
+    const music = { id: 'music', fileName: 'song.wav', metadata: { duration: 10, beats: { bpm: 120, beats: [0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4], downbeatIndex: 0, beatsPerBar: 4 } } };
+
+    const result = await assembleToMusic(
+      [video('a', 1.2, '2024-01-01T00:00:00Z'), video('b', 2.2, '2024-01-01T00:01:00Z'), music],
+      music,
+      { framerate: 10 }
+    );
+
+    expect(result.tracks[0].clips.map(item => [item.assetId, item.startTime, item.endTime])).toEqual([['a', 0, 10], ['b', 10, 30]]);
+    expect(result.tracks[1]).toMatchObject({ type: 'audio', name: 'Music' });
+    expect(result.tracks[1].clips[0]).toMatchObject({ assetId: 'music', startTime: 0, endTime: 30 });
+    expect(result.tracks[1].id).not.toBe(result.tracks[0].id);
+    expect(result.duration).toBe(30);
+    expect(result.markers.filter(marker => marker.type === 'downbeat').map(marker => marker.time)).toEqual([0, 20]);
+  });
+});
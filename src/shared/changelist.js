@@ -0,0 +1,266 @@
+/**
+ * TimelineAssembler - Change lists between timeline versions
+ *
+ * When picture changes after turnover, sound and conform need to know what
+ * moved rather than receive a new full EDL. A change list compares two
+ * versions (see versions.js), describes each changed event as an insert,
+ * delete, trim, move or effect change, and writes a readable report plus a
+ * CMX3600 EDL holding just the changed events of the newer version.
+ */
+
+const { framesToTimecode, toFrames } = require('./timecode');
+const { sourceStartFrames } = require('./assets');
+const { labelTracks, resolveReelNames, generateCMX3600 } = require('./cmx3600');
+const { diffTimelines, summarizeDiff } = require('./versions');
+
+// Order kinds are listed in when one event has several
+const CHANGE_KINDS = ['insert', 'delete', 'move', 'trim', 'effect'];
+
+// Track labels as the EDL writes them (V1, V2, A1...), keyed by track ID
+function trackLabels(timeline) {
+  const { video, audio, other } = labelTracks(timeline.tracks);
+  const labels = {};
+  for (const { track, label } of [...video, ...audio]) {
+    labels[track.id] = label;
+  }
+  for (const { track } of other) {
+    labels[track.id] = track.name || track.type;
+  }
+  return labels;
+}
+
+/**
+ * Work out the changed events between two versions of a timeline
+ *
+ * Events are frames; record positions of deletes are in the earlier
+ * version, all others in the later one.
+ *
+ * @param {Object} from - Earlier timeline or version
+ * @param {Object} to - Later timeline or version
+ * @param {Object} diff - Result of diffTimelines(from, to) (computed when omitted)
+ * @returns {Array<Object>} - [{ number, kinds, clipId, previousClipId?, assetId, track, before, after, recordShift, headTrim, tailTrim, lengthChange }] in record order
+ */
+function changedEvents(from, to, diff = diffTimelines(from, to)) {
+  const fromLabels = trackLabels(from);
+  const toLabels = trackLabels(to);
+  const byClip = new Map();
+
+  const entry = (clipId, create) => {
+    if (!byClip.has(clipId)) {
+      byClip.set(clipId, { kinds: [], ...create() });
+    }
+    return byClip.get(clipId);
+  };
+  const place = (placement, labels) => ({ ...placement, track: labels[placement.trackId] || placement.trackId });
+
+  for (const clip of diff.clips.added) {
+    entry(clip.clipId, () => ({ clipId: clip.clipId, assetId: clip.assetId, before: null, after: place(clip, toLabels) })).kinds.push('insert');
+  }
+  for (const clip of diff.clips.removed) {
+    entry(`removed:${clip.clipId}`, () => ({ clipId: clip.clipId, assetId: clip.assetId, before: place(clip, fromLabels), after: null })).kinds.push('delete');
+  }
+  const lists = { move: diff.clips.moved, trim: diff.clips.trimmed, effect: diff.clips.changed };
+  for (const [kind, clips] of Object.entries(lists)) {
+    for (const clip of clips) {
+      const event = entry(clip.clipId, () => ({
+        clipId: clip.clipId,
+        ...(clip.previousClipId ? { previousClipId: clip.previousClipId } : {}),
+        assetId: clip.assetId,
+        before: place(clip.from, fromLabels),
+        after: place(clip.to, toLabels)
+      }));
+      event.kinds.push(kind);
+      if (kind === 'effect') {
+        event.transitions = clip.transitions;
+        event.speed = clip.speed;
+      }
+    }
+  }
+
+  const events = [...byClip.values()].map(event => {
+    event.kinds.sort((a, b) => CHANGE_KINDS.indexOf(a) - CHANGE_KINDS.indexOf(b));
+    if (event.before && event.after) {
+      event.recordShift = event.after.startTime - event.before.startTime;
+      event.headTrim = event.after.inPoint - event.before.inPoint;
+      event.tailTrim = event.after.outPoint - event.before.outPoint;
+      event.lengthChange = (event.after.endTime - event.after.startTime) - (event.before.endTime - event.before.startTime);
+    } else {
+      const placement = event.after || event.before;
+      event.lengthChange = (placement.endTime - placement.startTime) * (event.after ? 1 : -1);
+    }
+    return event;
+  });
+
+  const position = (event) => (event.after || event.before).startTime;
+  events.sort((a, b) => position(a) - position(b) || (a.after ? 1 : 0) - (b.after ? 1 : 0));
+  events.forEach((event, index) => {
+    event.number = index + 1;
+  });
+  return events;
+}
+
+/**
+ * Describe one changed event in a line of text
+ *
+ * @param {Object} event - Changed event
+ * @param {Function} formatDuration - (frames) => signed duration text
+ * @returns {string}
+ */
+function describeChange(event, formatDuration) {
+  const parts = [];
+  if (event.kinds.includes('insert')) {
+    parts.push(`inserted, ${formatDuration(event.lengthChange)}`);
+  }
+  if (event.kinds.includes('delete')) {
+    parts.push(`deleted, ${formatDuration(event.lengthChange)}`);
+  }
+  if (event.kinds.includes('move')) {
+    const track = event.before.track !== event.after.track ? ` from ${event.before.track} to ${event.after.track}` : '';
+    parts.push(`moved${track} ${formatDuration(event.recordShift - event.headTrim)}`);
+  }
+  if (event.kinds.includes('trim')) {
+    const edges = [];
+    if (event.headTrim !== 0) {
+      edges.push(`head ${formatDuration(event.headTrim)}`);
+    }
+    if (event.tailTrim !== 0) {
+      edges.push(`tail ${formatDuration(event.tailTrim)}`);
+    }
+    parts.push(`trimmed ${edges.join(', ')}`);
+  }
+  if (event.kinds.includes('effect')) {
+    parts.push('transition or speed changed');
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Build a change list between two versions of a timeline
+ *
+ * The report lists every changed event with its old and new record and
+ * source timecodes, then track changes. The EDL holds the changed events of
+ * the later version, each with a "* CHANGE:" comment; deleted events exist
+ * only in the earlier version and so appear in the report alone.
+ *
+ * @param {Object} from - Earlier timeline or version
+ * @param {Object} to - Later timeline or version
+ * @param {Object} options - Change list options
+ * @param {Object} options.assets - Asset records keyed by ID (from the timeline)
+ * @param {string} options.name - Timeline name
+ * @param {string} options.fromName - Label of the earlier version
+ * @param {string} options.toName - Label of the later version
+ * @param {string} options.reelPolicy - Reel naming policy (see `resolveReelNames`)
+ * @param {Object} options.reelMap - Custom reel names keyed by asset ID or file name
+ * @param {string} options.mediaRoot - Local media folder used for SOURCE FILE comments
+ * @param {string} options.transitionHandles - "fit" (default) or "error", as for generateCMX3600
+ * @returns {Object} - { events, tracks, summary, report, lists, skipped, transitionIssues }
+ */
+function buildChangeList(from, to, {
+  assets = {},
+  name = 'Timeline',
+  fromName = 'earlier version',
+  toName = 'current',
+  reelPolicy,
+  reelMap,
+  mediaRoot,
+  transitionHandles
+} = {}) {
+  const framerate = to.framerate || from.framerate || 24;
+  if (from.framerate && to.framerate && String(from.framerate) !== String(to.framerate)) {
+    throw new Error(`Cannot compare versions at different frame rates (${from.framerate} and ${to.framerate})`);
+  }
+  const tcOptions = { dropFrame: to.dropFrame };
+  const formatTC = (frames) => framesToTimecode(frames, framerate, tcOptions);
+  const recordOffset = to.startTimecode ? toFrames(to.startTimecode, framerate, tcOptions) : 0;
+  const record = (frames) => formatTC(frames + recordOffset);
+  const formatDuration = (frames) => `${frames < 0 ? '-' : '+'}${formatTC(Math.abs(frames))}`;
+
+  const diff = diffTimelines(from, to);
+  const events = changedEvents(from, to, diff);
+  const reels = resolveReelNames(assets, { reelPolicy, reelMap });
+
+  const source = (assetId, frames) => {
+    const asset = assets[assetId];
+    return formatTC((asset ? sourceStartFrames(asset, framerate) : 0) + frames);
+  };
+  const placementLine = (label, placement, assetId) =>
+    `     ${label} ${placement.track.padEnd(4)} REC ${record(placement.startTime)} ${record(placement.endTime)}  SRC ${source(assetId, placement.inPoint)} ${source(assetId, placement.outPoint)}`;
+
+  let report = `CHANGE LIST: ${name}\n`;
+  report += `FROM: ${fromName}\n`;
+  report += `TO: ${toName}\n`;
+  report += `DURATION: ${formatTC(diff.duration.from)} -> ${formatTC(diff.duration.to)} (${formatDuration(diff.duration.to - diff.duration.from)})\n\n`;
+
+  if (events.length === 0) {
+    report += 'No clip changes\n';
+  }
+  for (const event of events) {
+    const asset = assets[event.assetId];
+    const clipName = asset ? asset.fileName || asset.id : event.assetId;
+    const kinds = event.kinds.map(kind => kind.toUpperCase()).join('/');
+    report += `${event.number.toString().padStart(3, '0')}  ${kinds.padEnd(12)} ${(reels[event.assetId] || 'AX').padEnd(8)} ${clipName}\n`;
+    if (event.before) {
+      report += `${placementLine('OLD', event.before, event.assetId)}\n`;
+    }
+    if (event.after) {
+      report += `${placementLine('NEW', event.after, event.assetId)}\n`;
+    }
+    report += `     ${describeChange(event, formatDuration)}\n\n`;
+  }
+
+  const trackLines = [
+    ...diff.tracks.added.map(track => `TRACK ADDED: ${track.name || track.trackId} (${track.type})`),
+    ...diff.tracks.removed.map(track => `TRACK REMOVED: ${track.name || track.trackId} (${track.type})`),
+    ...diff.tracks.changed.map(track => {
+      const changes = [];
+      if (track.name) {
+        changes.push(`renamed "${track.name.from || ''}" to "${track.name.to || ''}"`);
+      }
+      if (track.position) {
+        changes.push(`moved from position ${track.position.from + 1} to ${track.position.to + 1}`);
+      }
+      return `TRACK CHANGED: ${track.trackId} ${changes.join(', ')}`;
+    })
+  ];
+  if (trackLines.length > 0) {
+    report += `${trackLines.join('\n')}\n\n`;
+  }
+
+  const summary = summarizeDiff(diff);
+  report += `SUMMARY: ${summary.clipsAdded} inserted, ${summary.clipsRemoved} deleted, ${summary.clipsMoved} moved, ${summary.clipsTrimmed} trimmed, ${summary.clipsChanged} effect changes\n`;
+
+  // EDL of the changed events as they are in the later version. Edits are
+  // planned on the whole later cut so dissolves keep their neighbours and
+  // record times match the full list; only the changed events are written.
+  const changedIds = new Map(events.filter(event => event.after).map(event => [event.clipId, event]));
+  const edl = changedIds.size > 0
+    ? generateCMX3600({ ...to, name: `${name} CHANGES`, assets }, {
+        reelPolicy,
+        reelMap,
+        mediaRoot,
+        transitionHandles,
+        includeClip: clip => changedIds.has(clip.id),
+        clipComments: clip => {
+          const event = changedIds.get(clip.id);
+          return event ? [`CHANGE ${event.number.toString().padStart(3, '0')}: ${describeChange(event, formatDuration).toUpperCase()}`] : [];
+        }
+      })
+    : { lists: [], skipped: [], transitionIssues: [] };
+
+  return {
+    events,
+    tracks: diff.tracks,
+    summary,
+    report,
+    lists: edl.lists,
+    skipped: edl.skipped,
+    transitionIssues: edl.transitionIssues
+  };
+}
+
+module.exports = {
+  CHANGE_KINDS,
+  changedEvents,
+  describeChange,
+  buildChangeList,
+};
@@ -0,0 +1,106 @@
+const { changedEvents, describeChange, buildChangeList } = require('./changelist');
+const { generateCMX3600 } = require('./cmx3600');
+
+const clip = (id, assetId, startTime, endTime, inPoint, extra = {}) => ({
+  id,
+  assetId,
+  startTime,
+  endTime,
+  inPoint,
+  outPoint: inPoint + endTime - startTime,
+  transitions: { in: null, out: null },
+  ...extra
+});
+
+const assets = {
+  a: { id: 'a', fileName: 'A001.mov', metadata: { duration: 10 } },
+  b: { id: 'b', fileName: 'B001.mov', metadata: { duration: 10 } },
+  c: { id: 'c', fileName: 'C001.mov', metadata: { duration: 10 } }
+};
+
+function earlier() {
+  return {
+    name: 'Test',
+    framerate: 24,
+    duration: 144,
+    tracks: [
+      { id: 'v1', type: 'video', clips: [clip('one', 'a', 0, 48, 24), clip('two', 'b', 48, 96, 24), clip('three', 'c', 96, 144, 24)] }
+    ]
+  };
+}
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+describe('changedEvents', () => {
+  it('numbers inserts, deletes and trims in record order', () => {
+    const to = copy(earlier());
+    to.tracks[0].clips = [
+      clip('one', 'a', 0, 48, 24),
+      clip('three', 'c', 48, 84, 36),
+      clip('four', 'b', 84, 108, 0)
+    ];
+    to.duration = 108;
+
+    const events = changedEvents(earlier(), to);
+    expect(events.map(event => [event.number, event.clipId, event.kinds])).toEqual([
+      [1, 'two', ['delete']],
+      [2, 'three', ['move', 'trim']],
+      [3, 'four', ['insert']]
+    ]);
+    expect(events[1]).toMatchObject({ recordShift: -48, headTrim: 12, tailTrim: 0, lengthChange: -12 });
+    expect(events[0].before).toMatchObject({ track: 'V1', startTime: 48, endTime: 96 });
+    expect(events[2].lengthChange).toBe(24);
+  });
+
+  it('describes each kind of change', () => {
+    const formatDuration = (frames) => `${frames < 0 ? '-' : '+'}${Math.abs(frames)}`;
+    expect(describeChange({ kinds: ['insert'], lengthChange: 24 }, formatDuration)).toBe('inserted, +24');
+    expect(describeChange({ kinds: ['trim'], headTrim: 12, tailTrim: -6 }, formatDuration)).toBe('trimmed head +12, tail -6');
+    expect(describeChange({
+      kinds: ['move'],
+      before: { track: 'V1' },
+      after: { track: 'V2' },
+      recordShift: 24,
+      headTrim: 0
+    }, formatDuration)).toBe('moved from V1 to V2 +24');
+  });
+});
+
+describe('buildChangeList', () => {
+  it('reports no changes between identical versions', () => {
+    const list = buildChangeList(earlier(), earlier(), { assets });
+    expect(list.events).toEqual([]);
+    expect(list.lists).toEqual([]);
+    expect(list.report).toContain('No clip changes');
+  });
+
+  it('writes only the changed events, at their record times in the full list', () => {
+    const to = copy(earlier());
+    to.tracks[0].clips[2] = clip('three', 'c', 96, 132, 24);
+
+    const { lists, report } = buildChangeList(earlier(), to, { assets, name: 'Reel 1' });
+    expect(report).toContain('001  TRIM');
+    expect(lists).toHaveLength(1);
+    expect(lists[0].title).toBe('Reel 1 CHANGES');
+    expect(lists[0].content).toContain('001  C001     V     C        00:00:01:00 00:00:02:12 00:00:04:00 00:00:05:12');
+    expect(lists[0].content).toContain('* CHANGE 001: TRIMMED TAIL -00:00:00:12');
+    expect(lists[0].content).not.toContain('A001');
+    expect(lists[0].content).not.toContain('B001');
+  });
+
+  it('dissolves from the unchanged neighbour rather than from black', () => {
+    const to = copy(earlier());
+    to.tracks[0].clips[1] = clip('two', 'b', 48, 96, 24, { transitions: { in: { type: 'dissolve', duration: 12 }, out: null } });
+
+    const { lists, transitionIssues } = buildChangeList(earlier(), to, { assets });
+    const content = lists[0].content;
+    const full = generateCMX3600({ ...to, assets }).lists[0].content;
+
+    expect(transitionIssues).toEqual([]);
+    expect(content).not.toContain(' BL ');
+    expect(content).toContain('001  A001     V     C        00:00:02:18 00:00:02:18 00:00:01:18 00:00:01:18');
+    expect(content).toContain('001  B001     V     D    012 00:00:00:18 00:00:03:00 00:00:01:18 00:00:04:00');
+    expect(content).toContain('* FROM CLIP NAME: A001.mov');
+    expect(full).toContain('002  B001     V     D    012 00:00:00:18 00:00:03:00 00:00:01:18 00:00:04:00');
+  });
+});
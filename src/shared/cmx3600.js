@@ -0,0 +1,858 @@
+/**
+ * TimelineAssembler - CMX3600 EDL support
+ *
+ * Reading and writing of CMX3600 edit decision lists as used by Avid, Resolve
+ * and Premiere. The parser returns timecodes as strings together with the FCM
+ * mode in effect for the event, so callers can convert them at the right
+ * frame rate. The writer produces one list per video track, since a CMX3600
+ * list can only carry a single picture channel.
+ */
+
+const {
+  resolveDropFrame,
+  frameRateToNumber,
+  secondsToFrames,
+  framesToTimecode,
+  timecodeToFrames,
+  toFrames,
+} = require('./timecode');
+const { sourceStartFrames } = require('./assets');
+const { assetPathUrl } = require('./xmeml');
+const { newId } = require('./ids');
+
+const REEL_NAME_LENGTH = 8;
+
+const TIMECODE = '\\d{2}:\\d{2}:\\d{2}[:;.,]\\d{2}';
+const EVENT_LINE = new RegExp(
+  `^(\\d{1,6})\\s+(\\S+)\\s+(\\S+)\\s+(C|D|W\\d{3}|KB|KO|K)\\s+(?:(\\d{1,3})\\s+)?(${TIMECODE})\\s+(${TIMECODE})\\s+(${TIMECODE})\\s+(${TIMECODE})\\s*$`
+);
+const SPEED_LINE = new RegExp(`^M2\\s+(\\S+)\\s+(-?\\d+(?:\\.\\d+)?)\\s+(${TIMECODE})\\s*$`);
+const AUD_LINE = /^AUD\s+(\d+)(?:\s+(\d+))?\s*$/;
+
+/**
+ * Expand a CMX3600 channel field into track labels
+ *
+ * NONE events carry their audio channels on a following AUD line.
+ *
+ * @param {string} channels - Channel field (e.g. "V", "A", "A2", "AA", "B", "AA/V")
+ * @returns {Array<string>} - Track labels (e.g. ["V1", "A1"])
+ */
+function expandChannels(channels) {
+  switch (channels.toUpperCase()) {
+    case 'V':
+      return ['V1'];
+    case 'A':
+    case 'A1':
+      return ['A1'];
+    case 'A2':
+      return ['A2'];
+    case 'AA':
+      return ['A1', 'A2'];
+    case 'B':
+    case 'A/V':
+      return ['V1', 'A1'];
+    case 'AA/V':
+      return ['V1', 'A1', 'A2'];
+    default: {
+      const audio = /^A(\d+)$/i.exec(channels);
+      if (audio) {
+        return [`A${audio[1]}`];
+      }
+      return [];
+    }
+  }
+}
+
+function parseTransition(code, duration) {
+  if (code === 'C') {
+    return { type: 'cut', duration: 0 };
+  }
+  if (code === 'D') {
+    return { type: 'dissolve', duration: Number(duration) || 0 };
+  }
+  if (code.startsWith('W')) {
+    return { type: 'wipe', wipeCode: code.slice(1), duration: Number(duration) || 0 };
+  }
+  return { type: 'key', keyType: code, duration: Number(duration) || 0 };
+}
+
+/**
+ * Parse a CMX3600 EDL
+ *
+ * Each edit line becomes an entry in `edits`. Lines sharing an event number
+ * (the outgoing and incoming sides of a dissolve or wipe) keep their order.
+ * Lines the parser does not understand are reported in `warnings` rather than
+ * aborting the parse.
+ *
+ * @param {string} text - EDL file contents
+ * @returns {Object} - { title, dropFrame, edits, warnings }
+ */
+function parseCMX3600(text) {
+  const result = {
+    title: null,
+    dropFrame: false,
+    edits: [],
+    warnings: []
+  };
+
+  let dropFrame = false;
+  let current = null;
+  let previous = null;
+
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+
+    if (!line) {
+      return;
+    }
+
+    if (/^TITLE:/i.test(line)) {
+      result.title = line.replace(/^TITLE:\s*/i, '');
+      return;
+    }
+
+    if (/^FCM:/i.test(line)) {
+      dropFrame = /^FCM:\s*DROP\s+FRAME/i.test(line);
+      if (result.edits.length === 0) {
+        result.dropFrame = dropFrame;
+      }
+      return;
+    }
+
+    const event = EVENT_LINE.exec(line);
+    if (event) {
+      const [, number, reel, channels, code, duration, sourceIn, sourceOut, recordIn, recordOut] = event;
+      previous = current;
+      current = {
+        event: Number(number),
+        reel: reel,
+        channels: channels,
+        tracks: expandChannels(channels),
+        transition: parseTransition(code, duration),
+        sourceIn: sourceIn,
+        sourceOut: sourceOut,
+        recordIn: recordIn,
+        recordOut: recordOut,
+        dropFrame: dropFrame,
+        clipName: null,
+        sourceFile: null,
+        speed: null,
+        comments: [],
+        line: lineNumber
+      };
+      result.edits.push(current);
+
+      if (current.tracks.length === 0 && channels.toUpperCase() !== 'NONE') {
+        result.warnings.push({ line: lineNumber, message: `Unknown channel field "${channels}"` });
+      }
+      return;
+    }
+
+    // Audio channels beyond A2 follow the event line they belong to
+    const aud = AUD_LINE.exec(line);
+    if (aud && current) {
+      current.tracks.push(...aud.slice(1).filter(Boolean).map(channel => `A${Number(channel)}`));
+      return;
+    }
+
+    const speed = SPEED_LINE.exec(line);
+    if (speed) {
+      const [, reel, fps, timecode] = speed;
+      const target = [current, previous].find(edit => edit && edit.reel === reel);
+      if (target) {
+        target.speed = { fps: Number(fps), timecode: timecode };
+      } else {
+        result.warnings.push({ line: lineNumber, message: `M2 speed change for unknown reel ${reel}` });
+      }
+      return;
+    }
+
+    if (line.startsWith('*')) {
+      if (!current) {
+        return;
+      }
+      const comment = line.replace(/^\*\s*/, '');
+      const fromClip = /^FROM CLIP NAME:\s*(.*)$/i.exec(comment);
+      const toClip = /^TO CLIP NAME:\s*(.*)$/i.exec(comment);
+      const sourceFile = /^SOURCE FILE:\s*(.*)$/i.exec(comment);
+
+      // In a transition the FROM name belongs to the outgoing side
+      const isTransitionPair = previous && previous.event === current.event;
+      if (fromClip) {
+        (isTransitionPair ? previous : current).clipName = fromClip[1].trim();
+      } else if (toClip) {
+        current.clipName = toClip[1].trim();
+      } else if (sourceFile) {
+        current.sourceFile = sourceFile[1].trim();
+      } else {
+        current.comments.push(comment);
+      }
+      return;
+    }
+
+    result.warnings.push({ line: lineNumber, message: `Unrecognised line: ${line}` });
+  });
+
+  return result;
+}
+
+/**
+ * Turn a parsed CMX3600 EDL into timeline tracks
+ *
+ * Record times are made relative to the first event. A dissolve or wipe
+ * between two clips is written centred on the cut (see `planEdits`), so the
+ * incoming event starts half the transition before the cut and the outgoing
+ * event stops there; both are moved back to the cut. A transition to black
+ * belongs to the outgoing clip, which is extended over it.
+ *
+ * @param {Object} parsed - Result of parseCMX3600
+ * @param {Object} options - Import options
+ * @param {number|string|Object} options.framerate - Frame rate of the EDL
+ * @param {Function} options.findAsset - Matcher from buildAssetMatcher
+ * @returns {Object} - { tracks, assets, duration, startTimecode, clipCount, unmatched }
+ */
+function cmx3600ToTimeline(parsed, { framerate, findAsset }) {
+  const frames = (edit, tc) => timecodeToFrames(tc, framerate, { dropFrame: edit.dropFrame });
+  const recordStart = Math.min(...parsed.edits.map(edit => frames(edit, edit.recordIn)));
+
+  const tracksByLabel = {};
+  const assets = {};
+  const unmatched = [];
+  let clipCount = 0;
+  let outgoing = null;
+
+  // Clip on a track that ends where a transition starts
+  const endingAt = (label, time) => {
+    const track = tracksByLabel[label];
+    return track ? track.clips.find(clip => clip.endTime === time) : undefined;
+  };
+
+  for (const edit of parsed.edits) {
+    let startTime = frames(edit, edit.recordIn) - recordStart;
+    const endTime = frames(edit, edit.recordOut) - recordStart;
+    const { transition } = edit;
+    const isTransition = (transition.type === 'dissolve' || transition.type === 'wipe') && transition.duration > 0;
+    const from = outgoing && outgoing.event === edit.event ? outgoing : null;
+
+    // Zero-length lines are the outgoing side of a transition
+    if (endTime <= startTime) {
+      outgoing = edit;
+      continue;
+    }
+    outgoing = null;
+
+    if (edit.tracks.length === 0) {
+      continue;
+    }
+
+    const clipTransition = isTransition
+      ? { type: transition.type, duration: transition.duration, ...(transition.wipeCode ? { wipeCode: transition.wipeCode } : {}) }
+      : null;
+
+    if (edit.reel === 'BL') {
+      // Fade to black: the outgoing clip plays on under the transition
+      if (clipTransition && from && from.reel !== 'BL') {
+        for (const label of edit.tracks) {
+          const clip = endingAt(label, startTime);
+          if (clip) {
+            clip.endTime = endTime;
+            clip.outPoint += endTime - startTime;
+            clip.transitions.out = clipTransition;
+          }
+        }
+      }
+      continue;
+    }
+
+    const asset = findAsset(edit);
+    if (!asset) {
+      unmatched.push({
+        event: edit.event,
+        line: edit.line,
+        reel: edit.reel,
+        clipName: edit.clipName,
+        sourceFile: edit.sourceFile,
+        reason: 'No asset matches the reel, clip name or source file'
+      });
+      continue;
+    }
+
+    assets[asset.id] = asset;
+
+    const sourceOffset = sourceStartFrames(asset, framerate);
+    let inPoint = frames(edit, edit.sourceIn) - sourceOffset;
+    const outPoint = frames(edit, edit.sourceOut) - sourceOffset;
+
+    // Move a centred transition's incoming clip and the clip before it back to the cut
+    if (clipTransition && from && from.reel !== 'BL') {
+      const before = Math.floor(transition.duration / 2);
+      const previous = edit.tracks.map(label => endingAt(label, startTime)).filter(Boolean);
+      if (previous.length > 0) {
+        for (const clip of previous) {
+          clip.endTime += before;
+          clip.outPoint += before;
+        }
+        startTime += before;
+        inPoint += before;
+      }
+    }
+
+    for (const label of edit.tracks) {
+      if (!tracksByLabel[label]) {
+        tracksByLabel[label] = {
+          id: newId('track'),
+          type: label.startsWith('V') ? 'video' : 'audio',
+          name: label,
+          clips: []
+        };
+      }
+
+      const clip = {
+        id: newId('clip'),
+        assetId: asset.id,
+        startTime: startTime,
+        endTime: endTime,
+        inPoint: inPoint,
+        outPoint: outPoint,
+        transitions: {
+          in: clipTransition,
+          out: null
+        }
+      };
+
+      if (edit.speed) {
+        clip.speed = edit.speed.fps / frameRateToNumber(framerate);
+      }
+
+      tracksByLabel[label].clips.push(clip);
+      clipCount++;
+    }
+  }
+
+  // Video tracks first, then audio, each in channel order
+  const tracks = Object.values(tracksByLabel).sort((a, b) => {
+    if (a.type !== b.type) {
+      return a.type === 'video' ? -1 : 1;
+    }
+    return a.name.localeCompare(b.name, undefined, { numeric: true });
+  });
+  const duration = tracks.reduce((end, track) => Math.max(end, ...track.clips.map(clip => clip.endTime)), 0);
+
+  return {
+    tracks,
+    assets,
+    duration,
+    startTimecode: framesToTimecode(recordStart, framerate, { dropFrame: parsed.dropFrame }),
+    clipCount,
+    unmatched
+  };
+}
+
+/**
+ * Assign CMX3600 channel labels (V1, V2, A1, A2, ...) to timeline tracks
+ *
+ * @param {Array<Object>} tracks - Timeline tracks
+ * @returns {Object} - { video, audio, other } arrays of { track, label }
+ */
+function labelTracks(tracks) {
+  const labelled = { video: [], audio: [], other: [] };
+  for (const track of tracks || []) {
+    if (track.type === 'video') {
+      labelled.video.push({ track, label: `V${labelled.video.length + 1}` });
+    } else if (track.type === 'audio') {
+      labelled.audio.push({ track, label: `A${labelled.audio.length + 1}` });
+    } else {
+      labelled.other.push({ track, label: null });
+    }
+  }
+  return labelled;
+}
+
+/**
+ * Combine the tracks a linked edit lives on into CMX3600 channel fields
+ *
+ * V, A and A2 combine into the standard B (A/V), AA and AA/V fields; audio
+ * beyond A2 is written as a NONE event with an AUD line.
+ *
+ * @param {Set<string>} labels - Track labels of one linked edit (e.g. V1, A1, A2)
+ * @returns {Array<Object>} - { channel, aud } per event line
+ */
+function channelFields(labels) {
+  const hasVideo = [...labels].some(label => label.startsWith('V'));
+  const a1 = labels.has('A1');
+  const a2 = labels.has('A2');
+  const fields = [];
+
+  if (hasVideo && a1 && a2) {
+    fields.push({ channel: 'AA/V' });
+  } else if (hasVideo && a1) {
+    fields.push({ channel: 'B' });
+  } else {
+    if (hasVideo) {
+      fields.push({ channel: 'V' });
+    }
+    if (a1 && a2) {
+      fields.push({ channel: 'AA' });
+    } else if (a1) {
+      fields.push({ channel: 'A' });
+    } else if (a2) {
+      fields.push({ channel: 'A2' });
+    }
+  }
+
+  const extra = [...labels]
+    .filter(label => /^A\d+$/.test(label) && Number(label.slice(1)) > 2)
+    .map(label => Number(label.slice(1)))
+    .sort((a, b) => a - b);
+  for (let i = 0; i < extra.length; i += 2) {
+    fields.push({ channel: 'NONE', aud: extra.slice(i, i + 2) });
+  }
+
+  return fields;
+}
+
+/**
+ * Format one CMX3600 event line
+ *
+ * @param {Object} event - { number, reel, channel, transition, sourceIn, sourceOut, recordIn, recordOut }
+ * @returns {string} - Event line without trailing newline
+ */
+function formatEventLine({ number, reel, channel, transition, sourceIn, sourceOut, recordIn, recordOut }) {
+  return `${number.toString().padStart(3, '0')}  ${reel.padEnd(8)} ${channel.padEnd(5)} ${transition.padEnd(8)} ${sourceIn} ${sourceOut} ${recordIn} ${recordOut}`;
+}
+
+/**
+ * Resolve the reel name written for each asset
+ *
+ * Policies:
+ * - "filename" (default): the file name without extension, cleaned and cut to 8 characters
+ * - "tape": the tape/reel name from the camera metadata, falling back to "filename"
+ * - "full": the cleaned file name without truncation (for NLEs that accept long reels)
+ *
+ * Entries in `reelMap` (keyed by asset ID or file name) always win. Names that
+ * collide after truncation get a numeric suffix so each reel stays unique.
+ *
+ * @param {Object} assets - Asset records keyed by ID
+ * @param {Object} options - Reel options
+ * @param {string} options.reelPolicy - "filename", "tape" or "full"
+ * @param {Object} options.reelMap - Custom reel names keyed by asset ID or file name
+ * @returns {Object} - Reel names keyed by asset ID
+ */
+function resolveReelNames(assets, { reelPolicy = 'filename', reelMap = {} } = {}) {
+  const clean = (value) => String(value).replace(/\.[^.]+$/, '').replace(/[^A-Za-z0-9_]/g, '_');
+  const limit = reelPolicy === 'full' ? Infinity : REEL_NAME_LENGTH;
+  const reels = {};
+  const used = new Map();
+
+  for (const asset of Object.values(assets || {})) {
+    const metadata = asset.metadata || {};
+    const mapped = reelMap[asset.id] || (asset.fileName && reelMap[asset.fileName]);
+    if (mapped) {
+      reels[asset.id] = String(mapped);
+      used.set(reels[asset.id], asset.id);
+      continue;
+    }
+
+    const tape = reelPolicy === 'tape' ? metadata.tapeName || metadata.reel : null;
+    let reel = clean(tape || asset.fileName || asset.id).slice(0, limit) || 'AX';
+
+    // Keep reels unique: A001C003 / A001C003 becomes A001C003 / A001C0_2
+    let counter = 2;
+    const base = reel;
+    while (used.has(reel) && used.get(reel) !== asset.id) {
+      const suffix = `_${counter++}`;
+      reel = `${base.slice(0, Math.min(base.length, limit - suffix.length))}${suffix}`;
+    }
+    reels[asset.id] = reel;
+    used.set(reel, asset.id);
+  }
+
+  return reels;
+}
+
+/**
+ * Format the transition field of an event line (e.g. "C", "D    030", "W001 015")
+ *
+ * @param {Object} transition - Clip transition ({ type, duration, wipeCode }) or null for a cut
+ * @returns {string} - Transition field
+ */
+function formatTransitionField(transition) {
+  if (!transition || !(transition.duration > 0)) {
+    return 'C';
+  }
+  const duration = Math.min(transition.duration, 999).toString().padStart(3, '0');
+  if (transition.type === 'wipe') {
+    const code = (transition.wipeCode || '001').toString().padStart(3, '0');
+    return `W${code} ${duration}`;
+  }
+  return `D    ${duration}`;
+}
+
+/**
+ * Group clips into linked edits and plan their transitions
+ *
+ * A transition is centred on the cut between two adjacent edits, so the
+ * incoming clip needs a head handle (media before its inPoint) for the first
+ * half and the outgoing clip a tail handle (media after its outPoint) for the
+ * second. Transitions from or to a gap dissolve from/to black and need no
+ * handles. When the media is too short the transition is shortened to fit,
+ * keeping the cut at its centre so an import puts the cut back in place, and
+ * reported in `issues`; in "error" mode an exception is thrown instead.
+ *
+ * @param {Array<Object>} labelledTracks - { track, label } entries for one list
+ * @param {Object} context - { assetLength(assetId) => frames or null, transitionHandles }
+ * @returns {Object} - { edits, issues }
+ */
+function planEdits(labelledTracks, { assetLength, transitionHandles = 'fit' }) {
+  // Clips with the same asset and range on several tracks are one linked edit
+  const byKey = new Map();
+  for (const { track, label } of labelledTracks) {
+    for (const clip of track.clips || []) {
+      const key = `${clip.assetId}|${clip.startTime}|${clip.endTime}|${clip.inPoint}|${clip.outPoint}`;
+      if (!byKey.has(key)) {
+        byKey.set(key, { clip, clips: [], labels: new Set(), transitions: {}, trim: { head: 0, tail: 0 } });
+      }
+      const edit = byKey.get(key);
+      edit.clips.push(clip);
+      edit.labels.add(label.startsWith('V') ? 'V' : label);
+
+      // Prefer the picture track's transition data when several clips are linked
+      const transitions = clip.transitions || {};
+      if (transitions.in && (!edit.transitions.in || label.startsWith('V'))) {
+        edit.transitions.in = transitions.in;
+      }
+      if (transitions.out && (!edit.transitions.out || label.startsWith('V'))) {
+        edit.transitions.out = transitions.out;
+      }
+    }
+  }
+
+  const edits = [...byKey.values()].sort((a, b) => {
+    if (a.clip.startTime !== b.clip.startTime) {
+      return a.clip.startTime - b.clip.startTime;
+    }
+    return (b.labels.has('V') ? 1 : 0) - (a.labels.has('V') ? 1 : 0);
+  });
+
+  const shareChannel = (a, b) => [...a.labels].some(label => b.labels.has(label));
+  const issues = [];
+
+  for (const edit of edits) {
+    const previous = edits.find(other => other !== edit && other.clip.endTime === edit.clip.startTime && shareChannel(other, edit));
+    const next = edits.find(other => other !== edit && other.clip.startTime === edit.clip.endTime && shareChannel(other, edit));
+
+    // An outgoing transition into an adjacent clip is that clip's incoming one
+    if (edit.transitions.out && next && !next.transitions.in) {
+      next.transitions.in = edit.transitions.out;
+    }
+
+    const incoming = edit.transitions.in;
+    if (incoming && incoming.duration > 0) {
+      if (!previous) {
+        // Fade up from black, starting at the clip
+        edit.incoming = { ...incoming, from: null, before: 0 };
+      } else {
+        const before = Math.floor(incoming.duration / 2);
+        const after = incoming.duration - before;
+        const headHandle = edit.clip.inPoint;
+        const previousLength = assetLength(previous.clip.assetId);
+        const tailHandle = previousLength === null ? after : Math.max(0, previousLength - previous.clip.outPoint);
+        const duration = Math.min(incoming.duration, 2 * headHandle + 1, 2 * tailHandle);
+        const fitBefore = Math.floor(duration / 2);
+
+        if (duration < incoming.duration) {
+          const issue = {
+            clipId: edit.clip.id,
+            assetId: edit.clip.assetId,
+            previousClipId: previous.clip.id,
+            requested: incoming.duration,
+            duration: duration,
+            headHandle: headHandle,
+            tailHandle: tailHandle,
+            message: `${incoming.type} of ${incoming.duration} frames needs ${before} frames of head handle on ${edit.clip.assetId} (has ${headHandle}) and ${after} frames of tail handle on ${previous.clip.assetId} (has ${tailHandle})`
+          };
+          if (transitionHandles === 'error') {
+            throw new Error(`Cannot export CMX3600 EDL: ${issue.message}`);
+          }
+          issues.push(issue);
+        }
+
+        if (duration > 0) {
+          edit.incoming = { ...incoming, duration: duration, from: previous, before: fitBefore };
+          previous.trim.tail = Math.max(previous.trim.tail, fitBefore);
+        }
+      }
+    }
+
+    const outgoing = edit.transitions.out;
+    if (outgoing && outgoing.duration > 0 && !next) {
+      // Fade down to black over the end of the clip
+      const duration = Math.min(outgoing.duration, edit.clip.endTime - edit.clip.startTime);
+      edit.fadeOut = { ...outgoing, duration: duration };
+      edit.trim.tail = Math.max(edit.trim.tail, duration);
+    }
+  }
+
+  return { edits, issues };
+}
+
+/**
+ * Check that clip transitions fit within the media handles of both clips
+ *
+ * @param {Object} timeline - Timeline data (including its `assets`)
+ * @returns {Array<Object>} - Transitions that would have to be shortened
+ */
+function validateTransitions(timeline) {
+  const { video, audio } = labelTracks(timeline.tracks);
+  const assetLength = assetLengthLookup(timeline);
+  return [...video, ...audio].flatMap(entry => planEdits([entry], { assetLength }).issues);
+}
+
+function assetLengthLookup(timeline) {
+  const framerate = timeline.framerate || 24;
+  const assets = timeline.assets || {};
+  return (assetId) => {
+    const asset = assets[assetId];
+    if (!asset || !asset.metadata || !asset.metadata.duration) {
+      return null;
+    }
+    return secondsToFrames(asset.metadata.duration, framerate);
+  };
+}
+
+/**
+ * Generate CMX3600 EDLs for a timeline
+ *
+ * Produces one list per video track. Audio tracks are written into the first
+ * list, with clips linked across tracks (same asset and range) combined into a
+ * single event. Graphics and other non-A/V tracks cannot be represented and
+ * are reported in `skipped`, or rejected when `graphicsTracks` is "error".
+ * Dissolves and wipes from `clip.transitions` are written as paired
+ * outgoing/incoming events; see `planEdits` for how handles are checked.
+ *
+ * @param {Object} timeline - Timeline data (including its `assets`)
+ * @param {Object} options - Export options
+ * @param {string} options.videoTrack - Only write the list for this video track label (e.g. "V2")
+ * @param {string} options.graphicsTracks - "skip" (default) or "error"
+ * @param {string} options.transitionHandles - "fit" (default) shortens transitions to the available handles, "error" rejects them
+ * @param {string} options.reelPolicy - Reel naming policy (see `resolveReelNames`)
+ * @param {Object} options.reelMap - Custom reel names keyed by asset ID or file name
+ * @param {string} options.mediaRoot - Local media folder used for SOURCE FILE comments
+ * @param {Function} options.clipComments - (clip) => extra comment lines written with the clip's events
+ * @param {Function} options.includeClip - (clip) => whether to write the clip's events; edits are still planned
+ *   against every clip, so transitions from skipped neighbours and record times stay as in the full list
+ * @returns {Object} - { lists: [{ track, title, content }], skipped, transitionIssues }
+ */
+function generateCMX3600(timeline, {
+  videoTrack,
+  graphicsTracks = 'skip',
+  transitionHandles = 'fit',
+  reelPolicy,
+  reelMap,
+  mediaRoot,
+  clipComments = () => [],
+  includeClip = () => true
+} = {}) {
+  const framerate = timeline.framerate || 24;
+  const dropFrame = resolveDropFrame(framerate, timeline.dropFrame);
+  const tcOptions = { dropFrame };
+  const formatTC = (frames) => framesToTimecode(frames, framerate, tcOptions);
+  const recordOffset = timeline.startTimecode ? toFrames(timeline.startTimecode, framerate, tcOptions) : 0;
+  const fcm = dropFrame ? 'DROP FRAME' : 'NON-DROP FRAME';
+
+  const { video, audio, other } = labelTracks(timeline.tracks);
+  const skipped = other.map(({ track }) => ({
+    trackId: track.id,
+    type: track.type,
+    clipCount: (track.clips || []).filter(includeClip).length,
+    reason: `${track.type} tracks cannot be represented in CMX3600`
+  }));
+
+  if (skipped.length > 0 && graphicsTracks === 'error') {
+    throw new Error(`Cannot export CMX3600 EDL: Timeline has ${skipped.length} ${skipped.length === 1 ? 'track' : 'tracks'} without a CMX3600 channel (${skipped.map(entry => entry.type).join(', ')})`);
+  }
+
+  let pictureTracks = video;
+  if (videoTrack) {
+    pictureTracks = video.filter(entry => entry.label === videoTrack || entry.track.id === videoTrack);
+    if (pictureTracks.length === 0) {
+      throw new Error(`Cannot export CMX3600 EDL: Video track ${videoTrack} not found`);
+    }
+  }
+
+  // Audio rides along with the first list (or forms its own when there is no picture)
+  const listSources = pictureTracks.length > 0
+    ? pictureTracks.map((entry, index) => ({
+        label: entry.label,
+        tracks: index === 0 && !videoTrack ? [entry, ...audio] : [entry]
+      }))
+    : [{ label: 'A', tracks: audio }];
+
+  const assetLength = assetLengthLookup(timeline);
+  const transitionIssues = [];
+
+  // Reel, clip name, source file and source timecode offset per asset
+  const assets = timeline.assets || {};
+  const reels = resolveReelNames(assets, { reelPolicy, reelMap });
+  const describe = (assetId) => {
+    const asset = assets[assetId];
+    if (!asset) {
+      return { reel: 'AX', clipName: assetId, sourceFile: null, start: 0 };
+    }
+    return {
+      reel: reels[assetId],
+      clipName: asset.fileName || assetId,
+      sourceFile: mediaRoot
+        ? decodeURI(assetPathUrl(asset, mediaRoot).replace('file://localhost', ''))
+        : asset.storagePath || asset.fileName || null,
+      start: sourceStartFrames(asset, framerate)
+    };
+  };
+
+  const lists = listSources
+    .filter(source => source.tracks.some(({ track }) => (track.clips || []).some(includeClip)))
+    .map(source => {
+      const title = listSources.length > 1 ? `${timeline.name} ${source.label}` : timeline.name;
+      const { edits, issues } = planEdits(source.tracks, { assetLength, transitionHandles });
+      const written = edits.filter(edit => edit.clips.some(includeClip));
+      const writtenIds = new Set(written.map(edit => edit.clip.id));
+      transitionIssues.push(...issues.filter(issue => writtenIds.has(issue.clipId)));
+      return {
+        track: source.label,
+        title: title,
+        content: writeList(title, fcm, written, { formatTC, recordOffset, describe, clipComments })
+      };
+    });
+
+  return { lists, skipped, transitionIssues };
+}
+
+function writeList(title, fcm, edits, { formatTC, recordOffset, describe, clipComments }) {
+  const record = (frames) => formatTC(frames + recordOffset);
+  const black = (frames) => formatTC(frames);
+
+  let edl = `TITLE: ${title}\n`;
+  edl += `FCM: ${fcm}\n\n`;
+
+  let eventNumber = 1;
+  const writeEvent = (lines, comments) => {
+    for (const line of lines) {
+      edl += `${formatEventLine({ number: eventNumber, ...line })}\n`;
+      if (line.aud) {
+        edl += `AUD  ${line.aud.map(channel => channel.toString().padEnd(5)).join('').trimEnd()}\n`;
+      }
+    }
+    for (const comment of comments) {
+      edl += `* ${comment}\n`;
+    }
+    edl += '\n';
+    eventNumber++;
+  };
+
+  for (const edit of edits) {
+    const { clip, incoming, fadeOut, trim } = edit;
+    const before = incoming ? incoming.before : 0;
+    const tail = trim.tail;
+    const source = describe(clip.assetId);
+    const sourceTC = (frames) => formatTC(source.start + frames);
+    const trailingComments = [
+      ...(source.sourceFile ? [`SOURCE FILE: ${source.sourceFile}`] : []),
+      // Linked clips share the event, so each of them may add comments
+      ...new Set(edit.clips.flatMap(linked => clipComments(linked)))
+    ];
+
+    for (const field of channelFields(edit.labels)) {
+      const channel = { channel: field.channel, aud: field.aud };
+
+      if (incoming) {
+        // Outgoing side: zero-length cut on the previous source at the transition start
+        const start = clip.startTime - before;
+        const from = incoming.from;
+        const fromSource = from ? describe(from.clip.assetId) : null;
+        const fromTC = from ? formatTC(fromSource.start + from.clip.outPoint - before) : black(0);
+        const comments = from
+          ? [`FROM CLIP NAME: ${fromSource.clipName}`, `TO CLIP NAME: ${source.clipName}`]
+          : [`TO CLIP NAME: ${source.clipName}`];
+        if (incoming.type === 'wipe' && incoming.wipeCode) {
+          comments.push(`EFFECT NAME: WIPE ${incoming.wipeCode}`);
+        }
+
+        writeEvent([
+          {
+            reel: from ? fromSource.reel : 'BL',
+            ...channel,
+            transition: 'C',
+            sourceIn: fromTC,
+            sourceOut: fromTC,
+            recordIn: record(start),
+            recordOut: record(start)
+          },
+          {
+            reel: source.reel,
+            ...channel,
+            transition: formatTransitionField(incoming),
+            sourceIn: sourceTC(clip.inPoint - before),
+            sourceOut: sourceTC(clip.outPoint - tail),
+            recordIn: record(start),
+            recordOut: record(clip.endTime - tail)
+          }
+        ], [...comments, ...trailingComments]);
+      } else {
+        writeEvent([
+          {
+            reel: source.reel,
+            ...channel,
+            transition: 'C',
+            sourceIn: sourceTC(clip.inPoint),
+            sourceOut: sourceTC(clip.outPoint - tail),
+            recordIn: record(clip.startTime),
+            recordOut: record(clip.endTime - tail)
+          }
+        ], [`FROM CLIP NAME: ${source.clipName}`, ...trailingComments]);
+      }
+
+      if (fadeOut) {
+        // Fade to black: the clip's last frames dissolve into black
+        const start = clip.endTime - fadeOut.duration;
+        const fadeTC = sourceTC(clip.outPoint - fadeOut.duration);
+        writeEvent([
+          {
+            reel: source.reel,
+            ...channel,
+            transition: 'C',
+            sourceIn: fadeTC,
+            sourceOut: fadeTC,
+            recordIn: record(start),
+            recordOut: record(start)
+          },
+          {
+            reel: 'BL',
+            ...channel,
+            transition: formatTransitionField(fadeOut),
+            sourceIn: black(0),
+            sourceOut: black(fadeOut.duration),
+            recordIn: record(start),
+            recordOut: record(clip.endTime)
+          }
+        ], [`FROM CLIP NAME: ${source.clipName}`, ...trailingComments]);
+      }
+    }
+  }
+
+  return edl;
+}
+
+module.exports = {
+  expandChannels,
+  parseCMX3600,
+  cmx3600ToTimeline,
+  labelTracks,
+  channelFields,
+  formatEventLine,
+  formatTransitionField,
+  resolveReelNames,
+  validateTransitions,
+  generateCMX3600,
+};
@@ -0,0 +1,198 @@
+const { parseCMX3600, cmx3600ToTimeline, generateCMX3600, labelTracks, channelFields } = require('./cmx3600');
+const { buildAssetMatcher } = require('./assets');
+
+const timeline = (fields) => ({
+  name: 'Test',
+  framerate: 24,
+  duration: 48,
+  assets: {
+    a: { id: 'a', fileName: 'A001.mov', metadata: { duration: 10 } },
+    b: { id: 'b', fileName: 'B001.mov', metadata: { duration: 10 } }
+  },
+  tracks: [
+    {
+      id: 'v1',
+      type: 'video',
+      clips: [
+        { id: 'clip-1', assetId: 'a', startTime: 0, endTime: 48, inPoint: 24, outPoint: 72, transitions: { in: null, out: null } }
+      ]
+    }
+  ],
+  ...fields
+});
+
+describe('generateCMX3600', () => {
+  it('writes a drop-frame header over drop-frame timecodes when the flag is unset', () => {
+    const [list] = generateCMX3600(timeline({ framerate: 29.97 })).lists;
+    expect(list.content).toContain('FCM: DROP FRAME');
+    expect(list.content).toContain('00:00:00;00');
+    expect(parseCMX3600(list.content).dropFrame).toBe(true);
+  });
+
+  it('writes a non-drop-frame header when drop-frame is turned off', () => {
+    const [list] = generateCMX3600(timeline({ framerate: 29.97, dropFrame: false })).lists;
+    expect(list.content).toContain('FCM: NON-DROP FRAME');
+    expect(list.content).not.toContain(';');
+  });
+});
+
+describe('labelTracks', () => {
+  it('numbers video and audio tracks separately and leaves other tracks unlabelled', () => {
+    const tracks = [
+      { id: 'v1', type: 'video' },
+      { id: 'a1', type: 'audio' },
+      { id: 'g1', type: 'graphics' },
+      { id: 'v2', type: 'video' },
+      { id: 'a2', type: 'audio' }
+    ];
+    const { video, audio, other } = labelTracks(tracks);
+    expect(video.map(({ track, label }) => [track.id, label])).toEqual([['v1', 'V1'], ['v2', 'V2']]);
+    expect(audio.map(({ track, label }) => [track.id, label])).toEqual([['a1', 'A1'], ['a2', 'A2']]);
+    expect(other.map(({ track, label }) => [track.id, label])).toEqual([['g1', null]]);
+  });
+});
+
+describe('channelFields', () => {
+  const fields = (...labels) => channelFields(new Set(labels));
+
+  it('combines picture and the first two audio channels into standard fields', () => {
+    expect(fields('V1')).toEqual([{ channel: 'V' }]);
+    expect(fields('V2', 'A1')).toEqual([{ channel: 'B' }]);
+    expect(fields('V1', 'A1', 'A2')).toEqual([{ channel: 'AA/V' }]);
+    expect(fields('A1', 'A2')).toEqual([{ channel: 'AA' }]);
+    expect(fields('A2')).toEqual([{ channel: 'A2' }]);
+    expect(fields('V1', 'A2')).toEqual([{ channel: 'V' }, { channel: 'A2' }]);
+  });
+
+  it('writes audio beyond A2 as NONE events with two channels each', () => {
+    expect(fields('V1', 'A5', 'A3', 'A4')).toEqual([
+      { channel: 'V' },
+      { channel: 'NONE', aud: [3, 4] },
+      { channel: 'NONE', aud: [5] }
+    ]);
+  });
+});
+
+describe('generateCMX3600 multi-track', () => {
+  const clip = (id, assetId, startTime, endTime, inPoint) => ({
+    id, assetId, startTime, endTime, inPoint, outPoint: inPoint + endTime - startTime, transitions: { in: null, out: null }
+  });
+  const tracks = [
+    { id: 'v1', type: 'video', clips: [clip('v1-1', 'a', 0, 48, 24), clip('v1-2', 'b', 48, 96, 0)] },
+    { id: 'v2', type: 'video', clips: [clip('v2-1', 'b', 24, 48, 96)] },
+    { id: 'a1', type: 'audio', clips: [clip('a1-1', 'a', 0, 48, 24)] },
+    { id: 'a2', type: 'audio', clips: [clip('a2-1', 'a', 0, 48, 24)] },
+    { id: 'a3', type: 'audio', clips: [clip('a3-1', 'a', 0, 48, 24), clip('a3-2', 'b', 48, 96, 0)] },
+    { id: 'a4', type: 'audio', clips: [clip('a4-1', 'a', 0, 48, 24), clip('a4-2', 'b', 48, 96, 0)] },
+    { id: 'g1', type: 'graphics', clips: [clip('g1-1', 'a', 0, 24, 0)] }
+  ];
+
+  it('writes one list per video track with audio in the first', () => {
+    const { lists, skipped } = generateCMX3600(timeline({ tracks }));
+    expect(lists.map(list => [list.track, list.title])).toEqual([['V1', 'Test V1'], ['V2', 'Test V2']]);
+    expect(lists[1].content).toContain('001  B001     V     C        00:00:04:00 00:00:05:00 00:00:01:00 00:00:02:00');
+    expect(lists[1].content).not.toContain('AUD');
+    expect(skipped).toEqual([{ trackId: 'g1', type: 'graphics', clipCount: 1, reason: 'graphics tracks cannot be represented in CMX3600' }]);
+  });
+
+  it('links clips across tracks into AA/V events with AUD lines for the extra channels', () => {
+    const [list] = generateCMX3600(timeline({ tracks })).lists;
+    expect(list.content).toContain('001  A001     AA/V  C        00:00:01:00 00:00:03:00 00:00:00:00 00:00:02:00\n');
+    expect(list.content).toContain('002  A001     NONE  C        00:00:01:00 00:00:03:00 00:00:00:00 00:00:02:00\nAUD  3    4\n');
+    expect(list.content).toContain('003  B001     V     C        00:00:00:00 00:00:02:00 00:00:02:00 00:00:04:00\n');
+    expect(list.content).toContain('004  B001     NONE  C        00:00:00:00 00:00:02:00 00:00:02:00 00:00:04:00\nAUD  3    4\n');
+  });
+
+  it('reads the audio channels back onto their own tracks', () => {
+    const [list] = generateCMX3600(timeline({ tracks })).lists;
+    const findAsset = buildAssetMatcher(Object.values(timeline().assets));
+    const imported = cmx3600ToTimeline(parseCMX3600(list.content), { framerate: 24, findAsset });
+    expect(imported.tracks.map(track => [track.name, track.clips.map(({ startTime, endTime }) => [startTime, endTime])])).toEqual([
+      ['V1', [[0, 48], [48, 96]]],
+      ['A1', [[0, 48]]],
+      ['A2', [[0, 48]]],
+      ['A3', [[0, 48], [48, 96]]],
+      ['A4', [[0, 48], [48, 96]]]
+    ]);
+  });
+
+  it('writes only the requested video track', () => {
+    const { lists } = generateCMX3600(timeline({ tracks }), { videoTrack: 'V2' });
+    expect(lists.map(list => [list.track, list.title])).toEqual([['V2', 'Test']]);
+    expect(lists[0].content).not.toContain('A001');
+    expect(() => generateCMX3600(timeline({ tracks }), { videoTrack: 'V3' })).toThrow('Video track V3 not found');
+    expect(() => generateCMX3600(timeline({ tracks }), { graphicsTracks: 'error' })).toThrow('graphics');
+  });
+});
+
+describe('CMX3600 round trip', () => {
+  const assets = {
+    a: { id: 'a', fileName: 'A001.mov', metadata: { duration: 60 } },
+    b: { id: 'b', fileName: 'B001.mov', metadata: { duration: 60 } },
+    c: { id: 'c', fileName: 'C001.mov', metadata: { duration: 60 } }
+  };
+  const findAsset = buildAssetMatcher(Object.values(assets));
+  const roundTrip = (tracks) => {
+    const [list] = generateCMX3600({ name: 'Round trip', framerate: 24, startTimecode: '01:00:00:00', assets, tracks }).lists;
+    return cmx3600ToTimeline(parseCMX3600(list.content), { framerate: 24, findAsset });
+  };
+  const placement = ({ assetId, startTime, endTime, inPoint, outPoint, transitions }) => ({ assetId, startTime, endTime, inPoint, outPoint, transitions });
+
+  it('keeps cuts, source ranges and the start timecode', () => {
+    const clips = [
+      { id: '1', assetId: 'a', startTime: 0, endTime: 120, inPoint: 48, outPoint: 168, transitions: { in: null, out: null } },
+      { id: '2', assetId: 'b', startTime: 120, endTime: 200, inPoint: 0, outPoint: 80, transitions: { in: null, out: null } }
+    ];
+    const imported = roundTrip([{ id: 'v1', type: 'video', clips }]);
+
+    expect(imported.startTimecode).toBe('01:00:00:00');
+    expect(imported.duration).toBe(200);
+    expect(imported.tracks[0].clips.map(placement)).toEqual(clips.map(placement));
+  });
+
+  it('gives every imported clip and track its own ID', () => {
+    const clips = Array.from({ length: 50 }, (_, index) => (
+      { id: `${index}`, assetId: 'a', startTime: index * 10, endTime: index * 10 + 10, inPoint: 0, outPoint: 10, transitions: { in: null, out: null } }
+    ));
+    const imported = roundTrip([{ id: 'v1', type: 'video', clips }, { id: 'a1', type: 'audio', clips }]);
+    const ids = imported.tracks.flatMap(track => [track.id, ...track.clips.map(clip => clip.id)]);
+
+    expect(ids).toHaveLength(102);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('puts cuts under a dissolve back where they were', () => {
+    const dissolve = { type: 'dissolve', duration: 30 };
+    const clips = [
+      { id: '1', assetId: 'a', startTime: 0, endTime: 300, inPoint: 48, outPoint: 348, transitions: { in: null, out: null } },
+      { id: '2', assetId: 'b', startTime: 300, endTime: 500, inPoint: 48, outPoint: 248, transitions: { in: dissolve, out: null } },
+      { id: '3', assetId: 'c', startTime: 500, endTime: 700, inPoint: 48, outPoint: 248, transitions: { in: { type: 'wipe', wipeCode: '001', duration: 15 }, out: null } }
+    ];
+    const imported = roundTrip([{ id: 'v1', type: 'video', clips }]);
+
+    expect(imported.tracks[0].clips.map(placement)).toEqual(clips.map(placement));
+  });
+
+  it('keeps fades from and to black on the clip', () => {
+    const clips = [
+      { id: '1', assetId: 'a', startTime: 0, endTime: 240, inPoint: 0, outPoint: 240, transitions: { in: { type: 'dissolve', duration: 24 }, out: { type: 'dissolve', duration: 12 } } }
+    ];
+    const imported = roundTrip([{ id: 'v1', type: 'video', clips }]);
+
+    expect(imported.tracks[0].clips.map(placement)).toEqual(clips.map(placement));
+  });
+
+  it('keeps the cut centred when a dissolve is shortened to the handles', () => {
+    // A001 is 1440 frames long, leaving 4 frames of tail handle
+    const clips = [
+      { id: '1', assetId: 'a', startTime: 0, endTime: 1436, inPoint: 0, outPoint: 1436, transitions: { in: null, out: null } },
+      { id: '2', assetId: 'b', startTime: 1436, endTime: 1636, inPoint: 48, outPoint: 248, transitions: { in: { type: 'dissolve', duration: 30 }, out: null } }
+    ];
+    const imported = roundTrip([{ id: 'v1', type: 'video', clips }]);
+    const [first, second] = imported.tracks[0].clips;
+
+    expect(first.endTime).toBe(1436);
+    expect(second.startTime).toBe(1436);
+    expect(second.transitions.in.duration).toBe(8);
+  });
+});
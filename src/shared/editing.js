@@ -0,0 +1,480 @@
+/**
+ * TimelineAssembler - Clip editing operations
+ *
+ * Each operation edits a timeline record in place (tracks, assets,
+ * framerate) and returns what it changed. Invalid edits throw part way
+ * through, so edits are applied to a copy of the record that is discarded
+ * on error (Timeline runs them inside a database transaction). Positions
+ * are frames or timecodes and deltas are frames. After every edit clips on
+ * a track may not overlap, source in/out points must stay inside the
+ * asset's media, and the timeline duration is recalculated.
+ *
+ * Trim and slide deltas move an edge later when positive: trimming the head
+ * by +10 shortens the clip, trimming the tail by +10 lengthens it.
+ */
+
+const { secondsToFrames, toFrames } = require('./timecode');
+const { DEFAULT_CLIP_SECONDS } = require('./assembly');
+const { newId } = require('./ids');
+
+const newClipId = () => newId('clip');
+
+const framerateOf = (timeline) => timeline.framerate || 24;
+
+const position = (timeline, value) => toFrames(value, framerateOf(timeline), { dropFrame: timeline.dropFrame });
+
+const isSpeedChanged = (clip) => Boolean(clip.speed) && clip.speed !== 1;
+
+function frameDelta(delta) {
+  if (!Number.isInteger(delta)) {
+    throw new Error(`Edit delta must be a whole number of frames, not ${delta}`);
+  }
+  return delta;
+}
+
+/**
+ * Find a clip and its track
+ *
+ * @param {Object} timeline - Timeline record
+ * @param {string} clipId - Clip ID
+ * @returns {Object} - { track, clip }
+ */
+function findClip(timeline, clipId) {
+  for (const track of timeline.tracks || []) {
+    const clip = (track.clips || []).find(candidate => candidate.id === clipId);
+    if (clip) {
+      return { track, clip };
+    }
+  }
+  throw new Error(`Clip with ID ${clipId} not found`);
+}
+
+function findTrack(timeline, trackId) {
+  const track = (timeline.tracks || []).find(candidate => candidate.id === trackId);
+  if (!track) {
+    throw new Error(`Track with ID ${trackId} not found`);
+  }
+  track.clips = track.clips || [];
+  return track;
+}
+
+// Length of a clip's media in frames, or Infinity when it is not known
+function mediaFrames(timeline, clip) {
+  const asset = (timeline.assets || {})[clip.assetId];
+  const duration = asset && asset.metadata && asset.metadata.duration;
+  return duration ? secondsToFrames(duration, framerateOf(timeline)) : Infinity;
+}
+
+function requireNormalSpeed(clip, operation) {
+  if (isSpeedChanged(clip)) {
+    throw new Error(`Clip ${clip.id} is speed-changed; ${operation} needs a clip at normal speed`);
+  }
+}
+
+function checkClip(timeline, clip) {
+  if (clip.endTime <= clip.startTime) {
+    throw new Error(`Clip ${clip.id} would be ${clip.endTime - clip.startTime} frames long`);
+  }
+  if (clip.startTime < 0) {
+    throw new Error(`Clip ${clip.id} would start before the timeline (${clip.startTime})`);
+  }
+  if (!isSpeedChanged(clip)) {
+    const media = mediaFrames(timeline, clip);
+    if (clip.inPoint < 0 || clip.outPoint > media) {
+      throw new Error(`Clip ${clip.id} source ${clip.inPoint}-${clip.outPoint} is outside its media (0-${media} frames)`);
+    }
+  }
+}
+
+function checkTrack(track) {
+  const clips = [...track.clips].sort((a, b) => a.startTime - b.startTime);
+  for (let i = 1; i < clips.length; i++) {
+    if (clips[i].startTime < clips[i - 1].endTime) {
+      throw new Error(`Clip ${clips[i].id} would overlap clip ${clips[i - 1].id} on track ${track.id}`);
+    }
+  }
+  track.clips = clips;
+}
+
+// Validate the clips and tracks an edit touched, then recalculate the duration
+function finish(timeline, tracks, clips) {
+  clips.forEach(clip => checkClip(timeline, clip));
+  [...new Set(tracks)].forEach(checkTrack);
+  let duration = 0;
+  for (const track of timeline.tracks || []) {
+    for (const clip of track.clips || []) {
+      duration = Math.max(duration, clip.endTime);
+    }
+  }
+  timeline.duration = duration;
+  timeline.modified = new Date().toISOString();
+}
+
+// Shift clips of a track starting at or after `from` by `delta` frames
+function shiftFrom(track, from, delta, except) {
+  for (const clip of track.clips) {
+    if (clip !== except && clip.startTime >= from) {
+      clip.startTime += delta;
+      clip.endTime += delta;
+    }
+  }
+}
+
+// Cut a clip in two at a timeline frame, returning the second piece
+function cutAt(track, clip, time) {
+  const offset = time - clip.startTime;
+  const transitions = clip.transitions || { in: null, out: null };
+  const tail = {
+    ...clip,
+    id: newClipId(),
+    startTime: time,
+    inPoint: clip.inPoint + offset,
+    transitions: { in: null, out: transitions.out || null }
+  };
+  clip.endTime = time;
+  clip.outPoint = clip.inPoint + offset;
+  clip.transitions = { in: transitions.in || null, out: null };
+  track.clips.push(tail);
+  return tail;
+}
+
+/**
+ * Build a clip record from clip data, as addClip does
+ *
+ * @param {Object} timeline - Timeline record
+ * @param {Object} clipData - { assetId, shotId?, startTime, endTime?, inPoint?, outPoint?, transitions? }
+ * @returns {Object} - Clip
+ */
+function buildClip(timeline, clipData) {
+  const framerate = framerateOf(timeline);
+  const startTime = position(timeline, clipData.startTime || 0);
+  const inPoint = position(timeline, clipData.inPoint || 0);
+  const outPoint = clipData.outPoint !== undefined
+    ? position(timeline, clipData.outPoint)
+    : inPoint + secondsToFrames(DEFAULT_CLIP_SECONDS, framerate);
+  const endTime = clipData.endTime !== undefined
+    ? position(timeline, clipData.endTime)
+    : startTime + (outPoint - inPoint);
+
+  const clip = {
+    id: newClipId(),
+    assetId: clipData.assetId,
+    startTime: startTime,
+    endTime: endTime,
+    inPoint: inPoint,
+    outPoint: outPoint,
+    transitions: clipData.transitions || { in: null, out: null }
+  };
+  if (clipData.shotId) {
+    clip.shotId = clipData.shotId;
+  }
+  return clip;
+}
+
+/**
+ * Move a clip to a new position, optionally on another track of the same type
+ *
+ * @returns {Object} - The moved clip
+ */
+function moveClip(timeline, clipId, { startTime, trackId } = {}) {
+  const { track, clip } = findClip(timeline, clipId);
+  let target = track;
+  if (trackId && trackId !== track.id) {
+    target = findTrack(timeline, trackId);
+    if (target.type !== track.type) {
+      throw new Error(`Cannot move a ${track.type} clip to ${target.type} track ${trackId}`);
+    }
+    track.clips = track.clips.filter(candidate => candidate !== clip);
+    target.clips.push(clip);
+  }
+  if (startTime !== undefined) {
+    const length = clip.endTime - clip.startTime;
+    clip.startTime = position(timeline, startTime);
+    clip.endTime = clip.startTime + length;
+  }
+  finish(timeline, [track, target], [clip]);
+  return clip;
+}
+
+/**
+ * Remove a clip, leaving a gap
+ *
+ * @returns {Object} - The removed clip
+ */
+function deleteClip(timeline, clipId) {
+  const { track, clip } = findClip(timeline, clipId);
+  track.clips = track.clips.filter(candidate => candidate !== clip);
+  finish(timeline, [track], []);
+  return clip;
+}
+
+/**
+ * Remove a clip and close the gap, moving later clips on its track up
+ *
+ * @returns {Object} - The removed clip
+ */
+function rippleDeleteClip(timeline, clipId) {
+  const { track, clip } = findClip(timeline, clipId);
+  track.clips = track.clips.filter(candidate => candidate !== clip);
+  shiftFrom(track, clip.endTime, -(clip.endTime - clip.startTime));
+  finish(timeline, [track], []);
+  return clip;
+}
+
+/**
+ * Split a clip in two at a timeline position
+ *
+ * @returns {Array<Object>} - [first, second]
+ */
+function splitClip(timeline, clipId, time) {
+  const { track, clip } = findClip(timeline, clipId);
+  requireNormalSpeed(clip, 'splitting');
+  const at = position(timeline, time);
+  if (at <= clip.startTime || at >= clip.endTime) {
+    throw new Error(`Split point ${at} is not inside clip ${clipId} (${clip.startTime}-${clip.endTime})`);
+  }
+  const tail = cutAt(track, clip, at);
+  finish(timeline, [track], [clip, tail]);
+  return [clip, tail];
+}
+
+/**
+ * Move a clip's head by `delta` frames, keeping its tail and leaving a gap
+ *
+ * @returns {Object} - The trimmed clip
+ */
+function trimHead(timeline, clipId, delta) {
+  frameDelta(delta);
+  const { track, clip } = findClip(timeline, clipId);
+  requireNormalSpeed(clip, 'trimming');
+  clip.startTime += delta;
+  clip.inPoint += delta;
+  finish(timeline, [track], [clip]);
+  return clip;
+}
+
+/**
+ * Move a clip's tail by `delta` frames, keeping its head
+ *
+ * @returns {Object} - The trimmed clip
+ */
+function trimTail(timeline, clipId, delta) {
+  frameDelta(delta);
+  const { track, clip } = findClip(timeline, clipId);
+  requireNormalSpeed(clip, 'trimming');
+  clip.endTime += delta;
+  clip.outPoint += delta;
+  finish(timeline, [track], [clip]);
+  return clip;
+}
+
+/**
+ * Trim a clip's head or tail and ripple the rest of its track
+ *
+ * The clip keeps its start; later clips move by the change in length.
+ *
+ * @param {Object} timeline - Timeline record
+ * @param {string} clipId - Clip ID
+ * @param {string} edge - "head" or "tail"
+ * @param {number} delta - Frames to move the edge's source point (positive = later)
+ * @returns {Object} - The trimmed clip
+ */
+function rippleTrim(timeline, clipId, edge, delta) {
+  frameDelta(delta);
+  const { track, clip } = findClip(timeline, clipId);
+  requireNormalSpeed(clip, 'trimming');
+  if (edge !== 'head' && edge !== 'tail') {
+    throw new Error(`Edge must be "head" or "tail", not "${edge}"`);
+  }
+  const change = edge === 'head' ? -delta : delta;
+  const oldEnd = clip.endTime;
+  if (edge === 'head') {
+    clip.inPoint += delta;
+  } else {
+    clip.outPoint += delta;
+  }
+  clip.endTime += change;
+  shiftFrom(track, oldEnd, change, clip);
+  finish(timeline, [track], [clip]);
+  return clip;
+}
+
+// Clips directly before and after a clip on its track
+function neighbours(track, clip) {
+  return {
+    previous: track.clips.find(candidate => candidate !== clip && candidate.endTime === clip.startTime) || null,
+    next: track.clips.find(candidate => candidate !== clip && candidate.startTime === clip.endTime) || null
+  };
+}
+
+/**
+ * Roll the edit point between a clip and the clip after it
+ *
+ * @returns {Array<Object>} - [clip, next]
+ */
+function rollEdit(timeline, clipId, delta) {
+  frameDelta(delta);
+  const { track, clip } = findClip(timeline, clipId);
+  const { next } = neighbours(track, clip);
+  if (!next) {
+    throw new Error(`Clip ${clipId} has no clip directly after it to roll against`);
+  }
+  requireNormalSpeed(clip, 'rolling');
+  requireNormalSpeed(next, 'rolling');
+  clip.endTime += delta;
+  clip.outPoint += delta;
+  next.startTime += delta;
+  next.inPoint += delta;
+  finish(timeline, [track], [clip, next]);
+  return [clip, next];
+}
+
+/**
+ * Slip a clip's source range without moving it on the timeline
+ *
+ * @returns {Object} - The slipped clip
+ */
+function slipClip(timeline, clipId, delta) {
+  frameDelta(delta);
+  const { track, clip } = findClip(timeline, clipId);
+  requireNormalSpeed(clip, 'slipping');
+  clip.inPoint += delta;
+  clip.outPoint += delta;
+  finish(timeline, [track], [clip]);
+  return clip;
+}
+
+/**
+ * Slide a clip along its track, keeping its source range
+ *
+ * The clip directly before it is lengthened (or shortened) and the clip
+ * directly after it shortened (or lengthened) to match, so the track's
+ * overall length does not change.
+ *
+ * @returns {Object} - { clip, previous, next }
+ */
+function slideClip(timeline, clipId, delta) {
+  frameDelta(delta);
+  const { track, clip } = findClip(timeline, clipId);
+  const { previous, next } = neighbours(track, clip);
+  const touched = [clip];
+  if (previous) {
+    requireNormalSpeed(previous, 'sliding');
+    previous.endTime += delta;
+    previous.outPoint += delta;
+    touched.push(previous);
+  }
+  if (next) {
+    requireNormalSpeed(next, 'sliding');
+    next.startTime += delta;
+    next.inPoint += delta;
+    touched.push(next);
+  }
+  clip.startTime += delta;
+  clip.endTime += delta;
+  finish(timeline, [track], touched);
+  return { clip, previous, next };
+}
+
+/**
+ * Add a clip to a track where it does not cover another clip
+ *
+ * @returns {Object} - The added clip
+ */
+function addClip(timeline, trackId, clipData) {
+  const track = findTrack(timeline, trackId);
+  const clip = buildClip(timeline, clipData);
+  track.clips.push(clip);
+  finish(timeline, [track], [clip]);
+  return clip;
+}
+
+/**
+ * Insert a clip, pushing everything at and after it on the track later
+ *
+ * A clip spanning the insert point is split around the new clip.
+ *
+ * @returns {Object} - The inserted clip
+ */
+function insertClip(timeline, trackId, clipData) {
+  const track = findTrack(timeline, trackId);
+  const clip = buildClip(timeline, clipData);
+  const at = clip.startTime;
+  const length = clip.endTime - clip.startTime;
+
+  const spanning = track.clips.find(candidate => candidate.startTime < at && candidate.endTime > at);
+  const touched = [clip];
+  if (spanning) {
+    requireNormalSpeed(spanning, 'inserting into it');
+    touched.push(spanning, cutAt(track, spanning, at));
+  }
+  shiftFrom(track, at, length);
+  track.clips.push(clip);
+  finish(timeline, [track], touched);
+  return clip;
+}
+
+/**
+ * Overwrite a clip onto a track, replacing whatever it covers
+ *
+ * Clips partly covered are trimmed (or split, when the new clip lands in
+ * their middle); clips fully covered are removed.
+ *
+ * @returns {Object} - { clip, removed: [clipId] }
+ */
+function overwriteClip(timeline, trackId, clipData) {
+  const track = findTrack(timeline, trackId);
+  const clip = buildClip(timeline, clipData);
+  const removed = [];
+  const touched = [clip];
+
+  for (const existing of [...track.clips]) {
+    if (existing.endTime <= clip.startTime || existing.startTime >= clip.endTime) {
+      continue;
+    }
+    if (existing.startTime >= clip.startTime && existing.endTime <= clip.endTime) {
+      track.clips = track.clips.filter(candidate => candidate !== existing);
+      removed.push(existing.id);
+      continue;
+    }
+    requireNormalSpeed(existing, 'overwriting it');
+    if (existing.startTime < clip.startTime && existing.endTime > clip.endTime) {
+      const tail = cutAt(track, existing, clip.startTime);
+      const cut = clip.endTime - tail.startTime;
+      tail.startTime += cut;
+      tail.inPoint += cut;
+      touched.push(existing, tail);
+    } else if (existing.startTime < clip.startTime) {
+      existing.outPoint -= existing.endTime - clip.startTime;
+      existing.endTime = clip.startTime;
+      touched.push(existing);
+    } else {
+      const cut = clip.endTime - existing.startTime;
+      existing.startTime += cut;
+      existing.inPoint += cut;
+      touched.push(existing);
+    }
+  }
+
+  track.clips.push(clip);
+  finish(timeline, [track], touched);
+  return { clip, removed };
+}
+
+module.exports = {
+  findClip,
+  buildClip,
+  moveClip,
+  deleteClip,
+  rippleDeleteClip,
+  splitClip,
+  trimHead,
+  trimTail,
+  rippleTrim,
+  rollEdit,
+  slipClip,
+  slideClip,
+  addClip,
+  insertClip,
+  overwriteClip,
+};
@@ -0,0 +1,166 @@
+const editing = require('./editing');
+
+const clip = (id, startTime, endTime, inPoint = 0) => ({
+  id,
+  assetId: 'asset-1',
+  startTime,
+  endTime,
+  inPoint,
+  outPoint: inPoint + endTime - startTime,
+  transitions: { in: null, out: null }
+});
+
+// Three back-to-back clips on V1 of media 10 seconds (240 frames) long
+function sampleTimeline() {
+  return {
+    framerate: 24,
+    assets: { 'asset-1': { id: 'asset-1', metadata: { duration: 10 } } },
+    tracks: [
+      { id: 'track-v1', type: 'video', clips: [clip('a', 0, 48, 0), clip('b', 48, 96, 48), clip('c', 96, 144, 96)] },
+      { id: 'track-v2', type: 'video', clips: [] },
+      { id: 'track-a1', type: 'audio', clips: [] }
+    ],
+    duration: 144
+  };
+}
+
+const spans = (timeline, trackId = 'track-v1') => timeline.tracks
+  .find(track => track.id === trackId).clips
+  .map(item => [item.id, item.startTime, item.endTime, item.inPoint, item.outPoint]);
+
+describe('moving and deleting', () => {
+  it('moves a clip to another track of the same type', () => {
+    const timeline = sampleTimeline();
+    editing.moveClip(timeline, 'c', { startTime: 200, trackId: 'track-v2' });
+    expect(spans(timeline, 'track-v2')).toEqual([['c', 200, 248, 96, 144]]);
+    expect(timeline.duration).toBe(248);
+  });
+
+  it('refuses moves onto another type of track or over a clip', () => {
+    expect(() => editing.moveClip(sampleTimeline(), 'a', { trackId: 'track-a1' })).toThrow('Cannot move a video clip');
+    expect(() => editing.moveClip(sampleTimeline(), 'a', { startTime: 60 })).toThrow('would overlap');
+  });
+
+  it('accepts timecode positions', () => {
+    const timeline = sampleTimeline();
+    editing.moveClip(timeline, 'c', { startTime: '00:00:10:00' });
+    expect(spans(timeline)[2]).toEqual(['c', 240, 288, 96, 144]);
+  });
+
+  it('leaves a gap on delete and closes it on ripple delete', () => {
+    const gap = sampleTimeline();
+    editing.deleteClip(gap, 'b');
+    expect(spans(gap).map(item => item[1])).toEqual([0, 96]);
+
+    const ripple = sampleTimeline();
+    editing.rippleDeleteClip(ripple, 'b');
+    expect(spans(ripple)).toEqual([['a', 0, 48, 0, 48], ['c', 48, 96, 96, 144]]);
+    expect(ripple.duration).toBe(96);
+  });
+});
+
+describe('splitting and trimming', () => {
+  it('splits a clip with a continuous source', () => {
+    const timeline = sampleTimeline();
+    const [first, second] = editing.splitClip(timeline, 'b', 60);
+    expect([first.endTime, first.outPoint]).toEqual([60, 60]);
+    expect([second.startTime, second.endTime, second.inPoint, second.outPoint]).toEqual([60, 96, 60, 96]);
+    expect(() => editing.splitClip(timeline, 'a', 48)).toThrow('is not inside clip');
+  });
+
+  it('trims head and tail without moving other clips', () => {
+    const timeline = sampleTimeline();
+    editing.trimHead(timeline, 'b', 12);
+    editing.trimTail(timeline, 'b', -12);
+    expect(spans(timeline)[1]).toEqual(['b', 60, 84, 60, 84]);
+    expect(spans(timeline)[2][1]).toBe(96);
+  });
+
+  it('keeps trims inside the media and off other clips', () => {
+    expect(() => editing.trimHead(sampleTimeline(), 'a', -1)).toThrow('would start before the timeline');
+    expect(() => editing.trimTail(sampleTimeline(), 'a', 1)).toThrow('would overlap');
+    expect(() => editing.trimTail(sampleTimeline(), 'c', 100)).toThrow('outside its media');
+    expect(() => editing.trimTail(sampleTimeline(), 'c', 1.5)).toThrow('whole number of frames');
+  });
+
+  it('ripples later clips by the change in length', () => {
+    const timeline = sampleTimeline();
+    editing.rippleTrim(timeline, 'a', 'head', 12);
+    expect(spans(timeline)).toEqual([['a', 0, 36, 12, 48], ['b', 36, 84, 48, 96], ['c', 84, 132, 96, 144]]);
+    expect(timeline.duration).toBe(132);
+  });
+});
+
+describe('roll, slip and slide', () => {
+  it('rolls the edit point between two clips', () => {
+    const timeline = sampleTimeline();
+    editing.rollEdit(timeline, 'a', 12);
+    expect(spans(timeline).slice(0, 2)).toEqual([['a', 0, 60, 0, 60], ['b', 60, 96, 60, 96]]);
+    expect(() => editing.rollEdit(timeline, 'c', 1)).toThrow('no clip directly after it');
+  });
+
+  it('slips the source range only', () => {
+    const timeline = sampleTimeline();
+    editing.slipClip(timeline, 'b', 24);
+    expect(spans(timeline)[1]).toEqual(['b', 48, 96, 72, 120]);
+  });
+
+  it('slides a clip between its neighbours, keeping the track length', () => {
+    const timeline = sampleTimeline();
+    editing.slideClip(timeline, 'b', 12);
+    expect(spans(timeline)).toEqual([['a', 0, 60, 0, 60], ['b', 60, 108, 48, 96], ['c', 108, 144, 108, 144]]);
+    expect(timeline.duration).toBe(144);
+  });
+
+  it('refuses to edit speed-changed clips frame by frame', () => {
+    const timeline = sampleTimeline();
+    timeline.tracks[0].clips[1].speed = 2;
+    expect(() => editing.slipClip(timeline, 'b', 1)).toThrow('is speed-changed');
+  });
+});
+
+describe('add, insert and overwrite', () => {
+  it('adds a clip into a gap', () => {
+    const timeline = sampleTimeline();
+    const added = editing.addClip(timeline, 'track-v1', { assetId: 'asset-1', startTime: 144, inPoint: '00:00:01:00', outPoint: 48 });
+    expect(spans(timeline)[3]).toEqual([added.id, 144, 168, 24, 48]);
+    expect(timeline.duration).toBe(168);
+  });
+
+  it('refuses to add a clip over another clip or past its media', () => {
+    const timeline = sampleTimeline();
+    expect(() => editing.addClip(timeline, 'track-v1', { assetId: 'asset-1', startTime: 120, inPoint: 0, outPoint: 48 })).toThrow('would overlap clip c');
+    expect(() => editing.addClip(timeline, 'track-v2', { assetId: 'asset-1', startTime: 0, inPoint: 200, outPoint: 260 })).toThrow('outside its media (0-240 frames)');
+    expect(() => editing.addClip(timeline, 'track-v2', { assetId: 'asset-1', startTime: 10, endTime: 10 })).toThrow('would be 0 frames long');
+    expect(() => editing.addClip(timeline, 'track-v9', { assetId: 'asset-1' })).toThrow('Track with ID track-v9 not found');
+  });
+
+  it('gives every new clip its own ID', () => {
+    const timeline = sampleTimeline();
+    const ids = Array.from({ length: 20 }, (_, index) => editing.addClip(timeline, 'track-v2', { assetId: 'asset-1', startTime: index * 10, outPoint: 10 }).id);
+    expect(new Set(ids).size).toBe(20);
+  });
+
+  it('inserts a clip, splitting the clip under it and pushing the rest later', () => {
+    const timeline = sampleTimeline();
+    const inserted = editing.insertClip(timeline, 'track-v1', { assetId: 'asset-1', startTime: 60, inPoint: 0, outPoint: 24 });
+    const result = spans(timeline);
+    expect(result[0]).toEqual(['a', 0, 48, 0, 48]);
+    expect(result[1]).toEqual(['b', 48, 60, 48, 60]);
+    expect(result[2]).toEqual([inserted.id, 60, 84, 0, 24]);
+    expect(result[3].slice(1)).toEqual([84, 120, 60, 96]);
+    expect(result[4]).toEqual(['c', 120, 168, 96, 144]);
+  });
+
+  it('overwrites what a clip covers', () => {
+    const timeline = sampleTimeline();
+    const { clip: placed, removed } = editing.overwriteClip(timeline, 'track-v1', { assetId: 'asset-1', startTime: 36, inPoint: 0, outPoint: 72 });
+    expect(removed).toEqual(['b']);
+    expect(spans(timeline)).toEqual([['a', 0, 36, 0, 36], [placed.id, 36, 108, 0, 72], ['c', 108, 144, 108, 144]]);
+  });
+
+  it('carries the shot a clip is cut from', () => {
+    const built = editing.buildClip(sampleTimeline(), { assetId: 'asset-1', shotId: 'shot-2', inPoint: 24 });
+    expect(built).toMatchObject({ shotId: 'shot-2', startTime: 0, inPoint: 24, outPoint: 144, endTime: 120 });
+  });
+});
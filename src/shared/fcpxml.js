@@ -0,0 +1,227 @@
+/**
+ * TimelineAssembler - FCPXML export
+ *
+ * Writes a timeline as FCPXML 1.9 for Final Cut Pro X. The first video track
+ * becomes the primary storyline; clips on other tracks are attached to it as
+ * connected clips (positive lanes for video, negative lanes for audio).
+ */
+
+const { element, renderXmlDocument } = require('./xml');
+const { assetPathUrl } = require('./xmeml');
+const { sourceStartFrames } = require('./assets');
+const { parseFrameRate, frameRateToNumber, resolveDropFrame, secondsToFrames, toFrames } = require('./timecode');
+
+const FCPXML_VERSION = '1.9';
+const CROSS_DISSOLVE_UID = 'FxPlug:4731E73A-8DAC-4113-9A30-AE85B1761265';
+
+/**
+ * Express a frame count as an FCPXML rational time (e.g. "1001/30000s")
+ *
+ * @param {number} frames - Frame count
+ * @param {number|string|Object} framerate - Frame rate
+ * @returns {string} - Rational time value
+ */
+function rationalTime(frames, framerate) {
+  const { num, den } = parseFrameRate(framerate);
+  if (!frames) {
+    return '0s';
+  }
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const numerator = Math.round(frames) * den;
+  const divisor = gcd(Math.abs(numerator), num);
+  const reducedDen = num / divisor;
+  return reducedDen === 1 ? `${numerator / divisor}s` : `${numerator / divisor}/${reducedDen}s`;
+}
+
+function frameDuration(framerate) {
+  const { num, den } = parseFrameRate(framerate);
+  return `${den}/${num}s`;
+}
+
+function formatName(height, framerate) {
+  const label = (Math.round(frameRateToNumber(framerate) * 100) / 100).toString().replace('.', '');
+  return `FFVideoFormat${height}p${label}`;
+}
+
+/**
+ * Generate an FCPXML document
+ *
+ * @param {Object} timeline - Timeline data (including its `assets`)
+ * @param {Object} options - Export options
+ * @param {string} options.mediaRoot - Local folder that asset storage paths are relative to
+ * @returns {string} - FCPXML document
+ */
+function generateFCPXML(timeline, { mediaRoot = '' } = {}) {
+  const framerate = timeline.framerate || 24;
+  const assets = timeline.assets || {};
+  const [width, height] = String(timeline.resolution || '1920x1080').split('x').map(Number);
+  const time = (frames) => rationalTime(frames, framerate);
+  const tcFormat = resolveDropFrame(framerate, timeline.dropFrame) ? 'DF' : 'NDF';
+
+  // Resources: one format per distinct picture size/rate, one asset per media file
+  const resources = [];
+  const formatIds = {};
+  const assetIds = {};
+  let nextId = 1;
+
+  const formatFor = (formatWidth, formatHeight, formatRate) => {
+    const key = `${formatWidth}x${formatHeight}@${parseFrameRate(formatRate).num}/${parseFrameRate(formatRate).den}`;
+    if (!formatIds[key]) {
+      formatIds[key] = `r${nextId++}`;
+      resources.push(element('format', {
+        id: formatIds[key],
+        name: formatName(formatHeight, formatRate),
+        frameDuration: frameDuration(formatRate),
+        width: formatWidth,
+        height: formatHeight
+      }));
+    }
+    return formatIds[key];
+  };
+
+  const sequenceFormat = formatFor(width || 1920, height || 1080, framerate);
+
+  const assetStart = (asset) => sourceStartFrames(asset, framerate);
+
+  const assetRef = (assetId) => {
+    if (assetIds[assetId]) {
+      return assetIds[assetId];
+    }
+    const asset = assets[assetId] || { id: assetId };
+    const metadata = asset.metadata || {};
+    const video = metadata.video;
+    const format = video && video.width
+      ? formatFor(video.width, video.height, video.frameRate || framerate)
+      : sequenceFormat;
+
+    assetIds[assetId] = `r${nextId++}`;
+    resources.push(element('asset', {
+      id: assetIds[assetId],
+      name: asset.fileName || assetId,
+      start: time(assetStart(asset)),
+      duration: time(secondsToFrames(metadata.duration || 0, framerate)),
+      hasVideo: video || !metadata.audio ? '1' : '0',
+      hasAudio: metadata.audio ? '1' : '0',
+      format: format,
+      audioSources: metadata.audio ? '1' : null,
+      audioChannels: metadata.audio ? metadata.audio.channels || 2 : null
+    }, [
+      element('media-rep', { kind: 'original-media', src: assetPathUrl(asset, mediaRoot).replace('file://localhost/', 'file:///') })
+    ]));
+    return assetIds[assetId];
+  };
+
+  let dissolveRef = null;
+  const transition = (data, cutFrame) => {
+    if (!data || !(data.duration > 0)) {
+      return null;
+    }
+    if (!dissolveRef) {
+      dissolveRef = `r${nextId++}`;
+      resources.push(element('effect', { id: dissolveRef, name: 'Cross Dissolve', uid: CROSS_DISSOLVE_UID }));
+    }
+    return element('transition', {
+      name: 'Cross Dissolve',
+      offset: time(cutFrame - Math.floor(data.duration / 2)),
+      duration: time(data.duration)
+    }, [element('filter-video', { ref: dissolveRef, name: 'Cross Dissolve' })]);
+  };
+
+  const tracks = timeline.tracks || [];
+  const primary = tracks.find(track => track.type !== 'audio');
+  const videoLanes = tracks.filter(track => track.type !== 'audio' && track !== primary);
+  const audioLanes = tracks.filter(track => track.type === 'audio');
+
+  // Primary storyline items with their record range, gaps filling holes
+  const spineItems = [];
+  let position = 0;
+  const primaryClips = [...((primary && primary.clips) || [])].sort((a, b) => a.startTime - b.startTime);
+  for (const clip of primaryClips) {
+    if (clip.startTime > position) {
+      spineItems.push({ type: 'gap', startTime: position, endTime: clip.startTime, sourceStart: 0, children: [] });
+    }
+    const asset = assets[clip.assetId] || {};
+    spineItems.push({
+      type: 'clip',
+      clip: clip,
+      startTime: clip.startTime,
+      endTime: clip.endTime,
+      sourceStart: assetStart(asset) + clip.inPoint,
+      children: []
+    });
+    position = Math.max(position, clip.endTime);
+  }
+  const sequenceEnd = Math.max(timeline.duration || 0, position);
+
+  // Connected clips attach to the spine item under their start frame
+  const attach = (clip, lane) => {
+    let parent = spineItems.find(item => clip.startTime >= item.startTime && clip.startTime < item.endTime);
+    if (!parent) {
+      parent = { type: 'gap', startTime: position, endTime: Math.max(clip.endTime, position), sourceStart: 0, children: [] };
+      spineItems.push(parent);
+      position = parent.endTime;
+    }
+    parent.children.push({ clip, lane, offset: parent.sourceStart + (clip.startTime - parent.startTime) });
+  };
+  videoLanes.forEach((track, index) => (track.clips || []).forEach(clip => attach(clip, index + 1)));
+  audioLanes.forEach((track, index) => (track.clips || []).forEach(clip => attach(clip, -(index + 1))));
+
+  const assetClip = (clip, attributes, children = []) => {
+    const asset = assets[clip.assetId] || {};
+    return element('asset-clip', {
+      ref: assetRef(clip.assetId),
+      ...attributes,
+      name: asset.fileName || clip.assetId,
+      start: time(assetStart(asset) + clip.inPoint),
+      duration: time(clip.endTime - clip.startTime),
+      tcFormat: tcFormat
+    }, children);
+  };
+
+  const connected = (child) => assetClip(child.clip, { lane: child.lane, offset: time(child.offset) });
+
+  // Building the spine registers the resources it references
+  const spine = [];
+  for (const item of spineItems) {
+    if (item.type === 'gap') {
+      spine.push(element('gap', {
+        name: 'Gap',
+        offset: time(item.startTime),
+        start: '0s',
+        duration: time(item.endTime - item.startTime)
+      }, item.children.map(connected)));
+      continue;
+    }
+    const transitions = item.clip.transitions || {};
+    if (transitions.in && spine.length > 0) {
+      spine.push(transition(transitions.in, item.startTime));
+    }
+    spine.push(assetClip(item.clip, { offset: time(item.startTime) }, item.children.map(connected)));
+  }
+
+  const sequence = element('sequence', {
+    format: sequenceFormat,
+    duration: time(Math.max(sequenceEnd, position)),
+    tcStart: time(timeline.startTimecode ? toFrames(timeline.startTimecode, framerate) : 0),
+    tcFormat: tcFormat,
+    audioLayout: 'stereo',
+    audioRate: '48k'
+  }, [element('spine', {}, spine)]);
+
+  const name = timeline.name || 'Timeline';
+  const root = element('fcpxml', { version: FCPXML_VERSION }, [
+    element('resources', {}, resources),
+    element('library', {}, [
+      element('event', { name: name }, [
+        element('project', { name: name }, [sequence])
+      ])
+    ])
+  ]);
+
+  return renderXmlDocument(root, 'fcpxml');
+}
+
+module.exports = {
+  rationalTime,
+  generateFCPXML,
+};
@@ -0,0 +1,99 @@
+const { rationalTime, generateFCPXML } = require('./fcpxml');
+
+const assets = {
+  a: { id: 'a', fileName: 'A001.mov', metadata: { duration: 10, startTimecode: '01:00:00:00', video: { width: 3840, height: 2160, frameRate: 24 }, audio: { channels: 2 } } },
+  b: { id: 'b', fileName: 'B001.mov', metadata: { duration: 10, video: { width: 1920, height: 1080, frameRate: 24 } } },
+  m: { id: 'm', fileName: 'music.wav', metadata: { duration: 60, audio: { channels: 2 } } }
+};
+
+const clip = (id, assetId, startTime, endTime, inPoint, transitions = { in: null, out: null }) => ({
+  id, assetId, startTime, endTime, inPoint, outPoint: inPoint + endTime - startTime, transitions
+});
+
+const parse = (timeline) => new DOMParser().parseFromString(
+  generateFCPXML({ name: 'Cut', framerate: 24, resolution: '1920x1080', assets, ...timeline }),
+  'application/xml'
+);
+const attributes = (node, names) => names.map(name => node.getAttribute(name));
+
+describe('rationalTime', () => {
+  it('reduces frames to seconds at the frame rate', () => {
+    expect(rationalTime(0, 24)).toBe('0s');
+    expect(rationalTime(48, 24)).toBe('2s');
+    expect(rationalTime(3, 24)).toBe('1/8s');
+    expect(rationalTime(1, '30000/1001')).toBe('1001/30000s');
+    expect(rationalTime(30, 29.97)).toBe('1001/1000s');
+    expect(rationalTime(25, 25)).toBe('1s');
+  });
+});
+
+describe('generateFCPXML', () => {
+  const timeline = {
+    startTimecode: '10:00:00:00',
+    tracks: [
+      {
+        id: 'v1',
+        type: 'video',
+        clips: [
+          clip('1', 'a', 24, 72, 12),
+          clip('2', 'b', 72, 120, 0, { in: { type: 'dissolve', duration: 12 }, out: null }),
+          clip('3', 'a', 120, 168, 48, { in: { type: 'dissolve', duration: 6 }, out: null })
+        ]
+      },
+      { id: 'v2', type: 'video', clips: [clip('4', 'b', 84, 96, 24)] },
+      { id: 'a1', type: 'audio', clips: [clip('5', 'm', 0, 168, 0)] }
+    ]
+  };
+
+  it('writes one format per picture size and rate and one resource per asset', () => {
+    const doc = parse(timeline);
+    const formats = [...doc.querySelectorAll('resources > format')];
+    expect(formats.map(format => attributes(format, ['name', 'frameDuration', 'width', 'height']))).toEqual([
+      ['FFVideoFormat1080p24', '1/24s', '1920', '1080'],
+      ['FFVideoFormat2160p24', '1/24s', '3840', '2160']
+    ]);
+
+    const resources = Object.fromEntries([...doc.querySelectorAll('resources > asset')].map(asset => [asset.getAttribute('name'), asset]));
+    expect(Object.keys(resources).sort()).toEqual(['A001.mov', 'B001.mov', 'music.wav']);
+    expect(attributes(resources['A001.mov'], ['start', 'duration', 'hasVideo', 'hasAudio'])).toEqual(['3600s', '10s', '1', '1']);
+    expect(attributes(resources['B001.mov'], ['start', 'duration', 'hasVideo', 'hasAudio'])).toEqual(['0s', '10s', '1', '0']);
+    expect(attributes(resources['music.wav'], ['start', 'duration', 'hasVideo', 'hasAudio'])).toEqual(['0s', '60s', '0', '1']);
+    expect(resources['A001.mov'].getAttribute('format')).toBe(formats[1].getAttribute('id'));
+    expect(resources['B001.mov'].getAttribute('format')).toBe(formats[0].getAttribute('id'));
+    expect(resources['A001.mov'].querySelector('media-rep').getAttribute('src')).toMatch(/^file:\/\/\/.*A001\.mov$/);
+    expect(doc.querySelectorAll('resources > effect')).toHaveLength(1);
+  });
+
+  it('lays the first video track out as the spine with gaps and centred transitions', () => {
+    const doc = parse(timeline);
+    const sequence = doc.querySelector('sequence');
+    expect(attributes(sequence, ['duration', 'tcStart', 'tcFormat'])).toEqual(['7s', '36000s', 'NDF']);
+
+    const spine = [...doc.querySelector('spine').children];
+    expect(spine.map(item => [item.tagName, ...attributes(item, ['offset', 'start', 'duration'])])).toEqual([
+      ['gap', '0s', '0s', '1s'],
+      ['asset-clip', '1s', '7201/2s', '2s'],
+      ['transition', '11/4s', null, '1/2s'],
+      ['asset-clip', '3s', '0s', '2s'],
+      ['transition', '39/8s', null, '1/4s'],
+      ['asset-clip', '5s', '3602s', '2s']
+    ]);
+  });
+
+  it('connects clips on other tracks to the spine item under them', () => {
+    const doc = parse(timeline);
+    const [gap, first, , second] = [...doc.querySelector('spine').children];
+
+    // Music from frame 0 hangs off the leading gap, on the first audio lane
+    expect(attributes(gap.querySelector('asset-clip'), ['name', 'lane', 'offset', 'duration'])).toEqual(['music.wav', '-1', '0s', '7s']);
+    // V2 at frame 84 sits 12 frames into B001, whose local time starts at its in point
+    expect(attributes(second.querySelector('asset-clip'), ['name', 'lane', 'offset', 'start'])).toEqual(['B001.mov', '1', '1/2s', '1s']);
+    expect(first.querySelector('asset-clip')).toBeNull();
+  });
+
+  it('writes drop-frame timecode format for 29.97 timelines', () => {
+    const doc = parse({ framerate: 29.97, tracks: [] });
+    expect(doc.querySelector('sequence').getAttribute('tcFormat')).toBe('DF');
+    expect(doc.querySelector('resources > format').getAttribute('frameDuration')).toBe('1001/30000s');
+  });
+});
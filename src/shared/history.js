@@ -0,0 +1,314 @@
+/**
+ * TimelineAssembler - Undo/redo command history
+ *
+ * Every edit is recorded as a command holding only what it changed: each
+ * clip and track it added, removed or altered, as it was before and after
+ * (keyed by track and clip ID), plus the duration and markers when those
+ * changed. Undoing puts the `before` side back and redoing the `after` side.
+ * Commands are kept per timeline and per user as
+ * `{ undo: [command], redo: [command] }`, newest last. An undo or redo only
+ * applies while the clips and tracks it touches are still as the command
+ * left them; otherwise someone has edited them since and restoring would
+ * discard their work. Edits to other clips do not get in the way.
+ */
+
+const { newId } = require('./ids');
+
+// Timeline fields edits change and history restores
+const HISTORY_FIELDS = ['tracks', 'duration', 'markers'];
+
+// Whole-value fields; tracks are compared clip by clip instead
+const VALUE_FIELDS = ['duration', 'markers'];
+
+// Commands kept on the undo stack
+const HISTORY_LIMIT = 50;
+
+const newCommandId = () => newId('cmd');
+
+// Drop what the database does not store (null, empty arrays and objects) so
+// a value compares equal to itself after a round trip
+function normalize(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(normalize).filter(item => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const key of Object.keys(value).sort()) {
+      const item = normalize(value[key]);
+      if (item !== undefined) {
+        result[key] = item;
+      }
+    }
+    return Object.keys(result).length > 0 ? result : undefined;
+  }
+  return value === null ? undefined : value;
+}
+
+const sameValue = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const copy = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+// A track without its clips, which are diffed separately
+const trackFields = ({ clips, ...track }) => track;
+
+// Index tracks and their clips by ID: { trackId: { index, track, clips: { clipId: { index, clip } } } }
+// Commands find clips by ID alone, so an ID used twice would let one clip's
+// change be recorded or restored over the other
+function indexTracks(tracks) {
+  const indexed = {};
+  const clipTracks = {};
+  (tracks || []).forEach((track, index) => {
+    if (indexed[track.id]) {
+      throw new Error(`Track ID ${track.id} is used by more than one track`);
+    }
+    const clips = {};
+    (track.clips || []).forEach((clip, clipIndex) => {
+      if (clipTracks[clip.id]) {
+        throw new Error(`Clip ID ${clip.id} is used by more than one clip (on tracks ${clipTracks[clip.id]} and ${track.id})`);
+      }
+      clipTracks[clip.id] = track.id;
+      clips[clip.id] = { index: clipIndex, clip };
+    });
+    indexed[track.id] = { index, track: trackFields(track), clips };
+  });
+  return indexed;
+}
+
+// Changed tracks and clips between two track lists
+function diffTracks(beforeTracks, afterTracks) {
+  const before = indexTracks(beforeTracks);
+  const after = indexTracks(afterTracks);
+  const tracks = [];
+  const clips = [];
+
+  for (const trackId of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const from = before[trackId];
+    const to = after[trackId];
+    if (!from || !to || !sameValue(from.track, to.track) || from.index !== to.index) {
+      tracks.push({
+        trackId,
+        before: from ? copy(from.track) : null,
+        after: to ? copy(to.track) : null,
+        beforeIndex: from ? from.index : null,
+        afterIndex: to ? to.index : null
+      });
+    }
+
+    const fromClips = from ? from.clips : {};
+    const toClips = to ? to.clips : {};
+    for (const clipId of new Set([...Object.keys(fromClips), ...Object.keys(toClips)])) {
+      const a = fromClips[clipId];
+      const b = toClips[clipId];
+      if (!a || !b || !sameValue(a.clip, b.clip)) {
+        clips.push({
+          trackId,
+          clipId,
+          before: a ? copy(a.clip) : null,
+          after: b ? copy(b.clip) : null,
+          beforeIndex: a ? a.index : null,
+          afterIndex: b ? b.index : null
+        });
+      }
+    }
+  }
+  return { tracks, clips };
+}
+
+/**
+ * Copy the history fields of a timeline record
+ *
+ * @param {Object} timeline - Timeline record, or the fields an update writes
+ * @returns {Object} - Deep copy of the history fields present
+ */
+function captureState(timeline) {
+  const state = {};
+  for (const field of HISTORY_FIELDS) {
+    if (timeline && field in timeline) {
+      state[field] = copy(timeline[field]);
+    }
+  }
+  return state;
+}
+
+/**
+ * Build a command from the state before and after an edit
+ *
+ * Only fields present in `after` are considered, so an edit that writes
+ * some fields passes just those.
+ *
+ * @param {string} label - Description shown in the history (e.g. "Trim head")
+ * @param {Object} before - Timeline state before the edit
+ * @param {Object} after - Timeline state after the edit
+ * @returns {Object|null} - { id, label, time, tracks, clips, fields }, or null when nothing changed
+ */
+function createCommand(label, before, after) {
+  const previous = before || {};
+  const { tracks, clips } = 'tracks' in after ? diffTracks(previous.tracks, after.tracks) : { tracks: [], clips: [] };
+  const fields = {};
+  for (const field of VALUE_FIELDS) {
+    if (field in after && !sameValue(previous[field], after[field])) {
+      fields[field] = { before: copy(previous[field]), after: copy(after[field]) };
+    }
+  }
+  if (tracks.length === 0 && clips.length === 0 && Object.keys(fields).length === 0) {
+    return null;
+  }
+  return {
+    id: newCommandId(),
+    label,
+    time: new Date().toISOString(),
+    tracks,
+    clips,
+    fields
+  };
+}
+
+/**
+ * Whether a timeline still holds one side of a command
+ *
+ * Only the tracks, clips and fields the command changed are compared.
+ *
+ * @param {Object} timeline - Timeline record
+ * @param {Object} command - History command
+ * @param {string} side - "before" or "after"
+ * @returns {boolean}
+ */
+function matchesState(timeline, command, side) {
+  const current = indexTracks(timeline.tracks);
+  const tracksMatch = (command.tracks || []).every(change => {
+    const entry = current[change.trackId];
+    return sameValue(entry ? entry.track : null, change[side]);
+  });
+  const clipsMatch = (command.clips || []).every(change => {
+    const entry = current[change.trackId] && current[change.trackId].clips[change.clipId];
+    return sameValue(entry ? entry.clip : null, change[side]);
+  });
+  const fieldsMatch = Object.keys(command.fields || {}).every(field => sameValue(timeline[field], command.fields[field][side]));
+  return tracksMatch && clipsMatch && fieldsMatch;
+}
+
+// Insert at a recorded index, clamped to the list
+const insertAt = (list, index, item) => list.splice(Math.min(index === null || index === undefined ? list.length : index, list.length), 0, item);
+
+/**
+ * Put one side of a command back on a timeline
+ *
+ * Changed clips are replaced where they are; clips and tracks the side
+ * lacks are removed and those it has are inserted at their recorded
+ * positions. Everything the command did not touch is left alone.
+ *
+ * @param {Object} timeline - Timeline record (modified in place)
+ * @param {Object} command - History command
+ * @param {string} side - "before" (undo) or "after" (redo)
+ * @returns {Object} - The timeline
+ */
+function applyCommand(timeline, command, side) {
+  const indexKey = `${side}Index`;
+  const trackChanges = command.tracks || [];
+  const clipChanges = command.clips || [];
+  timeline.tracks = timeline.tracks || [];
+  const findTrack = (trackId) => timeline.tracks.find(track => track.id === trackId);
+
+  // Removals first, so the recorded positions of insertions line up
+  for (const change of clipChanges) {
+    const track = findTrack(change.trackId);
+    if (track && !change[side]) {
+      track.clips = (track.clips || []).filter(clip => clip.id !== change.clipId);
+    }
+  }
+  timeline.tracks = timeline.tracks.filter(track => !trackChanges.some(change => change.trackId === track.id && !change[side]));
+
+  for (const change of [...trackChanges].sort((a, b) => (a[indexKey] || 0) - (b[indexKey] || 0))) {
+    if (!change[side]) {
+      continue;
+    }
+    const existing = findTrack(change.trackId);
+    const track = { ...copy(change[side]), clips: existing ? existing.clips || [] : [] };
+    if (existing) {
+      timeline.tracks.splice(timeline.tracks.indexOf(existing), 1);
+    }
+    insertAt(timeline.tracks, change[indexKey], track);
+  }
+
+  for (const change of [...clipChanges].sort((a, b) => (a[indexKey] || 0) - (b[indexKey] || 0))) {
+    const track = findTrack(change.trackId);
+    if (!track || !change[side]) {
+      continue;
+    }
+    track.clips = track.clips || [];
+    const position = track.clips.findIndex(clip => clip.id === change.clipId);
+    if (position !== -1) {
+      track.clips[position] = copy(change[side]);
+    } else {
+      insertAt(track.clips, change[indexKey], copy(change[side]));
+    }
+  }
+
+  for (const [field, values] of Object.entries(command.fields || {})) {
+    if (values[side] === null || values[side] === undefined) {
+      delete timeline[field];
+    } else {
+      timeline[field] = copy(values[side]);
+    }
+  }
+  return timeline;
+}
+
+/**
+ * Push a command onto the undo stack, clearing the redo stack
+ *
+ * @param {Object} history - { undo, redo } (either may be missing)
+ * @param {Object} command - History command
+ * @param {Object} options - History options
+ * @param {number} options.limit - Commands kept (default HISTORY_LIMIT)
+ * @returns {Object} - New history
+ */
+function recordCommand(history, command, { limit = HISTORY_LIMIT } = {}) {
+  const undo = [...((history && history.undo) || []), command];
+  return { undo: undo.slice(Math.max(0, undo.length - limit)), redo: [] };
+}
+
+/**
+ * Move the newest command from one stack to the other
+ *
+ * @param {Object} history - { undo, redo }
+ * @param {string} from - "undo" or "redo"
+ * @param {string} commandId - Command expected on top, so a concurrent change is not lost
+ * @returns {Object|null} - New history, or null when the command is no longer on top
+ */
+function moveCommand(history, from, commandId) {
+  const to = from === 'undo' ? 'redo' : 'undo';
+  const source = [...((history && history[from]) || [])];
+  const command = source.pop();
+  if (!command || command.id !== commandId) {
+    return null;
+  }
+  return { [from]: source, [to]: [...((history && history[to]) || []), command] };
+}
+
+/**
+ * Summarise history for display, newest first
+ *
+ * @param {Object} history - { undo, redo }
+ * @returns {Object} - { undo: [{ id, label, time }], redo: [{ id, label, time }] }
+ */
+function describeHistory(history) {
+  const entries = (commands) => [...(commands || [])].reverse().map(({ id, label, time }) => ({ id, label, time }));
+  return {
+    undo: entries(history && history.undo),
+    redo: entries(history && history.redo)
+  };
+}
+
+module.exports = {
+  HISTORY_FIELDS,
+  HISTORY_LIMIT,
+  captureState,
+  createCommand,
+  matchesState,
+  applyCommand,
+  recordCommand,
+  moveCommand,
+  describeHistory,
+};
@@ -0,0 +1,169 @@
+const {
+  createCommand,
+  matchesState,
+  applyCommand,
+  recordCommand,
+  moveCommand,
+  describeHistory,
+} = require('./history');
+
+const clip = (id, startTime, endTime) => ({
+  id,
+  assetId: 'asset-1',
+  startTime,
+  endTime,
+  inPoint: 0,
+  outPoint: endTime - startTime,
+  transitions: { in: null, out: null }
+});
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+function sampleTimeline() {
+  return {
+    duration: 72,
+    markers: [{ name: 'Start', time: 0 }],
+    tracks: [
+      { id: 'track-v1', type: 'video', name: 'V1', clips: [clip('a', 0, 24), clip('b', 24, 48), clip('c', 48, 72)] },
+      { id: 'track-a1', type: 'audio', name: 'A1', clips: [clip('m', 0, 72)] }
+    ]
+  };
+}
+
+describe('createCommand', () => {
+  it('records only the clips that changed', () => {
+    const before = sampleTimeline();
+    const after = copy(before);
+    after.tracks[0].clips[1].endTime = 36;
+    after.tracks[0].clips[1].outPoint = 12;
+
+    const command = createCommand('Trim tail', before, after);
+    expect(command.label).toBe('Trim tail');
+    expect(command.tracks).toEqual([]);
+    expect(command.clips).toHaveLength(1);
+    expect(command.clips[0]).toMatchObject({ trackId: 'track-v1', clipId: 'b', beforeIndex: 1, afterIndex: 1 });
+    expect(command.clips[0].before.endTime).toBe(48);
+    expect(command.clips[0].after.endTime).toBe(36);
+    expect(command.fields).toEqual({});
+  });
+
+  it('records changed duration and markers', () => {
+    const before = sampleTimeline();
+    const after = { ...copy(before), duration: 96, markers: [] };
+    const command = createCommand('Edit', before, after);
+    expect(command.fields).toEqual({
+      duration: { before: 72, after: 96 },
+      markers: { before: [{ name: 'Start', time: 0 }], after: [] }
+    });
+  });
+
+  it('returns null when nothing changed', () => {
+    expect(createCommand('Nothing', sampleTimeline(), sampleTimeline())).toBeNull();
+  });
+
+  it('only considers the fields written', () => {
+    const before = sampleTimeline();
+    expect(createCommand('Duration', before, { duration: 80 }).clips).toEqual([]);
+  });
+
+  it('refuses timelines that use a clip or track ID twice', () => {
+    const before = sampleTimeline();
+    const after = copy(before);
+    after.tracks[1].clips.push(clip('a', 72, 96));
+    expect(() => createCommand('Add', before, after)).toThrow('Clip ID a is used by more than one clip (on tracks track-v1 and track-a1)');
+
+    after.tracks[1] = { ...after.tracks[0] };
+    expect(() => createCommand('Add', before, after)).toThrow('Track ID track-v1 is used by more than one track');
+  });
+
+  it('gives each command its own ID', () => {
+    const before = sampleTimeline();
+    const ids = Array.from({ length: 20 }, (_, index) => createCommand('Duration', before, { duration: index }).id);
+    expect(new Set(ids).size).toBe(20);
+  });
+});
+
+describe('applyCommand', () => {
+  it('undoes and redoes a ripple delete', () => {
+    const before = sampleTimeline();
+    const after = copy(before);
+    after.tracks[0].clips = [after.tracks[0].clips[0], { ...after.tracks[0].clips[2], startTime: 24, endTime: 48 }];
+    after.duration = 72;
+    const command = createCommand('Ripple delete', before, after);
+
+    const timeline = copy(after);
+    expect(matchesState(timeline, command, 'after')).toBe(true);
+    applyCommand(timeline, command, 'before');
+    expect(timeline).toEqual(before);
+    expect(matchesState(timeline, command, 'before')).toBe(true);
+
+    applyCommand(timeline, command, 'after');
+    expect(timeline).toEqual(after);
+  });
+
+  it('restores removed tracks in place with their clips', () => {
+    const before = sampleTimeline();
+    const after = { ...copy(before), tracks: [copy(before.tracks[1])] };
+    const command = createCommand('Delete track', before, after);
+
+    const timeline = applyCommand(copy(after), command, 'before');
+    expect(timeline.tracks).toEqual(before.tracks);
+  });
+
+  it('leaves clips the command did not touch alone', () => {
+    const before = sampleTimeline();
+    const after = copy(before);
+    after.tracks[0].clips[0].endTime = 12;
+    const command = createCommand('Trim', before, after);
+
+    // Someone else moves another clip after the trim
+    const timeline = copy(after);
+    timeline.tracks[1].clips[0].startTime = 10;
+    expect(matchesState(timeline, command, 'after')).toBe(true);
+    applyCommand(timeline, command, 'before');
+    expect(timeline.tracks[0].clips[0].endTime).toBe(24);
+    expect(timeline.tracks[1].clips[0].startTime).toBe(10);
+  });
+
+  it('no longer matches once a touched clip has changed', () => {
+    const before = sampleTimeline();
+    const after = copy(before);
+    after.tracks[0].clips[0].endTime = 12;
+    const command = createCommand('Trim', before, after);
+
+    const timeline = copy(after);
+    timeline.tracks[0].clips[0].startTime = 4;
+    expect(matchesState(timeline, command, 'after')).toBe(false);
+  });
+
+  it('treats values the database drops as equal', () => {
+    const before = sampleTimeline();
+    const after = copy(before);
+    after.tracks[0].clips[0].endTime = 12;
+    const command = createCommand('Trim', before, after);
+
+    // Stored records lose null transitions
+    const stored = copy(after);
+    stored.tracks.forEach(track => track.clips.forEach(item => delete item.transitions));
+    expect(matchesState(stored, command, 'after')).toBe(true);
+  });
+});
+
+describe('history stacks', () => {
+  it('records newest last, clears redo and keeps the limit', () => {
+    let history = { undo: [], redo: [{ id: 'old' }] };
+    for (let i = 0; i < 4; i++) {
+      history = recordCommand(history, { id: `cmd-${i}`, label: `Edit ${i}`, time: 't' }, { limit: 3 });
+    }
+    expect(history.undo.map(command => command.id)).toEqual(['cmd-1', 'cmd-2', 'cmd-3']);
+    expect(history.redo).toEqual([]);
+    expect(describeHistory(history).undo[0]).toEqual({ id: 'cmd-3', label: 'Edit 3', time: 't' });
+  });
+
+  it('moves the top command only when it is the one expected', () => {
+    const history = { undo: [{ id: 'cmd-1' }, { id: 'cmd-2' }] };
+    expect(moveCommand(history, 'undo', 'cmd-2')).toEqual({ undo: [{ id: 'cmd-1' }], redo: [{ id: 'cmd-2' }] });
+    expect(moveCommand(history, 'undo', 'cmd-1')).toBeNull();
+    expect(moveCommand({ undo: [] }, 'undo', 'cmd-1')).toBeNull();
+  });
+});
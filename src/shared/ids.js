@@ -0,0 +1,23 @@
+/**
+ * TimelineAssembler - Record IDs
+ *
+ * Clips, tracks and history commands are looked up by ID across a timeline,
+ * so IDs must stay unique even when many are created in the same millisecond
+ * (a whole EDL import or assembly builds its clips in one pass).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Create a new unique ID
+ *
+ * @param {string} prefix - Kind of record (e.g. "clip", "track")
+ * @returns {string} - e.g. "clip-1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed"
+ */
+function newId(prefix) {
+  return `${prefix}-${uuidv4()}`;
+}
+
+module.exports = {
+  newId,
+};
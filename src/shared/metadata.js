@@ -0,0 +1,139 @@
+/**
+ * TimelineAssembler - Media metadata
+ *
+ * Ingest probes each upload with ffprobe. The probe result is normalised here
+ * into the asset's `metadata`: duration and size, the first video and audio
+ * stream, and the source timecode, creation date, camera and reel tags that
+ * cameras and NLEs write under different keys.
+ */
+
+const { parseFrameRate, formatFrameRate, frameRateToNumber } = require('./timecode');
+
+/**
+ * Build asset metadata from an ffprobe result
+ *
+ * @param {Object} probe - ffprobe output ({ format, streams })
+ * @returns {Object} - { duration, size, bitrate, format, video, audio, startTimecode, timestamp, camera, reel, tapeName }
+ */
+function readProbeMetadata({ format, streams }) {
+  const videoStream = streams.find(s => s.codec_type === 'video');
+  const audioStream = streams.find(s => s.codec_type === 'audio');
+
+  const result = {
+    duration: format.duration || 0,
+    size: format.size || 0,
+    bitrate: format.bit_rate || 0,
+    format: format.format_name || '',
+  };
+
+  if (videoStream) {
+    const frameRate = safeFrameRate(videoStream.r_frame_rate) || safeFrameRate(videoStream.avg_frame_rate);
+    result.video = {
+      codec: videoStream.codec_name,
+      width: videoStream.width,
+      height: videoStream.height,
+      frameRate: frameRate ? frameRateToNumber(frameRate) : 0,
+      frameRateRational: frameRate ? formatFrameRate(frameRate) : null,
+      bitrate: videoStream.bit_rate || 0,
+      fieldOrder: videoStream.field_order || null,
+      rotation: extractRotation(videoStream),
+      color: {
+        primaries: videoStream.color_primaries || null,
+        transfer: videoStream.color_transfer || null,
+        space: videoStream.color_space || null,
+        range: videoStream.color_range || null,
+      },
+    };
+  }
+
+  if (audioStream) {
+    result.audio = {
+      codec: audioStream.codec_name,
+      channels: audioStream.channels,
+      sampleRate: audioStream.sample_rate,
+      bitrate: audioStream.bit_rate || 0,
+    };
+  }
+
+  return Object.assign(result, extractSourceTags(format, streams));
+}
+
+/**
+ * Parse an ffprobe frame rate ("30000/1001"), ignoring the "0/0" it reports for unknown rates
+ */
+function safeFrameRate(rate) {
+  try {
+    return rate && !String(rate).startsWith('0') ? parseFrameRate(rate) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the display rotation from stream tags or the display matrix side data
+ *
+ * @param {Object} videoStream - ffprobe video stream
+ * @returns {number} - Rotation in degrees
+ */
+function extractRotation(videoStream) {
+  const tags = videoStream.tags || {};
+  if (tags.rotate !== undefined) {
+    return Number(tags.rotate) || 0;
+  }
+  const displayMatrix = (videoStream.side_data_list || []).find(data => data.rotation !== undefined);
+  return displayMatrix ? Number(displayMatrix.rotation) || 0 : 0;
+}
+
+/**
+ * Normalise the source timecode, creation date, camera and reel tags
+ *
+ * Format tags win over stream tags; tag names are matched case-insensitively.
+ *
+ * @param {Object} format - ffprobe format section
+ * @param {Array<Object>} streams - ffprobe streams
+ * @returns {Object} - { startTimecode, timestamp, camera, reel, tapeName }, null where absent
+ */
+function extractSourceTags(format, streams) {
+  // Tag names are case-insensitive in practice (Make vs make)
+  const collect = (tags) => Object.fromEntries(
+    Object.entries(tags || {}).map(([key, value]) => [key.toLowerCase(), value])
+  );
+  const formatTags = collect(format.tags);
+  const streamTags = streams.map(stream => ({ stream, tags: collect(stream.tags) }));
+  const findTag = (...keys) => {
+    for (const key of keys) {
+      if (formatTags[key]) {
+        return formatTags[key];
+      }
+      const match = streamTags.find(entry => entry.tags[key]);
+      if (match) {
+        return match.tags[key];
+      }
+    }
+    return null;
+  };
+
+  // QuickTime keeps timecode on a tmcd data track; MXF and others on the format
+  const tmcdStream = streamTags.find(entry => entry.stream.codec_tag_string === 'tmcd' && entry.tags.timecode);
+  const startTimecode = (tmcdStream && tmcdStream.tags.timecode) || findTag('timecode');
+
+  const creationTime = findTag('com.apple.quicktime.creationdate', 'creation_time', 'date');
+  const creationDate = creationTime ? new Date(creationTime) : null;
+
+  const make = findTag('com.apple.quicktime.make', 'make', 'com.android.manufacturer');
+  const model = findTag('com.apple.quicktime.model', 'model', 'com.android.model');
+
+  return {
+    startTimecode: startTimecode && /^\d{2}:\d{2}:\d{2}[:;.]\d{2}$/.test(startTimecode) ? startTimecode : null,
+    timestamp: creationDate && !isNaN(creationDate.getTime()) ? creationDate.toISOString() : null,
+    camera: make || model ? { make: make, model: model } : null,
+    reel: findTag('reel_name', 'reel', 'com.apple.proapps.reel'),
+    tapeName: findTag('tape_name', 'tapename', 'com.apple.proapps.tapename'),
+  };
+}
+
+module.exports = {
+  readProbeMetadata,
+  extractRotation,
+  extractSourceTags,
+};
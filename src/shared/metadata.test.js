@@ -0,0 +1,102 @@
+const { readProbeMetadata, extractRotation, extractSourceTags } = require('./metadata');
+
+describe('extractSourceTags', () => {
+  it('reads QuickTime timecode from the tmcd track before the container tag', () => {
+    const tags = extractSourceTags({ tags: { timecode: '00:00:00:00' } }, [
+      { codec_type: 'video', tags: {} },
+      { codec_type: 'data', codec_tag_string: 'tmcd', tags: { timecode: '01:02:03:04' } }
+    ]);
+    expect(tags.startTimecode).toBe('01:02:03:04');
+  });
+
+  it('falls back to the container timecode and drops malformed values', () => {
+    expect(extractSourceTags({ tags: { timecode: '10:00:00;00' } }, []).startTimecode).toBe('10:00:00;00');
+    expect(extractSourceTags({ tags: { timecode: '10:00' } }, []).startTimecode).toBeNull();
+  });
+
+  it('normalises the creation date to ISO and ignores dates that do not parse', () => {
+    const quicktime = extractSourceTags({
+      tags: { 'com.apple.quicktime.creationdate': '2024-05-01T10:30:00+0200', creation_time: '2024-05-01T09:00:00.000000Z' }
+    }, []);
+    expect(quicktime.timestamp).toBe('2024-05-01T08:30:00.000Z');
+    expect(extractSourceTags({}, [{ tags: { creation_time: '2024-05-01T09:00:00.000000Z' } }]).timestamp).toBe('2024-05-01T09:00:00.000Z');
+    expect(extractSourceTags({ tags: { date: 'yesterday' } }, []).timestamp).toBeNull();
+  });
+
+  it('matches camera and reel tags case-insensitively, in key order', () => {
+    const tags = extractSourceTags(
+      { tags: { Make: 'Canon', 'com.apple.proapps.reel': 'A001' } },
+      [{ tags: { model: 'C70', reel_name: 'B002', TAPE_NAME: 'TAPE1' } }]
+    );
+    expect(tags.camera).toEqual({ make: 'Canon', model: 'C70' });
+    expect(tags.reel).toBe('B002');
+    expect(tags.tapeName).toBe('TAPE1');
+
+    const android = extractSourceTags({ tags: { 'com.android.manufacturer': 'Google' } }, []);
+    expect(android.camera).toEqual({ make: 'Google', model: null });
+  });
+
+  it('returns nulls when nothing is tagged', () => {
+    expect(extractSourceTags({}, [{}])).toEqual({
+      startTimecode: null,
+      timestamp: null,
+      camera: null,
+      reel: null,
+      tapeName: null
+    });
+  });
+});
+
+describe('extractRotation', () => {
+  it('prefers the rotate tag over the display matrix', () => {
+    expect(extractRotation({ tags: { rotate: '90' }, side_data_list: [{ rotation: -90 }] })).toBe(90);
+    expect(extractRotation({ side_data_list: [{ side_data_type: 'Other' }, { rotation: -90 }] })).toBe(-90);
+    expect(extractRotation({})).toBe(0);
+  });
+});
+
+describe('readProbeMetadata', () => {
+  const probe = {
+    format: { duration: 12.5, size: 1000, bit_rate: 800, format_name: 'mov,mp4', tags: { timecode: '01:00:00:00', make: 'Sony' } },
+    streams: [
+      {
+        codec_type: 'video',
+        codec_name: 'h264',
+        width: 1920,
+        height: 1080,
+        r_frame_rate: '0/0',
+        avg_frame_rate: '30000/1001',
+        field_order: 'progressive',
+        color_primaries: 'bt709'
+      },
+      { codec_type: 'audio', codec_name: 'aac', channels: 2, sample_rate: '48000' }
+    ]
+  };
+
+  it('reads the first video and audio stream and the source tags', () => {
+    const metadata = readProbeMetadata(probe);
+    expect(metadata).toMatchObject({
+      duration: 12.5,
+      size: 1000,
+      bitrate: 800,
+      format: 'mov,mp4',
+      audio: { codec: 'aac', channels: 2, sampleRate: '48000', bitrate: 0 },
+      startTimecode: '01:00:00:00',
+      camera: { make: 'Sony', model: null }
+    });
+    expect(metadata.video).toMatchObject({ codec: 'h264', width: 1920, height: 1080, frameRateRational: '30000/1001', rotation: 0, fieldOrder: 'progressive' });
+    expect(metadata.video.frameRate).toBeCloseTo(29.97, 2);
+    expect(metadata.video.color).toEqual({ primaries: 'bt709', transfer: null, space: null, range: null });
+  });
+
+  it('leaves out streams the file does not have and zeroes unknown frame rates', () => {
+    const audioOnly = readProbeMetadata({ format: {}, streams: [probe.streams[1]] });
+    expect(audioOnly.video).toBeUndefined();
+    expect(audioOnly.duration).toBe(0);
+
+    const unknownRate = readProbeMetadata({ format: {}, streams: [{ codec_type: 'video', r_frame_rate: '0/0', avg_frame_rate: '0/0' }] });
+    expect(unknownRate.video.frameRate).toBe(0);
+    expect(unknownRate.video.frameRateRational).toBeNull();
+    expect(unknownRate.audio).toBeUndefined();
+  });
+});
@@ -0,0 +1,374 @@
+/**
+ * TimelineAssembler - Multicam synchronization
+ *
+ * Angles of the same event (cameras, a field recorder) are lined up against
+ * a reference angle. Audio is matched by cross-correlating onset envelopes,
+ * which ignores differences in mic gain and placement; angles whose audio
+ * does not match convincingly fall back to their embedded start timecode.
+ * Offsets are in seconds: how far into the reference each angle starts.
+ */
+
+const { secondsToFrames, framesToSeconds, timecodeToFrames } = require('./timecode');
+const { newId } = require('./ids');
+
+// Envelope samples per second used for audio matching
+const SYNC_ENVELOPE_RATE = 200;
+
+// Audio matches scoring below this fall back to timecode
+const MIN_SYNC_CONFIDENCE = 0.2;
+
+// Confidence recorded for timecode matches, which nothing can verify
+const TIMECODE_CONFIDENCE = 0.5;
+
+// Shortest overlap, in seconds, an audio match is trusted on
+const MIN_OVERLAP_SECONDS = 5;
+
+/**
+ * Build the onset envelope used for audio matching
+ *
+ * The envelope is the rise in log energy per step, so claps, speech onsets
+ * and hits line up regardless of how loud each recorder captured them.
+ *
+ * @param {Float32Array|Array<number>} samples - Mono PCM samples in [-1, 1]
+ * @param {number} sampleRate - Samples per second
+ * @param {Object} options - Envelope options
+ * @param {number} options.rate - Envelope samples per second (default SYNC_ENVELOPE_RATE)
+ * @returns {Object} - { rate, values: Float32Array }
+ */
+function syncEnvelope(samples, sampleRate, options = {}) {
+  const builder = createSyncEnvelopeBuilder(sampleRate, options);
+  builder.push(samples);
+  return builder.finish();
+}
+
+/**
+ * Build a sync envelope from PCM as it is decoded
+ *
+ * Samples can be pushed in pieces of any length; only the envelope itself
+ * is kept, not the audio.
+ *
+ * @param {number} sampleRate - Samples per second
+ * @param {Object} options - Envelope options (rate)
+ * @returns {Object} - { push(samples), finish() => envelope as returned by syncEnvelope }
+ */
+function createSyncEnvelopeBuilder(sampleRate, { rate = SYNC_ENVELOPE_RATE } = {}) {
+  const hop = Math.max(1, Math.round(sampleRate / rate));
+  const values = [];
+  let previous = null;
+  let energy = 0;
+  let count = 0;
+
+  return {
+    push(samples) {
+      for (let i = 0; i < samples.length; i++) {
+        energy += samples[i] * samples[i];
+        if (++count === hop) {
+          const level = Math.log(energy / hop + 1e-10);
+          values.push(previous === null ? 0 : Math.max(0, level - previous));
+          previous = level;
+          energy = 0;
+          count = 0;
+        }
+      }
+    },
+
+    // A trailing part-step is dropped
+    finish() {
+      const envelope = Float32Array.from(values);
+      let sum = 0;
+      for (let i = 0; i < envelope.length; i++) {
+        sum += envelope[i];
+      }
+
+      // Zero mean, so silence neither helps nor hurts a match
+      const mean = envelope.length > 0 ? sum / envelope.length : 0;
+      for (let i = 0; i < envelope.length; i++) {
+        envelope[i] -= mean;
+      }
+      return { rate: sampleRate / hop, values: envelope };
+    }
+  };
+}
+
+// In-place iterative radix-2 FFT; `inverse` leaves the result unscaled
+function fft(re, im, inverse) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (inverse ? 2 : -2) * Math.PI / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+// Pearson correlation of the overlapping parts of two envelopes at a lag
+function overlapCorrelation(reference, other, lag) {
+  const start = Math.max(0, lag);
+  const end = Math.min(reference.length, other.length + lag);
+  const count = end - start;
+  if (count <= 1) {
+    return { correlation: 0, count: Math.max(0, count) };
+  }
+  let sumA = 0;
+  let sumB = 0;
+  for (let i = start; i < end; i++) {
+    sumA += reference[i];
+    sumB += other[i - lag];
+  }
+  const meanA = sumA / count;
+  const meanB = sumB / count;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = start; i < end; i++) {
+    const a = reference[i] - meanA;
+    const b = other[i - lag] - meanB;
+    covariance += a * b;
+    varianceA += a * a;
+    varianceB += b * b;
+  }
+  const denominator = Math.sqrt(varianceA * varianceB);
+  return { correlation: denominator > 0 ? covariance / denominator : 0, count };
+}
+
+/**
+ * Find where one envelope lines up against another
+ *
+ * @param {Object} reference - Envelope of the reference angle
+ * @param {Object} other - Envelope of the angle to place (same rate)
+ * @param {Object} options - Matching options
+ * @param {number} options.maxOffsetSeconds - Largest offset searched either way (default: full overlap)
+ * @returns {Object} - { offset (seconds into the reference the other starts), confidence (0-1) }
+ */
+function correlateEnvelopes(reference, other, { maxOffsetSeconds } = {}) {
+  if (Math.abs(reference.rate - other.rate) > 1e-6) {
+    throw new Error('Envelopes must have the same rate');
+  }
+  const a = reference.values;
+  const b = other.values;
+  if (a.length === 0 || b.length === 0) {
+    return { offset: 0, confidence: 0 };
+  }
+
+  let size = 1;
+  while (size < a.length + b.length) {
+    size <<= 1;
+  }
+  const aRe = new Float64Array(size);
+  const aIm = new Float64Array(size);
+  const bRe = new Float64Array(size);
+  const bIm = new Float64Array(size);
+  aRe.set(a);
+  bRe.set(b);
+  fft(aRe, aIm, false);
+  fft(bRe, bIm, false);
+
+  // Multiply by the conjugate: the inverse holds sum(a[n + lag] * b[n]) per lag
+  for (let i = 0; i < size; i++) {
+    const re = aRe[i] * bRe[i] + aIm[i] * bIm[i];
+    const im = aIm[i] * bRe[i] - aRe[i] * bIm[i];
+    aRe[i] = re;
+    aIm[i] = im;
+  }
+  fft(aRe, aIm, true);
+
+  const maxLag = maxOffsetSeconds === undefined ? Infinity : Math.round(maxOffsetSeconds * reference.rate);
+  const minOverlap = Math.min(Math.round(MIN_OVERLAP_SECONDS * reference.rate), a.length, b.length);
+  let bestLag = 0;
+  let bestScore = -Infinity;
+  for (let lag = -(b.length - minOverlap); lag <= a.length - minOverlap; lag++) {
+    if (Math.abs(lag) > maxLag) {
+      continue;
+    }
+    const score = aRe[lag >= 0 ? lag : size + lag];
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+
+  const { correlation } = overlapCorrelation(a, b, bestLag);
+  return {
+    offset: Math.round(bestLag / reference.rate * 1000) / 1000,
+    confidence: Math.round(Math.max(0, correlation) * 1000) / 1000
+  };
+}
+
+/**
+ * Offset between two assets from their embedded start timecodes
+ *
+ * @param {Object} asset - Asset to place
+ * @param {Object} reference - Reference asset
+ * @param {number|string|Object} framerate - Rate for assets with no video frame rate
+ * @returns {number|null} - Offset in seconds, or null when either has no timecode
+ */
+function timecodeOffset(asset, reference, framerate) {
+  const start = (candidate) => {
+    const metadata = candidate.metadata || {};
+    if (!metadata.startTimecode) {
+      return null;
+    }
+    const rate = (metadata.video && metadata.video.frameRateRational) || framerate;
+    try {
+      return framesToSeconds(timecodeToFrames(metadata.startTimecode, rate), rate);
+    } catch (error) {
+      return null;
+    }
+  };
+  const assetStart = start(asset);
+  const referenceStart = start(reference);
+  if (assetStart === null || referenceStart === null) {
+    return null;
+  }
+  return Math.round((assetStart - referenceStart) * 1000) / 1000;
+}
+
+/**
+ * Line up angles against a reference angle
+ *
+ * @param {Object} reference - { asset, envelope } for the reference angle (envelope may be null)
+ * @param {Array<Object>} angles - [{ asset, envelope }] to place
+ * @param {Object} options - Sync options
+ * @param {number|string|Object} options.framerate - Rate for timecodes of audio-only assets
+ * @param {number} options.maxOffsetSeconds - Largest audio offset searched
+ * @param {number} options.minConfidence - Audio score below which timecode is used (default MIN_SYNC_CONFIDENCE)
+ * @returns {Array<Object>} - [{ assetId, offset, method: "reference"|"audio"|"timecode"|"none", confidence }]
+ */
+function syncAngles(reference, angles, { framerate = 24, maxOffsetSeconds, minConfidence = MIN_SYNC_CONFIDENCE } = {}) {
+  const results = [{ assetId: reference.asset.id, offset: 0, method: 'reference', confidence: 1 }];
+
+  for (const angle of angles) {
+    const audio = reference.envelope && angle.envelope
+      ? correlateEnvelopes(reference.envelope, angle.envelope, { maxOffsetSeconds })
+      : null;
+    if (audio && audio.confidence >= minConfidence) {
+      results.push({ assetId: angle.asset.id, offset: audio.offset, method: 'audio', confidence: audio.confidence });
+      continue;
+    }
+
+    const offset = timecodeOffset(angle.asset, reference.asset, framerate);
+    if (offset !== null) {
+      results.push({ assetId: angle.asset.id, offset, method: 'timecode', confidence: TIMECODE_CONFIDENCE });
+    } else {
+      results.push({ assetId: angle.asset.id, offset: null, method: 'none', confidence: audio ? audio.confidence : 0 });
+    }
+  }
+  return results;
+}
+
+const angleName = (asset) => {
+  const camera = (asset.metadata && asset.metadata.camera) || {};
+  return [camera.make, camera.model].filter(Boolean).join(' ') || asset.fileName || asset.id;
+};
+
+/**
+ * Build a multicam group record from sync results
+ *
+ * @param {Array<Object>} assets - Assets of the group, reference first
+ * @param {Array<Object>} results - Result of syncAngles, in the same order
+ * @param {Object} options - Group options
+ * @param {string} options.name - Group name (default "Multicam <n> angles")
+ * @returns {Object} - { id, name, referenceAssetId, angles: [{ assetId, name, offset, method, confidence }], created }
+ */
+function createMulticamGroup(assets, results, { name } = {}) {
+  return {
+    id: newId('multicam'),
+    name: name || `Multicam ${assets.length} angles`,
+    referenceAssetId: assets[0].id,
+    angles: results.map((result, index) => ({ ...result, name: angleName(assets[index]) })),
+    created: new Date().toISOString()
+  };
+}
+
+/**
+ * Lay the synced angles of a group onto stacked tracks
+ *
+ * Every synced angle with picture gets a video track and every angle with
+ * sound an audio track, video tracks above audio, in angle order. The
+ * earliest angle starts at `startTime`; unsynced angles are left out.
+ *
+ * @param {Object} group - Multicam group
+ * @param {Array<Object>} assets - Assets of the group
+ * @param {number|string|Object} framerate - Timeline frame rate
+ * @param {Object} options - Layout options
+ * @param {number} options.startTime - Timeline frame the earliest angle starts at (default 0)
+ * @returns {Array<Object>} - Tracks
+ */
+function multicamTracks(group, assets, framerate, { startTime = 0 } = {}) {
+  const assetsById = new Map(assets.map(asset => [asset.id, asset]));
+  const synced = group.angles.filter(angle => angle.offset !== null && angle.offset !== undefined && assetsById.has(angle.assetId));
+  if (synced.length === 0) {
+    return [];
+  }
+  const earliest = Math.min(...synced.map(angle => angle.offset));
+
+  const video = [];
+  const audio = [];
+  synced.forEach((angle, index) => {
+    const asset = assetsById.get(angle.assetId);
+    const metadata = asset.metadata || {};
+    const start = startTime + secondsToFrames(angle.offset - earliest, framerate);
+    const length = secondsToFrames(metadata.duration || 0, framerate);
+    const track = (type) => ({
+      id: newId('track'),
+      type: type,
+      name: `${group.name}: ${angle.name}${type === 'audio' && metadata.video ? ' (audio)' : ''}`,
+      multicamGroupId: group.id,
+      clips: [{
+        id: newId('clip'),
+        assetId: asset.id,
+        startTime: start,
+        endTime: start + length,
+        inPoint: 0,
+        outPoint: length,
+        transitions: { in: null, out: null }
+      }]
+    });
+    if (metadata.video) {
+      video.push(track('video'));
+    }
+    if (metadata.audio) {
+      audio.push(track('audio'));
+    }
+  });
+  return [...video, ...audio];
+}
+
+module.exports = {
+  SYNC_ENVELOPE_RATE,
+  MIN_SYNC_CONFIDENCE,
+  syncEnvelope,
+  createSyncEnvelopeBuilder,
+  correlateEnvelopes,
+  timecodeOffset,
+  syncAngles,
+  createMulticamGroup,
+  multicamTracks,
+};
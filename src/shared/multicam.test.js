@@ -0,0 +1,123 @@
+const { syncEnvelope, createSyncEnvelopeBuilder, correlateEnvelopes, timecodeOffset, syncAngles, createMulticamGroup, multicamTracks } = require('./multicam');
+
+const SAMPLE_RATE = 8000;
+
+// Deterministic pseudo-random numbers in [-1, 1)
+function noise(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 1073741824 - 1;
+  };
+}
+
+// Quiet room tone with loud bursts (claps, speech onsets) at irregular times
+function eventAudio(seconds, seed) {
+  const random = noise(seed);
+  const samples = new Float32Array(seconds * SAMPLE_RATE);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = 0.01 * random();
+  }
+  for (let time = 0.3; time < seconds; time += 0.4 + (random() + 1) * 0.6) {
+    const start = Math.round(time * SAMPLE_RATE);
+    for (let i = 0; i < 800 && start + i < samples.length; i++) {
+      samples[start + i] += 0.8 * Math.exp(-i / 200) * random();
+    }
+  }
+  return samples;
+}
+
+// Another recorder: starts later, quieter, with its own room tone
+function recorder(samples, startSeconds, seconds, gain, seed) {
+  const random = noise(seed);
+  const start = Math.round(startSeconds * SAMPLE_RATE);
+  return samples.slice(start, start + seconds * SAMPLE_RATE).map(value => gain * value + 0.005 * random());
+}
+
+const asset = (id, metadata) => ({ id, fileName: `${id}.mov`, metadata: { duration: 20, video: {}, audio: {}, ...metadata } });
+
+describe('audio sync', () => {
+  const event = eventAudio(60, 1);
+  const reference = syncEnvelope(event, SAMPLE_RATE);
+
+  it('finds where an angle starts in the reference from its audio', () => {
+    const angle = syncEnvelope(recorder(event, 12.345, 30, 0.3, 2), SAMPLE_RATE);
+    const { offset, confidence } = correlateEnvelopes(reference, angle);
+
+    expect(Math.abs(offset - 12.345)).toBeLessThanOrEqual(1 / reference.rate);
+    expect(confidence).toBeGreaterThan(0.5);
+  });
+
+  it('finds angles that started before the reference', () => {
+    const late = syncEnvelope(recorder(event, 10, 40, 1, 3), SAMPLE_RATE);
+    const early = syncEnvelope(recorder(event, 0, 40, 0.5, 4), SAMPLE_RATE);
+    expect(correlateEnvelopes(late, early).offset).toBe(-10);
+    expect(correlateEnvelopes(late, early, { maxOffsetSeconds: 5 }).confidence).toBeLessThan(0.2);
+  });
+
+  it('builds the same envelope from pieces of audio', () => {
+    const builder = createSyncEnvelopeBuilder(SAMPLE_RATE);
+    for (let start = 0; start < event.length; start += 1234) {
+      builder.push(event.subarray(start, start + 1234));
+    }
+    expect(builder.finish()).toEqual(reference);
+  });
+});
+
+describe('syncAngles', () => {
+  const event = eventAudio(40, 5);
+  const reference = { asset: asset('cam-a', { startTimecode: '10:00:00:00', video: { frameRateRational: '25/1' } }), envelope: syncEnvelope(event, SAMPLE_RATE) };
+
+  it('uses audio when it matches and falls back to timecode when it does not', () => {
+    const results = syncAngles(reference, [
+      { asset: asset('cam-b'), envelope: syncEnvelope(recorder(event, 5, 30, 0.4, 6), SAMPLE_RATE) },
+      { asset: asset('cam-c', { startTimecode: '10:00:07:12', video: { frameRateRational: '25/1' } }), envelope: syncEnvelope(eventAudio(30, 7), SAMPLE_RATE) },
+      { asset: asset('cam-d'), envelope: null }
+    ]);
+
+    expect(results[0]).toEqual({ assetId: 'cam-a', offset: 0, method: 'reference', confidence: 1 });
+    expect(results[1]).toMatchObject({ assetId: 'cam-b', offset: 5, method: 'audio' });
+    expect(results[2]).toEqual({ assetId: 'cam-c', offset: 7.48, method: 'timecode', confidence: 0.5 });
+    expect(results[3]).toEqual({ assetId: 'cam-d', offset: null, method: 'none', confidence: 0 });
+  });
+
+  it('reads timecode offsets at each asset\'s own rate', () => {
+    const audioOnly = { id: 'recorder', metadata: { startTimecode: '09:59:58:00' } };
+    expect(timecodeOffset(audioOnly, reference.asset, 24)).toBe(-2);
+    expect(timecodeOffset({ id: 'none', metadata: {} }, reference.asset, 24)).toBeNull();
+  });
+});
+
+describe('multicamTracks', () => {
+  const assets = [
+    asset('cam-a', { camera: { make: 'Sony', model: 'FX6' } }),
+    asset('cam-b', { duration: 10 }),
+    { id: 'recorder', fileName: 'recorder.wav', metadata: { duration: 30, audio: {} } },
+    asset('lost')
+  ];
+  const group = createMulticamGroup(assets, [
+    { assetId: 'cam-a', offset: 0, method: 'reference', confidence: 1 },
+    { assetId: 'cam-b', offset: 4, method: 'audio', confidence: 0.8 },
+    { assetId: 'recorder', offset: -2, method: 'timecode', confidence: 0.5 },
+    { assetId: 'lost', offset: null, method: 'none', confidence: 0 }
+  ], { name: 'Interview' });
+
+  it('stacks picture above sound, starting from the earliest angle', () => {
+    const tracks = multicamTracks(group, assets, 25, { startTime: 100 });
+
+    expect(tracks.map(track => [track.type, track.name])).toEqual([
+      ['video', 'Interview: Sony FX6'],
+      ['video', 'Interview: cam-b.mov'],
+      ['audio', 'Interview: Sony FX6 (audio)'],
+      ['audio', 'Interview: cam-b.mov (audio)'],
+      ['audio', 'Interview: recorder.wav']
+    ]);
+    expect(tracks.map(track => [track.clips[0].startTime, track.clips[0].endTime])).toEqual([
+      [150, 650], [250, 500], [150, 650], [250, 500], [100, 850]
+    ]);
+    expect(tracks.every(track => track.multicamGroupId === group.id)).toBe(true);
+
+    const ids = tracks.flatMap(track => [track.id, track.clips[0].id]);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
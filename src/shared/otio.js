@@ -0,0 +1,401 @@
+/**
+ * TimelineAssembler - OpenTimelineIO support
+ *
+ * Serialises the timeline data model to OpenTimelineIO JSON (.otio) and reads
+ * it back. Everything OTIO has no field for (asset records, Gemini analysis,
+ * clip IDs, drop-frame mode) travels under a `timelineAssembler` metadata
+ * namespace so a round trip restores the original timeline.
+ */
+
+const { assetPathUrl } = require('./xmeml');
+const { sourceStartFrames } = require('./assets');
+const {
+  parseFrameRate,
+  formatFrameRate,
+  frameRateToNumber,
+  resolveDropFrame,
+  secondsToFrames,
+  framesToTimecode,
+  toFrames,
+} = require('./timecode');
+const { newId } = require('./ids');
+
+const METADATA_KEY = 'timelineAssembler';
+
+const TRANSITION_TYPES = {
+  dissolve: 'SMPTE_Dissolve',
+  wipe: 'Custom_Transition'
+};
+
+function rationalTime(frames, framerate) {
+  return { OTIO_SCHEMA: 'RationalTime.1', rate: frameRateToNumber(framerate), value: frames };
+}
+
+function timeRange(startFrames, durationFrames, framerate) {
+  return {
+    OTIO_SCHEMA: 'TimeRange.1',
+    start_time: rationalTime(startFrames, framerate),
+    duration: rationalTime(durationFrames, framerate)
+  };
+}
+
+/**
+ * Convert an OTIO RationalTime to frames at the timeline rate
+ *
+ * @param {Object} time - RationalTime ({ rate, value })
+ * @param {number|string|Object} framerate - Timeline frame rate
+ * @returns {number} - Frame count
+ */
+function toTimelineFrames(time, framerate) {
+  if (!time) {
+    return 0;
+  }
+  const { num, den } = parseFrameRate(framerate);
+  return Math.round((Number(time.value) || 0) / (Number(time.rate) || 1) * num / den);
+}
+
+function markerToOTIO(marker, framerate) {
+  return {
+    OTIO_SCHEMA: 'Marker.2',
+    name: marker.name || '',
+    color: (marker.color || 'RED').toUpperCase(),
+    comment: marker.comment || '',
+    marked_range: timeRange(marker.time || 0, marker.duration || 0, framerate),
+    metadata: { [METADATA_KEY]: { id: marker.id || null, type: marker.type || null } }
+  };
+}
+
+function markerFromOTIO(marker, framerate) {
+  const range = marker.marked_range || {};
+  const extra = (marker.metadata && marker.metadata[METADATA_KEY]) || {};
+  const result = {
+    name: marker.name || '',
+    time: toTimelineFrames(range.start_time, framerate),
+    duration: toTimelineFrames(range.duration, framerate),
+    color: (marker.color || 'RED').toLowerCase(),
+    comment: marker.comment || ''
+  };
+  if (extra.id) {
+    result.id = extra.id;
+  }
+  if (extra.type) {
+    result.type = extra.type;
+  }
+  return result;
+}
+
+function baseItem(schema, name, extra) {
+  return {
+    OTIO_SCHEMA: schema,
+    name: name || '',
+    metadata: {},
+    effects: [],
+    markers: [],
+    ...extra
+  };
+}
+
+/**
+ * Serialise a timeline to an OpenTimelineIO document
+ *
+ * @param {Object} timeline - Timeline data (including its `assets`)
+ * @param {Object} options - Export options
+ * @param {string} options.mediaRoot - Local folder for media reference URLs (defaults to storage paths)
+ * @returns {Object} - OTIO Timeline.1 document
+ */
+function timelineToOTIO(timeline, { mediaRoot = '' } = {}) {
+  const framerate = timeline.framerate || 24;
+  const assets = timeline.assets || {};
+  const startFrame = timeline.startTimecode ? toFrames(timeline.startTimecode, framerate) : 0;
+
+  const mediaReference = (assetId) => {
+    const asset = assets[assetId] || { id: assetId };
+    const metadata = asset.metadata || {};
+    const startFrames = sourceStartFrames(asset, framerate);
+    return {
+      OTIO_SCHEMA: 'ExternalReference.1',
+      name: asset.fileName || assetId,
+      target_url: mediaRoot ? assetPathUrl(asset, mediaRoot) : (asset.storagePath || asset.fileName || assetId),
+      available_range: metadata.duration
+        ? timeRange(startFrames, secondsToFrames(metadata.duration, framerate), framerate)
+        : null,
+      metadata: {
+        [METADATA_KEY]: {
+          assetId: assetId,
+          fileName: asset.fileName || null,
+          storagePath: asset.storagePath || null,
+          contentType: asset.contentType || null,
+          metadata: metadata
+        }
+      }
+    };
+  };
+
+  const transitionItem = (transition, name) => {
+    const before = Math.floor(transition.duration / 2);
+    return {
+      ...baseItem('Transition.1', name),
+      transition_type: TRANSITION_TYPES[transition.type] || 'Custom_Transition',
+      in_offset: rationalTime(before, framerate),
+      out_offset: rationalTime(transition.duration - before, framerate),
+      metadata: { [METADATA_KEY]: { type: transition.type, wipeCode: transition.wipeCode || null } }
+    };
+  };
+
+  const trackToOTIO = (track) => {
+    const children = [];
+    let position = 0;
+    const clips = [...(track.clips || [])].sort((a, b) => a.startTime - b.startTime);
+
+    clips.forEach((clip, index) => {
+      if (clip.startTime > position) {
+        children.push({
+          ...baseItem('Gap.1', ''),
+          source_range: timeRange(0, clip.startTime - position, framerate)
+        });
+      }
+
+      const transitions = clip.transitions || {};
+      if (transitions.in && transitions.in.duration > 0) {
+        children.push(transitionItem(transitions.in, `${clip.id}-in`));
+      }
+
+      const asset = assets[clip.assetId] || {};
+      const assetMetadata = asset.metadata || {};
+      const sourceStart = sourceStartFrames(asset, framerate);
+      children.push({
+        ...baseItem('Clip.1', asset.fileName || clip.assetId),
+        source_range: timeRange(sourceStart + clip.inPoint, clip.endTime - clip.startTime, framerate),
+        media_reference: mediaReference(clip.assetId),
+        markers: (clip.markers || []).map(marker => markerToOTIO(marker, framerate)),
+        metadata: {
+          [METADATA_KEY]: {
+            clipId: clip.id,
+            assetId: clip.assetId,
+            outPoint: clip.outPoint,
+            speed: clip.speed || null,
+            analysis: assetMetadata.analysis || null
+          }
+        }
+      });
+
+      // An outgoing transition only exists on its own when the next clip has none
+      const next = clips[index + 1];
+      if (transitions.out && transitions.out.duration > 0 && !(next && next.transitions && next.transitions.in)) {
+        children.push(transitionItem(transitions.out, `${clip.id}-out`));
+      }
+
+      position = Math.max(position, clip.endTime);
+    });
+
+    return {
+      ...baseItem('Track.1', track.name || track.id),
+      kind: track.type === 'audio' ? 'Audio' : 'Video',
+      source_range: null,
+      children: children,
+      metadata: { [METADATA_KEY]: { id: track.id, type: track.type } }
+    };
+  };
+
+  return {
+    OTIO_SCHEMA: 'Timeline.1',
+    name: timeline.name || '',
+    global_start_time: rationalTime(startFrame, framerate),
+    metadata: {
+      [METADATA_KEY]: {
+        id: timeline.id || null,
+        framerate: formatFrameRate(framerate),
+        dropFrame: resolveDropFrame(framerate, timeline.dropFrame),
+        resolution: timeline.resolution || null,
+        duration: timeline.duration || 0
+      }
+    },
+    tracks: {
+      ...baseItem('Stack.1', 'tracks'),
+      source_range: null,
+      markers: (timeline.markers || []).map(marker => markerToOTIO(marker, framerate)),
+      children: (timeline.tracks || []).map(trackToOTIO)
+    }
+  };
+}
+
+/**
+ * Read an OpenTimelineIO document into timeline data
+ *
+ * Clips keep a `reference` describing their media so callers can resolve them
+ * against project assets (see `buildAssetMatcher`); the reference must be
+ * replaced by an `assetId` before the timeline is saved.
+ *
+ * @param {Object|string} document - OTIO Timeline.1 document or its JSON text
+ * @param {Object} options - Import options
+ * @param {number|string} options.framerate - Timeline rate (defaults to the document's rate)
+ * @returns {Object} - { name, framerate, dropFrame, resolution, startTimecode, duration, markers, tracks, warnings }
+ */
+function otioToTimeline(document, { framerate } = {}) {
+  const otio = typeof document === 'string' ? JSON.parse(document) : document;
+  if (!otio || !String(otio.OTIO_SCHEMA).startsWith('Timeline.')) {
+    throw new Error(`Unsupported OTIO document: expected Timeline, got ${otio && otio.OTIO_SCHEMA}`);
+  }
+
+  const saved = (otio.metadata && otio.metadata[METADATA_KEY]) || {};
+  const rate = framerate || saved.framerate || (otio.global_start_time && otio.global_start_time.rate) || 24;
+  const dropFrame = !!saved.dropFrame;
+  const warnings = [];
+  const stack = otio.tracks || { children: [] };
+  let duration = 0;
+
+  const tracks = [];
+  (stack.children || []).forEach((item, trackIndex) => {
+    if (!String(item.OTIO_SCHEMA).startsWith('Track.')) {
+      warnings.push({ track: trackIndex, message: `Skipped nested ${item.OTIO_SCHEMA}` });
+      return;
+    }
+
+    const trackMeta = (item.metadata && item.metadata[METADATA_KEY]) || {};
+    const track = {
+      id: trackMeta.id || newId('track'),
+      type: trackMeta.type || (item.kind === 'Audio' ? 'audio' : 'video'),
+      name: item.name || '',
+      clips: []
+    };
+
+    let position = 0;
+    let pendingTransition = null;
+    // A transition with no clip after it (before a gap or at the end of the
+    // track) is the previous clip's fade out
+    const endPending = () => {
+      const previous = track.clips[track.clips.length - 1];
+      if (pendingTransition && previous && previous.endTime === position) {
+        previous.transitions.out = pendingTransition;
+      }
+      pendingTransition = null;
+    };
+
+    (item.children || []).forEach((child, childIndex) => {
+      const schema = String(child.OTIO_SCHEMA);
+      const range = child.source_range || {};
+      const length = toTimelineFrames(range.duration, rate);
+
+      if (schema.startsWith('Gap.')) {
+        endPending();
+        position += length;
+        return;
+      }
+
+      if (schema.startsWith('Transition.')) {
+        const meta = (child.metadata && child.metadata[METADATA_KEY]) || {};
+        pendingTransition = {
+          type: meta.type || (child.transition_type === 'SMPTE_Dissolve' ? 'dissolve' : 'wipe'),
+          duration: toTimelineFrames(child.in_offset, rate) + toTimelineFrames(child.out_offset, rate)
+        };
+        if (meta.wipeCode) {
+          pendingTransition.wipeCode = meta.wipeCode;
+        }
+        return;
+      }
+
+      if (!schema.startsWith('Clip.')) {
+        warnings.push({ track: trackIndex, item: childIndex, message: `Skipped unsupported ${schema}` });
+        position += length;
+        return;
+      }
+
+      const clipMeta = (child.metadata && child.metadata[METADATA_KEY]) || {};
+      const reference = child.media_reference || (child.media_references && child.media_references.DEFAULT_MEDIA) || {};
+      const referenceMeta = (reference.metadata && reference.metadata[METADATA_KEY]) || {};
+      const available = reference.available_range;
+      const inPoint = toTimelineFrames(range.start_time, rate) - (available ? toTimelineFrames(available.start_time, rate) : 0);
+
+      const clip = {
+        id: clipMeta.clipId || newId('clip'),
+        startTime: position,
+        endTime: position + length,
+        inPoint: inPoint,
+        outPoint: clipMeta.outPoint !== undefined && clipMeta.outPoint !== null ? clipMeta.outPoint : inPoint + length,
+        transitions: {
+          in: pendingTransition,
+          out: null
+        },
+        reference: {
+          assetId: clipMeta.assetId || referenceMeta.assetId || null,
+          sourceFile: reference.target_url || null,
+          clipName: reference.name || child.name || null
+        }
+      };
+      if (clipMeta.speed) {
+        clip.speed = clipMeta.speed;
+      }
+      if (child.markers && child.markers.length > 0) {
+        clip.markers = child.markers.map(marker => markerFromOTIO(marker, rate));
+      }
+
+      track.clips.push(clip);
+      position += length;
+      pendingTransition = null;
+    });
+    endPending();
+
+    duration = Math.max(duration, position);
+    tracks.push(track);
+  });
+
+  const startFrames = toTimelineFrames(otio.global_start_time, rate);
+
+  return {
+    name: otio.name || 'Imported OTIO',
+    framerate: rate,
+    dropFrame: dropFrame,
+    resolution: saved.resolution || null,
+    startTimecode: startFrames ? framesToTimecode(startFrames, rate, { dropFrame }) : null,
+    duration: duration,
+    markers: (stack.markers || []).map(marker => markerFromOTIO(marker, rate)),
+    tracks: tracks,
+    warnings: warnings
+  };
+}
+
+/**
+ * Replace clip media references with asset IDs
+ *
+ * @param {Object} imported - Result of otioToTimeline
+ * @param {Function} findAsset - Matcher from buildAssetMatcher
+ * @returns {Object} - { tracks, assets, clipCount, unmatched }
+ */
+function resolveImportedClips(imported, findAsset) {
+  const assets = {};
+  const unmatched = [];
+  let clipCount = 0;
+
+  const tracks = imported.tracks.map(track => ({
+    ...track,
+    clips: track.clips.filter(clip => {
+      const { reference } = clip;
+      const asset = findAsset(reference);
+      delete clip.reference;
+
+      if (!asset) {
+        unmatched.push({
+          trackId: track.id,
+          clipId: clip.id,
+          clipName: reference.clipName,
+          sourceFile: reference.sourceFile,
+          reason: 'No asset matches the media reference'
+        });
+        return false;
+      }
+
+      clip.assetId = asset.id;
+      assets[asset.id] = asset;
+      clipCount++;
+      return true;
+    })
+  }));
+
+  return { tracks, assets, clipCount, unmatched };
+}
+
+module.exports = {
+  timelineToOTIO,
+  otioToTimeline,
+  resolveImportedClips,
+};
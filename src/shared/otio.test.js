@@ -0,0 +1,120 @@
+const { timelineToOTIO, otioToTimeline, resolveImportedClips } = require('./otio');
+const { buildAssetMatcher } = require('./assets');
+
+const assets = {
+  a: { id: 'a', fileName: 'A001.mov', storagePath: 'media/A001.mov', metadata: { duration: 60, startTimecode: '01:00:00:00' } },
+  b: { id: 'b', fileName: 'B001.mov', storagePath: 'media/B001.mov', metadata: { duration: 60 } }
+};
+
+const timeline = (tracks) => ({
+  id: 'timeline-1',
+  name: 'Round trip',
+  framerate: 24,
+  startTimecode: '10:00:00:00',
+  duration: 300,
+  assets,
+  markers: [{ id: 'marker-1', name: 'Act 2', time: 120, duration: 0, color: 'blue', comment: '' }],
+  tracks
+});
+
+const placement = ({ id, assetId, startTime, endTime, inPoint, outPoint, transitions }) => ({ id, assetId, startTime, endTime, inPoint, outPoint, transitions });
+
+const roundTrip = (source) => {
+  const imported = otioToTimeline(JSON.stringify(timelineToOTIO(source)));
+  return { imported, ...resolveImportedClips(imported, buildAssetMatcher(Object.values(assets))) };
+};
+
+describe('timelineToOTIO', () => {
+  it('centres transitions on the cut', () => {
+    const otio = timelineToOTIO(timeline([{
+      id: 'v1',
+      type: 'video',
+      clips: [
+        { id: '1', assetId: 'a', startTime: 0, endTime: 100, inPoint: 24, outPoint: 124, transitions: { in: null, out: null } },
+        { id: '2', assetId: 'b', startTime: 100, endTime: 200, inPoint: 24, outPoint: 124, transitions: { in: { type: 'dissolve', duration: 13 }, out: null } }
+      ]
+    }]));
+    const children = otio.tracks.children[0].children;
+
+    expect(children.map(child => child.OTIO_SCHEMA)).toEqual(['Clip.1', 'Transition.1', 'Clip.1']);
+    expect(children[1]).toMatchObject({
+      transition_type: 'SMPTE_Dissolve',
+      in_offset: { value: 6, rate: 24 },
+      out_offset: { value: 7, rate: 24 }
+    });
+  });
+
+  it('writes source ranges in source timecode inside the available range', () => {
+    const otio = timelineToOTIO(timeline([{
+      id: 'v1',
+      type: 'video',
+      clips: [{ id: '1', assetId: 'a', startTime: 0, endTime: 100, inPoint: 24, outPoint: 124, transitions: { in: null, out: null } }]
+    }]));
+    const [clip] = otio.tracks.children[0].children;
+
+    expect(otio.global_start_time.value).toBe(864000);
+    expect(clip.source_range.start_time.value).toBe(86400 + 24);
+    expect(clip.media_reference.available_range).toMatchObject({ start_time: { value: 86400 }, duration: { value: 1440 } });
+  });
+});
+
+describe('OTIO round trip', () => {
+  it('keeps clips, gaps, transitions, fades and markers', () => {
+    const tracks = [
+      {
+        id: 'v1',
+        type: 'video',
+        name: 'Picture',
+        clips: [
+          { id: '1', assetId: 'a', startTime: 24, endTime: 124, inPoint: 48, outPoint: 148, transitions: { in: { type: 'dissolve', duration: 12 }, out: null } },
+          { id: '2', assetId: 'b', startTime: 124, endTime: 224, inPoint: 0, outPoint: 100, transitions: { in: { type: 'wipe', wipeCode: '001', duration: 9 }, out: null } },
+          { id: '3', assetId: 'a', startTime: 224, endTime: 240, inPoint: 300, outPoint: 316, transitions: { in: null, out: { type: 'dissolve', duration: 10 } } },
+          { id: '4', assetId: 'b', startTime: 260, endTime: 300, inPoint: 300, outPoint: 340, transitions: { in: null, out: { type: 'dissolve', duration: 10 } } }
+        ]
+      },
+      { id: 'a1', type: 'audio', name: 'Dialogue', clips: [] }
+    ];
+    const { imported, tracks: resolved, clipCount, unmatched } = roundTrip(timeline(tracks));
+
+    expect(imported).toMatchObject({ name: 'Round trip', framerate: '24/1', startTimecode: '10:00:00:00', duration: 300, warnings: [] });
+    expect(imported.markers).toEqual([{ id: 'marker-1', name: 'Act 2', time: 120, duration: 0, color: 'blue', comment: '' }]);
+    expect(clipCount).toBe(4);
+    expect(unmatched).toEqual([]);
+    expect(resolved.map(({ id, type, name }) => ({ id, type, name }))).toEqual([
+      { id: 'v1', type: 'video', name: 'Picture' },
+      { id: 'a1', type: 'audio', name: 'Dialogue' }
+    ]);
+    expect(resolved[0].clips.map(placement)).toEqual(tracks[0].clips.map(placement));
+  });
+
+  it('reads in points relative to the start of the available range', () => {
+    const document = timelineToOTIO(timeline([{
+      id: 'v1',
+      type: 'video',
+      clips: [{ id: '1', assetId: 'a', startTime: 0, endTime: 48, inPoint: 72, outPoint: 120, transitions: { in: null, out: null } }]
+    }]));
+    const otioClip = document.tracks.children[0].children[0];
+    delete otioClip.metadata.timelineAssembler;
+
+    const [clip] = otioToTimeline(document).tracks[0].clips;
+    expect(clip).toMatchObject({ startTime: 0, endTime: 48, inPoint: 72, outPoint: 120 });
+    expect(clip.reference).toEqual({ assetId: 'a', sourceFile: 'media/A001.mov', clipName: 'A001.mov' });
+  });
+
+  it('gives clips and tracks without saved IDs their own', () => {
+    const document = timelineToOTIO(timeline([{
+      id: 'v1',
+      type: 'video',
+      clips: Array.from({ length: 20 }, (_, index) => (
+        { id: `${index}`, assetId: 'b', startTime: index * 10, endTime: index * 10 + 10, inPoint: 0, outPoint: 10, transitions: { in: null, out: null } }
+      ))
+    }]));
+    const track = document.tracks.children[0];
+    delete track.metadata.timelineAssembler;
+    track.children.forEach(child => delete child.metadata.timelineAssembler);
+
+    const [imported] = otioToTimeline(document).tracks;
+    const ids = [imported.id, ...imported.clips.map(clip => clip.id)];
+    expect(new Set(ids).size).toBe(21);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * TimelineAssembler - Technical quality of takes
+ *
+ * Ingest samples a take's picture as small greyscale frames and measures
+ * sharpness, exposure clipping, camera shake and black frames; audio
+ * clipping comes from the decoded sound. Each measure maps to a 0-1 score
+ * and the weighted mean of the available ones is the take's composite
+ * quality score (0-100), stored with the measures as `metadata.quality`.
+ */
+
+const QUALITY_VERSION = 1;
+
+// Size of the greyscale frames measured, in pixels
+const QUALITY_FRAME_WIDTH = 160;
+const QUALITY_FRAME_HEIGHT = 90;
+
+// Share of the composite each measure carries when present
+const QUALITY_WEIGHTS = {
+  sharpness: 0.3,
+  exposure: 0.25,
+  stability: 0.2,
+  blackFrames: 0.1,
+  audio: 0.15
+};
+
+// Scores below this flag the measure as an issue
+const ISSUE_THRESHOLD = 0.5;
+
+// Largest frame-to-frame shift searched when estimating motion, in pixels
+const MOTION_SEARCH = 4;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Variance of the Laplacian: high for crisp detail, low for soft focus or motion blur
+function laplacianVariance(frame, width, height) {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = frame[i - width] + frame[i + width] + frame[i - 1] + frame[i + 1] - 4 * frame[i];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+  if (count === 0) {
+    return 0;
+  }
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+// Halve a frame in each direction, averaging 2x2 blocks
+function downsample(frame, width, height) {
+  const halfWidth = Math.floor(width / 2);
+  const halfHeight = Math.floor(height / 2);
+  const result = new Float32Array(halfWidth * halfHeight);
+  for (let y = 0; y < halfHeight; y++) {
+    for (let x = 0; x < halfWidth; x++) {
+      const i = 2 * y * width + 2 * x;
+      result[y * halfWidth + x] = (frame[i] + frame[i + 1] + frame[i + width] + frame[i + width + 1]) / 4;
+    }
+  }
+  return { frame: result, width: halfWidth, height: halfHeight };
+}
+
+// Global shift between two frames by exhaustive block matching
+function estimateMotion(previous, current, width, height) {
+  let best = { dx: 0, dy: 0 };
+  let bestCost = Infinity;
+  const margin = MOTION_SEARCH;
+  for (let dy = -MOTION_SEARCH; dy <= MOTION_SEARCH; dy++) {
+    for (let dx = -MOTION_SEARCH; dx <= MOTION_SEARCH; dx++) {
+      let cost = 0;
+      for (let y = margin; y < height - margin; y++) {
+        const row = y * width;
+        const shifted = (y + dy) * width + dx;
+        for (let x = margin; x < width - margin; x++) {
+          cost += Math.abs(current[row + x] - previous[shifted + x]);
+        }
+      }
+      if (cost < bestCost) {
+        bestCost = cost;
+        best = { dx, dy };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Measure the picture quality of sampled frames
+ *
+ * Shake is the typical change in frame-to-frame motion, so steady pans and
+ * tracking shots are not penalised, as a fraction of the frame width.
+ *
+ * @param {Array<Uint8Array>} frames - Greyscale frames (0-255, full range), in order
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {Object} - { frames, sharpness, overexposed, underexposed, blackFrames, shake }
+ */
+function measureFrames(frames, width, height) {
+  let sharpness = 0;
+  let overexposed = 0;
+  let underexposed = 0;
+  let black = 0;
+  const motions = [];
+  let previous = null;
+
+  for (const frame of frames) {
+    sharpness += laplacianVariance(frame, width, height);
+
+    let over = 0;
+    let under = 0;
+    let sum = 0;
+    let sumSquares = 0;
+    for (let i = 0; i < width * height; i++) {
+      const value = frame[i];
+      over += value >= 250 ? 1 : 0;
+      under += value <= 5 ? 1 : 0;
+      sum += value;
+      sumSquares += value * value;
+    }
+    const pixels = width * height;
+    const mean = sum / pixels;
+    const deviation = Math.sqrt(Math.max(0, sumSquares / pixels - mean * mean));
+    if (mean < 20 && deviation < 8) {
+      // Black frames are not also counted as crushed shadows, nor as motion
+      black++;
+      previous = null;
+      continue;
+    }
+    overexposed += over / pixels;
+    underexposed += under / pixels;
+
+    const small = downsample(frame, width, height);
+    if (previous) {
+      motions.push(estimateMotion(previous, small.frame, small.width, small.height));
+    }
+    previous = small.frame;
+  }
+
+  // Median, so the odd cut or flash does not read as shake
+  const jitters = [];
+  for (let i = 1; i < motions.length; i++) {
+    jitters.push(Math.hypot(motions[i].dx - motions[i - 1].dx, motions[i].dy - motions[i - 1].dy));
+  }
+  jitters.sort((a, b) => a - b);
+  const jitter = jitters.length > 0 ? jitters[Math.floor(jitters.length / 2)] : 0;
+
+  const lit = frames.length - black;
+  const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+  return {
+    frames: frames.length,
+    sharpness: frames.length > 0 ? round(sharpness / frames.length, 1) : 0,
+    overexposed: lit > 0 ? round(overexposed / lit, 4) : 0,
+    underexposed: lit > 0 ? round(underexposed / lit, 4) : 0,
+    blackFrames: frames.length > 0 ? round(black / frames.length, 4) : 0,
+    shake: round(jitter / Math.floor(width / 2), 4)
+  };
+}
+
+/**
+ * Score quality measures and combine them into a composite
+ *
+ * @param {Object} measures - measureFrames output, plus `audioClipping` (share of clipped samples) when there is audio
+ * @returns {Object} - { version, score (0-100), scores: { measure: 0-1 }, issues, measures }
+ */
+function scoreQuality(measures) {
+  const scores = {};
+  if (measures.frames > 0) {
+    scores.sharpness = clamp01(Math.log(Math.max(measures.sharpness, 1) / 50) / Math.log(1000 / 50));
+    scores.exposure = 1 - clamp01((measures.overexposed + measures.underexposed - 0.02) / 0.25);
+    scores.stability = 1 - clamp01(measures.shake / 0.03);
+    scores.blackFrames = 1 - clamp01(measures.blackFrames / 0.5);
+  }
+  if (measures.audioClipping !== undefined && measures.audioClipping !== null) {
+    scores.audio = 1 - clamp01(measures.audioClipping / 0.01);
+  }
+
+  const keys = Object.keys(scores);
+  const weight = keys.reduce((sum, key) => sum + QUALITY_WEIGHTS[key], 0);
+  const composite = weight > 0 ? keys.reduce((sum, key) => sum + scores[key] * QUALITY_WEIGHTS[key], 0) / weight : null;
+
+  const labels = {
+    sharpness: 'blurry',
+    exposure: measures.overexposed >= measures.underexposed ? 'overexposed' : 'underexposed',
+    stability: 'shaky',
+    blackFrames: 'black frames',
+    audio: 'audio clipping'
+  };
+  for (const key of keys) {
+    scores[key] = Math.round(scores[key] * 100) / 100;
+  }
+
+  return {
+    version: QUALITY_VERSION,
+    score: composite === null ? null : Math.round(composite * 100),
+    scores,
+    issues: keys.filter(key => scores[key] < ISSUE_THRESHOLD).map(key => labels[key]),
+    measures
+  };
+}
+
+/**
+ * Composite quality score of an asset
+ *
+ * @param {Object} asset - Asset record
+ * @returns {number|null} - Score 0-100, or null when the asset was not scored
+ */
+function qualityScore(asset) {
+  const quality = asset.metadata && asset.metadata.quality;
+  return quality && typeof quality.score === 'number' ? quality.score : null;
+}
+
+module.exports = {
+  QUALITY_VERSION,
+  QUALITY_FRAME_WIDTH,
+  QUALITY_FRAME_HEIGHT,
+  QUALITY_WEIGHTS,
+  measureFrames,
+  scoreQuality,
+  qualityScore,
+};
@@ -0,0 +1,90 @@
+const { QUALITY_FRAME_WIDTH: WIDTH, QUALITY_FRAME_HEIGHT: HEIGHT, measureFrames, scoreQuality, qualityScore } = require('./quality');
+
+// Blocky pseudo-random texture, shifted by (dx, dy) pixels
+const texture = (dx = 0, dy = 0) => {
+  const frame = new Uint8Array(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const u = Math.floor((x + dx) / 3);
+      const v = Math.floor((y + dy) / 3);
+      frame[y * WIDTH + x] = 40 + ((u * 73856093 ^ v * 19349663) >>> 0) % 170;
+    }
+  }
+  return frame;
+};
+
+// Gentle gradient with no fine detail
+const soft = () => {
+  const frame = new Uint8Array(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      frame[y * WIDTH + x] = 128 + 40 * Math.sin(x / 20) * Math.sin(y / 15);
+    }
+  }
+  return frame;
+};
+
+const flat = (value) => new Uint8Array(WIDTH * HEIGHT).fill(value);
+const measure = (frames) => measureFrames(frames, WIDTH, HEIGHT);
+
+describe('measureFrames', () => {
+  it('reads detailed, steady footage as sharp, well exposed and stable', () => {
+    const measures = measure([texture(), texture(), texture()]);
+    expect(measures).toMatchObject({ frames: 3, overexposed: 0, underexposed: 0, blackFrames: 0, shake: 0 });
+    expect(measures.sharpness).toBeGreaterThan(1000);
+    expect(measure([soft(), soft()]).sharpness).toBeLessThan(50);
+  });
+
+  it('does not mistake a steady pan for shake', () => {
+    expect(measure([0, 2, 4, 6, 8, 10].map(x => texture(x, 0))).shake).toBe(0);
+    expect(measure([0, 6, 0, 6, 0, 6].map(x => texture(x, x / 2))).shake).toBeGreaterThan(0.03);
+  });
+
+  it('counts black frames apart from exposure clipping', () => {
+    const measures = measure([flat(0), texture(), flat(2), texture()]);
+    expect(measures.blackFrames).toBe(0.5);
+    expect(measures.underexposed).toBe(0);
+    expect(measure([flat(255)]).overexposed).toBe(1);
+  });
+
+  it('returns zeroes when there are no frames', () => {
+    expect(measure([])).toEqual({ frames: 0, sharpness: 0, overexposed: 0, underexposed: 0, blackFrames: 0, shake: 0 });
+  });
+});
+
+describe('scoreQuality', () => {
+  const good = { frames: 10, sharpness: 5000, overexposed: 0, underexposed: 0, blackFrames: 0, shake: 0, audioClipping: 0 };
+
+  it('scores clean footage 100 with no issues', () => {
+    const quality = scoreQuality(good);
+    expect(quality.score).toBe(100);
+    expect(quality.scores).toEqual({ sharpness: 1, exposure: 1, stability: 1, blackFrames: 1, audio: 1 });
+    expect(quality.issues).toEqual([]);
+    expect(quality.measures).toMatchObject(good);
+  });
+
+  it('weights each failing measure and names it as an issue', () => {
+    expect(scoreQuality({ ...good, sharpness: 10 })).toMatchObject({ score: 70, issues: ['blurry'] });
+    expect(scoreQuality({ ...good, shake: 0.05 })).toMatchObject({ score: 80, issues: ['shaky'] });
+    expect(scoreQuality({ ...good, blackFrames: 0.5 })).toMatchObject({ score: 90, issues: ['black frames'] });
+    expect(scoreQuality({ ...good, overexposed: 0.3 }).issues).toEqual(['overexposed']);
+    expect(scoreQuality({ ...good, underexposed: 0.3 }).issues).toEqual(['underexposed']);
+    expect(scoreQuality({ ...good, audioClipping: 0.02 })).toMatchObject({ score: 85, issues: ['audio clipping'] });
+  });
+
+  it('averages over the measures that are available', () => {
+    // Without sound, picture weights are scaled up to fill the composite
+    expect(scoreQuality({ ...good, sharpness: 10, audioClipping: undefined })).toMatchObject({ score: 65, issues: ['blurry'] });
+    expect(scoreQuality({ frames: 0, audioClipping: 0.005 })).toMatchObject({ score: 50, scores: { audio: 0.5 }, issues: [] });
+    expect(scoreQuality({ frames: 0 })).toMatchObject({ score: null, scores: {}, issues: [] });
+  });
+});
+
+describe('qualityScore', () => {
+  it('reads the composite score, or null for unscored assets', () => {
+    expect(qualityScore({ metadata: { quality: { score: 72 } } })).toBe(72);
+    expect(qualityScore({ metadata: { quality: { score: null } } })).toBeNull();
+    expect(qualityScore({ metadata: {} })).toBeNull();
+    expect(qualityScore({})).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * TimelineAssembler - Stored timeline schema
+ *
+ * Timeline records carry a `schemaVersion`. Records written before it
+ * existed (version 0) hold clip positions, source points and transition
+ * lengths in seconds; from version 1 they are integer frames at the timeline
+ * rate. From version 2 the cut itself (CUT_FIELDS) is stored in the record's
+ * `cut` child, so edits can run a transaction on it without pulling the
+ * timeline's assets, transcripts and audio levels along. Records are
+ * upgraded once, when they are first loaded, and written back so they are
+ * never converted twice.
+ */
+
+const { secondsToFrames } = require('./timecode');
+
+const TIMELINE_SCHEMA_VERSION = 2;
+
+// Fields stored under the record's `cut` child
+const CUT_FIELDS = ['tracks', 'duration', 'markers', 'revision', 'historyStep'];
+
+// Upgrade steps; UPGRADES[n] turns a version n record into version n + 1
+const UPGRADES = [
+  (timeline) => {
+    const framerate = timeline.framerate || 24;
+    const frames = (seconds) => secondsToFrames(seconds, framerate);
+    for (const track of timeline.tracks || []) {
+      for (const clip of track.clips || []) {
+        for (const field of ['startTime', 'endTime', 'inPoint', 'outPoint']) {
+          clip[field] = frames(clip[field]);
+        }
+        for (const side of ['in', 'out']) {
+          const transition = clip.transitions && clip.transitions[side];
+          if (transition && transition.duration) {
+            transition.duration = frames(transition.duration);
+          }
+        }
+      }
+    }
+    timeline.duration = frames(timeline.duration);
+  },
+  (timeline) => {
+    timeline.cut = { ...cutOf(timeline), revision: timeline.revision || 0 };
+    CUT_FIELDS.forEach(field => delete timeline[field]);
+  }
+];
+
+const schemaVersionOf = (timeline) => (timeline && timeline.schemaVersion) || 0;
+
+/**
+ * Pick the cut fields of a timeline
+ *
+ * @param {Object} timeline - Timeline as the app uses it
+ * @returns {Object} - The CUT_FIELDS it has
+ */
+function cutOf(timeline) {
+  const cut = {};
+  for (const field of CUT_FIELDS) {
+    if (timeline[field] !== undefined) {
+      cut[field] = timeline[field];
+    }
+  }
+  return cut;
+}
+
+/**
+ * Turn a stored record into the timeline the app uses, with the cut fields
+ * at the top level
+ *
+ * @param {Object} record - Stored timeline record (current schema)
+ * @returns {Object|null} - Timeline, or null for a missing record
+ */
+function flattenTimeline(record) {
+  if (!record) {
+    return null;
+  }
+  const { cut, ...timeline } = record;
+  return { ...timeline, ...(cut || {}) };
+}
+
+/**
+ * Lay a timeline out as it is stored, with the cut fields under `cut`
+ *
+ * @param {Object} timeline - Timeline as the app uses it
+ * @returns {Object} - Record to store
+ */
+function storedTimeline(timeline) {
+  const record = { ...timeline, cut: { revision: 0, ...cutOf(timeline) } };
+  CUT_FIELDS.forEach(field => delete record[field]);
+  return record;
+}
+
+/**
+ * Map fields to write onto the paths they are stored at, for a multi-path
+ * update of the timeline record
+ *
+ * @param {Object} fields - Field values (null to remove)
+ * @returns {Object} - Updates keyed by path relative to the record
+ */
+function storedUpdates(fields) {
+  const updates = {};
+  for (const [field, value] of Object.entries(fields)) {
+    updates[CUT_FIELDS.includes(field) ? `cut/${field}` : field] = value;
+  }
+  return updates;
+}
+
+/**
+ * Whether a stored timeline record predates the current schema
+ *
+ * @param {Object} timeline - Timeline record
+ * @returns {boolean}
+ */
+function needsUpgrade(timeline) {
+  return schemaVersionOf(timeline) < TIMELINE_SCHEMA_VERSION;
+}
+
+/**
+ * Upgrade a stored timeline record to the current schema
+ *
+ * @param {Object} timeline - Timeline record (modified in place)
+ * @returns {Object} - The upgraded record
+ */
+function upgradeTimeline(timeline) {
+  for (let step = schemaVersionOf(timeline); step < TIMELINE_SCHEMA_VERSION; step++) {
+    UPGRADES[step](timeline);
+  }
+  timeline.schemaVersion = TIMELINE_SCHEMA_VERSION;
+  return timeline;
+}
+
+module.exports = {
+  TIMELINE_SCHEMA_VERSION,
+  CUT_FIELDS,
+  needsUpgrade,
+  upgradeTimeline,
+  cutOf,
+  flattenTimeline,
+  storedTimeline,
+  storedUpdates,
+};
@@ -0,0 +1,78 @@
+const {
+  TIMELINE_SCHEMA_VERSION,
+  needsUpgrade,
+  upgradeTimeline,
+  flattenTimeline,
+  storedTimeline,
+  storedUpdates,
+} = require('./schema');
+
+describe('upgradeTimeline', () => {
+  it('converts timelines stored in seconds to frames', () => {
+    const timeline = upgradeTimeline({
+      framerate: 25,
+      duration: 7.5,
+      tracks: [
+        {
+          id: 'track-1',
+          type: 'video',
+          clips: [
+            { id: 'clip-1', assetId: 'a', startTime: 0, endTime: 5, inPoint: 0, outPoint: 5, transitions: { in: null, out: null } },
+            { id: 'clip-2', assetId: 'b', startTime: 5, endTime: 7.5, inPoint: 1, outPoint: 3.5, transitions: { in: { type: 'dissolve', duration: 1.0 }, out: null } }
+          ]
+        }
+      ]
+    });
+
+    expect(timeline.schemaVersion).toBe(TIMELINE_SCHEMA_VERSION);
+    expect(timeline.cut.duration).toBe(188);
+    expect(timeline.cut.tracks[0].clips[1]).toMatchObject({ startTime: 125, endTime: 188, inPoint: 25, outPoint: 88 });
+    expect(timeline.cut.tracks[0].clips[1].transitions.in.duration).toBe(25);
+  });
+
+  it('moves the cut of a frame-based timeline into its own node', () => {
+    const timeline = upgradeTimeline({
+      schemaVersion: 1,
+      name: 'Edit',
+      framerate: 24,
+      duration: 48,
+      revision: 7,
+      markers: [{ name: 'Start', time: 0 }],
+      tracks: [{ id: 'track-1', type: 'video', clips: [] }],
+      assets: { a: { id: 'a' } }
+    });
+
+    expect(timeline).toEqual({
+      schemaVersion: TIMELINE_SCHEMA_VERSION,
+      name: 'Edit',
+      framerate: 24,
+      assets: { a: { id: 'a' } },
+      cut: {
+        duration: 48,
+        revision: 7,
+        markers: [{ name: 'Start', time: 0 }],
+        tracks: [{ id: 'track-1', type: 'video', clips: [] }]
+      }
+    });
+  });
+
+  it('leaves current timelines alone', () => {
+    const timeline = { schemaVersion: TIMELINE_SCHEMA_VERSION, framerate: 25, cut: { duration: 125 } };
+    expect(needsUpgrade(timeline)).toBe(false);
+    expect(needsUpgrade({ framerate: 25 })).toBe(true);
+  });
+});
+
+describe('stored layout', () => {
+  it('round-trips a timeline through its stored record', () => {
+    const timeline = { id: 't', framerate: 24, duration: 0, tracks: [] };
+    const record = storedTimeline(timeline);
+    expect(record).toEqual({ id: 't', framerate: 24, cut: { duration: 0, tracks: [], revision: 0 } });
+    expect(flattenTimeline(record)).toEqual({ ...timeline, revision: 0 });
+    expect(flattenTimeline(null)).toBeNull();
+  });
+
+  it('writes cut fields under the cut node', () => {
+    expect(storedUpdates({ tracks: [], startTimecode: '01:00:00:00' })).toEqual({ 'cut/tracks': [], startTimecode: '01:00:00:00' });
+  });
+});
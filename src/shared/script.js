@@ -0,0 +1,347 @@
+/**
+ * TimelineAssembler - Script-driven assembly
+ *
+ * Builds a timeline in script order from a screenplay (Fountain or plain
+ * text) or a CSV shot list. Assets are matched to scenes and shots from slate
+ * metadata, then camera file naming conventions, then by comparing their
+ * content analysis with the scene text. For each shot the best take goes on
+ * the first video track and the other takes are stacked on the tracks below
+ * it; scenes with no matching footage are listed in a coverage report.
+ */
+
+const { secondsToFrames } = require('./timecode');
+const { newId } = require('./ids');
+const { summarizeAsset } = require('./semantic');
+const { DEFAULT_CLIP_SECONDS, metadataValue, assetPriority } = require('./assembly');
+
+const SCENE_HEADING = /^(?:\.(?!\.)|(?:INT|EXT|EST|INT\.?\/EXT|I\/E)[. ])/i;
+const SCENE_NUMBER = /\s*#([^#]+)#\s*$/;
+
+const CSV_COLUMNS = {
+  scene: ['scene', 'scene number', 'scene #', 'sc'],
+  shot: ['shot', 'shot number', 'shot #', 'setup'],
+  heading: ['heading', 'slugline', 'location'],
+  description: ['description', 'desc', 'action', 'notes']
+};
+
+// Only words this long count when comparing analysis with scene text
+const MIN_WORD_LENGTH = 4;
+const MIN_DESCRIPTION_MATCHES = 2;
+
+/**
+ * Normalise a scene or shot identifier ("012a" -> "12A")
+ *
+ * @param {*} value - Identifier
+ * @returns {string|null} - Normalised identifier
+ */
+function normalizeId(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  return String(value).trim().toUpperCase().replace(/^0+(?=\d)/, '');
+}
+
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function parseShotList(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const header = parseCsvLine(lines[0]).map(name => name.toLowerCase());
+  const column = (names) => header.findIndex(name => names.includes(name));
+  const columns = {
+    scene: column(CSV_COLUMNS.scene),
+    shot: column(CSV_COLUMNS.shot),
+    heading: column(CSV_COLUMNS.heading),
+    description: column(CSV_COLUMNS.description)
+  };
+  if (columns.scene < 0) {
+    throw new Error('Shot list needs a "scene" column');
+  }
+
+  const scenes = [];
+  const byScene = new Map();
+  for (const line of lines.slice(1)) {
+    const fields = parseCsvLine(line);
+    const value = (index) => (index >= 0 ? fields[index] || '' : '');
+    const sceneId = normalizeId(value(columns.scene));
+    if (!sceneId) {
+      continue;
+    }
+    if (!byScene.has(sceneId)) {
+      const scene = { scene: sceneId, heading: value(columns.heading), description: '', shots: [] };
+      byScene.set(sceneId, scene);
+      scenes.push(scene);
+    }
+    const scene = byScene.get(sceneId);
+    const shotId = normalizeId(value(columns.shot));
+    if (shotId) {
+      scene.shots.push({ shot: shotId, description: value(columns.description) });
+    } else {
+      scene.description = [scene.description, value(columns.description)].filter(Boolean).join(' ');
+    }
+  }
+  return scenes;
+}
+
+function parseScreenplay(text) {
+  const scenes = [];
+  let current = null;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (SCENE_HEADING.test(line)) {
+      const numbered = line.match(SCENE_NUMBER);
+      const heading = line.replace(SCENE_NUMBER, '').replace(/^\./, '').trim();
+      current = {
+        scene: numbered ? normalizeId(numbered[1]) : String(scenes.length + 1),
+        heading: heading,
+        description: '',
+        shots: []
+      };
+      scenes.push(current);
+    } else if (current && line && !/^(\[\[|\/\*|=|#|>.*<$)/.test(line)) {
+      // Action, dialogue and character cues all describe what the scene shows
+      current.description = current.description ? `${current.description} ${line}` : line;
+    }
+  }
+  return scenes;
+}
+
+/**
+ * Parse a screenplay or shot list into scenes
+ *
+ * Fountain scene headings (INT./EXT./EST., or forced with a leading ".")
+ * start scenes, numbered by a trailing `#12A#` or by position. CSV shot lists
+ * need a scene column and may add shot, heading and description columns.
+ *
+ * @param {string} text - Script text
+ * @param {Object} options - Parse options
+ * @param {string} options.format - "fountain", "text" or "csv" (detected when omitted)
+ * @returns {Array<Object>} - [{ scene, heading, description, shots: [{ shot, description }] }]
+ */
+function parseScript(text, { format } = {}) {
+  const firstLine = String(text).split(/\r?\n/).find(line => line.trim()) || '';
+  const detected = format || (/,/.test(firstLine) && /\bscene\b/i.test(firstLine) ? 'csv' : 'fountain');
+  return detected === 'csv' ? parseShotList(String(text)) : parseScreenplay(String(text));
+}
+
+/**
+ * Read scene, shot and take from slate metadata or the file name
+ *
+ * Recognises names such as "S12A_SH03_T02", "SC12-SHOT3-TK2",
+ * "Scene12_Shot3_Take2" and "12A_3_2".
+ *
+ * @param {Object} asset - Asset record
+ * @returns {Object} - { scene, shot, take, source } with source "slate", "filename" or null
+ */
+function identifySlate(asset) {
+  const metadata = asset.metadata || {};
+  const slate = metadata.slate || {};
+  const fromSlate = {
+    scene: normalizeId(slate.scene !== undefined ? slate.scene : metadata.scene),
+    shot: normalizeId(slate.shot !== undefined ? slate.shot : metadata.shot),
+    take: normalizeId(slate.take !== undefined ? slate.take : metadata.take)
+  };
+  if (fromSlate.scene) {
+    return { ...fromSlate, source: 'slate' };
+  }
+
+  const name = String(asset.fileName || '').replace(/\.[^.]+$/, '').toUpperCase();
+  const part = (pattern) => {
+    const match = name.match(pattern);
+    return match ? normalizeId(match[1]) : null;
+  };
+  const scene = part(/(?:^|[^A-Z0-9])(?:SCENE|SC|S)[-_ ]?(\d+[A-Z]?)(?=[^A-Z0-9]|$)/);
+  if (scene) {
+    return {
+      scene: scene,
+      shot: part(/(?:^|[^A-Z0-9])(?:SHOT|SH)[-_ ]?(\d*[A-Z]?\d*)(?=[^A-Z0-9]|$)/),
+      take: part(/(?:^|[^A-Z0-9])(?:TAKE|TK|T)[-_ ]?(\d+)(?=[^A-Z0-9]|$)/),
+      source: 'filename'
+    };
+  }
+  const numbered = name.match(/^(\d+[A-Z]?)[-_](\d+[A-Z]?)[-_](\d+)(?=[^A-Z0-9]|$)/);
+  if (numbered) {
+    return { scene: normalizeId(numbered[1]), shot: normalizeId(numbered[2]), take: normalizeId(numbered[3]), source: 'filename' };
+  }
+  return { scene: null, shot: null, take: null, source: null };
+}
+
+const significantWords = (text) => new Set((String(text || '').toLowerCase().match(/[a-z]+/g) || [])
+  .filter(word => word.length >= MIN_WORD_LENGTH));
+
+function matchByDescription(asset, scenes) {
+  const summary = summarizeAsset(asset);
+  const assetWords = significantWords([summary.description, ...summary.elements].join(' '));
+  let best = null;
+  for (const scene of scenes) {
+    const sceneWords = significantWords([scene.heading, scene.description, ...scene.shots.map(shot => shot.description)].join(' '));
+    const overlap = [...assetWords].filter(word => sceneWords.has(word)).length;
+    if (overlap >= MIN_DESCRIPTION_MATCHES && (!best || overlap > best.overlap)) {
+      best = { scene, overlap };
+    }
+  }
+  return best ? best.scene : null;
+}
+
+// Best take first: highest priority, then circled takes, then the latest take
+function rankTakes(takes) {
+  return [...takes].sort((a, b) =>
+    assetPriority(b.asset) - assetPriority(a.asset) ||
+    Number(Boolean(metadataValue(b.asset, 'circled'))) - Number(Boolean(metadataValue(a.asset, 'circled'))) ||
+    (parseInt(b.take, 10) || 0) - (parseInt(a.take, 10) || 0));
+}
+
+/**
+ * Build tracks from a parsed script and the project's assets
+ *
+ * @param {Array<Object>} assets - Asset records
+ * @param {Array<Object>} scenes - Scenes from parseScript
+ * @param {Object} options - Assembly options
+ * @param {number|string} options.framerate - Timeline frame rate
+ * @param {boolean} options.addTransitions - Add dissolves at scene changes
+ * @returns {Object} - { tracks, duration, markers, matches, coverage }
+ */
+function assembleFromScript(assets, scenes, { framerate = 24, addTransitions = false } = {}) {
+  const sceneById = new Map(scenes.map(scene => [scene.scene, scene]));
+  const matches = [];
+  const unmatchedAssets = [];
+
+  // Takes per scene, keyed by shot (null when the shot is unknown)
+  const takesByScene = new Map(scenes.map(scene => [scene.scene, []]));
+  for (const asset of assets) {
+    const slate = identifySlate(asset);
+    let scene = slate.scene ? sceneById.get(slate.scene) : null;
+    let matchedBy = slate.source;
+    if (!scene) {
+      scene = matchByDescription(asset, scenes);
+      matchedBy = 'description';
+    }
+    if (!scene) {
+      unmatchedAssets.push({ assetId: asset.id, fileName: asset.fileName, scene: slate.scene });
+      continue;
+    }
+    const shot = matchedBy === 'description' ? null : slate.shot;
+    takesByScene.get(scene.scene).push({ asset, shot, take: slate.take });
+    matches.push({ assetId: asset.id, scene: scene.scene, shot, take: slate.take, matchedBy });
+  }
+
+  const selects = { id: newId('track'), type: 'video', name: 'Selects', clips: [] };
+  const alternates = [];
+  const markers = [];
+  const coverage = [];
+  let currentTime = 0;
+
+  const clipLength = (asset) => secondsToFrames((asset.metadata && asset.metadata.duration) || DEFAULT_CLIP_SECONDS, framerate);
+  const makeClip = (asset, startTime, length) => ({
+    id: newId('clip'),
+    assetId: asset.id,
+    startTime: startTime,
+    endTime: startTime + length,
+    inPoint: 0,
+    outPoint: length,
+    transitions: {
+      in: null,
+      out: null
+    }
+  });
+
+  for (const scene of scenes) {
+    const takes = takesByScene.get(scene.scene);
+    const sceneStart = currentTime;
+
+    // Shots in script order, then footage of shots the script does not list
+    const shotIds = scene.shots.map(shot => shot.shot);
+    const extraIds = [...new Set(takes.filter(take => take.shot && !shotIds.includes(take.shot)).map(take => take.shot))]
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const groups = [...shotIds, ...extraIds].map(shotId => ({ shot: shotId, takes: takes.filter(take => take.shot === shotId) }));
+    // Footage matched only to the scene is cut in as separate shots
+    takes.filter(take => !take.shot).forEach(take => groups.push({ shot: null, takes: [take] }));
+
+    const shotReport = [];
+    for (const group of groups) {
+      if (group.takes.length === 0) {
+        shotReport.push({ shot: group.shot, status: 'missing', takes: 0 });
+        continue;
+      }
+      const [best, ...others] = rankTakes(group.takes);
+      const length = clipLength(best.asset);
+      const clipStart = currentTime;
+      const clip = makeClip(best.asset, clipStart, length);
+      if (addTransitions && clipStart === sceneStart && selects.clips.length > 0) {
+        clip.transitions.in = {
+          type: 'dissolve',
+          duration: Math.min(secondsToFrames(1.0, framerate), Math.floor(length / 4))
+        };
+      }
+      selects.clips.push(clip);
+
+      others.forEach((take, index) => {
+        if (!alternates[index]) {
+          alternates[index] = { id: newId('track'), type: 'video', name: `Alternates ${index + 1}`, clips: [] };
+        }
+        alternates[index].clips.push(makeClip(take.asset, clipStart, Math.min(length, clipLength(take.asset))));
+      });
+
+      if (group.shot) {
+        shotReport.push({ shot: group.shot, status: 'covered', takes: group.takes.length });
+      }
+      currentTime += length;
+    }
+
+    const covered = currentTime > sceneStart;
+    const missingShots = shotReport.filter(shot => shot.status === 'missing').map(shot => shot.shot);
+    const status = !covered ? 'missing' : missingShots.length > 0 ? 'partial' : 'covered';
+    coverage.push({ scene: scene.scene, heading: scene.heading, status, shots: shotReport, missingShots });
+    markers.push({
+      name: `Scene ${scene.scene}`,
+      time: sceneStart,
+      duration: 0,
+      color: status === 'covered' ? 'green' : status === 'partial' ? 'yellow' : 'red',
+      comment: status === 'covered' ? scene.heading : `${scene.heading} (${status === 'missing' ? 'no footage' : `missing shots ${missingShots.join(', ')}`})`
+    });
+  }
+
+  return {
+    tracks: [selects, ...alternates],
+    duration: currentTime,
+    markers,
+    matches,
+    coverage: {
+      scenes: coverage,
+      missingScenes: coverage.filter(scene => scene.status === 'missing').map(scene => scene.scene),
+      partialScenes: coverage.filter(scene => scene.status === 'partial').map(scene => scene.scene),
+      unmatchedAssets
+    }
+  };
+}
+
+module.exports = {
+  parseScript,
+  identifySlate,
+  assembleFromScript,
+};
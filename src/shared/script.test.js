@@ -0,0 +1,129 @@
+const { parseScript, identifySlate, assembleFromScript } = require('./script');
+
+const SCREENPLAY = `Title: Night Shift
+
+INT. DINER - NIGHT #1#
+
+MAYA pours coffee behind the counter.
+
+MAYA
+Another refill?
+
+EXT. PARKING LOT - NIGHT #2A#
+
+Rain hammers the windscreen of a parked truck.
+
+.FLASHBACK
+
+[[Cut if the scene runs long]]
+Sunlight on a wheat field.
+`;
+
+const SHOT_LIST = `Scene,Shot,Heading,Description
+1,,INT. DINER - NIGHT,Maya works the late shift
+1,1,,"Wide, diner counter"
+1,2,,Close on the coffee pot
+02A,1,EXT. PARKING LOT - NIGHT,Truck in the rain
+`;
+
+const asset = (id, fileName, seconds, metadata = {}) => ({ id, fileName, metadata: { duration: seconds, ...metadata } });
+
+describe('parseScript', () => {
+  it('reads numbered and forced scene headings from a screenplay', () => {
+    const scenes = parseScript(SCREENPLAY);
+
+    expect(scenes.map(({ scene, heading }) => ({ scene, heading }))).toEqual([
+      { scene: '1', heading: 'INT. DINER - NIGHT' },
+      { scene: '2A', heading: 'EXT. PARKING LOT - NIGHT' },
+      { scene: '3', heading: 'FLASHBACK' }
+    ]);
+    expect(scenes[0].description).toBe('MAYA pours coffee behind the counter. MAYA Another refill?');
+    expect(scenes[2].description).toBe('Sunlight on a wheat field.');
+    expect(scenes.every(scene => scene.shots.length === 0)).toBe(true);
+  });
+
+  it('reads a CSV shot list with quoted fields', () => {
+    const scenes = parseScript(SHOT_LIST);
+
+    expect(scenes).toEqual([
+      {
+        scene: '1',
+        heading: 'INT. DINER - NIGHT',
+        description: 'Maya works the late shift',
+        shots: [{ shot: '1', description: 'Wide, diner counter' }, { shot: '2', description: 'Close on the coffee pot' }]
+      },
+      { scene: '2A', heading: 'EXT. PARKING LOT - NIGHT', description: '', shots: [{ shot: '1', description: 'Truck in the rain' }] }
+    ]);
+  });
+
+  it('needs a scene column in a shot list', () => {
+    expect(() => parseScript('Shot,Description\n1,Wide', { format: 'csv' })).toThrow('Shot list needs a "scene" column');
+  });
+});
+
+describe('identifySlate', () => {
+  it('prefers slate metadata over the file name', () => {
+    expect(identifySlate(asset('a', 'S04_SH01_T01.mov', 5, { slate: { scene: '012a', shot: 3, take: 2 } })))
+      .toEqual({ scene: '12A', shot: '3', take: '2', source: 'slate' });
+  });
+
+  it('reads camera naming conventions', () => {
+    expect(identifySlate(asset('a', 'S12A_SH03_T02.mov', 5))).toEqual({ scene: '12A', shot: '3', take: '2', source: 'filename' });
+    expect(identifySlate(asset('a', 'Scene12_Shot3_Take2.mov', 5))).toEqual({ scene: '12', shot: '3', take: '2', source: 'filename' });
+    expect(identifySlate(asset('a', '12A_3_2.mov', 5))).toEqual({ scene: '12A', shot: '3', take: '2', source: 'filename' });
+    expect(identifySlate(asset('a', 'A001C003.mov', 5))).toEqual({ scene: null, shot: null, take: null, source: null });
+  });
+});
+
+describe('assembleFromScript', () => {
+  const assets = [
+    asset('s1-sh2', 'S01_SH02_T01.mov', 2),
+    asset('s1-sh1-t1', 'S01_SH01_T01.mov', 3),
+    asset('s1-sh1-t2', 'S01_SH01_T02.mov', 4, { circled: true }),
+    asset('rain', 'A001C003.mov', 5, { analysis: { sceneDescription: 'A truck parked in heavy rain at night' } }),
+    asset('other', 'B002C001.mov', 1)
+  ];
+
+  it('cuts the best take of each shot in script order and stacks the others', () => {
+    const { tracks, duration, matches } = assembleFromScript(assets, parseScript(SHOT_LIST), { framerate: 10 });
+    const [selects, alternates] = tracks;
+
+    expect(selects.clips.map(clip => [clip.assetId, clip.startTime, clip.endTime])).toEqual([
+      ['s1-sh1-t2', 0, 40],
+      ['s1-sh2', 40, 60],
+      ['rain', 60, 110]
+    ]);
+    expect(alternates.name).toBe('Alternates 1');
+    expect(alternates.clips.map(clip => [clip.assetId, clip.startTime, clip.endTime])).toEqual([['s1-sh1-t1', 0, 30]]);
+    expect(duration).toBe(110);
+    expect(matches.find(match => match.assetId === 'rain')).toEqual({ assetId: 'rain', scene: '2A', shot: null, take: null, matchedBy: 'description' });
+
+    const ids = tracks.flatMap(track => [track.id, ...track.clips.map(clip => clip.id)]);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('reports missing scenes and shots with coloured markers', () => {
+    const scenes = parseScript(`${SHOT_LIST}1,3,,Insert of the till\n5,,INT. KITCHEN - NIGHT,Dishes pile up\n`);
+    const { coverage, markers } = assembleFromScript(assets, scenes, { framerate: 10 });
+
+    expect(coverage.scenes.map(({ scene, status, missingShots }) => ({ scene, status, missingShots }))).toEqual([
+      { scene: '1', status: 'partial', missingShots: ['3'] },
+      { scene: '2A', status: 'partial', missingShots: ['1'] },
+      { scene: '5', status: 'missing', missingShots: [] }
+    ]);
+    expect(coverage.missingScenes).toEqual(['5']);
+    expect(coverage.partialScenes).toEqual(['1', '2A']);
+    expect(coverage.unmatchedAssets).toEqual([{ assetId: 'other', fileName: 'B002C001.mov', scene: null }]);
+    expect(markers.map(marker => [marker.name, marker.time, marker.color])).toEqual([
+      ['Scene 1', 0, 'yellow'],
+      ['Scene 2A', 60, 'yellow'],
+      ['Scene 5', 110, 'red']
+    ]);
+    expect(markers[2].comment).toBe('INT. KITCHEN - NIGHT (no footage)');
+  });
+
+  it('dissolves into each new scene when transitions are on', () => {
+    const { tracks } = assembleFromScript(assets, parseScript(SHOT_LIST), { framerate: 10, addTransitions: true });
+    expect(tracks[0].clips.map(clip => clip.transitions.in)).toEqual([null, null, { type: 'dissolve', duration: 10 }]);
+  });
+});
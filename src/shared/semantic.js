@@ -0,0 +1,236 @@
+/**
+ * TimelineAssembler - Semantic ordering
+ *
+ * Orders assets into a narrative using the content analysis stored on each
+ * asset and an optional creative brief. The ordering itself comes from a
+ * "semantic model": any object with an `id` and an async
+ * `orderAssets(summaries, brief)` that resolves to `[{ assetId, reason }]`.
+ * `createGeminiSemanticModel` wraps a Gemini generative model;
+ * `localSemanticModel` is a deterministic heuristic that needs no network.
+ */
+
+// Suggested placements mapped to a position in the story (0 = start, 1 = end)
+const PLACEMENT_POSITIONS = [
+  { pattern: /\b(open|opening|intro|introduction|establish|establishing|beginning|start|hook)\b/, position: 0, label: 'opening' },
+  { pattern: /\b(setup|early|first act)\b/, position: 0.25, label: 'setup' },
+  { pattern: /\b(middle|body|development|b-?roll|montage|transition)\b/, position: 0.5, label: 'middle' },
+  { pattern: /\b(climax|peak|turning point|reveal)\b/, position: 0.75, label: 'climax' },
+  { pattern: /\b(end|ending|close|closing|outro|conclusion|final|finale|resolution)\b/, position: 1, label: 'closing' }
+];
+
+const STOP_WORDS = new Set(['the', 'and', 'with', 'for', 'that', 'this', 'from', 'into', 'then', 'have', 'are', 'was', 'our', 'its']);
+
+const firstString = (...values) => values.find(value => typeof value === 'string' && value.trim()) || null;
+
+const words = (text) => (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+
+/**
+ * Reduce an asset to the fields the semantic model reasons about
+ *
+ * Analysis written by different prompts uses different key styles, so the
+ * common spellings are accepted.
+ *
+ * @param {Object} asset - Asset record
+ * @returns {Object} - { assetId, name, description, mood, placement, elements, duration }
+ */
+function summarizeAsset(asset) {
+  const metadata = asset.metadata || {};
+  const analysis = metadata.analysis || {};
+  const elements = analysis.keyVisualElements || analysis.key_visual_elements || analysis.visualElements || analysis.elements;
+
+  return {
+    assetId: asset.id,
+    name: asset.fileName || asset.id,
+    description: firstString(analysis.sceneDescription, analysis.scene_description, analysis.description, analysis.scene, analysis.text),
+    mood: firstString(analysis.mood, analysis.tone),
+    placement: firstString(analysis.suggestedPlacement, analysis.suggested_placement, analysis.suggestedTimelinePlacement, analysis.placement),
+    elements: Array.isArray(elements) ? elements.map(String) : [],
+    duration: metadata.duration || null
+  };
+}
+
+/**
+ * Build the prompt asking a language model for a narrative order
+ *
+ * @param {Array<Object>} summaries - Asset summaries from summarizeAsset
+ * @param {string} brief - Creative brief (optional)
+ * @returns {string} - Prompt text
+ */
+function buildSemanticPrompt(summaries, brief) {
+  const lines = [
+    'You are an experienced video editor assembling a first cut.',
+    'Order the clips below into a coherent narrative.',
+    brief ? `Creative brief: ${brief}` : 'There is no creative brief; build the strongest story the footage supports.',
+    'Use every clip exactly once. Reply with JSON only, in the form:',
+    '{"order": [{"assetId": "...", "reason": "one sentence on why the clip sits here"}]}',
+    '',
+    'Clips:'
+  ];
+  for (const summary of summaries) {
+    lines.push(JSON.stringify(summary));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Read the ordering out of a model response
+ *
+ * Accepts bare JSON or JSON wrapped in a markdown code block.
+ *
+ * @param {string} text - Model response text
+ * @returns {Array<Object>} - [{ assetId, reason }]
+ */
+function parseSemanticResponse(text) {
+  const block = String(text).match(/```(?:json)?\s*\n([\s\S]*?)\n```/);
+  const source = block ? block[1] : String(text).slice(String(text).indexOf('{'), String(text).lastIndexOf('}') + 1);
+  let parsed;
+  try {
+    parsed = JSON.parse(source);
+  } catch (error) {
+    throw new Error(`Semantic model returned invalid JSON: ${error.message}`);
+  }
+  const order = Array.isArray(parsed) ? parsed : parsed.order;
+  if (!Array.isArray(order)) {
+    throw new Error('Semantic model response has no "order" array');
+  }
+  return order.map(entry => (typeof entry === 'string'
+    ? { assetId: entry, reason: null }
+    : { assetId: entry.assetId, reason: entry.reason || null }));
+}
+
+/**
+ * Wrap a Gemini generative model as a semantic model
+ *
+ * @param {Object} generativeModel - Model from GoogleGenerativeAI#getGenerativeModel
+ * @returns {Object} - Semantic model
+ */
+function createGeminiSemanticModel(generativeModel) {
+  return {
+    id: `gemini:${generativeModel.model || 'unknown'}`,
+    async orderAssets(summaries, brief) {
+      const result = await generativeModel.generateContent(buildSemanticPrompt(summaries, brief));
+      return parseSemanticResponse(result.response.text());
+    }
+  };
+}
+
+function placementOf(summary) {
+  const text = String(summary.placement || '').toLowerCase();
+  return PLACEMENT_POSITIONS.find(entry => entry.pattern.test(text)) || null;
+}
+
+/**
+ * Deterministic semantic model that needs no network access
+ *
+ * Places clips by their suggested placement, then by how strongly their
+ * description matches the brief, keeping the incoming order for ties.
+ */
+const localSemanticModel = {
+  id: 'local',
+  async orderAssets(summaries, brief) {
+    const briefWords = new Set(words(brief));
+
+    const scored = summaries.map((summary, index) => {
+      const placement = placementOf(summary);
+      const text = [summary.description, summary.mood, ...summary.elements].join(' ');
+      const matches = [...new Set(words(text))].filter(word => briefWords.has(word));
+      return {
+        summary,
+        index,
+        placement,
+        matches,
+        position: placement ? placement.position : 0.5
+      };
+    });
+
+    scored.sort((a, b) => a.position - b.position || b.matches.length - a.matches.length || a.index - b.index);
+
+    return scored.map(entry => {
+      const reasons = [];
+      reasons.push(entry.placement
+        ? `Suggested placement "${entry.summary.placement}" puts it in the ${entry.placement.label}`
+        : 'No usable placement suggestion; kept in the middle');
+      if (entry.matches.length > 0) {
+        reasons.push(`matches the brief on ${entry.matches.slice(0, 3).join(', ')}`);
+      }
+      if (entry.summary.mood) {
+        reasons.push(`mood: ${entry.summary.mood}`);
+      }
+      return { assetId: entry.summary.assetId, reason: `${reasons.join('; ')}.` };
+    });
+  }
+};
+
+/**
+ * Order assets into a narrative with a semantic model
+ *
+ * The model's answer is checked against the input: unknown or repeated asset
+ * IDs are dropped and assets the model left out are appended in their
+ * original order, so every asset is placed exactly once.
+ *
+ * @param {Array<Object>} assets - Asset records
+ * @param {Object} options - Ordering options
+ * @param {string} options.brief - Creative brief (optional)
+ * @param {Object} options.model - Semantic model (defaults to localSemanticModel)
+ * @returns {Promise<Object>} - { assets, reasoning: [{ assetId, position, reason }], model }
+ */
+async function orderAssetsSemantically(assets, { brief = '', model = localSemanticModel } = {}) {
+  const byId = new Map(assets.map(asset => [asset.id, asset]));
+  const order = await model.orderAssets(assets.map(summarizeAsset), brief);
+
+  const placed = [];
+  const reasons = new Map();
+  for (const entry of order) {
+    if (byId.has(entry.assetId) && !reasons.has(entry.assetId)) {
+      placed.push(byId.get(entry.assetId));
+      reasons.set(entry.assetId, entry.reason || 'Placed by the model without an explanation.');
+    }
+  }
+  for (const asset of assets) {
+    if (!reasons.has(asset.id)) {
+      placed.push(asset);
+      reasons.set(asset.id, 'Not placed by the model; appended after the placed clips.');
+    }
+  }
+
+  return {
+    assets: placed,
+    reasoning: placed.map((asset, position) => ({ assetId: asset.id, position, reason: reasons.get(asset.id) })),
+    model: model.id
+  };
+}
+
+/**
+ * Attach semantic reasoning to the clips built from the ordered assets
+ *
+ * Clips cut from a shot are matched to the reasoning for that shot's
+ * stand-in asset ("<assetId>/<shotId>").
+ *
+ * @param {Array<Object>} clips - Assembled clips
+ * @param {Array<Object>} reasoning - Reasoning from orderAssetsSemantically
+ * @returns {Array<Object>} - [{ clipId, assetId, shotId?, position, reason }]
+ */
+function explainClips(clips, reasoning) {
+  const reasons = new Map(reasoning.map(entry => [entry.assetId, entry.reason]));
+  return clips.map((clip, position) => {
+    const key = clip.shotId ? `${clip.assetId}/${clip.shotId}` : clip.assetId;
+    return {
+      clipId: clip.id,
+      assetId: clip.assetId,
+      ...(clip.shotId ? { shotId: clip.shotId } : {}),
+      position,
+      reason: reasons.get(key) || null
+    };
+  });
+}
+
+module.exports = {
+  summarizeAsset,
+  buildSemanticPrompt,
+  parseSemanticResponse,
+  createGeminiSemanticModel,
+  localSemanticModel,
+  orderAssetsSemantically,
+  explainClips,
+};
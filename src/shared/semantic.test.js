@@ -0,0 +1,106 @@
+const {
+  summarizeAsset,
+  parseSemanticResponse,
+  createGeminiSemanticModel,
+  localSemanticModel,
+  orderAssetsSemantically,
+  explainClips,
+} = require('./semantic');
+
+const asset = (id, analysis) => ({ id, fileName: `${id}.mov`, metadata: { duration: 10, analysis } });
+
+const assets = [
+  asset('middle', { sceneDescription: 'Crowd walking through the market', mood: 'busy', suggestedPlacement: 'middle', keyVisualElements: ['crowd'] }),
+  asset('closing', { sceneDescription: 'Sunset over the harbour', mood: 'calm', suggestedPlacement: 'closing', keyVisualElements: ['sunset'] }),
+  asset('opening', { sceneDescription: 'Aerial view of the harbour at dawn', mood: 'quiet', suggestedPlacement: 'opening', keyVisualElements: ['harbour'] }),
+  asset('unplaced', {})
+];
+
+describe('summarizeAsset', () => {
+  it('accepts the common analysis key spellings', () => {
+    const summary = summarizeAsset(asset('a', { scene_description: 'A boat', tone: 'calm', suggested_placement: 'opening', key_visual_elements: ['boat'] }));
+    expect(summary).toMatchObject({ assetId: 'a', description: 'A boat', mood: 'calm', placement: 'opening', elements: ['boat'] });
+  });
+});
+
+describe('localSemanticModel', () => {
+  it('orders clips by suggested placement, keeping unplaced clips in the middle', async () => {
+    const { assets: ordered, reasoning, model } = await orderAssetsSemantically(assets);
+    expect(ordered.map(entry => entry.id)).toEqual(['opening', 'middle', 'unplaced', 'closing']);
+    expect(model).toBe('local');
+    expect(reasoning[0].reason).toContain('opening');
+  });
+
+  it('breaks placement ties by how well a clip matches the brief', async () => {
+    const ties = [
+      asset('market', { sceneDescription: 'Market stalls', mood: 'busy', suggestedPlacement: 'middle', keyVisualElements: [] }),
+      asset('boats', { sceneDescription: 'Fishing boats unloading', mood: 'busy', suggestedPlacement: 'middle', keyVisualElements: [] })
+    ];
+    const { assets: ordered } = await orderAssetsSemantically(ties, { brief: 'A story about fishing boats', model: localSemanticModel });
+    expect(ordered.map(entry => entry.id)).toEqual(['boats', 'market']);
+  });
+});
+
+describe('orderAssetsSemantically with a stub model', () => {
+  it('drops unknown and repeated IDs and appends clips the model left out', async () => {
+    const model = {
+      id: 'stub',
+      orderAssets: async () => [
+        { assetId: 'closing', reason: 'Ends on the sunset.' },
+        { assetId: 'ghost', reason: 'Not an asset.' },
+        { assetId: 'closing', reason: 'Repeated.' },
+        { assetId: 'opening', reason: null }
+      ]
+    };
+    const { assets: ordered, reasoning } = await orderAssetsSemantically(assets, { model });
+
+    expect(ordered.map(entry => entry.id)).toEqual(['closing', 'opening', 'middle', 'unplaced']);
+    expect(reasoning.map(entry => entry.reason)).toEqual([
+      'Ends on the sunset.',
+      'Placed by the model without an explanation.',
+      'Not placed by the model; appended after the placed clips.',
+      'Not placed by the model; appended after the placed clips.'
+    ]);
+  });
+
+  it('passes the brief and asset summaries to the model', async () => {
+    const orderAssets = jest.fn(async (summaries) => summaries.map(summary => ({ assetId: summary.assetId, reason: 'as given' })));
+    await orderAssetsSemantically(assets, { brief: 'Harbour life', model: { id: 'stub', orderAssets } });
+    expect(orderAssets).toHaveBeenCalledWith(assets.map(summarizeAsset), 'Harbour life');
+  });
+});
+
+describe('createGeminiSemanticModel', () => {
+  it('reads the order from a response wrapped in a code block', async () => {
+    const generativeModel = {
+      model: 'gemini-pro',
+      generateContent: jest.fn(async () => ({
+        response: { text: () => '```json\n{"order": [{"assetId": "opening", "reason": "Sets the scene."}, "closing"]}\n```' }
+      }))
+    };
+    const model = createGeminiSemanticModel(generativeModel);
+
+    expect(model.id).toBe('gemini:gemini-pro');
+    await expect(model.orderAssets([], 'brief')).resolves.toEqual([
+      { assetId: 'opening', reason: 'Sets the scene.' },
+      { assetId: 'closing', reason: null }
+    ]);
+    expect(generativeModel.generateContent.mock.calls[0][0]).toContain('Creative brief: brief');
+  });
+
+  it('rejects responses without an order', () => {
+    expect(() => parseSemanticResponse('no json here')).toThrow('invalid JSON');
+    expect(() => parseSemanticResponse('{"clips": []}')).toThrow('no "order" array');
+  });
+});
+
+describe('explainClips', () => {
+  it('matches shot clips to the reasoning for their shot', () => {
+    const reasoning = [{ assetId: 'a/shot-2', position: 0, reason: 'Best shot.' }, { assetId: 'b', position: 1, reason: 'Closes.' }];
+    const clips = [{ id: 'clip-1', assetId: 'a', shotId: 'shot-2' }, { id: 'clip-2', assetId: 'b' }];
+    expect(explainClips(clips, reasoning)).toEqual([
+      { clipId: 'clip-1', assetId: 'a', shotId: 'shot-2', position: 0, reason: 'Best shot.' },
+      { clipId: 'clip-2', assetId: 'b', position: 1, reason: 'Closes.' }
+    ]);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * TimelineAssembler - Shots within uploaded media
+ *
+ * Scene-cut detection at upload splits a long file into shots, stored on the
+ * asset as `shots: [{ id, index, start, end, thumbnailUrl, analysis }]` with
+ * times in seconds from the start of the media. For shot-level assembly each
+ * shot is expanded into a stand-in asset of its own, so strategies, grouping
+ * and target-duration fitting see shots exactly as they see whole files.
+ */
+
+// Shots shorter than this are folded into their neighbour (flash frames, fades)
+const MIN_SHOT_SECONDS = 0.5;
+
+/**
+ * Build shots from detected cut times
+ *
+ * @param {Array<number>} cutTimes - Cut times in seconds, any order
+ * @param {number} duration - Media length in seconds
+ * @param {Object} options - Shot options
+ * @param {number} options.minShotSeconds - Shortest shot to keep (default MIN_SHOT_SECONDS)
+ * @returns {Array<Object>} - [{ id, index, start, end }]
+ */
+function shotsFromCuts(cutTimes, duration, { minShotSeconds = MIN_SHOT_SECONDS } = {}) {
+  if (!(duration > 0)) {
+    return [];
+  }
+  const cuts = [...new Set(cutTimes.map(Number))]
+    .filter(time => Number.isFinite(time) && time > 0 && time < duration)
+    .sort((a, b) => a - b);
+
+  // Drop cuts that would leave a shot shorter than the minimum
+  const kept = [];
+  let previous = 0;
+  for (const cut of cuts) {
+    if (cut - previous >= minShotSeconds && duration - cut >= minShotSeconds) {
+      kept.push(cut);
+      previous = cut;
+    }
+  }
+
+  const bounds = [0, ...kept, duration];
+  return bounds.slice(0, -1).map((start, index) => ({
+    id: `shot-${index + 1}`,
+    index,
+    start: Math.round(start * 1000) / 1000,
+    end: Math.round(bounds[index + 1] * 1000) / 1000
+  }));
+}
+
+/**
+ * Look up a shot of an asset
+ *
+ * @param {Object} asset - Asset record
+ * @param {string} shotId - Shot ID
+ * @returns {Object|undefined} - Shot
+ */
+function findShot(asset, shotId) {
+  return (asset.shots || []).find(shot => shot && shot.id === shotId);
+}
+
+/**
+ * Expand assets into one stand-in asset per shot
+ *
+ * A stand-in has the ID "<assetId>/<shotId>", points back at its media with
+ * `assetId`, `shotId` and `sourceStart` (seconds), and carries the shot's
+ * length, analysis and thumbnail. Its timestamp is offset by the shot start
+ * so chronological strategies keep shots in order. Assets without detected
+ * shots pass through unchanged.
+ *
+ * @param {Array<Object>} assets - Asset records
+ * @returns {Array<Object>} - Stand-in assets
+ */
+function expandShots(assets) {
+  return assets.flatMap(asset => {
+    const { shots: detected, ...media } = asset;
+    const shots = (detected || []).filter(Boolean);
+    if (shots.length === 0) {
+      return [asset];
+    }
+    const metadata = asset.metadata || {};
+    const timestamp = new Date(metadata.timestamp || asset.uploadTime).getTime();
+    return shots.map(shot => ({
+      ...media,
+      id: `${asset.id}/${shot.id}`,
+      assetId: asset.id,
+      shotId: shot.id,
+      sourceStart: shot.start,
+      thumbnailUrl: shot.thumbnailUrl || asset.thumbnailUrl,
+      metadata: {
+        ...metadata,
+        name: `${metadata.name || asset.fileName || asset.id} #${shot.index + 1}`,
+        duration: shot.end - shot.start,
+        timestamp: Number.isFinite(timestamp) ? new Date(timestamp + shot.start * 1000).toISOString() : metadata.timestamp,
+        analysis: shot.analysis && shot.analysis.status !== 'failed' ? shot.analysis : metadata.analysis
+      }
+    }));
+  });
+}
+
+module.exports = {
+  MIN_SHOT_SECONDS,
+  shotsFromCuts,
+  findShot,
+  expandShots,
+};
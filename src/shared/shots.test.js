@@ -0,0 +1,68 @@
+const { shotsFromCuts, findShot, expandShots } = require('./shots');
+
+describe('shotsFromCuts', () => {
+  it('splits the media at sorted, de-duplicated cuts', () => {
+    expect(shotsFromCuts([4, '2.5', 2.5, 0, 10, 12], 10)).toEqual([
+      { id: 'shot-1', index: 0, start: 0, end: 2.5 },
+      { id: 'shot-2', index: 1, start: 2.5, end: 4 },
+      { id: 'shot-3', index: 2, start: 4, end: 10 }
+    ]);
+  });
+
+  it('drops cuts that would leave a shot shorter than the minimum', () => {
+    expect(shotsFromCuts([0.2, 3, 3.1, 9.8], 10).map(shot => [shot.start, shot.end])).toEqual([[0, 3], [3, 10]]);
+    expect(shotsFromCuts([1, 2], 3, { minShotSeconds: 1.5 }).map(shot => [shot.start, shot.end])).toEqual([[0, 3]]);
+  });
+
+  it('returns one shot without cuts and none without a duration', () => {
+    expect(shotsFromCuts([], 7.1234)).toEqual([{ id: 'shot-1', index: 0, start: 0, end: 7.123 }]);
+    expect(shotsFromCuts([1], 0)).toEqual([]);
+  });
+});
+
+describe('expandShots', () => {
+  const asset = {
+    id: 'asset-1',
+    fileName: 'A001.mov',
+    thumbnailUrl: 'file-thumb.jpg',
+    uploadTime: '2024-01-01T00:00:00.000Z',
+    metadata: { duration: 10, analysis: { sceneDescription: 'Whole file' } },
+    shots: [
+      { id: 'shot-1', index: 0, start: 0, end: 4, thumbnailUrl: 'shot-1.jpg', analysis: { sceneDescription: 'Wide' } },
+      { id: 'shot-2', index: 1, start: 4, end: 7.5, thumbnailUrl: null, analysis: null },
+      { id: 'shot-3', index: 2, start: 7.5, end: 10, thumbnailUrl: 'shot-3.jpg', analysis: { status: 'failed' } }
+    ]
+  };
+
+  it('makes a stand-in asset per shot pointing back at its media', () => {
+    const [first, second] = expandShots([asset]);
+
+    expect(first).toMatchObject({
+      id: 'asset-1/shot-1',
+      assetId: 'asset-1',
+      shotId: 'shot-1',
+      sourceStart: 0,
+      fileName: 'A001.mov',
+      thumbnailUrl: 'shot-1.jpg',
+      metadata: { name: 'A001.mov #1', duration: 4, timestamp: '2024-01-01T00:00:00.000Z', analysis: { sceneDescription: 'Wide' } }
+    });
+    expect(first.shots).toBeUndefined();
+    expect(second.metadata).toMatchObject({ name: 'A001.mov #2', duration: 3.5, timestamp: '2024-01-01T00:00:04.000Z' });
+  });
+
+  it("falls back to the file's thumbnail and analysis for undescribed or failed shots", () => {
+    const [, second, third] = expandShots([asset]);
+
+    expect(second.thumbnailUrl).toBe('file-thumb.jpg');
+    expect(second.metadata.analysis).toEqual({ sceneDescription: 'Whole file' });
+    expect(third.thumbnailUrl).toBe('shot-3.jpg');
+    expect(third.metadata.analysis).toEqual({ sceneDescription: 'Whole file' });
+  });
+
+  it('passes assets without shots through and finds shots by ID', () => {
+    const plain = { id: 'asset-2', metadata: { duration: 5 } };
+    expect(expandShots([plain, { ...plain, id: 'asset-3', shots: [null] }])).toEqual([plain, { ...plain, id: 'asset-3', shots: [null] }]);
+    expect(findShot(asset, 'shot-2')).toBe(asset.shots[1]);
+    expect(findShot(plain, 'shot-1')).toBeUndefined();
+  });
+});
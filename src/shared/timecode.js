@@ -0,0 +1,345 @@
+/**
+ * TimelineAssembler - Timecode engine
+ *
+ * Frame-accurate SMPTE timecode helpers shared by the client library and the
+ * Cloud Functions. All timeline positions are stored as integer frame counts
+ * at the timeline rate; these helpers convert between frames, seconds and
+ * timecode strings.
+ *
+ * Frame rates may be given as numbers (24, 25, 29.97, 59.94), as strings
+ * ("30000/1001", "23.976") or as `{ num, den }` rationals. NTSC rates are
+ * always normalised to their exact x/1001 form.
+ */
+
+const NTSC_RATES = {
+  '23.976': { num: 24000, den: 1001 },
+  '23.98': { num: 24000, den: 1001 },
+  '29.97': { num: 30000, den: 1001 },
+  '47.952': { num: 48000, den: 1001 },
+  '59.94': { num: 60000, den: 1001 },
+  '119.88': { num: 120000, den: 1001 },
+};
+
+const HOURS_PER_DAY = 24;
+
+/**
+ * Parse a frame rate into an exact rational
+ *
+ * @param {number|string|Object} rate - Frame rate (e.g. 24, 29.97, "30000/1001", { num, den })
+ * @returns {Object} - Rational frame rate { num, den }
+ */
+function parseFrameRate(rate) {
+  if (rate && typeof rate === 'object') {
+    if (!(rate.num > 0) || !(rate.den > 0)) {
+      throw new Error(`Invalid frame rate: ${JSON.stringify(rate)}`);
+    }
+    return { num: Math.round(rate.num), den: Math.round(rate.den) };
+  }
+
+  if (typeof rate === 'string' && rate.includes('/')) {
+    const [num, den] = rate.split('/').map(Number);
+    if (!(num > 0) || !(den > 0)) {
+      throw new Error(`Invalid frame rate: ${rate}`);
+    }
+    return normalizeRational(num, den);
+  }
+
+  const value = Number(rate);
+  if (!(value > 0)) {
+    throw new Error(`Invalid frame rate: ${rate}`);
+  }
+
+  // Snap approximate NTSC values (29.97, 29.970029...) to their exact form
+  for (const [label, rational] of Object.entries(NTSC_RATES)) {
+    if (Math.abs(value - Number(label)) < 0.01) {
+      return { ...rational };
+    }
+  }
+
+  if (Number.isInteger(value)) {
+    return { num: value, den: 1 };
+  }
+
+  return normalizeRational(Math.round(value * 1000), 1000);
+}
+
+function normalizeRational(num, den) {
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const divisor = gcd(num, den);
+  const rational = { num: num / divisor, den: den / divisor };
+
+  // "2997/100" and friends are NTSC rates written loosely
+  const approx = rational.num / rational.den;
+  for (const [label, exact] of Object.entries(NTSC_RATES)) {
+    if (rational.den !== 1 && Math.abs(approx - Number(label)) < 0.01) {
+      return { ...exact };
+    }
+  }
+
+  return rational;
+}
+
+/**
+ * Format a frame rate as a rational string (e.g. "30000/1001")
+ *
+ * @param {number|string|Object} rate - Frame rate
+ * @returns {string} - Rational string
+ */
+function formatFrameRate(rate) {
+  const { num, den } = parseFrameRate(rate);
+  return `${num}/${den}`;
+}
+
+/**
+ * Get the frame rate as a floating point number
+ *
+ * @param {number|string|Object} rate - Frame rate
+ * @returns {number} - Frames per second
+ */
+function frameRateToNumber(rate) {
+  const { num, den } = parseFrameRate(rate);
+  return num / den;
+}
+
+/**
+ * Get the nominal (integer) frame rate used for timecode counting
+ *
+ * @param {number|string|Object} rate - Frame rate
+ * @returns {number} - Nominal frames per second (e.g. 30 for 29.97)
+ */
+function nominalFrameRate(rate) {
+  return Math.round(frameRateToNumber(rate));
+}
+
+/**
+ * Check whether a frame rate supports drop-frame timecode
+ *
+ * @param {number|string|Object} rate - Frame rate
+ * @returns {boolean} - True for 29.97 and 59.94
+ */
+function isDropFrameRate(rate) {
+  const { den } = parseFrameRate(rate);
+  const nominal = nominalFrameRate(rate);
+  return den === 1001 && nominal % 30 === 0;
+}
+
+/**
+ * Resolve whether timecode should be drop-frame for a rate
+ *
+ * @param {number|string|Object} rate - Frame rate
+ * @param {boolean} dropFrame - Requested drop-frame mode (defaults to true for DF-capable rates)
+ * @returns {boolean} - Effective drop-frame mode
+ */
+function resolveDropFrame(rate, dropFrame) {
+  if (!isDropFrameRate(rate)) {
+    return false;
+  }
+  return dropFrame !== false;
+}
+
+function dropFramesPerMinute(rate) {
+  return (nominalFrameRate(rate) / 30) * 2;
+}
+
+/**
+ * Convert seconds to the nearest whole frame
+ *
+ * @param {number} seconds - Time in seconds
+ * @param {number|string|Object} rate - Frame rate
+ * @returns {number} - Frame count
+ */
+function secondsToFrames(seconds, rate) {
+  const { num, den } = parseFrameRate(rate);
+  return Math.round((Number(seconds) || 0) * num / den);
+}
+
+/**
+ * Convert a frame count to seconds
+ *
+ * @param {number} frames - Frame count
+ * @param {number|string|Object} rate - Frame rate
+ * @returns {number} - Time in seconds
+ */
+function framesToSeconds(frames, rate) {
+  const { num, den } = parseFrameRate(rate);
+  return (Number(frames) || 0) * den / num;
+}
+
+/**
+ * Convert a frame count to an SMPTE timecode string
+ *
+ * Drop-frame timecode uses `;` before the frame field. Counts wrap at 24 hours.
+ *
+ * @param {number} frames - Frame count
+ * @param {number|string|Object} rate - Frame rate
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.dropFrame - Use drop-frame counting (defaults to true for 29.97/59.94)
+ * @returns {string} - Timecode (e.g. "01:00:00:00" or "00:01:00;02")
+ */
+function framesToTimecode(frames, rate, { dropFrame } = {}) {
+  const nominal = nominalFrameRate(rate);
+  const isDrop = resolveDropFrame(rate, dropFrame);
+  const framesPerDay = framesPerDayFor(rate, isDrop);
+
+  let count = Math.round(Number(frames) || 0) % framesPerDay;
+  if (count < 0) {
+    count += framesPerDay;
+  }
+
+  if (isDrop) {
+    const drop = dropFramesPerMinute(rate);
+    const framesPerMinute = nominal * 60 - drop;
+    const framesPer10Minutes = nominal * 600 - drop * 9;
+    const tens = Math.floor(count / framesPer10Minutes);
+    const remainder = count % framesPer10Minutes;
+
+    count += drop * 9 * tens;
+    if (remainder > drop) {
+      count += drop * Math.floor((remainder - drop) / framesPerMinute);
+    }
+  }
+
+  const f = count % nominal;
+  const totalSeconds = Math.floor(count / nominal);
+  const s = totalSeconds % 60;
+  const m = Math.floor(totalSeconds / 60) % 60;
+  const h = Math.floor(totalSeconds / 3600);
+  const pad = (value) => value.toString().padStart(2, '0');
+
+  return `${pad(h)}:${pad(m)}:${pad(s)}${isDrop ? ';' : ':'}${pad(f)}`;
+}
+
+/**
+ * Convert an SMPTE timecode string to a frame count
+ *
+ * A `;` or `.` before the frame field marks the timecode as drop-frame.
+ *
+ * @param {string} timecode - Timecode string
+ * @param {number|string|Object} rate - Frame rate
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.dropFrame - Force drop-frame counting (defaults to the separator)
+ * @returns {number} - Frame count
+ */
+function timecodeToFrames(timecode, rate, { dropFrame } = {}) {
+  const match = /^(-)?(\d{1,2}):(\d{2}):(\d{2})([:;.,])(\d{2,3})$/.exec(String(timecode).trim());
+  if (!match) {
+    throw new Error(`Invalid timecode: ${timecode}`);
+  }
+
+  const [, sign, hh, mm, ss, separator, ff] = match;
+  const h = Number(hh);
+  const m = Number(mm);
+  const s = Number(ss);
+  const f = Number(ff);
+  const nominal = nominalFrameRate(rate);
+
+  if (m > 59 || s > 59 || f >= nominal) {
+    throw new Error(`Invalid timecode for ${formatFrameRate(rate)}: ${timecode}`);
+  }
+
+  const separatorIsDrop = separator === ';' || separator === ',';
+  const isDrop = resolveDropFrame(rate, dropFrame === undefined ? separatorIsDrop : dropFrame);
+
+  let frames = ((h * 3600) + (m * 60) + s) * nominal + f;
+  if (isDrop) {
+    const drop = dropFramesPerMinute(rate);
+    const totalMinutes = h * 60 + m;
+    frames -= drop * (totalMinutes - Math.floor(totalMinutes / 10));
+  }
+
+  return sign ? -frames : frames;
+}
+
+function framesPerDayFor(rate, isDrop) {
+  const nominal = nominalFrameRate(rate);
+  const frames = nominal * 3600 * HOURS_PER_DAY;
+  if (!isDrop) {
+    return frames;
+  }
+  const drop = dropFramesPerMinute(rate);
+  const totalMinutes = 60 * HOURS_PER_DAY;
+  return frames - drop * (totalMinutes - Math.floor(totalMinutes / 10));
+}
+
+/**
+ * Convert a timecode or frame count to frames
+ *
+ * @param {string|number} value - Timecode string or frame count
+ * @param {number|string|Object} rate - Frame rate
+ * @param {Object} options - Options passed to timecodeToFrames
+ * @returns {number} - Frame count
+ */
+function toFrames(value, rate, options) {
+  return typeof value === 'number' ? Math.round(value) : timecodeToFrames(value, rate, options);
+}
+
+/**
+ * Add two timecodes (or frame counts) together
+ *
+ * @param {string|number} a - First timecode
+ * @param {string|number} b - Second timecode or duration
+ * @param {number|string|Object} rate - Frame rate
+ * @param {Object} options - Formatting options
+ * @returns {string} - Resulting timecode
+ */
+function addTimecodes(a, b, rate, options = {}) {
+  return framesToTimecode(toFrames(a, rate, options) + toFrames(b, rate, options), rate, options);
+}
+
+/**
+ * Subtract one timecode (or frame count) from another
+ *
+ * @param {string|number} a - Timecode to subtract from
+ * @param {string|number} b - Timecode or duration to subtract
+ * @param {number|string|Object} rate - Frame rate
+ * @param {Object} options - Formatting options
+ * @returns {string} - Resulting timecode (wraps at 24 hours)
+ */
+function subtractTimecodes(a, b, rate, options = {}) {
+  return framesToTimecode(toFrames(a, rate, options) - toFrames(b, rate, options), rate, options);
+}
+
+/**
+ * Get the number of frames between two timecodes
+ *
+ * @param {string|number} start - Start timecode
+ * @param {string|number} end - End timecode
+ * @param {number|string|Object} rate - Frame rate
+ * @param {Object} options - Parsing options
+ * @returns {number} - Frame count from start to end
+ */
+function framesBetween(start, end, rate, options = {}) {
+  return toFrames(end, rate, options) - toFrames(start, rate, options);
+}
+
+/**
+ * Convert a frame count between two frame rates, keeping wall-clock time
+ *
+ * @param {number} frames - Frame count at the source rate
+ * @param {number|string|Object} fromRate - Source frame rate
+ * @param {number|string|Object} toRate - Target frame rate
+ * @returns {number} - Frame count at the target rate
+ */
+function convertFrames(frames, fromRate, toRate) {
+  const from = parseFrameRate(fromRate);
+  const to = parseFrameRate(toRate);
+  return Math.round((Number(frames) || 0) * from.den * to.num / (from.num * to.den));
+}
+
+module.exports = {
+  parseFrameRate,
+  formatFrameRate,
+  frameRateToNumber,
+  nominalFrameRate,
+  isDropFrameRate,
+  resolveDropFrame,
+  secondsToFrames,
+  framesToSeconds,
+  framesToTimecode,
+  timecodeToFrames,
+  toFrames,
+  addTimecodes,
+  subtractTimecodes,
+  framesBetween,
+  convertFrames,
+};
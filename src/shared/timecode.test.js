@@ -0,0 +1,93 @@
+const {
+  parseFrameRate,
+  isDropFrameRate,
+  resolveDropFrame,
+  secondsToFrames,
+  framesToTimecode,
+  timecodeToFrames,
+  convertFrames,
+} = require('./timecode');
+
+describe('parseFrameRate', () => {
+  it('normalises NTSC rates to their exact x/1001 form', () => {
+    expect(parseFrameRate(29.97)).toEqual({ num: 30000, den: 1001 });
+    expect(parseFrameRate('23.976')).toEqual({ num: 24000, den: 1001 });
+    expect(parseFrameRate('2997/100')).toEqual({ num: 30000, den: 1001 });
+    expect(parseFrameRate(25)).toEqual({ num: 25, den: 1 });
+  });
+
+  it('rejects invalid rates', () => {
+    expect(() => parseFrameRate(0)).toThrow('Invalid frame rate');
+    expect(() => parseFrameRate('abc')).toThrow('Invalid frame rate');
+  });
+});
+
+describe('drop-frame mode', () => {
+  it('only allows drop-frame at 29.97 and 59.94', () => {
+    expect(isDropFrameRate(29.97)).toBe(true);
+    expect(isDropFrameRate(59.94)).toBe(true);
+    expect(isDropFrameRate(23.976)).toBe(false);
+    expect(isDropFrameRate(30)).toBe(false);
+  });
+
+  it('defaults to drop-frame when the flag is not set', () => {
+    expect(resolveDropFrame(29.97, undefined)).toBe(true);
+    expect(resolveDropFrame(29.97, false)).toBe(false);
+    expect(resolveDropFrame(25, true)).toBe(false);
+  });
+});
+
+describe('framesToTimecode', () => {
+  it('counts non-drop-frame timecode', () => {
+    expect(framesToTimecode(0, 24)).toBe('00:00:00:00');
+    expect(framesToTimecode(24 * 3600 + 23, 24)).toBe('01:00:00:23');
+    expect(framesToTimecode(1800, 29.97, { dropFrame: false })).toBe('00:01:00:00');
+  });
+
+  it('skips frame numbers 0 and 1 each minute except every tenth at 29.97 DF', () => {
+    expect(framesToTimecode(1799, 29.97)).toBe('00:00:59;29');
+    expect(framesToTimecode(1800, 29.97)).toBe('00:01:00;02');
+    expect(framesToTimecode(17982, 29.97)).toBe('00:10:00;00');
+    expect(framesToTimecode(107892, 29.97)).toBe('01:00:00;00');
+  });
+
+  it('skips four frame numbers a minute at 59.94 DF', () => {
+    expect(framesToTimecode(3600, 59.94)).toBe('00:01:00;04');
+  });
+
+  it('wraps at 24 hours', () => {
+    expect(framesToTimecode(24 * 3600 * 25, 25)).toBe('00:00:00:00');
+    expect(framesToTimecode(-1, 25)).toBe('23:59:59:24');
+  });
+});
+
+describe('timecodeToFrames', () => {
+  it('reads drop-frame timecode from the separator', () => {
+    expect(timecodeToFrames('00:01:00;02', 29.97)).toBe(1800);
+    expect(timecodeToFrames('01:00:00;00', 29.97)).toBe(107892);
+    expect(timecodeToFrames('01:00:00:00', 29.97)).toBe(108000);
+  });
+
+  it('round-trips every frame across a ten-minute DF boundary', () => {
+    for (let frame = 17900; frame < 18100; frame++) {
+      expect(timecodeToFrames(framesToTimecode(frame, 29.97), 29.97)).toBe(frame);
+    }
+  });
+
+  it('rejects frame numbers beyond the rate', () => {
+    expect(() => timecodeToFrames('00:00:00:25', 25)).toThrow('Invalid timecode');
+    expect(() => timecodeToFrames('not a timecode', 25)).toThrow('Invalid timecode');
+  });
+});
+
+describe('frame conversions', () => {
+  it('converts seconds to the nearest frame', () => {
+    expect(secondsToFrames(1, 29.97)).toBe(30);
+    expect(secondsToFrames(60, 29.97)).toBe(1798);
+  });
+
+  it('rescales frame counts between rates keeping wall-clock time', () => {
+    expect(convertFrames(25, 25, 24)).toBe(24);
+    expect(convertFrames(30000, 29.97, 30)).toBe(30030);
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * TimelineAssembler - Transcripts and text-based editing
+ *
+ * Transcripts hold word-level timings in seconds from the start of the
+ * media. They come from a transcription engine: any object with `name`,
+ * `model` and an async `transcribe(input)` resolving to
+ * `{ language, words: [{ text, start, end }] }` (or `segments`, whose timing
+ * is spread across their words). Selecting a range of words turns into a clip
+ * with frame-accurate in and out points.
+ *
+ * Engines:
+ * - createGeminiTranscriptionEngine: Gemini on an inline audio chunk
+ * - createFixtureTranscriptionEngine: local stand-in replaying recorded transcripts
+ */
+
+const { parseFrameRate } = require('./timecode');
+
+const normalizeWord = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}']+/gu, '');
+
+/**
+ * Validate and normalise an engine result into a transcript
+ *
+ * Segment-only results get word timings by spreading each segment's time
+ * over its words in proportion to their length.
+ *
+ * @param {Object} result - Engine result ({ language, words } or { language, segments })
+ * @returns {Object} - { language, words: [{ text, start, end, confidence?, speaker? }] }
+ */
+function normalizeTranscript(result) {
+  if (!result || (!Array.isArray(result.words) && !Array.isArray(result.segments))) {
+    throw new Error('Transcript needs a "words" or "segments" array');
+  }
+
+  let words = result.words;
+  if (!Array.isArray(words)) {
+    words = [];
+    for (const segment of result.segments) {
+      const parts = String(segment.text || '').split(/\s+/).filter(Boolean);
+      const totalLength = parts.reduce((sum, part) => sum + part.length, 0);
+      let position = Number(segment.start);
+      for (const part of parts) {
+        const length = (Number(segment.end) - Number(segment.start)) * part.length / totalLength;
+        words.push({ text: part, start: position, end: position + length, speaker: segment.speaker });
+        position += length;
+      }
+    }
+  }
+
+  const normalized = words.map((word, index) => {
+    const start = Number(word.start);
+    const end = Number(word.end);
+    if (typeof word.text !== 'string' || !Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end < start) {
+      throw new Error(`Transcript word ${index} needs text and 0 <= start <= end (seconds)`);
+    }
+    const entry = { text: word.text.trim(), start, end };
+    if (word.confidence !== undefined) {
+      entry.confidence = Number(word.confidence);
+    }
+    if (word.speaker !== undefined && word.speaker !== null) {
+      entry.speaker = String(word.speaker);
+    }
+    return entry;
+  }).filter(word => word.text);
+
+  normalized.sort((a, b) => a.start - b.start);
+  return { language: result.language || null, words: normalized };
+}
+
+/**
+ * Join transcripts of consecutive chunks of the same media
+ *
+ * @param {Array<Object>} parts - [{ offset (seconds), transcript }]
+ * @returns {Object} - Combined transcript
+ */
+function mergeTranscripts(parts) {
+  const words = [];
+  for (const { offset, transcript } of parts) {
+    for (const word of transcript.words) {
+      words.push({ ...word, start: word.start + offset, end: word.end + offset });
+    }
+  }
+  const language = (parts.find(part => part.transcript.language) || { transcript: {} }).transcript.language || null;
+  return { language, words };
+}
+
+/**
+ * Wrap a Gemini model as a transcription engine
+ *
+ * @param {Object} generativeModel - Model from GoogleGenerativeAI#getGenerativeModel (must accept audio)
+ * @returns {Object} - Transcription engine
+ */
+function createGeminiTranscriptionEngine(generativeModel) {
+  return {
+    name: 'gemini',
+    model: generativeModel.model || 'unknown',
+    async transcribe(input) {
+      const prompt = [
+        'Transcribe the speech in this audio.',
+        'Reply with JSON only: {"language": "<BCP-47 code>", "words": [{"text": "...", "start": <seconds>, "end": <seconds>, "speaker": "<label>"}]}',
+        'Times are seconds from the start of the audio. Include every spoken word in order.'
+      ].join('\n');
+      const result = await generativeModel.generateContent({
+        contents: [{
+          role: 'user',
+          parts: [{ text: prompt }, { inlineData: { mimeType: input.audio.mimeType, data: input.audio.data } }]
+        }]
+      });
+      const text = result.response.text();
+      const block = text.match(/```(?:json)?\s*\n([\s\S]*?)\n```/);
+      try {
+        return JSON.parse(block ? block[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+      } catch (error) {
+        throw new Error(`Gemini transcription is not valid JSON: ${error.message}`);
+      }
+    }
+  };
+}
+
+/**
+ * Local stand-in engine that replays recorded transcripts
+ *
+ * Transcripts are keyed by the input `key` (usually the file name), with `*`
+ * as a fallback. Media with no recording gets an empty transcript. When the
+ * input is a chunk (`offset`, `duration` in seconds) only the words starting
+ * inside it are returned, relative to the chunk.
+ *
+ * @param {Object} fixtures - Recorded engine results
+ * @returns {Object} - Transcription engine
+ */
+function createFixtureTranscriptionEngine(fixtures = {}) {
+  return {
+    name: 'fixture',
+    model: 'fixture',
+    async transcribe(input) {
+      const recorded = fixtures[input.key] !== undefined ? fixtures[input.key] : fixtures['*'];
+      if (!recorded) {
+        return { language: null, words: [] };
+      }
+      const { language, words } = normalizeTranscript(recorded);
+      const offset = input.offset || 0;
+      const end = input.duration ? offset + input.duration : Infinity;
+      return {
+        language,
+        words: words
+          .filter(word => word.start >= offset && word.start < end)
+          .map(word => ({ ...word, start: word.start - offset, end: word.end - offset }))
+      };
+    }
+  };
+}
+
+/**
+ * Find the words of a phrase in a transcript
+ *
+ * Matching ignores case and punctuation.
+ *
+ * @param {Object} transcript - Transcript
+ * @param {string} phrase - Words to find
+ * @param {Object} options - Search options
+ * @param {number} options.occurrence - Which match to return, from 1 (default 1)
+ * @returns {Object|null} - { from, to } word indexes (inclusive), or null
+ */
+function findPhrase(transcript, phrase, { occurrence = 1 } = {}) {
+  const target = String(phrase).split(/\s+/).map(normalizeWord).filter(Boolean);
+  const words = transcript.words.map(word => normalizeWord(word.text));
+  let seen = 0;
+  for (let i = 0; target.length > 0 && i + target.length <= words.length; i++) {
+    if (target.every((word, offset) => words[i + offset] === word)) {
+      seen++;
+      if (seen === occurrence) {
+        return { from: i, to: i + target.length - 1 };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a transcript selection to word indexes
+ *
+ * @param {Object} transcript - Transcript
+ * @param {Object} selection - { from, to } word indexes or { text, occurrence }
+ * @returns {Object} - { from, to } word indexes (inclusive)
+ */
+function resolveSelection(transcript, selection) {
+  if (selection.text !== undefined) {
+    const range = findPhrase(transcript, selection.text, { occurrence: selection.occurrence });
+    if (!range) {
+      throw new Error(`"${selection.text}" not found in the transcript`);
+    }
+    return range;
+  }
+  const from = Number(selection.from);
+  const to = selection.to === undefined ? from : Number(selection.to);
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from || to >= transcript.words.length) {
+    throw new Error(`Invalid transcript range ${selection.from}-${selection.to} (${transcript.words.length} words)`);
+  }
+  return { from, to };
+}
+
+/**
+ * Convert a transcript selection to source in/out frames
+ *
+ * The in point is the frame containing the first word's start and the out
+ * point the first frame after the last word ends, so no speech is clipped.
+ *
+ * @param {Object} transcript - Transcript
+ * @param {Object} selection - { from, to } word indexes or { text, occurrence }
+ * @param {number|string|Object} framerate - Timeline frame rate
+ * @param {Object} options - Range options
+ * @param {number} options.handles - Frames of padding on each side (default 0)
+ * @param {number} options.mediaFrames - Media length in frames, to clamp the padding
+ * @returns {Object} - { from, to, inPoint, outPoint, text }
+ */
+function selectionToFrames(transcript, selection, framerate, { handles = 0, mediaFrames = Infinity } = {}) {
+  const { num, den } = parseFrameRate(framerate);
+  const { from, to } = resolveSelection(transcript, selection);
+  const first = transcript.words[from];
+  const last = transcript.words[to];
+
+  // Small epsilon keeps exact frame boundaries from rounding a frame out
+  const inPoint = Math.max(0, Math.floor(first.start * num / den + 1e-6) - handles);
+  const outPoint = Math.min(mediaFrames, Math.max(Math.ceil(last.end * num / den - 1e-6), inPoint + 1) + handles);
+
+  return {
+    from,
+    to,
+    inPoint,
+    outPoint,
+    text: transcript.words.slice(from, to + 1).map(word => word.text).join(' ')
+  };
+}
+
+/**
+ * Find the words spoken inside a source frame range
+ *
+ * @param {Object} transcript - Transcript
+ * @param {number} inPoint - Source in (frames)
+ * @param {number} outPoint - Source out (frames, exclusive)
+ * @param {number|string|Object} framerate - Timeline frame rate
+ * @returns {Object|null} - { from, to } word indexes (inclusive), or null when no word starts in the range
+ */
+function wordsInRange(transcript, inPoint, outPoint, framerate) {
+  const { num, den } = parseFrameRate(framerate);
+  let from = null;
+  let to = null;
+  transcript.words.forEach((word, index) => {
+    const frame = Math.floor(word.start * num / den + 1e-6);
+    if (frame >= inPoint && frame < outPoint) {
+      from = from === null ? index : from;
+      to = index;
+    }
+  });
+  return from === null ? null : { from, to };
+}
+
+module.exports = {
+  normalizeTranscript,
+  mergeTranscripts,
+  createGeminiTranscriptionEngine,
+  createFixtureTranscriptionEngine,
+  findPhrase,
+  selectionToFrames,
+  wordsInRange,
+};
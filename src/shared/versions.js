@@ -0,0 +1,256 @@
+/**
+ * TimelineAssembler - Named timeline versions and structural diffs
+ *
+ * A version is an immutable snapshot of a timeline's cut (tracks, markers,
+ * duration and the format they are measured in) stored under the timeline's
+ * `versions/{versionId}`. Any two versions, or a version and the current
+ * timeline, can be compared clip by clip.
+ */
+
+const { newId } = require('./ids');
+
+// Timeline fields a version keeps
+const VERSION_FIELDS = ['framerate', 'dropFrame', 'resolution', 'duration', 'tracks', 'markers'];
+
+// Timeline fields restoring a version writes back
+const RESTORED_FIELDS = ['duration', 'tracks', 'markers'];
+
+const newVersionId = () => newId('version');
+
+const clipsOf = (timeline) => (timeline.tracks || []).flatMap(track =>
+  (track.clips || []).map(clip => ({ clip, trackId: track.id }))
+);
+
+/**
+ * Snapshot a timeline as a named version
+ *
+ * @param {Object} timeline - Timeline record
+ * @param {Object} options - Version details
+ * @param {string} options.name - Version name (e.g. "v3 client review")
+ * @param {string} options.note - Optional description
+ * @param {string} options.createdBy - User ID of the author
+ * @returns {Object} - Version record
+ */
+function createVersion(timeline, { name, note = '', createdBy = null } = {}) {
+  if (!name || !String(name).trim()) {
+    throw new Error('A version needs a name');
+  }
+  const version = {
+    id: newVersionId(),
+    name: String(name).trim(),
+    note,
+    created: new Date().toISOString(),
+    createdBy
+  };
+  for (const field of VERSION_FIELDS) {
+    if (timeline[field] !== undefined) {
+      version[field] = JSON.parse(JSON.stringify(timeline[field]));
+    }
+  }
+  return version;
+}
+
+/**
+ * Summarise a version for listing
+ *
+ * @param {Object} version - Version record
+ * @returns {Object} - { id, name, note, created, createdBy, duration, tracks, clips }
+ */
+function describeVersion(version) {
+  return {
+    id: version.id,
+    name: version.name,
+    note: version.note || '',
+    created: version.created,
+    createdBy: version.createdBy || null,
+    duration: version.duration || 0,
+    tracks: (version.tracks || []).length,
+    clips: clipsOf(version).length
+  };
+}
+
+/**
+ * Timeline fields to write to restore a version
+ *
+ * @param {Object} version - Version record
+ * @returns {Object} - Field values, null for fields the version does not have
+ */
+function restoreUpdates(version) {
+  return RESTORED_FIELDS.reduce((updates, field) => {
+    updates[field] = version[field] !== undefined ? version[field] : null;
+    return updates;
+  }, {});
+}
+
+// Pair clips of two timelines: by ID first, then clips of the same media
+// whose source ranges overlap (re-assembly and splits give clips new IDs)
+function matchClips(fromClips, toClips) {
+  const pairs = [];
+  const toById = new Map(toClips.map(entry => [entry.clip.id, entry]));
+  const unmatchedFrom = [];
+  const matchedTo = new Set();
+
+  for (const entry of fromClips) {
+    const match = toById.get(entry.clip.id);
+    if (match && !matchedTo.has(match)) {
+      pairs.push([entry, match]);
+      matchedTo.add(match);
+    } else {
+      unmatchedFrom.push(entry);
+    }
+  }
+
+  const unmatchedTo = toClips.filter(entry => !matchedTo.has(entry));
+  const removed = [];
+  for (const entry of unmatchedFrom) {
+    const { clip } = entry;
+    let best = null;
+    let bestOverlap = 0;
+    for (const candidate of unmatchedTo) {
+      const other = candidate.clip;
+      if (matchedTo.has(candidate) || other.assetId !== clip.assetId || (other.shotId || null) !== (clip.shotId || null)) {
+        continue;
+      }
+      const overlap = Math.min(clip.outPoint, other.outPoint) - Math.max(clip.inPoint, other.inPoint);
+      if (overlap > bestOverlap) {
+        best = candidate;
+        bestOverlap = overlap;
+      }
+    }
+    if (best) {
+      pairs.push([entry, best]);
+      matchedTo.add(best);
+    } else {
+      removed.push(entry);
+    }
+  }
+
+  return { pairs, removed, added: toClips.filter(entry => !matchedTo.has(entry)) };
+}
+
+const placement = ({ clip, trackId }) => ({
+  trackId,
+  startTime: clip.startTime,
+  endTime: clip.endTime,
+  inPoint: clip.inPoint,
+  outPoint: clip.outPoint
+});
+
+const clipEntry = (entry) => ({ clipId: entry.clip.id, assetId: entry.clip.assetId, ...placement(entry) });
+
+const sameJson = (a, b) => JSON.stringify(a || null) === JSON.stringify(b || null);
+
+/**
+ * Compare two timelines or versions structurally
+ *
+ * A clip is moved when it changes track or its record position changes
+ * other than by trimming its head, trimmed when its source in or out point
+ * changes, and changed when its transitions or speed do; one clip can be in
+ * several of these lists. Tracks are matched by ID.
+ *
+ * @param {Object} from - Earlier timeline or version
+ * @param {Object} to - Later timeline or version
+ * @returns {Object} - { duration: { from, to }, tracks: { added, removed, changed }, clips: { added, removed, moved, trimmed, changed }, unchanged }
+ */
+function diffTimelines(from, to) {
+  const fromTracks = from.tracks || [];
+  const toTracks = to.tracks || [];
+  const fromTrackIds = fromTracks.map(track => track.id);
+  const toTrackIds = toTracks.map(track => track.id);
+
+  const tracks = {
+    added: toTracks.filter(track => !fromTrackIds.includes(track.id)).map(({ id, type, name }) => ({ trackId: id, type, name: name || null })),
+    removed: fromTracks.filter(track => !toTrackIds.includes(track.id)).map(({ id, type, name }) => ({ trackId: id, type, name: name || null })),
+    changed: []
+  };
+  const keptFrom = fromTrackIds.filter(id => toTrackIds.includes(id));
+  const keptTo = toTrackIds.filter(id => fromTrackIds.includes(id));
+  for (const track of fromTracks.filter(candidate => toTrackIds.includes(candidate.id))) {
+    const other = toTracks.find(candidate => candidate.id === track.id);
+    const changes = {};
+    if ((track.name || null) !== (other.name || null)) {
+      changes.name = { from: track.name || null, to: other.name || null };
+    }
+    if (keptFrom.indexOf(track.id) !== keptTo.indexOf(track.id)) {
+      changes.position = { from: fromTrackIds.indexOf(track.id), to: toTrackIds.indexOf(track.id) };
+    }
+    if (Object.keys(changes).length > 0) {
+      tracks.changed.push({ trackId: track.id, ...changes });
+    }
+  }
+
+  const { pairs, removed, added } = matchClips(clipsOf(from), clipsOf(to));
+  const clips = {
+    added: added.map(clipEntry),
+    removed: removed.map(clipEntry),
+    moved: [],
+    trimmed: [],
+    changed: []
+  };
+  let unchanged = 0;
+
+  for (const [before, after] of pairs) {
+    const a = before.clip;
+    const b = after.clip;
+    const detail = { clipId: b.id, assetId: b.assetId, from: placement(before), to: placement(after) };
+    if (a.id !== b.id) {
+      detail.previousClipId = a.id;
+    }
+    const speed = b.speed || 1;
+    const headTrim = Math.round((b.inPoint - a.inPoint) / speed);
+    const moved = before.trackId !== after.trackId || b.startTime - a.startTime !== headTrim;
+    const trimmed = a.inPoint !== b.inPoint || a.outPoint !== b.outPoint;
+    const changed = !sameJson(a.transitions, b.transitions) || (a.speed || 1) !== speed;
+
+    if (moved) {
+      clips.moved.push(detail);
+    }
+    if (trimmed) {
+      clips.trimmed.push(detail);
+    }
+    if (changed) {
+      clips.changed.push({ ...detail, transitions: { from: a.transitions || null, to: b.transitions || null }, speed: { from: a.speed || 1, to: speed } });
+    }
+    if (!moved && !trimmed && !changed && a.endTime === b.endTime) {
+      unchanged++;
+    }
+  }
+
+  return {
+    duration: { from: from.duration || 0, to: to.duration || 0 },
+    tracks,
+    clips,
+    unchanged
+  };
+}
+
+/**
+ * Count the changes in a diff
+ *
+ * @param {Object} diff - Result of diffTimelines
+ * @returns {Object} - { clipsAdded, clipsRemoved, clipsMoved, clipsTrimmed, clipsChanged, tracksAdded, tracksRemoved, tracksChanged, total }
+ */
+function summarizeDiff(diff) {
+  const summary = {
+    clipsAdded: diff.clips.added.length,
+    clipsRemoved: diff.clips.removed.length,
+    clipsMoved: diff.clips.moved.length,
+    clipsTrimmed: diff.clips.trimmed.length,
+    clipsChanged: diff.clips.changed.length,
+    tracksAdded: diff.tracks.added.length,
+    tracksRemoved: diff.tracks.removed.length,
+    tracksChanged: diff.tracks.changed.length
+  };
+  summary.total = Object.values(summary).reduce((sum, count) => sum + count, 0);
+  return summary;
+}
+
+module.exports = {
+  VERSION_FIELDS,
+  RESTORED_FIELDS,
+  createVersion,
+  describeVersion,
+  restoreUpdates,
+  diffTimelines,
+  summarizeDiff,
+};
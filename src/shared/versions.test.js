@@ -0,0 +1,129 @@
+const { createVersion, describeVersion, restoreUpdates, diffTimelines, summarizeDiff } = require('./versions');
+
+const clip = (id, startTime, endTime, inPoint = 0, extra = {}) => ({
+  id,
+  assetId: `asset-${id}`,
+  startTime,
+  endTime,
+  inPoint,
+  outPoint: inPoint + endTime - startTime,
+  transitions: { in: null, out: null },
+  ...extra
+});
+
+function sampleTimeline() {
+  return {
+    framerate: 24,
+    duration: 144,
+    markers: [{ name: 'Start', time: 0 }],
+    tracks: [
+      { id: 'track-v1', type: 'video', name: 'V1', clips: [clip('a', 0, 48), clip('b', 48, 96), clip('c', 96, 144)] },
+      { id: 'track-a1', type: 'audio', name: 'A1', clips: [] }
+    ]
+  };
+}
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+describe('versions', () => {
+  it('snapshots the cut and restores its fields', () => {
+    const timeline = sampleTimeline();
+    const version = createVersion(timeline, { name: ' v1 client review ', createdBy: 'user-1' });
+    timeline.tracks[0].clips.pop();
+
+    expect(version.name).toBe('v1 client review');
+    expect(version.tracks[0].clips).toHaveLength(3);
+    expect(describeVersion(version)).toMatchObject({ name: 'v1 client review', tracks: 2, clips: 3, duration: 144 });
+    expect(restoreUpdates(version)).toEqual({ duration: 144, tracks: version.tracks, markers: version.markers });
+    expect(() => createVersion(timeline, { name: '  ' })).toThrow('A version needs a name');
+  });
+
+  it('gives each version its own ID', () => {
+    const ids = Array.from({ length: 20 }, () => createVersion(sampleTimeline(), { name: 'v1' }).id);
+    expect(new Set(ids).size).toBe(20);
+  });
+});
+
+describe('diffTimelines', () => {
+  it('reports nothing between identical timelines', () => {
+    const diff = diffTimelines(sampleTimeline(), sampleTimeline());
+    expect(summarizeDiff(diff).total).toBe(0);
+    expect(diff.unchanged).toBe(3);
+  });
+
+  it('finds added and removed clips and tracks', () => {
+    const to = copy(sampleTimeline());
+    to.tracks[0].clips = to.tracks[0].clips.filter(item => item.id !== 'b');
+    to.tracks[0].clips.push(clip('d', 144, 168));
+    to.tracks.pop();
+    to.tracks.push({ id: 'track-v2', type: 'video', name: 'V2', clips: [] });
+
+    const diff = diffTimelines(sampleTimeline(), to);
+    expect(diff.clips.removed.map(entry => entry.clipId)).toEqual(['b']);
+    expect(diff.clips.added).toEqual([{ clipId: 'd', assetId: 'asset-d', trackId: 'track-v1', startTime: 144, endTime: 168, inPoint: 0, outPoint: 24 }]);
+    expect(diff.tracks.removed).toEqual([{ trackId: 'track-a1', type: 'audio', name: 'A1' }]);
+    expect(diff.tracks.added).toEqual([{ trackId: 'track-v2', type: 'video', name: 'V2' }]);
+  });
+
+  it('tells moves from head trims', () => {
+    const to = copy(sampleTimeline());
+    // Head trim: start and in point move together, so not a move
+    Object.assign(to.tracks[0].clips[1], { startTime: 60, inPoint: 12 });
+    // Move: record position changes, source stays
+    Object.assign(to.tracks[0].clips[2], { startTime: 120, endTime: 168 });
+
+    const diff = diffTimelines(sampleTimeline(), to);
+    expect(diff.clips.trimmed.map(entry => entry.clipId)).toEqual(['b']);
+    expect(diff.clips.moved.map(entry => entry.clipId)).toEqual(['c']);
+    expect(diff.clips.moved[0].from).toMatchObject({ startTime: 96 });
+    expect(diff.clips.moved[0].to).toMatchObject({ startTime: 120 });
+  });
+
+  it('pairs re-assembled clips with new IDs by source overlap', () => {
+    const to = copy(sampleTimeline());
+    to.tracks[0].clips[0] = { ...to.tracks[0].clips[0], id: 'a2', outPoint: 24, endTime: 24 };
+
+    const diff = diffTimelines(sampleTimeline(), to);
+    expect(diff.clips.added).toEqual([]);
+    expect(diff.clips.removed).toEqual([]);
+    expect(diff.clips.trimmed).toEqual([expect.objectContaining({ clipId: 'a2', previousClipId: 'a' })]);
+  });
+
+  it('keeps clips of the same media apart', () => {
+    const from = copy(sampleTimeline());
+    from.tracks[0].clips = [clip('p', 0, 48, 0, { assetId: 'x' }), clip('q', 48, 96, 48, { assetId: 'x' })];
+    const to = copy(from);
+    Object.assign(to.tracks[0].clips[0], { endTime: 24, outPoint: 24 });
+    Object.assign(to.tracks[0].clips[1], { startTime: 100, endTime: 148 });
+    to.tracks[0].clips.push(clip('r', 200, 248, 0, { assetId: 'x' }));
+
+    const diff = diffTimelines(from, to);
+    expect(diff.clips.trimmed.map(entry => entry.clipId)).toEqual(['p']);
+    expect(diff.clips.moved.map(entry => entry.clipId)).toEqual(['q']);
+    expect(diff.clips.added.map(entry => entry.clipId)).toEqual(['r']);
+    expect(diff.clips.removed).toEqual([]);
+
+    // Re-assembled with new IDs, each clip pairs with the one its source overlaps most
+    const reassembled = copy(from);
+    reassembled.tracks[0].clips = [clip('q2', 0, 40, 56, { assetId: 'x' }), clip('p2', 40, 80, 4, { assetId: 'x' })];
+    const pairs = diffTimelines(from, reassembled).clips.trimmed.map(entry => [entry.previousClipId, entry.clipId]);
+    expect(pairs.sort()).toEqual([['p', 'p2'], ['q', 'q2']]);
+  });
+
+  it('reports transition and speed changes, renames and reordered tracks', () => {
+    const to = copy(sampleTimeline());
+    to.tracks[0].clips[1].transitions = { in: { type: 'dissolve', duration: 12 }, out: null };
+    to.tracks[0].clips[2].speed = 2;
+    to.tracks[0].name = 'Picture';
+    to.tracks.reverse();
+
+    const diff = diffTimelines(sampleTimeline(), to);
+    expect(diff.clips.changed.map(entry => entry.clipId)).toEqual(['b', 'c']);
+    expect(diff.clips.changed[1].speed).toEqual({ from: 1, to: 2 });
+    expect(diff.tracks.changed).toEqual([
+      { trackId: 'track-v1', name: { from: 'V1', to: 'Picture' }, position: { from: 0, to: 1 } },
+      { trackId: 'track-a1', position: { from: 1, to: 0 } }
+    ]);
+    expect(summarizeDiff(diff)).toMatchObject({ clipsChanged: 2, tracksChanged: 2, total: 4 });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * TimelineAssembler - Final Cut Pro 7 XML (xmeml) export
+ *
+ * Writes a timeline as an xmeml v5 sequence that Premiere Pro, Resolve and
+ * Final Cut Pro 7 can import and relink against the original media files.
+ */
+
+const { element, renderXmlDocument } = require('./xml');
+const { parseFrameRate, nominalFrameRate, resolveDropFrame, secondsToFrames, framesToTimecode, toFrames } = require('./timecode');
+
+const TRANSITION_EFFECTS = {
+  dissolve: { name: 'Cross Dissolve', category: 'Dissolve' },
+  wipe: { name: 'Wipe', category: 'Wipe' }
+};
+
+function rateElement(framerate) {
+  const { den } = parseFrameRate(framerate);
+  return element('rate', {}, [
+    element('timebase', {}, nominalFrameRate(framerate)),
+    element('ntsc', {}, den === 1001 ? 'TRUE' : 'FALSE')
+  ]);
+}
+
+function parseResolution(resolution) {
+  const [width, height] = String(resolution || '1920x1080').split('x').map(Number);
+  return { width: width || 1920, height: height || 1080 };
+}
+
+/**
+ * Build a file:// URL for an asset
+ *
+ * @param {Object} asset - Asset record
+ * @param {string} mediaRoot - Local folder the storage paths are relative to
+ * @returns {string} - pathurl value
+ */
+function assetPathUrl(asset, mediaRoot = '') {
+  const relative = asset.storagePath || asset.fileName || asset.id;
+  const fullPath = mediaRoot ? `${mediaRoot.replace(/\/+$/, '')}/${relative}` : relative;
+  const encoded = fullPath.split('/').map(encodeURIComponent).join('/');
+  return `file://localhost/${encoded.replace(/^\/+/, '')}`;
+}
+
+function transitionElement(transition, cutFrame, mediaType, framerate) {
+  const effect = TRANSITION_EFFECTS[transition.type];
+  if (!effect || !(transition.duration > 0)) {
+    return null;
+  }
+  const half = Math.floor(transition.duration / 2);
+  return element('transitionitem', {}, [
+    element('start', {}, cutFrame - half),
+    element('end', {}, cutFrame - half + transition.duration),
+    element('alignment', {}, 'center'),
+    rateElement(framerate),
+    element('effect', {}, [
+      element('name', {}, effect.name),
+      element('effectid', {}, effect.name),
+      element('effectcategory', {}, effect.category),
+      element('effecttype', {}, 'transition'),
+      element('mediatype', {}, mediaType)
+    ])
+  ]);
+}
+
+/**
+ * Generate a Final Cut Pro 7 XML (xmeml) document
+ *
+ * @param {Object} timeline - Timeline data (including its `assets`)
+ * @param {Object} options - Export options
+ * @param {string} options.mediaRoot - Local folder that asset storage paths are relative to
+ * @returns {string} - xmeml document
+ */
+function generateXMEML(timeline, { mediaRoot = '' } = {}) {
+  const framerate = timeline.framerate || 24;
+  const assets = timeline.assets || {};
+  const { width, height } = parseResolution(timeline.resolution);
+  const startFrame = timeline.startTimecode ? toFrames(timeline.startTimecode, framerate) : 0;
+  const dropFrame = resolveDropFrame(framerate, timeline.dropFrame);
+  const writtenFiles = new Set();
+  let clipCounter = 1;
+
+  const fileElement = (assetId) => {
+    const fileId = `file-${assetId}`;
+    if (writtenFiles.has(fileId)) {
+      return element('file', { id: fileId });
+    }
+    writtenFiles.add(fileId);
+
+    const asset = assets[assetId] || { id: assetId };
+    const metadata = asset.metadata || {};
+    return element('file', { id: fileId }, [
+      element('name', {}, asset.fileName || assetId),
+      element('pathurl', {}, assetPathUrl(asset, mediaRoot)),
+      rateElement(framerate),
+      metadata.duration && element('duration', {}, secondsToFrames(metadata.duration, framerate)),
+      element('media', {}, [
+        (metadata.video || !metadata.audio) && element('video', {}, [
+          element('samplecharacteristics', {}, [
+            element('width', {}, (metadata.video && metadata.video.width) || width),
+            element('height', {}, (metadata.video && metadata.video.height) || height)
+          ])
+        ]),
+        metadata.audio && element('audio', {}, [
+          element('channelcount', {}, metadata.audio.channels || 2)
+        ])
+      ])
+    ]);
+  };
+
+  const trackElement = (track, mediaType, audioIndex) => {
+    const items = [];
+    for (const clip of track.clips || []) {
+      if (clip.transitions && clip.transitions.in) {
+        items.push(transitionElement(clip.transitions.in, clip.startTime, mediaType, framerate));
+      }
+
+      const asset = assets[clip.assetId] || {};
+      items.push(element('clipitem', { id: `clipitem-${clipCounter++}` }, [
+        element('name', {}, asset.fileName || clip.assetId),
+        element('enabled', {}, 'TRUE'),
+        element('duration', {}, asset.metadata && asset.metadata.duration
+          ? secondsToFrames(asset.metadata.duration, framerate)
+          : clip.outPoint),
+        rateElement(framerate),
+        element('start', {}, clip.startTime),
+        element('end', {}, clip.endTime),
+        element('in', {}, clip.inPoint),
+        element('out', {}, clip.outPoint),
+        fileElement(clip.assetId),
+        mediaType === 'audio' && element('sourcetrack', {}, [
+          element('mediatype', {}, 'audio'),
+          element('trackindex', {}, audioIndex)
+        ])
+      ]));
+
+      // An outgoing transition into a clip with its own incoming one is the same cut
+      const next = (track.clips || []).find(other => other.startTime === clip.endTime);
+      if (clip.transitions && clip.transitions.out && !(next && next.transitions && next.transitions.in)) {
+        items.push(transitionElement(clip.transitions.out, clip.endTime, mediaType, framerate));
+      }
+    }
+    return element('track', {}, [
+      ...items,
+      element('enabled', {}, 'TRUE'),
+      element('locked', {}, 'FALSE')
+    ]);
+  };
+
+  const tracks = timeline.tracks || [];
+  const videoTracks = tracks.filter(track => track.type !== 'audio');
+  const audioTracks = tracks.filter(track => track.type === 'audio');
+
+  const sequence = element('sequence', { id: `sequence-${timeline.id || 1}` }, [
+    element('name', {}, timeline.name),
+    element('duration', {}, timeline.duration || 0),
+    rateElement(framerate),
+    element('timecode', {}, [
+      rateElement(framerate),
+      element('string', {}, framesToTimecode(startFrame, framerate, { dropFrame })),
+      element('frame', {}, startFrame),
+      element('displayformat', {}, dropFrame ? 'DF' : 'NDF')
+    ]),
+    element('media', {}, [
+      element('video', {}, [
+        element('format', {}, [
+          element('samplecharacteristics', {}, [
+            rateElement(framerate),
+            element('width', {}, width),
+            element('height', {}, height),
+            element('pixelaspectratio', {}, 'square')
+          ])
+        ]),
+        ...videoTracks.map(track => trackElement(track, 'video'))
+      ]),
+      element('audio', {}, audioTracks.map((track, index) => trackElement(track, 'audio', index + 1)))
+    ])
+  ]);
+
+  return renderXmlDocument(element('xmeml', { version: '5' }, [sequence]), 'xmeml');
+}
+
+module.exports = {
+  assetPathUrl,
+  generateXMEML,
+};
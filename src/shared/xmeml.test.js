@@ -0,0 +1,99 @@
+const { assetPathUrl, generateXMEML } = require('./xmeml');
+
+const assets = {
+  a: { id: 'a', fileName: 'A 001.mov', storagePath: 'projects/p/A 001.mov', metadata: { duration: 10, video: { width: 3840, height: 2160 }, audio: { channels: 2 } } },
+  b: { id: 'b', fileName: 'B001.wav', metadata: { duration: 20, audio: { channels: 1 } } }
+};
+
+const clip = (id, assetId, startTime, endTime, inPoint, transitions = { in: null, out: null }) => ({
+  id, assetId, startTime, endTime, inPoint, outPoint: inPoint + endTime - startTime, transitions
+});
+
+const parse = (timeline, options) => new DOMParser().parseFromString(generateXMEML({ id: 't1', name: 'Cut', assets, ...timeline }, options), 'application/xml');
+const text = (node, selector) => node.querySelector(selector).textContent;
+const rate = (node) => [text(node, ':scope > rate > timebase'), text(node, ':scope > rate > ntsc')];
+
+describe('generateXMEML', () => {
+  it('writes timebase and NTSC flag for whole and fractional rates', () => {
+    expect(rate(parse({ framerate: 25 }).querySelector('sequence'))).toEqual(['25', 'FALSE']);
+    expect(rate(parse({ framerate: 24 }).querySelector('sequence'))).toEqual(['24', 'FALSE']);
+    expect(rate(parse({ framerate: '24000/1001' }).querySelector('sequence'))).toEqual(['24', 'TRUE']);
+    expect(rate(parse({ framerate: 59.94 }).querySelector('sequence'))).toEqual(['60', 'TRUE']);
+  });
+
+  it('writes the start timecode as drop or non-drop frame', () => {
+    const dropFrame = parse({ framerate: 29.97, startTimecode: '01:00:00;00' }).querySelector('sequence > timecode');
+    expect(text(dropFrame, 'string')).toBe('01:00:00;00');
+    expect(text(dropFrame, 'frame')).toBe('107892');
+    expect(text(dropFrame, 'displayformat')).toBe('DF');
+
+    const nonDrop = parse({ framerate: 29.97, dropFrame: false, startTimecode: '01:00:00:00' }).querySelector('sequence > timecode');
+    expect(text(nonDrop, 'string')).toBe('01:00:00:00');
+    expect(text(nonDrop, 'frame')).toBe('108000');
+    expect(text(nonDrop, 'displayformat')).toBe('NDF');
+  });
+
+  it('writes clips with record and source frames and each file once', () => {
+    const doc = parse({
+      framerate: 24,
+      resolution: '1280x720',
+      tracks: [
+        { id: 'v1', type: 'video', clips: [clip('1', 'a', 0, 48, 24), clip('2', 'a', 48, 96, 120)] },
+        { id: 'a1', type: 'audio', clips: [clip('3', 'b', 0, 96, 0)] },
+        { id: 'a2', type: 'audio', clips: [clip('4', 'a', 0, 48, 24)] }
+      ]
+    }, { mediaRoot: '/Volumes/Media/' });
+
+    const videoClips = [...doc.querySelectorAll('media > video > track > clipitem')];
+    expect(videoClips.map(item => ['start', 'end', 'in', 'out'].map(field => text(item, `:scope > ${field}`)))).toEqual([
+      ['0', '48', '24', '72'],
+      ['48', '96', '120', '168']
+    ]);
+    expect(text(videoClips[0], ':scope > duration')).toBe('240');
+    expect(text(doc, 'format width')).toBe('1280');
+
+    // The first use of a file describes it; later uses refer to it by ID
+    const files = [...doc.querySelectorAll('clipitem > file')];
+    expect(files.map(file => [file.getAttribute('id'), file.children.length > 0])).toEqual([
+      ['file-a', true], ['file-a', false], ['file-b', true], ['file-a', false]
+    ]);
+    expect(text(files[0], 'pathurl')).toBe('file://localhost/Volumes/Media/projects/p/A%20001.mov');
+    expect(text(files[0], 'media > video width')).toBe('3840');
+    expect(files[2].querySelector('media > video')).toBeNull();
+    expect(text(files[2], 'channelcount')).toBe('1');
+
+    const audioTracks = [...doc.querySelectorAll('media > audio > track')];
+    expect(audioTracks.map(track => text(track, 'sourcetrack > trackindex'))).toEqual(['1', '2']);
+  });
+
+  it('centres transitions on the cut and writes each cut once', () => {
+    const dissolve = { type: 'dissolve', duration: 15 };
+    const doc = parse({
+      framerate: 24,
+      tracks: [{
+        id: 'v1',
+        type: 'video',
+        clips: [
+          clip('1', 'a', 0, 48, 24, { in: null, out: dissolve }),
+          clip('2', 'a', 48, 96, 120, { in: dissolve, out: null }),
+          clip('3', 'a', 96, 144, 0, { in: { type: 'wipe', duration: 10 }, out: { type: 'dissolve', duration: 24 } })
+        ]
+      }]
+    });
+
+    const transitions = [...doc.querySelectorAll('track > transitionitem')];
+    expect(transitions.map(item => [text(item, 'start'), text(item, 'end'), text(item, 'alignment'), text(item, 'effect > name')])).toEqual([
+      ['41', '56', 'center', 'Cross Dissolve'],
+      ['91', '101', 'center', 'Wipe'],
+      ['132', '156', 'center', 'Cross Dissolve']
+    ]);
+    expect(text(transitions[0], 'effect > mediatype')).toBe('video');
+  });
+});
+
+describe('assetPathUrl', () => {
+  it('encodes each part of the path under the media root', () => {
+    expect(assetPathUrl({ storagePath: 'clips/Day 1/A#1.mov' }, '/Users/editor/Media')).toBe('file://localhost/Users/editor/Media/clips/Day%201/A%231.mov');
+    expect(assetPathUrl({ id: 'x', fileName: 'B.mov' })).toBe('file://localhost/B.mov');
+  });
+});
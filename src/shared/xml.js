@@ -0,0 +1,92 @@
+/**
+ * TimelineAssembler - XML helpers
+ *
+ * Minimal XML building for the interchange exporters. Elements are plain
+ * objects created with `element()` and serialised with `renderXml()`.
+ */
+
+/**
+ * Escape text for use in XML content or attribute values
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Create an XML element
+ *
+ * Null and undefined children are dropped, so optional parts can be written
+ * inline as `condition && element(...)`.
+ *
+ * @param {string} name - Tag name
+ * @param {Object} attributes - Attribute map (null/undefined values are omitted)
+ * @param {Array|string|number} children - Child elements or text content
+ * @returns {Object} - Element node
+ */
+function element(name, attributes = {}, children = []) {
+  const list = Array.isArray(children) ? children : [children];
+  return {
+    name: name,
+    attributes: attributes || {},
+    children: list.filter(child => child !== null && child !== undefined && child !== false)
+  };
+}
+
+/**
+ * Serialise an element tree to an XML string
+ *
+ * @param {Object} node - Root element
+ * @param {number} depth - Indentation depth
+ * @returns {string} - XML markup
+ */
+function renderXml(node, depth = 0) {
+  const indent = '  '.repeat(depth);
+
+  if (typeof node !== 'object') {
+    return `${indent}${escapeXml(node)}`;
+  }
+
+  const attributes = Object.entries(node.attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+
+  if (node.children.length === 0) {
+    return `${indent}<${node.name}${attributes}/>`;
+  }
+
+  if (node.children.every(child => typeof child !== 'object')) {
+    return `${indent}<${node.name}${attributes}>${node.children.map(escapeXml).join('')}</${node.name}>`;
+  }
+
+  const children = node.children.map(child => renderXml(child, depth + 1)).join('\n');
+  return `${indent}<${node.name}${attributes}>\n${children}\n${indent}</${node.name}>`;
+}
+
+/**
+ * Render a complete XML document
+ *
+ * @param {Object} root - Root element
+ * @param {string} doctype - Optional DOCTYPE name
+ * @returns {string} - XML document
+ */
+function renderXmlDocument(root, doctype) {
+  const header = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  const declaration = doctype ? `<!DOCTYPE ${doctype}>\n` : '';
+  return `${header}${declaration}${renderXml(root)}\n`;
+}
+
+module.exports = {
+  escapeXml,
+  element,
+  renderXml,
+  renderXmlDocument,
+};